@@ -12,11 +12,30 @@ import rehypeStringify from 'rehype-stringify';
 import { visit } from 'unist-util-visit';
 import ExtensionRenderer from '../utils/renderer.js';
 import DocxExporter from '../exporters/docx-exporter.js';
+import OdtExporter from '../exporters/odt-exporter.js';
+import PptxExporter from '../exporters/pptx-exporter.js';
+import LatexExporter from '../exporters/latex-exporter.js';
+import PdfExporter from '../exporters/pdf-exporter.js';
+import HtmlExporter from '../exporters/html-exporter.js';
+import EpubExporter from '../exporters/epub-exporter.js';
 import Localization, { DEFAULT_SETTING_LOCALE } from '../utils/localization.js';
 import themeManager from '../utils/theme-manager.js';
 import { loadAndApplyTheme } from '../utils/theme-to-css.js';
 import { registerRemarkPlugins, getPluginByType } from '../plugins/index.js';
 import { createPlaceholderElement } from '../plugins/plugin-content-utils.js';
+import { replacePlaceholderWithImage } from '../plugins/plugin-html-utils.js';
+import { remarkFrontMatterMetadata, renderFrontMatterBlock } from '../utils/front-matter.js';
+import { remarkTocMarker } from '../utils/toc-marker.js';
+import { remarkTableLayout, rehypeTableLayout } from '../utils/table-layout.js';
+import { remarkCaptions } from '../utils/captions.js';
+import { FileWatcher } from '../utils/file-watcher.js';
+import { DocumentSearch } from '../utils/document-search.js';
+import { DiagramToolbar } from '../utils/diagram-toolbar.js';
+import { DiagramZoom } from '../utils/diagram-zoom.js';
+import { InteractiveCharts } from '../utils/interactive-charts.js';
+import { PresentationMode } from '../utils/presentation-mode.js';
+import { loadExportSettings } from '../utils/export-settings.js';
+import { runtimeSendMessage } from '../utils/file-download.js';
 
 async function initializeContentScript() {
 
@@ -436,6 +455,10 @@ ${truncatedMarkup}`;
   const asyncTaskQueue = [];
   let asyncTaskIdCounter = 0;
 
+  // Diagram plugin and task data by placeholder id (the rendered diagram keeps the id),
+  // used by search and the diagram toolbar
+  const diagramSources = new Map();
+
   /**
    * Generate unique ID for async tasks
    */
@@ -476,6 +499,9 @@ ${truncatedMarkup}`;
     };
 
     asyncTaskQueue.push(task);
+    if (plugin) {
+      diagramSources.set(placeholderId, { plugin, data: task.data });
+    }
 
     // Generate placeholder using utility function
     const placeholderHtml = createPlaceholderElement(
@@ -571,6 +597,31 @@ ${truncatedMarkup}`;
     hideProcessingIndicator();
   }
 
+  /**
+   * Fill placeholders whose diagrams are already cached, before the content is attached
+   * Resolved tasks are removed from the queue; the rest are left for processAsyncTasks.
+   * @param {Element} container - Detached element holding the new content
+   */
+  async function resolveCachedPlaceholders(container) {
+    for (const task of [...asyncTaskQueue]) {
+      const plugin = getPluginByType(task.type);
+      // Live charts are always embedded anew
+      if (!plugin || task.status !== 'ready' || (interactiveChartsEnabled && plugin.supportsInteractive())) {
+        continue;
+      }
+
+      try {
+        const cached = await renderer.getCached(task.type, task.data.code, plugin.getRenderParams(task.data.options), plugin.getViewerFormat());
+        if (cached) {
+          replacePlaceholderWithImage(task.id, cached, task.type, plugin.isInline(), container, task.data.options);
+          asyncTaskQueue.splice(asyncTaskQueue.indexOf(task), 1);
+        }
+      } catch (error) {
+        // Leave the task queued; it renders normally
+      }
+    }
+  }
+
   /**
    * Update progress circle based on completed vs total tasks
    */
@@ -638,8 +689,97 @@ ${truncatedMarkup}`;
   const cacheManager = new BackgroundCacheManagerProxy();
   const renderer = new ExtensionRenderer(cacheManager);
 
-  // Initialize DOCX exporter
-  const docxExporter = new DocxExporter(renderer);
+  // Initialize document exporters
+  // Word documents always use light colors, whatever the viewer shows
+  const docxExporter = new DocxExporter(renderer.forColorMode('light'));
+  const odtExporter = new OdtExporter(renderer.forColorMode('light'));
+  const pptxExporter = new PptxExporter(renderer.forColorMode('light'));
+  const latexExporter = new LatexExporter(renderer.forColorMode('light'));
+  const pdfExporter = new PdfExporter();
+  const htmlExporter = new HtmlExporter();
+  const epubExporter = new EpubExporter();
+
+  // Front matter metadata from the latest render (used by exporters working on rendered HTML)
+  let currentFrontMatter = null;
+
+  // Resolved color mode of the viewer ('light' or 'dark')
+  let currentColorMode = 'light';
+
+  // In-document search over rendered text and diagram sources
+  const documentSearch = new DocumentSearch({
+    getRoot: () => document.getElementById('markdown-content'),
+    getDiagrams: () => Array.from(diagramSources, ([id, { data }]) => ({
+      element: document.getElementById(id),
+      source: data.source ?? data.code
+    }))
+  });
+
+  // Copy/download actions on hovered diagrams
+  const diagramToolbar = new DiagramToolbar({
+    getRoot: () => document.getElementById('markdown-content'),
+    getDiagram: (id) => {
+      const entry = diagramSources.get(id);
+      return entry && {
+        type: entry.plugin.type,
+        source: entry.data.source ?? entry.data.code,
+        hasVector: entry.plugin.hasVectorOutput()
+      };
+    },
+    renderPng: renderDiagramPng,
+    renderSvg: (id) => {
+      const { plugin, data } = diagramSources.get(id);
+      return renderer.renderSvg(plugin.type, data.code, plugin.getRenderParams(data.options));
+    },
+    getFilename: (suffix, extension) => `${getDocumentBaseName()}-${suffix}.${extension}`,
+    translate
+  });
+
+  // Zoom and pan for diagrams shown as SVG
+  const diagramZoom = new DiagramZoom({
+    getRoot: () => document.getElementById('markdown-content')
+  });
+
+  // Full-window slides from the rendered document
+  const presentationMode = new PresentationMode({
+    getRoot: () => document.getElementById('markdown-content'),
+    translate,
+    onStateChange: saveFileState
+  });
+
+  // Live vega/vega-lite charts, when enabled in the popup settings
+  const interactiveCharts = new InteractiveCharts({ translate });
+  let interactiveChartsEnabled = false;
+
+  /**
+   * Embed a live chart in place of its placeholder
+   * @param {string} id - Placeholder id
+   * @param {Object} plugin - Chart plugin
+   * @param {string} code - Chart specification
+   */
+  async function embedInteractiveChart(id, plugin, code) {
+    const placeholder = document.getElementById(id);
+    if (!placeholder) {
+      return;
+    }
+    const blocks = Array.from(document.querySelectorAll('#markdown-content .diagram-block, #markdown-content div.async-placeholder'));
+    const downloadFileName = `${getDocumentBaseName()}-${plugin.type}-${blocks.indexOf(placeholder) + 1}`;
+    await interactiveCharts.embed(placeholder, plugin.type, code, renderer.themeConfig, downloadFileName);
+  }
+
+  /**
+   * Rasterize a rendered diagram (vector diagrams are only shown as SVG)
+   * @param {string} id - Diagram element id
+   * @param {Object} targetRenderer - Renderer to use (default: the viewer's, in its color mode)
+   * @returns {Promise<string|null>} Base64 PNG, or null if the element is not a diagram
+   */
+  async function renderDiagramPng(id, targetRenderer = renderer) {
+    const entry = diagramSources.get(id);
+    if (!entry) {
+      return null;
+    }
+    const result = await targetRenderer.render(entry.plugin.type, entry.data.code, entry.plugin.getRenderParams(entry.data.options));
+    return result?.base64 || null;
+  }
 
   // Store renderer and utility functions globally for plugins and debugging
   window.extensionRenderer = renderer;
@@ -676,8 +816,8 @@ ${truncatedMarkup}`;
     return currentScrollPosition;
   }
 
-  // Get the raw markdown content
-  const rawMarkdown = document.body.textContent;
+  // Get the raw markdown content (replaced on live reload)
+  let rawMarkdown = document.body.textContent;
 
   // Get saved state early to prevent any flashing
   const initialState = await getFileState();
@@ -745,10 +885,10 @@ ${truncatedMarkup}`;
       // Apply zoom using CSS zoom property (like browser zoom)
       contentDiv.style.zoom = (currentZoomLevel / 100);
       
-      // Update scroll-margin-top for all headings to account for zoom
+      // Update scroll-margin-top for all anchor targets (headings, footnotes) to account for zoom
       // Formula: 50px (toolbar height) / zoom ratio
       const scrollMargin = 50 / (currentZoomLevel / 100);
-      const headings = contentDiv.querySelectorAll('h1, h2, h3, h4, h5, h6');
+      const headings = contentDiv.querySelectorAll('h1, h2, h3, h4, h5, h6, [data-footnote-ref], section[data-footnotes] li');
       headings.forEach(heading => {
         heading.style.scrollMarginTop = scrollMargin + 'px';
       });
@@ -778,6 +918,21 @@ ${truncatedMarkup}`;
   const toolbarZoomOutTitle = translate('toolbar_zoom_out_title');
   const toolbarZoomInTitle = translate('toolbar_zoom_in_title');
   const toolbarDownloadTitle = translate('toolbar_download_title');
+  const toolbarExportDocx = translate('toolbar_export_docx');
+  const toolbarExportOdt = translate('toolbar_export_odt');
+  const toolbarExportPptx = translate('toolbar_export_pptx');
+  const toolbarExportPdf = translate('toolbar_export_pdf');
+  const toolbarExportHtml = translate('toolbar_export_html');
+  const toolbarExportEpub = translate('toolbar_export_epub');
+  const toolbarExportLatex = translate('toolbar_export_latex');
+  const toolbarPresentationTitle = translate('toolbar_presentation_title');
+  const toolbarSearchTitle = translate('toolbar_search_title');
+  const searchPlaceholder = translate('search_placeholder');
+  const searchCaseSensitiveTitle = translate('search_case_sensitive_title');
+  const searchRegexTitle = translate('search_regex_title');
+  const searchPreviousTitle = translate('search_previous_title');
+  const searchNextTitle = translate('search_next_title');
+  const searchCloseTitle = translate('search_close_title');
   const toolbarPrintTitle = translate('toolbar_print_title');
   const toolbarPrintDisabledTitle = translate('toolbar_print_disabled_title');
 
@@ -785,6 +940,8 @@ ${truncatedMarkup}`;
   const zoomOutTitleAttr = escapeHtml(toolbarZoomOutTitle);
   const zoomInTitleAttr = escapeHtml(toolbarZoomInTitle);
 
+  const presentationTitleAttr = escapeHtml(toolbarPresentationTitle);
+  const searchTitleAttr = escapeHtml(toolbarSearchTitle);
   const downloadTitleAttr = escapeHtml(toolbarDownloadTitle);
   const printTitleAttr = escapeHtml(toolbarPrintTitle);
 
@@ -824,13 +981,37 @@ ${truncatedMarkup}`;
           <line x1="3" y1="7" x2="17" y2="7" stroke-width="2"/>
         </svg>
       </button>
+      <button id="presentation-btn" class="toolbar-btn" title="${presentationTitleAttr}">
+        <svg width="20" height="20" viewBox="0 0 20 20" fill="none" stroke="currentColor">
+          <rect x="2" y="3" width="16" height="11" stroke-width="2" rx="1"/>
+          <path d="M8.5 6.5v4l3.5-2z" fill="currentColor" stroke="none"/>
+          <path d="M7 17h6" stroke-width="2" stroke-linecap="round"/>
+        </svg>
+      </button>
     </div>
     <div class="toolbar-right">
-      <button id="download-btn" class="toolbar-btn" title="${downloadTitleAttr}">
+      <button id="search-btn" class="toolbar-btn" title="${searchTitleAttr}">
         <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
-          <path d="M10 3v10m0 0l-3-3m3 3l3-3M3 16h14" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          <circle cx="8.5" cy="8.5" r="5" stroke="currentColor" stroke-width="2"/>
+          <path d="M12.5 12.5L17 17" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
         </svg>
       </button>
+      <div class="download-menu-container">
+        <button id="download-btn" class="toolbar-btn" title="${downloadTitleAttr}" aria-haspopup="true" aria-expanded="false">
+          <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+            <path d="M10 3v10m0 0l-3-3m3 3l3-3M3 16h14" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          </svg>
+        </button>
+        <div id="download-menu" class="download-menu hidden" role="menu">
+          <button class="download-menu-item" data-format="docx" role="menuitem">${escapeHtml(toolbarExportDocx)}</button>
+          <button class="download-menu-item" data-format="odt" role="menuitem">${escapeHtml(toolbarExportOdt)}</button>
+          <button class="download-menu-item" data-format="pptx" role="menuitem">${escapeHtml(toolbarExportPptx)}</button>
+          <button class="download-menu-item" data-format="pdf" role="menuitem">${escapeHtml(toolbarExportPdf)}</button>
+          <button class="download-menu-item" data-format="html" role="menuitem">${escapeHtml(toolbarExportHtml)}</button>
+          <button class="download-menu-item" data-format="epub" role="menuitem">${escapeHtml(toolbarExportEpub)}</button>
+          <button class="download-menu-item" data-format="latex" role="menuitem">${escapeHtml(toolbarExportLatex)}</button>
+        </div>
+      </div>
       <button id="print-btn" class="toolbar-btn" title="${printTitleAttr}">
         <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
           <path d="M5 7V3h10v4M5 14H3V9h14v5h-2M5 14v3h10v-3M5 14h10" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
@@ -838,6 +1019,27 @@ ${truncatedMarkup}`;
       </button>
     </div>
   </div>
+  <div id="search-bar" class="search-bar hidden" role="search">
+    <input id="search-input" type="text" placeholder="${escapeHtml(searchPlaceholder)}" aria-label="${escapeHtml(searchPlaceholder)}" autocomplete="off" spellcheck="false">
+    <span id="search-count" class="search-count" aria-live="polite"></span>
+    <button id="search-case-btn" class="search-bar-btn search-option-btn" title="${escapeHtml(searchCaseSensitiveTitle)}" aria-pressed="false">Aa</button>
+    <button id="search-regex-btn" class="search-bar-btn search-option-btn" title="${escapeHtml(searchRegexTitle)}" aria-pressed="false">.*</button>
+    <button id="search-prev-btn" class="search-bar-btn" title="${escapeHtml(searchPreviousTitle)}">
+      <svg width="16" height="16" viewBox="0 0 16 16">
+        <path d="M4 10l4-4 4 4" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+      </svg>
+    </button>
+    <button id="search-next-btn" class="search-bar-btn" title="${escapeHtml(searchNextTitle)}">
+      <svg width="16" height="16" viewBox="0 0 16 16">
+        <path d="M4 6l4 4 4-4" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+      </svg>
+    </button>
+    <button id="search-close-btn" class="search-bar-btn" title="${escapeHtml(searchCloseTitle)}">
+      <svg width="16" height="16" viewBox="0 0 16 16">
+        <path d="M4 4l8 8M12 4l-8 8" stroke-width="2" stroke-linecap="round"/>
+      </svg>
+    </button>
+  </div>
   <div id="table-of-contents" class="${initialTocClass}"></div>
   <div id="toc-overlay" class="hidden"></div>
   <div id="markdown-wrapper">
@@ -872,13 +1074,26 @@ ${truncatedMarkup}`;
     // Setup keyboard shortcuts
     setupKeyboardShortcuts();
 
+    // Setup in-document search bar
+    setupSearchBar();
+
     // Setup responsive behavior
     await setupResponsiveToc();
 
+    // Resume a presentation before diagrams render, so they fill in on their slides
+    const presentationState = await getFileState();
+    if (presentationState.presentationMode) {
+      presentationMode.enter(presentationState.presentationSlide || 0, false);
+    }
+
     // Now that all DOM is ready, process async tasks
     // Add a small delay to ensure DOM is fully rendered and visible
-    setTimeout(() => {
-      processAsyncTasks();
+    setTimeout(async () => {
+      await processAsyncTasks();
+
+      // Watch local files and color scheme changes once the initial render is complete
+      startLiveReload();
+      watchColorMode();
     }, 200);
   }, 100);
 
@@ -892,6 +1107,10 @@ ${truncatedMarkup}`;
       // Debounce scroll saving to avoid too frequent background messages
       clearTimeout(scrollTimeout);
       scrollTimeout = setTimeout(() => {
+        // The page does not scroll while presenting; keep the reading position
+        if (presentationMode.isActive()) {
+          return;
+        }
         try {
           const currentPosition = window.scrollY || window.pageYOffset;
           // Save position even when it's 0 (page top) to ensure correct restoration
@@ -907,6 +1126,17 @@ ${truncatedMarkup}`;
     // Scroll event listener setup failed, continuing without scroll persistence
   }
 
+  /**
+   * Get document headings shown in the TOC
+   * Skips generated headings such as the screen-reader-only footnotes label
+   * @param {Element} contentDiv - The markdown content container
+   * @returns {Element[]} Heading elements in document order
+   */
+  function getDocumentHeadings(contentDiv) {
+    return Array.from(contentDiv.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+      .filter(heading => !heading.closest('section[data-footnotes]'));
+  }
+
   /**
    * Update active TOC item based on scroll position
    * Highlights the last heading that is above the viewport top
@@ -917,7 +1147,7 @@ ${truncatedMarkup}`;
     
     if (!contentDiv || !tocDiv) return;
     
-    const headings = contentDiv.querySelectorAll('h1, h2, h3, h4, h5, h6');
+    const headings = getDocumentHeadings(contentDiv);
     if (headings.length === 0) return;
     
     // Get current scroll position
@@ -997,20 +1227,18 @@ ${truncatedMarkup}`;
     }
   }
 
-  async function renderMarkdown(markdown, savedScrollPosition = 0) {
-    const contentDiv = document.getElementById('markdown-content');
-
-    if (!contentDiv) {
-      console.error('markdown-content div not found!');
-      return;
-    }
-
-    // Load and apply theme
+  /**
+   * Load the selected theme, apply its CSS and pass its fonts, diagram palette and color mode to the renderer
+   */
+  async function applySelectedTheme() {
     try {
       const themeId = await themeManager.loadSelectedTheme();
       const theme = await themeManager.loadTheme(themeId);
-      await loadAndApplyTheme(themeId);
-      
+
+      currentColorMode = themeManager.resolveColorMode(await themeManager.loadColorMode());
+      document.body.classList.toggle('dark-mode', currentColorMode === 'dark');
+      await loadAndApplyTheme(themeId, currentColorMode);
+
       // Set theme configuration for renderer
       if (theme && theme.fontScheme && theme.fontScheme.body) {
         const fontFamily = themeManager.buildFontFamily(theme.fontScheme.body.fontFamily);
@@ -1018,12 +1246,35 @@ ${truncatedMarkup}`;
         const fontSize = parseFloat(theme.fontScheme.body.fontSize);
         await renderer.setThemeConfig({
           fontFamily: fontFamily,
-          fontSize: fontSize
+          fontSize: fontSize,
+          colorMode: currentColorMode,
+          diagramPalette: themeManager.getDiagramPalette(theme)
         });
       }
     } catch (error) {
       console.error('Failed to load theme, using defaults:', error);
     }
+  }
+
+  /**
+   * Render markdown into the content area
+   * @param {string} markdown - Raw markdown content
+   * @param {number} savedScrollPosition - Scroll position to restore after rendering
+   * @param {Object} options - { liveReload } re-render of an already displayed document
+   */
+  async function renderMarkdown(markdown, savedScrollPosition = 0, options = {}) {
+    const { liveReload = false } = options;
+    const contentDiv = document.getElementById('markdown-content');
+
+    if (!contentDiv) {
+      console.error('markdown-content div not found!');
+      return;
+    }
+
+    // Load and apply theme (already applied when re-rendering)
+    if (!liveReload) {
+      await applySelectedTheme();
+    }
 
     // Pre-process markdown to normalize math blocks and list markers
     let normalizedMarkdown = normalizeMathBlocks(markdown);
@@ -1032,16 +1283,33 @@ ${truncatedMarkup}`;
       // Setup markdown processor with async plugins
       const processor = unified()
         .use(remarkParse)
+        .use(remarkFrontMatterMetadata) // Extract YAML front matter into file.data
         .use(remarkGfm)
+        .use(remarkTableLayout) // Table directives (header rows) for rehypeTableLayout
+        .use(remarkCaptions, {
+          figureLabel: translate('caption_figure_label'),
+          tableLabel: translate('caption_table_label')
+        }) // Numbered figure/table captions and [@fig:id] references
         .use(remarkBreaks) // Add line break processing
-        .use(remarkMath);
+        .use(remarkMath)
+        .use(remarkTocMarker); // Turn [TOC] markers into in-document TOC placeholders
       
       // Register all plugins from plugin registry
-      registerRemarkPlugins(processor, renderer, asyncTask, translate, escapeHtml, visit);
+      interactiveChartsEnabled = Boolean((await loadExportSettings()).interactiveCharts);
+      registerRemarkPlugins(processor, renderer, asyncTask, translate, escapeHtml, visit, {
+        embedInteractive: interactiveChartsEnabled ? embedInteractiveChart : null
+      });
       
       // Continue with rehype processing
       processor
-        .use(remarkRehype, { allowDangerousHtml: true })
+        .use(remarkRehype, {
+          allowDangerousHtml: true,
+          footnoteLabel: translate('footnote_label'),
+          footnoteBackLabel: (referenceIndex, rereferenceIndex) => translate('footnote_back_label', [
+            String(referenceIndex + 1) + (rereferenceIndex > 1 ? `-${rereferenceIndex}` : '')
+          ])
+        })
+        .use(rehypeTableLayout) // Merge `<<` / `^^` table cells
         .use(rehypeSlug)
         .use(rehypeHighlight) // Add syntax highlighting
         .use(rehypeKatex)
@@ -1050,13 +1318,26 @@ ${truncatedMarkup}`;
       const file = await processor.process(normalizedMarkdown);
       let htmlContent = String(file);
 
+      // Prepend title block built from front matter metadata
+      currentFrontMatter = file.data.frontMatter || null;
+      htmlContent = renderFrontMatterBlock(currentFrontMatter, escapeHtml) + htmlContent;
+
       // Add table centering for better Word compatibility
       htmlContent = processTablesForWordCompatibility(htmlContent);
 
       // Sanitize HTML before injecting into the document
       htmlContent = sanitizeRenderedHtml(htmlContent);
 
-      contentDiv.innerHTML = htmlContent;
+      if (liveReload) {
+        // Build the new content off-DOM and fill unchanged diagrams from cache,
+        // so only changed blocks show a placeholder
+        const container = document.createElement('div');
+        container.innerHTML = htmlContent;
+        await resolveCachedPlaceholders(container);
+        contentDiv.replaceChildren(...container.childNodes);
+      } else {
+        contentDiv.innerHTML = htmlContent;
+      }
 
       // Show the content container
       const pageDiv = document.getElementById('markdown-page');
@@ -1085,13 +1366,237 @@ ${truncatedMarkup}`;
     }
   }
 
+  /**
+   * Re-render the document with new source content, keeping the reading position
+   * @param {string} markdown - Updated markdown content
+   */
+  async function reloadDocument(markdown) {
+    const scrollPosition = window.scrollY || window.pageYOffset || 0;
+    if (!presentationMode.isActive()) {
+      saveFileState({ scrollPosition });
+    }
+
+    rawMarkdown = markdown;
+    asyncTaskQueue.length = 0;
+    diagramSources.clear();
+    interactiveCharts.finalizeAll();
+
+    await renderMarkdown(markdown, scrollPosition, { liveReload: true });
+    presentationMode.refresh();
+    await processAsyncTasks();
+
+    // Re-apply an open search to the new content
+    if (isSearchBarOpen()) {
+      updateSearchCount(documentSearch.refresh());
+    }
+  }
+
+  /**
+   * Re-apply theme colors and re-render diagrams when the color mode changes
+   * Follows the popup setting and, in auto mode, the system prefers-color-scheme.
+   */
+  function watchColorMode() {
+    const refresh = async () => {
+      const previousColorMode = currentColorMode;
+      await applySelectedTheme();
+      if (currentColorMode !== previousColorMode) {
+        await reloadDocument(rawMarkdown);
+      }
+    };
+
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', async () => {
+      if (await themeManager.loadColorMode() === 'auto') {
+        refresh();
+      }
+    });
+
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message && message.type === 'colorModeChanged') {
+        refresh();
+      }
+    });
+  }
+
+  /**
+   * Watch local markdown files and re-render when they change on disk
+   */
+  function startLiveReload() {
+    if (document.location.protocol !== 'file:') {
+      return;
+    }
+
+    const watcher = new FileWatcher({
+      readFile: async () => {
+        const response = await runtimeSendMessage({
+          type: 'READ_LOCAL_FILE',
+          filePath: getCurrentDocumentUrl()
+        });
+        if (!response || response.error) {
+          throw new Error(response?.error || 'No response from background script');
+        }
+        return response.content;
+      },
+      hash: (text) => cacheManager.calculateHash(text),
+      onChange: reloadDocument,
+      // Don't poll while the tab is in the background
+      isPaused: () => document.hidden
+    });
+
+    watcher.start(rawMarkdown).catch((error) => {
+      console.error('Failed to start live reload:', error);
+    });
+  }
+
+  /**
+   * Check whether the search bar is visible
+   * @returns {boolean} True if open
+   */
+  function isSearchBarOpen() {
+    const searchBar = document.getElementById('search-bar');
+    return Boolean(searchBar && !searchBar.classList.contains('hidden'));
+  }
+
+  /**
+   * Show search state in the search bar
+   * @param {{total: number, current: number, error: string|null}} state - Search state
+   */
+  function updateSearchCount(state) {
+    const countSpan = document.getElementById('search-count');
+    const searchInput = document.getElementById('search-input');
+    if (!countSpan || !searchInput) {
+      return;
+    }
+
+    countSpan.classList.toggle('error', Boolean(state.error));
+    if (state.error) {
+      countSpan.textContent = translate('search_invalid_regex');
+    } else if (!searchInput.value) {
+      countSpan.textContent = '';
+    } else if (state.total === 0) {
+      countSpan.textContent = translate('search_no_results');
+    } else {
+      countSpan.textContent = translate('search_match_count', [String(state.current), String(state.total)]);
+    }
+  }
+
+  /**
+   * Open the search bar and focus its input
+   */
+  function openSearchBar() {
+    const searchBar = document.getElementById('search-bar');
+    const searchInput = document.getElementById('search-input');
+    if (!searchBar || !searchInput) {
+      return;
+    }
+
+    if (!isSearchBarOpen()) {
+      searchBar.classList.remove('hidden');
+      if (searchInput.value) {
+        updateSearchCount(documentSearch.refresh());
+      }
+    }
+
+    searchInput.focus();
+    searchInput.select();
+  }
+
+  /**
+   * Close the search bar and remove highlights
+   */
+  function closeSearchBar() {
+    const searchBar = document.getElementById('search-bar');
+    if (!searchBar) {
+      return;
+    }
+
+    searchBar.classList.add('hidden');
+    documentSearch.clear();
+    updateSearchCount(documentSearch.getState());
+  }
+
+  /**
+   * Bind search bar controls
+   */
+  function setupSearchBar() {
+    const searchBtn = document.getElementById('search-btn');
+    const searchInput = document.getElementById('search-input');
+    const caseBtn = document.getElementById('search-case-btn');
+    const regexBtn = document.getElementById('search-regex-btn');
+    const prevBtn = document.getElementById('search-prev-btn');
+    const nextBtn = document.getElementById('search-next-btn');
+    const closeBtn = document.getElementById('search-close-btn');
+
+    if (!searchInput) {
+      return;
+    }
+
+    const searchOptions = { caseSensitive: false, regex: false };
+    let searchTimer = null;
+
+    const runSearch = () => {
+      clearTimeout(searchTimer);
+      searchTimer = null;
+      updateSearchCount(documentSearch.search(searchInput.value, searchOptions));
+    };
+
+    const navigate = (direction) => {
+      // Run a pending search first so Enter right after typing lands on the first match
+      if (searchTimer) {
+        runSearch();
+        return;
+      }
+      updateSearchCount(direction < 0 ? documentSearch.previous() : documentSearch.next());
+    };
+
+    const bindOption = (button, option) => {
+      button.addEventListener('click', () => {
+        searchOptions[option] = !searchOptions[option];
+        button.classList.toggle('active', searchOptions[option]);
+        button.setAttribute('aria-pressed', String(searchOptions[option]));
+        runSearch();
+        searchInput.focus();
+      });
+    };
+
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(runSearch, 200);
+    });
+
+    searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        navigate(e.shiftKey ? -1 : 1);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeSearchBar();
+      }
+    });
+
+    bindOption(caseBtn, 'caseSensitive');
+    bindOption(regexBtn, 'regex');
+    prevBtn.addEventListener('click', () => navigate(-1));
+    nextBtn.addEventListener('click', () => navigate(1));
+    closeBtn.addEventListener('click', closeSearchBar);
+
+    if (searchBtn) {
+      searchBtn.addEventListener('click', () => {
+        if (isSearchBarOpen()) {
+          closeSearchBar();
+        } else {
+          openSearchBar();
+        }
+      });
+    }
+  }
+
   async function generateTOC() {
     const contentDiv = document.getElementById('markdown-content');
     const tocDiv = document.getElementById('table-of-contents');
 
     if (!contentDiv || !tocDiv) return;
 
-    const headings = contentDiv.querySelectorAll('h1, h2, h3, h4, h5, h6');
+    const headings = getDocumentHeadings(contentDiv);
 
     if (headings.length === 0) {
       tocDiv.style.display = 'none';
@@ -1116,6 +1621,11 @@ ${truncatedMarkup}`;
 
     tocHTML += '</ul>';
     tocDiv.innerHTML = tocHTML;
+
+    // Fill in-document TOC placeholders created from [TOC] markers
+    contentDiv.querySelectorAll('.document-toc').forEach(nav => {
+      nav.innerHTML = tocHTML;
+    });
     
     // Apply saved TOC visibility state after generating TOC
     // Note: Initial state is already set in the HTML, but we verify it here
@@ -1198,13 +1708,17 @@ ${truncatedMarkup}`;
         return;
       }
 
+      // Ctrl/Cmd + F: Search in document
+      if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+        e.preventDefault();
+        openSearchBar();
+        return;
+      }
+
       // Ctrl/Cmd + S: Download as DOCX
       if ((e.ctrlKey || e.metaKey) && e.key === 's') {
         e.preventDefault();
-        const downloadBtn = document.getElementById('download-btn');
-        if (downloadBtn && !downloadBtn.disabled) {
-          downloadBtn.click();
-        }
+        exportDocument('docx');
         return;
       }
 
@@ -1213,6 +1727,106 @@ ${truncatedMarkup}`;
     });
   }
 
+  /**
+   * Export the current document in the given format, showing progress on the download button
+   * @param {string} format - Export format key ('docx' | 'odt' | 'pptx' | 'pdf' | 'html' | 'epub' | 'latex')
+   */
+  async function exportDocument(format) {
+    const downloadBtn = document.getElementById('download-btn');
+
+    // Prevent concurrent exports
+    if (!downloadBtn || downloadBtn.disabled) {
+      return;
+    }
+
+    const exportHandlers = {
+      docx: (filename, onProgress) => docxExporter.exportToDocx(rawMarkdown, filename, onProgress),
+      odt: (filename, onProgress) => odtExporter.exportToOdt(rawMarkdown, filename, onProgress),
+      pptx: (filename, onProgress) => pptxExporter.exportToPptx(rawMarkdown, filename, onProgress),
+      pdf: (filename, onProgress) => pdfExporter.exportToPdf(
+        document.getElementById('markdown-content'),
+        filename,
+        onProgress,
+        { frontMatter: currentFrontMatter, renderDiagramPng }
+      ),
+      html: (filename, onProgress) => htmlExporter.exportToHtml(
+        document.getElementById('markdown-content'),
+        filename,
+        onProgress,
+        { frontMatter: currentFrontMatter, colorMode: currentColorMode }
+      ),
+      epub: (filename, onProgress) => epubExporter.exportToEpub(
+        document.getElementById('markdown-content'),
+        filename,
+        onProgress,
+        {
+          frontMatter: currentFrontMatter,
+          getHeadings: getDocumentHeadings,
+          // Books are read on light pages, like the DOCX export
+          renderDiagramPng: (id) => renderDiagramPng(id, renderer.forColorMode('light'))
+        }
+      ),
+      latex: (filename, onProgress) => latexExporter.exportToLatex(rawMarkdown, filename, onProgress)
+    };
+
+    const exportHandler = exportHandlers[format];
+    if (!exportHandler) {
+      return;
+    }
+
+    const originalContent = downloadBtn.innerHTML;
+    // DOCX keeps its own messages; the other formats share the format-neutral ones
+    const failureKeys = format === 'docx'
+      ? { fallback: 'docx_export_failed_default', alert: 'docx_export_failed_alert' }
+      : { fallback: 'export_failed_default', alert: 'export_failed_alert' };
+
+    try {
+      // Disable button and show progress indicator
+      downloadBtn.disabled = true;
+      downloadBtn.classList.add('downloading');
+
+      const progressHTML = `
+          <svg class="progress-circle" width="18" height="18" viewBox="0 0 18 18">
+            <circle class="progress-circle-bg" cx="9" cy="9" r="7" stroke="currentColor" stroke-width="2" fill="none" opacity="0.3"/>
+            <circle class="download-progress-circle" cx="9" cy="9" r="7" stroke="currentColor" stroke-width="2" fill="none"
+                    stroke-dasharray="43.98" stroke-dashoffset="43.98" transform="rotate(-90 9 9)"/>
+          </svg>
+        `;
+      downloadBtn.innerHTML = progressHTML;
+
+      // Generate filename from document title or URL
+      // LaTeX sources download as a zip with their images
+      const filename = getDocumentFilename(format === 'latex' ? 'zip' : format);
+
+      const exportErrorFallback = translate(failureKeys.fallback);
+      const result = await exportHandler(filename, (completed, total) => {
+        // Update progress circle
+        const progressCircle = downloadBtn.querySelector('.download-progress-circle');
+        if (progressCircle && total > 0) {
+          const progress = completed / total;
+          const circumference = 43.98; // 2 * PI * 7
+          const offset = circumference * (1 - progress);
+          progressCircle.style.strokeDashoffset = offset;
+        }
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || exportErrorFallback);
+      }
+    } catch (error) {
+      console.error('Export error:', error);
+      const alertDetail = error?.message ? `: ${error.message}` : '';
+      const alertMessage = translate(failureKeys.alert, [alertDetail])
+        || `Export failed${alertDetail}`;
+      alert(alertMessage);
+    } finally {
+      // Restore button
+      downloadBtn.innerHTML = originalContent;
+      downloadBtn.disabled = false;
+      downloadBtn.classList.remove('downloading');
+    }
+  }
+
   async function dispatchPrintJob(html, metadata = {}) {
     // For local files, use simple browser print
     if (document.location.protocol === 'file:') {
@@ -1234,6 +1848,9 @@ ${truncatedMarkup}`;
 
     // Setup toolbar button handlers
     setupToolbarButtons();
+    diagramToolbar.attach();
+    diagramZoom.attach();
+    presentationMode.attach();
   }
 
   async function setupToolbarButtons() {
@@ -1341,75 +1958,49 @@ ${truncatedMarkup}`;
       })();
     }
 
-    // Download button (DOCX export)
-    // Download button
+    // Presentation button shows the document as slides
+    const presentationBtn = document.getElementById('presentation-btn');
+    if (presentationBtn) {
+      presentationBtn.addEventListener('click', () => {
+        presentationMode.toggle();
+      });
+    }
+
+    // Download button opens the export format menu
     const downloadBtn = document.getElementById('download-btn');
-    if (downloadBtn) {
-      downloadBtn.addEventListener('click', async () => {
-        // Prevent multiple clicks
+    const downloadMenu = document.getElementById('download-menu');
+    if (downloadBtn && downloadMenu) {
+      const setMenuVisible = (visible) => {
+        downloadMenu.classList.toggle('hidden', !visible);
+        downloadBtn.setAttribute('aria-expanded', String(visible));
+      };
+
+      downloadBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
         if (downloadBtn.disabled) {
           return;
         }
+        setMenuVisible(downloadMenu.classList.contains('hidden'));
+      });
 
-        try {
-          // Disable button and show progress indicator
-          downloadBtn.disabled = true;
-          downloadBtn.classList.add('downloading');
-
-          // Add progress indicator to button
-          const originalContent = downloadBtn.innerHTML;
-          const progressHTML = `
-          <svg class="progress-circle" width="18" height="18" viewBox="0 0 18 18">
-            <circle class="progress-circle-bg" cx="9" cy="9" r="7" stroke="currentColor" stroke-width="2" fill="none" opacity="0.3"/>
-            <circle class="download-progress-circle" cx="9" cy="9" r="7" stroke="currentColor" stroke-width="2" fill="none"
-                    stroke-dasharray="43.98" stroke-dashoffset="43.98" transform="rotate(-90 9 9)"/>
-          </svg>
-        `;
-          downloadBtn.innerHTML = progressHTML;
-
-          // Get the original markdown content
-          const markdown = rawMarkdown;
-
-          // Generate filename from document title or URL
-          const filename = getDocumentFilename();
-
-          // Export to DOCX with progress callback
-          const exportErrorFallback = translate('docx_export_failed_default');
-          const result = await docxExporter.exportToDocx(markdown, filename, (completed, total) => {
-            // Update progress circle
-            const progressCircle = downloadBtn.querySelector('.download-progress-circle');
-            if (progressCircle && total > 0) {
-              const progress = completed / total;
-              const circumference = 43.98; // 2 * PI * 7
-              const offset = circumference * (1 - progress);
-              progressCircle.style.strokeDashoffset = offset;
-            }
-          });
+      downloadMenu.addEventListener('click', (event) => {
+        const item = event.target.closest('.download-menu-item');
+        if (!item) {
+          return;
+        }
+        setMenuVisible(false);
+        exportDocument(item.dataset.format);
+      });
 
-          if (!result.success) {
-            throw new Error(result.error || exportErrorFallback);
-          }
+      document.addEventListener('click', (event) => {
+        if (!event.target.closest('.download-menu-container')) {
+          setMenuVisible(false);
+        }
+      });
 
-          // Restore button after successful download
-          downloadBtn.innerHTML = originalContent;
-          downloadBtn.disabled = false;
-          downloadBtn.classList.remove('downloading');
-        } catch (error) {
-          console.error('Export error:', error);
-          const alertDetail = error?.message ? `: ${error.message}` : '';
-          const alertMessage = translate('docx_export_failed_alert', [alertDetail])
-            || `Export failed${alertDetail}`;
-          alert(alertMessage);
-
-          // Restore button on error
-          const originalContent = `
-          <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
-            <path d="M10 3v10m0 0l-3-3m3 3l3-3M3 16h14" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-          </svg>
-        `;
-          downloadBtn.innerHTML = originalContent;
-          downloadBtn.disabled = false;
-          downloadBtn.classList.remove('downloading');
+      document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+          setMenuVisible(false);
         }
       });
     }
@@ -1472,14 +2063,22 @@ ${truncatedMarkup}`;
     return fileName;
   }
 
-  function getDocumentFilename() {
+  function getDocumentFilename(extension = 'docx') {
+    return `${getDocumentBaseName()}.${extension}`;
+  }
+
+  /**
+   * Get the document name without extension, used for downloaded files
+   * @returns {string} Base filename
+   */
+  function getDocumentBaseName() {
     // Get base filename
     const fileName = getFilenameFromURL();
 
-    // Remove .md or .markdown extension and add .docx
+    // Remove .md or .markdown extension
     const nameWithoutExt = fileName.replace(/\.(md|markdown)$/i, '');
     if (nameWithoutExt) {
-      return nameWithoutExt + '.docx';
+      return nameWithoutExt;
     }
 
     // Try to get from first h1 heading
@@ -1491,12 +2090,12 @@ ${truncatedMarkup}`;
         .substring(0, 50); // Limit length
 
       if (title) {
-        return title + '.docx';
+        return title;
       }
     }
 
     // Default fallback
-    return 'document.docx';
+    return 'document';
   }
 
   // Save current document to history
@@ -19,6 +19,15 @@ import {
   MathRun,
   TableLayoutType,
   ExternalHyperlink,
+  FootnoteReferenceRun,
+  InternalHyperlink,
+  Bookmark,
+  SimpleField,
+  TableOfContents,
+  Header,
+  Footer,
+  PageNumber,
+  PageOrientation,
 } from 'docx';
 import { VerticalAlign as VerticalAlignTable } from 'docx';
 import { mathJaxReady, convertLatex2Math } from './docx-math-converter.js';
@@ -28,25 +37,75 @@ import remarkGfm from 'remark-gfm';
 import remarkBreaks from 'remark-breaks';
 import remarkMath from 'remark-math';
 import { visit } from 'unist-util-visit';
-import { uploadInChunks, abortUpload } from '../utils/upload-manager.js';
+import { downloadBlob } from '../utils/file-download.js';
+import { loadExportSettings } from '../utils/export-settings.js';
 import hljs from 'highlight.js/lib/common';
 import { loadThemeForDOCX } from './theme-to-docx.js';
 import themeManager from '../utils/theme-manager.js';
 import { getPluginForNode, convertNodeToDOCX } from '../plugins/index.js';
+import { remarkFrontMatterMetadata } from '../utils/front-matter.js';
+import { isTocMarker } from '../utils/toc-marker.js';
+import Localization from '../utils/localization.js';
+import GithubSlugger from 'github-slugger';
+import { PAPER_SIZES, resolvePageSetup, resolveExportPageSetup, splitTemplate } from './page-setup.js';
+import { DocxHtmlConverter } from './docx-html-converter.js';
+import { remarkTableLayout, getTableLayout } from '../utils/table-layout.js';
+import { remarkCaptions } from '../utils/captions.js';
+import { getDisplaySize } from '../utils/fence-options.js';
+
+/**
+ * Default image bounds when no page setup is available
+ * 6 x 9.5 inches at 96 DPI (letter size with 1 inch margins)
+ */
+const DEFAULT_IMAGE_BOUNDS = {
+  maxWidth: 6 * 96,
+  maxHeight: 9.5 * 96,
+};
+
+/**
+ * Table width estimate for automatic landscape sections
+ * Average glyph width (twips) at the 10pt table font, counted in Latin character
+ * units; CJK glyphs count as two units.
+ */
+const TABLE_CHAR_WIDTH = 110;
+const TABLE_MIN_COLUMN_CHARS = 4;
+const TABLE_MAX_WORD_CHARS = 30;
+const WIDE_CHAR_REGEX = /[\u2E80-\uFFEF]/;
+
+/**
+ * Apply explicit width/height (e.g. HTML img attributes) to an image's natural size
+ * A single given dimension keeps the aspect ratio.
+ * @param {Object} naturalSize - {width, height} of the image data in pixels
+ * @param {Object} requested - {width, height} requested in pixels, either may be missing
+ * @returns {Object} - {width: number, height: number} in pixels
+ */
+export function applyRequestedImageSize(naturalSize, requested) {
+  const { width, height } = naturalSize;
+  const requestedWidth = requested.width > 0 ? requested.width : null;
+  const requestedHeight = requested.height > 0 ? requested.height : null;
+
+  if (requestedWidth && requestedHeight) {
+    return { width: requestedWidth, height: requestedHeight };
+  }
+  if (requestedWidth) {
+    return { width: requestedWidth, height: Math.round(height * requestedWidth / width) };
+  }
+  if (requestedHeight) {
+    return { width: Math.round(width * requestedHeight / height), height: requestedHeight };
+  }
+  return naturalSize;
+}
 
 /**
  * Calculate appropriate image dimensions for DOCX to fit within page constraints
- * Maximum width: 6 inches (page width with 1 inch margins on letter size,留出安全边距)
- * Maximum height: 9.5 inches (page height with 1 inch margins on letter size, 接近实际可用高度)
  * @param {number} originalWidth - Original image width in pixels
  * @param {number} originalHeight - Original image height in pixels
+ * @param {Object} bounds - {maxWidth, maxHeight} in pixels (96 DPI), from the page content area
  * @returns {Object} - {width: number, height: number} in pixels
  */
-function calculateImageDimensions(originalWidth, originalHeight) {
-  const maxWidthInches = 6;    // 8.5 - 1 - 1 = 6.5, use 6 for safety
-  const maxHeightInches = 9.5; // 11 - 1 - 1 = 9, use 9.5 to maximize vertical space
-  const maxWidthPixels = maxWidthInches * 96;  // 96 DPI = 576 pixels
-  const maxHeightPixels = maxHeightInches * 96; // 96 DPI = 912 pixels
+export function calculateImageDimensions(originalWidth, originalHeight, bounds = DEFAULT_IMAGE_BOUNDS) {
+  const maxWidthPixels = bounds.maxWidth;
+  const maxHeightPixels = bounds.maxHeight;
 
   // If image is smaller than both max width and height, use original size
   if (originalWidth <= maxWidthPixels && originalHeight <= maxHeightPixels) {
@@ -66,13 +125,37 @@ function calculateImageDimensions(originalWidth, originalHeight) {
   };
 }
 
+/**
+ * Run a conversion with a different block context
+ * The ODT and LaTeX exporters keep the state of the enclosing blocks (list,
+ * note, figure, indent) in `exporter.context`.
+ * @param {Object} exporter - Exporter whose context changes
+ * @param {Object} context - Context changes
+ * @param {Function} convert - Async conversion callback
+ * @returns {Promise<*>} Result of the callback
+ */
+export async function withContext(exporter, context, convert) {
+  const previousContext = exporter.context;
+  exporter.context = { ...previousContext, ...context };
+  try {
+    return await convert();
+  } finally {
+    exporter.context = previousContext;
+  }
+}
+
 /**
  * Convert unified plugin render result to DOCX elements
  * @param {object} renderResult - Unified render result from plugin.renderToCommon()
  * @param {string} pluginType - Plugin type for alt text
+ * @param {object} imageBounds - Optional {maxWidth, maxHeight} in pixels for the page content area
+ * @param {number} indent - Left indent in twips for blocks nested in list items or blockquotes
  * @returns {object} DOCX Paragraph or ImageRun
  */
-export function convertPluginResultToDOCX(renderResult, pluginType = 'diagram') {
+export function convertPluginResultToDOCX(renderResult, pluginType = 'diagram', imageBounds = DEFAULT_IMAGE_BOUNDS, indent = 0) {
+  // Blocks nested in list items and blockquotes line up with the container text
+  const indentOptions = indent > 0 ? { indent: { left: indent } } : {};
+
   if (renderResult.type === 'empty') {
     return new Paragraph({
       children: [],
@@ -98,19 +181,19 @@ export function convertPluginResultToDOCX(renderResult, pluginType = 'diagram')
       ],
       alignment: AlignmentType.LEFT,
       spacing: { before: 240, after: 240 },
+      ...indentOptions,
     });
   }
 
   if (renderResult.type === 'image') {
     const { data, width, height } = renderResult.content;
-    const { inline, alignment } = renderResult.display;
+    const { inline, alignment, caption } = renderResult.display;
 
-    // Calculate display size (1/4 of original PNG size)
-    const scaledWidth = Math.round(width / 4);
-    const scaledHeight = Math.round(height / 4);
+    // Calculate display size (1/4 of original PNG size, or the block's target width)
+    const { width: scaledWidth, height: scaledHeight } = getDisplaySize(width, height, renderResult.display);
 
     // Apply max-width and max-height constraints
-    const { width: displayWidth, height: displayHeight } = calculateImageDimensions(scaledWidth, scaledHeight);
+    const { width: displayWidth, height: displayHeight } = calculateImageDimensions(scaledWidth, scaledHeight, imageBounds);
 
     const imageRun = new ImageRun({
       data: data,
@@ -121,7 +204,7 @@ export function convertPluginResultToDOCX(renderResult, pluginType = 'diagram')
       type: 'png',
       altText: {
         title: `${pluginType} Image`,
-        description: `${pluginType} image`,
+        description: caption || `${pluginType} image`,
         name: `${pluginType}-image`,
       },
     });
@@ -141,6 +224,7 @@ export function convertPluginResultToDOCX(renderResult, pluginType = 'diagram')
       children: [imageRun],
       alignment: alignmentMap[alignment] || AlignmentType.CENTER,
       spacing: { before: 240, after: 240 },
+      ...indentOptions,
     });
   }
 
@@ -150,6 +234,31 @@ export function convertPluginResultToDOCX(renderResult, pluginType = 'diagram')
   });
 }
 
+/**
+ * Convert a heading slug to a valid, unique Word bookmark name
+ * Word bookmark names must start with a letter, contain only letters, digits
+ * and underscores, and be at most 40 characters long.
+ * @param {string} slug - Heading id generated by github-slugger
+ * @param {Set<string>} usedNames - Names already assigned in this document
+ * @returns {string} Bookmark name
+ */
+function createBookmarkName(slug, usedNames) {
+  let base = slug.replace(/[^\p{L}\p{N}_]/gu, '_');
+  if (!/^\p{L}/u.test(base)) {
+    base = `h_${base}`;
+  }
+  base = base.substring(0, 40);
+
+  let name = base;
+  let counter = 1;
+  while (usedNames.has(name)) {
+    const suffix = `_${counter++}`;
+    name = base.substring(0, 40 - suffix.length) + suffix;
+  }
+  usedNames.add(name);
+  return name;
+}
+
 /**
  * Main class for exporting Markdown to DOCX
  */
@@ -162,6 +271,9 @@ class DocxExporter {
     this.baseUrl = null; // Base URL for resolving relative paths
     this.themeStyles = null; // Theme configuration for DOCX styles
     this.spacingScheme = null; // Spacing scheme from theme
+    this.containerIndent = 0; // Left indent (twips) of blocks nested in list items and blockquotes
+    this.htmlConverter = new DocxHtmlConverter(this); // Native conversion of simple block HTML
+    this.landscapeTables = new Set(); // Tables placed in their own landscape section
   }
 
   getHighlightColor(classList) {
@@ -305,6 +417,47 @@ class DocxExporter {
     return runs;
   }
 
+  /**
+   * Split code into text segments with their theme token colors
+   * Used by exporters that write their own runs instead of docx objects.
+   * @param {string} code - Code block content
+   * @param {string} language - Fence language, highlighted only when known to highlight.js
+   * @returns {Array<{text: string, color: string|null}>} Segments; color is null for plain text
+   */
+  getHighlightedSegments(code, language) {
+    const segments = [];
+
+    const collect = (node, inheritedColor) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (node.nodeValue) {
+          segments.push({ text: node.nodeValue, color: inheritedColor });
+        }
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return;
+      }
+      const color = this.getHighlightColor(node.classList) || inheritedColor;
+      node.childNodes.forEach(child => collect(child, color));
+    };
+
+    if (code && language && hljs.getLanguage(language)) {
+      try {
+        const container = document.createElement('div');
+        container.innerHTML = hljs.highlight(code, { language, ignoreIllegals: true }).value;
+        collect(container, null);
+      } catch (error) {
+        console.warn('Highlight error:', error);
+        segments.length = 0;
+      }
+    }
+
+    if (segments.length === 0) {
+      segments.push({ text: code, color: null });
+    }
+    return segments;
+  }
+
   /**
    * Set base URL for resolving relative image paths
    * @param {string} url - The base URL (typically the markdown file's location)
@@ -323,6 +476,49 @@ class DocxExporter {
     }
   }
 
+  /**
+   * Load theme and settings, parse the markdown and start progress reporting
+   * The ODT, PPTX and LaTeX exports prepare through here as well, so they
+   * share parsing, image loading, theme styles and page geometry with DOCX.
+   * @param {string} markdown - Raw markdown content
+   * @param {Function} onProgress - Optional progress callback (completed, total)
+   * @returns {Promise<Object>} { ast, frontMatter, settings, themeStyles, pageSetup, imageBounds }
+   */
+  async prepareExport(markdown, onProgress = null) {
+    // Set base URL for resolving relative image paths
+    this.setBaseUrl(window.location.href);
+
+    // Load theme configuration - use currently selected theme
+    const selectedThemeId = await themeManager.loadSelectedTheme();
+    this.themeStyles = await loadThemeForDOCX(selectedThemeId);
+
+    // Load export preferences from popup settings
+    const settings = await loadExportSettings();
+
+    // Parse markdown to AST
+    const ast = this.parseMarkdown(markdown);
+
+    // Resolve page geometry (front matter `page:` overrides popup settings)
+    ({ pageSetup: this.pageSetup, imageBounds: this.imageBounds } = resolveExportPageSetup(settings, this.frontMatter));
+
+    // Count resources that need processing (images and plugin-handled diagrams)
+    this.progressCallback = onProgress;
+    this.totalResources = this.countResources(ast);
+    this.processedResources = 0;
+    if (onProgress && this.totalResources > 0) {
+      onProgress(0, this.totalResources);
+    }
+
+    return {
+      ast,
+      frontMatter: this.frontMatter,
+      settings,
+      themeStyles: this.themeStyles,
+      pageSetup: this.pageSetup,
+      imageBounds: this.imageBounds,
+    };
+  }
+
   /**
    * Export markdown content to DOCX file
    * @param {string} markdown - Raw markdown content
@@ -330,43 +526,39 @@ class DocxExporter {
    */
   async exportToDocx(markdown, filename = 'document.docx', onProgress = null) {
     try {
-      // Set base URL for resolving relative image paths
-      this.setBaseUrl(window.location.href);
-
-      // Load theme configuration - use currently selected theme
-      const selectedThemeId = await themeManager.loadSelectedTheme();
-      const themeStyles = await loadThemeForDOCX(selectedThemeId);
-      this.themeStyles = themeStyles;
+      const { ast, settings } = await this.prepareExport(markdown, onProgress);
       this.spacingScheme = null; // Not used directly, accessed via themeStyles
 
-      // Initialize progress tracking
-      this.progressCallback = onProgress;
-      this.totalResources = 0;
-      this.processedResources = 0;
-
-      // Initialize MathJax first
+      // Initialize MathJax before formulas are converted
       await this.initializeMathJax();
 
-      // Parse markdown to AST
-      const ast = this.parseMarkdown(markdown);
-
-      // Count resources that need processing (images and plugin-handled diagrams)
-      this.totalResources = this.countResources(ast);
+      // Convert AST to docx elements
+      this.tocInserted = false;
+      this.landscapeTables = new Set();
+      const sections = await this.convertAstToDocx(ast);
 
-      // Report initial progress
-      if (onProgress && this.totalResources > 0) {
-        onProgress(0, this.totalResources);
+      // Insert TOC at the top when enabled and no [TOC] marker placed it already
+      if (settings.docxIncludeToc && !this.tocInserted) {
+        sections.unshift(...this.createTableOfContents());
       }
 
-      // Convert AST to docx elements
-      const sections = await this.convertAstToDocx(ast);
+      // Convert referenced footnote definitions (after the body so numbering follows reference order)
+      const footnotes = await this.convertFootnotes();
 
-      // Create document with properties
+      // Create document with properties (front matter takes precedence over defaults)
+      const frontMatter = this.frontMatter || {};
       const doc = new Document({
-        creator: 'Markdown Viewer Extension',
-        title: filename.replace(/\.docx$/i, ''),
-        description: 'Generated from Markdown',
+        creator: frontMatter.author || 'Markdown Viewer Extension',
+        title: frontMatter.title || filename.replace(/\.docx$/i, ''),
+        subject: frontMatter.subject || undefined,
+        keywords: frontMatter.keywords && frontMatter.keywords.length > 0 ? frontMatter.keywords.join(', ') : undefined,
+        description: frontMatter.description || 'Generated from Markdown',
+        // docx always stamps dcterms:created with the export time, so keep the authored date as a custom property
+        customProperties: frontMatter.date ? [{ name: 'Date', value: frontMatter.date }] : undefined,
         lastModifiedBy: 'Markdown Viewer Extension',
+        footnotes: footnotes,
+        // Ask Word to refresh fields (TOC page numbers) when the document is opened
+        features: this.tocInserted ? { updateFields: true } : undefined,
         numbering: {
           config: [
             {
@@ -513,19 +705,7 @@ class DocxExporter {
             heading6: this.themeStyles.paragraphStyles.heading6,
           },
         },
-        sections: [{
-          properties: {
-            page: {
-              margin: {
-                top: convertInchesToTwip(1),
-                right: convertInchesToTwip(1),
-                bottom: convertInchesToTwip(1),
-                left: convertInchesToTwip(1),
-              },
-            },
-          },
-          children: sections,
-        }],
+        sections: this.createSections(sections, filename),
       });
 
       // Generate blob
@@ -597,13 +777,50 @@ class DocxExporter {
   parseMarkdown(markdown) {
     const processor = unified()
       .use(remarkParse)
+      .use(remarkFrontMatterMetadata) // Extract YAML front matter
       .use(remarkGfm)
+      .use(remarkTableLayout) // Table directives, delimiter row widths
+      .use(remarkCaptions, {
+        figureLabel: Localization.translate('caption_figure_label'),
+        tableLabel: Localization.translate('caption_table_label')
+      }) // Numbered figure/table captions and cross-references
       .use(remarkBreaks) // Add line break processing
       .use(remarkMath);
 
     // Parse and transform AST (remark-breaks needs runSync to work)
+    // The source is passed along for table delimiter rows
     const ast = processor.parse(markdown);
-    const transformed = processor.runSync(ast);
+    const transformed = processor.runSync(ast, markdown);
+
+    // Front matter metadata drives document core properties
+    this.frontMatter = (transformed.data && transformed.data.frontMatter) || null;
+
+    // Collect footnote definitions; Word footnote ids are assigned on first reference
+    this.footnoteDefinitions = new Map();
+    this.footnoteIds = new Map();
+    visit(transformed, 'footnoteDefinition', (node) => {
+      this.footnoteDefinitions.set(node.identifier.toLowerCase(), node);
+    });
+
+    // Assign heading bookmarks using the same slugs rehype-slug generates for the viewer
+    const slugger = new GithubSlugger();
+    const usedNames = new Set();
+    this.headingBookmarks = new Map();
+    this.bookmarksBySlug = new Map();
+    visit(transformed, 'heading', (node) => {
+      const slug = slugger.slug(this.extractText(node));
+      const name = createBookmarkName(slug, usedNames);
+      this.headingBookmarks.set(node, name);
+      this.bookmarksBySlug.set(slug, name);
+    });
+
+    // Bookmark captions with an identifier as targets of REF cross-references
+    this.captionBookmarks = new Map();
+    visit(transformed, 'figure', (node) => {
+      if (node.identifier) {
+        this.captionBookmarks.set(node.identifier, createBookmarkName(node.identifier, usedNames));
+      }
+    });
 
     // Collect link definitions for resolving linkReference nodes
     this.linkDefinitions = new Map();
@@ -617,6 +834,144 @@ class DocxExporter {
     return transformed;
   }
 
+  /**
+   * Create section properties from the resolved page setup
+   * @param {string} orientation - 'portrait' or 'landscape' (defaults to the page setup)
+   */
+  createSectionProperties(orientation = this.pageSetup.orientation) {
+    const { paperSize, margins } = this.pageSetup;
+    const portrait = PAPER_SIZES[paperSize];
+
+    return {
+      page: {
+        // docx swaps width and height itself for landscape orientation
+        size: {
+          width: convertInchesToTwip(portrait.width),
+          height: convertInchesToTwip(portrait.height),
+          orientation: orientation === 'landscape' ? PageOrientation.LANDSCAPE : PageOrientation.PORTRAIT,
+        },
+        margin: {
+          top: convertInchesToTwip(margins.top),
+          right: convertInchesToTwip(margins.right),
+          bottom: convertInchesToTwip(margins.bottom),
+          left: convertInchesToTwip(margins.left),
+        },
+      },
+    };
+  }
+
+  /**
+   * Split body content into document sections
+   * Tables too wide for the page get their own landscape section; the
+   * surrounding content stays in the configured orientation.
+   * @param {Array} children - Body elements
+   * @param {string} filename - Export filename used as title fallback
+   * @returns {Array} docx section options
+   */
+  createSections(children, filename) {
+    const groups = [];
+    for (const child of children) {
+      const landscape = this.landscapeTables.has(child);
+      const current = groups[groups.length - 1];
+      if (current && current.landscape === landscape) {
+        current.children.push(child);
+      } else {
+        groups.push({ landscape, children: [child] });
+      }
+    }
+
+    if (groups.length === 0) {
+      groups.push({ landscape: false, children: [] });
+    }
+
+    return groups.map(group => ({
+      properties: this.createSectionProperties(group.landscape ? 'landscape' : this.pageSetup.orientation),
+      headers: this.createHeaderFooter(Header, this.pageSetup.header, filename),
+      footers: this.createHeaderFooter(Footer, this.pageSetup.footer, filename),
+      children: group.children,
+    }));
+  }
+
+  /**
+   * Create header or footer from a template with {page}, {pages}, {title} and {date} tokens
+   * @param {Function} HeaderFooterClass - docx Header or Footer class
+   * @param {string} template - Template string (empty for none)
+   * @param {string} filename - Export filename used as title fallback
+   * @returns {Object|undefined} docx headers/footers option
+   */
+  createHeaderFooter(HeaderFooterClass, template, filename) {
+    const parts = splitTemplate(template.trim());
+    if (parts.length === 0) {
+      return undefined;
+    }
+
+    const runStyle = {
+      font: this.themeStyles.default.run.font,
+      size: Math.max(16, Math.round(this.themeStyles.default.run.size * 0.8)),
+      color: '666666',
+    };
+    const title = this.frontMatter?.title || filename.replace(/\.docx$/i, '');
+    const date = this.frontMatter?.date || new Date().toLocaleDateString();
+
+    const children = parts.map((part) => {
+      if (part.type === 'text') {
+        return new TextRun({ text: part.value, ...runStyle });
+      }
+      switch (part.value) {
+        case 'page':
+          return new TextRun({ children: [PageNumber.CURRENT], ...runStyle });
+        case 'pages':
+          return new TextRun({ children: [PageNumber.TOTAL_PAGES], ...runStyle });
+        case 'title':
+          return new TextRun({ text: title, ...runStyle });
+        case 'date':
+          return new TextRun({ text: date, ...runStyle });
+        default:
+          return new TextRun({ text: '', ...runStyle });
+      }
+    });
+
+    return {
+      default: new HeaderFooterClass({
+        children: [
+          new Paragraph({
+            children: children,
+            alignment: AlignmentType.CENTER,
+          }),
+        ],
+      }),
+    };
+  }
+
+  /**
+   * Create a Word TOC field with a title paragraph
+   * @returns {Array} Title paragraph and TOC field
+   */
+  createTableOfContents() {
+    this.tocInserted = true;
+
+    const title = Localization.translate('docx_toc_title') || 'Contents';
+    const headingStyle = this.themeStyles.paragraphStyles.heading2;
+
+    return [
+      new Paragraph({
+        children: [
+          new TextRun({
+            text: title,
+            bold: true,
+            font: headingStyle?.run?.font,
+            size: headingStyle?.run?.size,
+          }),
+        ],
+        spacing: headingStyle?.paragraph?.spacing,
+      }),
+      new TableOfContents(title, {
+        hyperlink: true,
+        headingStyleRange: '1-3',
+      }),
+    ];
+  }
+
   /**
    * Convert AST to docx elements
    */
@@ -664,7 +1019,8 @@ class DocxExporter {
         }
       }
 
-      lastNodeType = node.type;
+      // A captioned table ends with its table
+      lastNodeType = node.type === 'figure' && node.kind === 'table' ? 'table' : node.type;
     }
 
     return elements;
@@ -674,6 +1030,19 @@ class DocxExporter {
    * Convert a single AST node to docx element
    */
   async convertNode(node, parentStyle = {}) {
+    // Simple HTML (tables, lists, formatting) becomes native Word content;
+    // anything it cannot represent falls through to the HTML plugin screenshot
+    if (node.type === 'html') {
+      const htmlElements = await this.htmlConverter.convert(node.value || '');
+      if (htmlElements) {
+        // Empty fragments are not counted as resources
+        if (htmlElements.length > 0) {
+          this.reportResourceProgress();
+        }
+        return htmlElements;
+      }
+    }
+
     // Try to convert using plugin system
     const docxHelpers = {
       Paragraph,
@@ -681,7 +1050,9 @@ class DocxExporter {
       ImageRun,
       AlignmentType,
       convertInchesToTwip,
-      themeStyles: this.themeStyles
+      themeStyles: this.themeStyles,
+      imageBounds: this.getContainerImageBounds(),
+      containerIndent: this.containerIndent
     };
 
     const pluginResult = await convertNodeToDOCX(
@@ -701,6 +1072,9 @@ class DocxExporter {
         return this.convertHeading(node);
 
       case 'paragraph':
+        if (isTocMarker(node)) {
+          return this.createTableOfContents();
+        }
         return await this.convertParagraph(node, parentStyle);
 
       case 'list':
@@ -718,6 +1092,9 @@ class DocxExporter {
       case 'table':
         return await this.convertTable(node);
 
+      case 'figure':
+        return await this.convertFigure(node);
+
       case 'thematicBreak':
         return this.convertThematicBreak();
 
@@ -727,11 +1104,66 @@ class DocxExporter {
       case 'math':
         return this.convertMathBlock(node);
 
+      case 'footnoteDefinition':
+        // Emitted as Word footnotes by convertFootnotes()
+        return null;
+
       default:
         return null;
     }
   }
 
+  /**
+   * Convert a block nested in a list item or blockquote
+   * The block is indented to the container's text position.
+   * @param {object} node - Block AST node (code, table, math, diagram, paragraph, ...)
+   * @param {number} indent - Left indent in twips
+   * @returns {Promise<object|Array|null>} Converted DOCX element(s)
+   */
+  async convertNestedBlock(node, indent) {
+    return this.withContainerIndent(indent, () => this.convertNode(node));
+  }
+
+  /**
+   * Run a conversion with blocks indented to a container's text position
+   * @param {number} indent - Left indent in twips
+   * @param {Function} convert - Async conversion callback
+   * @returns {Promise<*>} Result of the callback
+   */
+  async withContainerIndent(indent, convert) {
+    const previousIndent = this.containerIndent;
+    this.containerIndent = indent;
+    try {
+      return await convert();
+    } finally {
+      this.containerIndent = previousIndent;
+    }
+  }
+
+  /**
+   * Paragraph options that indent a block to its enclosing list item or blockquote
+   * @returns {object} { indent } when nested, otherwise empty
+   */
+  getContainerIndentOptions() {
+    return this.containerIndent > 0 ? { indent: { left: this.containerIndent } } : {};
+  }
+
+  /**
+   * Image bounds reduced by the current container indent
+   * @returns {object} {maxWidth, maxHeight} in pixels
+   */
+  getContainerImageBounds() {
+    if (!this.imageBounds || this.containerIndent <= 0) {
+      return this.imageBounds;
+    }
+    // 15 twips per pixel at 96 DPI
+    const indentPx = Math.round(this.containerIndent / 15);
+    return {
+      ...this.imageBounds,
+      maxWidth: Math.max(this.imageBounds.maxWidth - indentPx, 1),
+    };
+  }
+
   /**
    * Convert heading node
    */
@@ -744,10 +1176,22 @@ class DocxExporter {
     const headingStyle = this.themeStyles?.paragraphStyles?.[headingStyleKey];
 
     const paragraphConfig = {
-      text: text,
       heading: level,
     };
 
+    // Wrap heading text in a bookmark matching the viewer's heading id
+    const bookmarkName = this.headingBookmarks?.get(node);
+    if (bookmarkName) {
+      paragraphConfig.children = [
+        new Bookmark({
+          id: bookmarkName,
+          children: [new TextRun(text)],
+        }),
+      ];
+    } else {
+      paragraphConfig.text = text;
+    }
+
     // Use alignment from theme style if available
     if (headingStyle?.paragraph?.alignment) {
       paragraphConfig.alignment = headingStyle.paragraph.alignment === 'center'
@@ -798,6 +1242,7 @@ class DocxExporter {
           line: defaultLineSpacing,
         },
         alignment: AlignmentType.LEFT, // Explicitly set left alignment
+        ...this.getContainerIndentOptions(),
       });
     }
 
@@ -809,6 +1254,7 @@ class DocxExporter {
         line: defaultLineSpacing,
       },
       alignment: AlignmentType.LEFT, // Explicitly set left alignment
+      ...this.getContainerIndentOptions(),
     });
   }
 
@@ -853,7 +1299,8 @@ class DocxExporter {
       ImageRun,
       AlignmentType,
       convertInchesToTwip,
-      themeStyles: this.themeStyles
+      themeStyles: this.themeStyles,
+      imageBounds: this.imageBounds
     };
 
     const pluginResult = await convertNodeToDOCX(
@@ -908,6 +1355,12 @@ class DocxExporter {
       case 'inlineMath':
         return await this.convertInlineMath(node, parentStyle);
 
+      case 'footnoteReference':
+        return this.convertFootnoteReference(node, parentStyle);
+
+      case 'crossReference':
+        return this.convertCrossReference(node, parentStyle);
+
       case 'break':
         return new TextRun({ text: '', break: 1 });
 
@@ -936,22 +1389,7 @@ class DocxExporter {
     const text = this.extractText(node);
     const url = node.url || '#'; // Use '#' for empty links
 
-    // Create hyperlink with proper styling
-    return new ExternalHyperlink({
-      children: [
-        new TextRun({
-          text: text,
-          style: 'Hyperlink',
-          color: '0366D6', // GitHub blue matching CSS
-          underline: {
-            type: 'single',
-            color: '0366D6',
-          },
-          ...parentStyle,
-        }),
-      ],
-      link: url,
-    });
+    return this.createHyperlink(text, url, parentStyle);
   }
 
   /**
@@ -965,24 +1403,150 @@ class DocxExporter {
     const definition = this.linkDefinitions?.get(identifier);
     const url = definition?.url || '#'; // Use '#' if definition not found
 
-    // Create hyperlink with proper styling
+    return this.createHyperlink(text, url, parentStyle);
+  }
+
+  /**
+   * Resolve an in-document anchor (#slug) to the bookmark of its heading
+   * @param {string} url - Link target starting with '#'
+   * @returns {string|null} Bookmark name, or null for unknown anchors
+   */
+  resolveAnchor(url) {
+    let slug = url.slice(1);
+    try {
+      slug = decodeURIComponent(slug);
+    } catch (error) {
+      // Keep the raw anchor if it is not valid URI encoding
+    }
+    return this.bookmarksBySlug?.get(slug) || null;
+  }
+
+  /**
+   * Create hyperlink; in-document anchors (#slug) become internal links to heading bookmarks
+   */
+  createHyperlink(text, url, parentStyle) {
+    const textRun = new TextRun({
+      text: text,
+      style: 'Hyperlink',
+      color: '0366D6', // GitHub blue matching CSS
+      underline: {
+        type: 'single',
+        color: '0366D6',
+      },
+      ...parentStyle,
+    });
+
+    if (url.startsWith('#')) {
+      const bookmarkName = this.resolveAnchor(url);
+      if (bookmarkName) {
+        return new InternalHyperlink({
+          children: [textRun],
+          anchor: bookmarkName,
+        });
+      }
+
+      // Unknown anchor: keep the text without a broken link
+      return new TextRun({
+        text: text,
+        ...parentStyle,
+      });
+    }
+
     return new ExternalHyperlink({
-      children: [
-        new TextRun({
-          text: text,
-          style: 'Hyperlink',
-          color: '0366D6', // GitHub blue matching CSS
-          underline: {
-            type: 'single',
-            color: '0366D6',
-          },
-          ...parentStyle,
-        }),
-      ],
+      children: [textRun],
       link: url,
     });
   }
 
+  /**
+   * Convert a figure/table cross-reference to a REF field on the caption bookmark
+   * Word recomputes the "Figure 3" text when fields are updated.
+   */
+  convertCrossReference(node, parentStyle) {
+    const bookmarkName = this.captionBookmarks?.get(node.identifier);
+    if (!bookmarkName) {
+      return new TextRun({
+        text: node.value,
+        ...parentStyle,
+      });
+    }
+    return new SimpleField(`REF ${bookmarkName} \\h`, node.value);
+  }
+
+  /**
+   * Convert footnote reference to a native Word footnote reference
+   */
+  convertFootnoteReference(node, parentStyle) {
+    const identifier = node.identifier.toLowerCase();
+
+    // Keep the marker as plain text when the definition is missing
+    if (!this.footnoteDefinitions?.has(identifier)) {
+      return new TextRun({
+        text: `[^${node.label || node.identifier}]`,
+        ...parentStyle,
+      });
+    }
+
+    const existingId = this.footnoteIds.get(identifier);
+    if (existingId) {
+      // Word footnotes have a single reference; repeat the number for later references
+      return new TextRun({
+        text: String(existingId),
+        style: 'FootnoteReference',
+        superScript: true,
+      });
+    }
+
+    const id = this.footnoteIds.size + 1;
+    this.footnoteIds.set(identifier, id);
+    return new FootnoteReferenceRun(id);
+  }
+
+  /**
+   * Convert referenced footnote definitions to the docx footnotes map
+   * @returns {Promise<Object>} Map of footnote id to { children: Paragraph[] }
+   */
+  async convertFootnotes() {
+    const footnotes = {};
+    const bodySize = this.themeStyles.default.run.size;
+    const footnoteStyle = { size: Math.max(16, Math.round(bodySize * 0.8)) };
+
+    // Map iteration also visits ids added while converting, so nested references are included
+    for (const [identifier, id] of this.footnoteIds) {
+      const definition = this.footnoteDefinitions.get(identifier);
+      const children = [];
+
+      for (const child of definition.children) {
+        if (child.type === 'paragraph') {
+          const runs = await this.convertInlineNodes(child.children, footnoteStyle);
+          children.push(new Paragraph({ style: 'FootnoteText', children: runs }));
+          continue;
+        }
+
+        // Word footnotes only accept paragraphs; flatten other blocks to text
+        const converted = await this.convertNode(child);
+        const items = Array.isArray(converted) ? converted : [converted];
+        const paragraphs = items.filter(item => item instanceof Paragraph);
+        if (paragraphs.length > 0) {
+          children.push(...paragraphs);
+        } else {
+          children.push(new Paragraph({
+            style: 'FootnoteText',
+            children: [new TextRun({ text: this.extractText(child), ...footnoteStyle })],
+          }));
+        }
+      }
+
+      if (children.length === 0) {
+        children.push(new Paragraph({ style: 'FootnoteText', children: [] }));
+      }
+
+      footnotes[id] = { children };
+    }
+
+    return footnotes;
+  }
+
   /**
    * Fetch image as ArrayBuffer
    * @param {string} url - Image URL (can be http://, file://, or data:)
@@ -1145,20 +1709,53 @@ class DocxExporter {
     });
   }
 
+  /**
+   * Convert an image to PNG for formats that cannot embed it (SVG, WebP, ...)
+   * @param {Uint8Array} buffer - Image data
+   * @param {string} contentType - Image content type
+   * @param {Object} size - Display size {width, height} in pixels
+   * @returns {Promise<Uint8Array>} PNG data at twice the display size
+   */
+  async rasterizeImage(buffer, contentType, size) {
+    const url = URL.createObjectURL(new Blob([buffer], { type: contentType }));
+    try {
+      const image = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load image'));
+        img.src = url;
+      });
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(size.width * 2));
+      canvas.height = Math.max(1, Math.round(size.height * 2));
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Failed to encode image'))), 'image/png');
+      });
+      return new Uint8Array(await blob.arrayBuffer());
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
   /**
    * Convert image node
+   * @param {object} node - Image node ({url, alt}, HTML images may add width/height in pixels)
+   * @param {boolean} reportProgress - Count the image as a processed resource
    */
-  async convertImage(node) {
+  async convertImage(node, reportProgress = true) {
     try {
       // Fetch image as buffer (returns Uint8Array)
       const { buffer, contentType } = await this.fetchImageAsBuffer(node.url);
 
       // Get image dimensions
-      const { width: originalWidth, height: originalHeight } =
-        await this.getImageDimensions(buffer, contentType);
+      const naturalSize = await this.getImageDimensions(buffer, contentType);
+      const { width: originalWidth, height: originalHeight } = applyRequestedImageSize(naturalSize, node);
 
       // Calculate display dimensions in pixels
-      const { width: widthPx, height: heightPx } = calculateImageDimensions(originalWidth, originalHeight);
+      const { width: widthPx, height: heightPx } = calculateImageDimensions(originalWidth, originalHeight, this.imageBounds);
 
       // Determine image type from content type or URL
       let imageType = 'png'; // default
@@ -1181,7 +1778,9 @@ class DocxExporter {
       }
 
       // Report progress after processing image
-      this.reportResourceProgress();
+      if (reportProgress) {
+        this.reportResourceProgress();
+      }
 
       // Create ImageRun with complete parameters
       return new ImageRun({
@@ -1200,7 +1799,9 @@ class DocxExporter {
     } catch (error) {
       console.warn('Failed to load image:', node.url, error);
       // Report progress even on error
-      this.reportResourceProgress();
+      if (reportProgress) {
+        this.reportResourceProgress();
+      }
 
       // Fallback to text placeholder with more visible formatting
       return new TextRun({
@@ -1246,6 +1847,7 @@ class DocxExporter {
         left: { color: 'E1E4E8', space: 10, value: BorderStyle.SINGLE, size: 6 },
         right: { color: 'E1E4E8', space: 10, value: BorderStyle.SINGLE, size: 6 },
       },
+      ...this.getContainerIndentOptions(),
     });
   }
 
@@ -1264,6 +1866,7 @@ class DocxExporter {
       ],
       alignment: AlignmentType.LEFT,
       spacing: { before: 120, after: 120 },
+      ...this.getContainerIndentOptions(),
     });
   }
 
@@ -1288,68 +1891,126 @@ class DocxExporter {
 
   /**
    * Convert list item node
+   * The first paragraph carries the number or bullet; every other block
+   * (paragraphs, code, tables, math, diagrams, quotes) continues the item
+   * at its text position without restarting the numbering.
    */
   async convertListItem(ordered, node, level, listInstance) {
     const items = [];
 
     // Check if this is a task list item (GFM extension)
     const isTaskList = node.checked !== null && node.checked !== undefined;
+    const numbered = ordered && !isTaskList;
+
+    // Text position of the item, matching the numbering level indents
+    const textIndent = this.containerIndent + this.getListTextIndent(numbered, level);
+    let markerPlaced = false;
+
+    const createMarkerParagraph = (children) => {
+      // For task lists, prepend checkbox symbol
+      if (isTaskList) {
+        const checkboxSymbol = node.checked ? '▣' : '☐';  // ▣ for checked, ☐ for unchecked
+        const bodyFont = this.themeStyles.default.run.font;
+        const bodySize = this.themeStyles.default.run.size;
+        children.unshift(new TextRun({
+          text: checkboxSymbol + ' ',
+          font: bodyFont,
+          size: bodySize,
+        }));
+      }
+
+      // Task lists use bullet points
+      markerPlaced = true;
+      return this.createListParagraph(children, numbered, level, listInstance);
+    };
 
     for (const child of node.children) {
-      if (child.type === 'paragraph') {
+      if (child.type === 'paragraph' && !markerPlaced) {
         const children = await this.convertInlineNodes(child.children);
+        items.push(createMarkerParagraph(children));
+        continue;
+      }
 
-        // For task lists, prepend checkbox symbol
-        if (isTaskList) {
-          const checkboxSymbol = node.checked ? '▣' : '☐';  // ▣ for checked, ☐ for unchecked
-          const bodyFont = this.themeStyles.default.run.font;
-          const bodySize = this.themeStyles.default.run.size;
-          children.unshift(new TextRun({
-            text: checkboxSymbol + ' ',
-            font: bodyFont,
-            size: bodySize,
-          }));
-        }
-
-        // Get spacing from theme
-        const defaultLineSpacing = this.themeStyles.default.paragraph.spacing.line;
-
-        const paragraphConfig = {
-          children: children,
-          spacing: {
-            before: 0,
-            after: 0,
-            line: defaultLineSpacing,
-          },
-          alignment: AlignmentType.LEFT, // Explicitly set left alignment for list items
-        };
-
-        // Use numbering for ordered lists, bullet for unordered lists
-        // Task lists use bullet points
-        if (ordered && !isTaskList) {
-          paragraphConfig.numbering = {
-            reference: 'default-ordered-list',
-            level: level,
-            instance: listInstance, // Add instance to restart numbering for each list
-          };
-        } else {
-          paragraphConfig.bullet = {
-            level: level,
-          };
-        }
+      // Keep the item's number even when it starts with a code block, table, ...
+      if (!markerPlaced) {
+        items.push(createMarkerParagraph([]));
+      }
 
-        items.push(new Paragraph(paragraphConfig));
-      } else if (child.type === 'list') {
+      if (child.type === 'list') {
         // Nested list - use same instance for nested lists
         for (const nestedItem of child.children) {
           items.push(...await this.convertListItem(child.ordered, nestedItem, level + 1, listInstance));
         }
+      } else {
+        const converted = await this.convertNestedBlock(child, textIndent);
+        if (Array.isArray(converted)) {
+          items.push(...converted);
+        } else if (converted) {
+          items.push(converted);
+        }
       }
     }
 
     return items;
   }
 
+  /**
+   * Create a numbered or bulleted list paragraph
+   * @param {Array} children - Paragraph runs
+   * @param {boolean} numbered - Use default-ordered-list numbering instead of bullets
+   * @param {number} level - List nesting level (0-based)
+   * @param {number} listInstance - Numbering instance, restarts numbering for each list
+   * @returns {Paragraph} List paragraph
+   */
+  createListParagraph(children, numbered, level, listInstance) {
+    // Get spacing from theme
+    const defaultLineSpacing = this.themeStyles.default.paragraph.spacing.line;
+
+    const paragraphConfig = {
+      children: children,
+      spacing: {
+        before: 0,
+        after: 0,
+        line: defaultLineSpacing,
+      },
+      alignment: AlignmentType.LEFT, // Explicitly set left alignment for list items
+    };
+
+    // Use numbering for ordered lists, bullet for unordered lists
+    if (numbered) {
+      paragraphConfig.numbering = {
+        reference: 'default-ordered-list',
+        level: level,
+        instance: listInstance, // Add instance to restart numbering for each list
+      };
+    } else {
+      paragraphConfig.bullet = {
+        level: level,
+      };
+    }
+
+    // Lists inside blockquotes shift the numbering indent by the quote indent
+    if (this.containerIndent > 0) {
+      paragraphConfig.indent = {
+        left: this.containerIndent + this.getListTextIndent(numbered, level),
+        hanging: convertInchesToTwip(numbered ? 0.28 : 0.25),
+      };
+    }
+
+    return new Paragraph(paragraphConfig);
+  }
+
+  /**
+   * Get the text indent of a list level, matching the numbering definitions
+   * @param {boolean} numbered - Ordered list (default-ordered-list) or bullet list
+   * @param {number} level - List nesting level (0-based)
+   * @returns {number} Left indent in twips
+   */
+  getListTextIndent(numbered, level) {
+    // default-ordered-list steps 0.42" per level, docx's default bullets 0.5"
+    return convertInchesToTwip((numbered ? 0.42 : 0.5) * (level + 1));
+  }
+
   /**
    * Convert blockquote node
    */
@@ -1400,7 +2061,7 @@ class DocxExporter {
       },
       alignment: AlignmentType.LEFT,
       indent: {
-        left: convertInchesToTwip(outerIndent - leftBorderAndPadding),
+        left: this.containerIndent + convertInchesToTwip(outerIndent - leftBorderAndPadding),
         right: convertInchesToTwip(rightBorderAndPadding),
       },
       border: {
@@ -1465,6 +2126,18 @@ class DocxExporter {
         const nested = await this.convertBlockquote(child, nestLevel + 1);
         paragraphs.push(...nested);
         childIndex++;
+      } else {
+        // Code, lists, tables, math and diagrams are indented to the quote text
+        const converted = await this.convertNestedBlock(
+          child,
+          this.containerIndent + convertInchesToTwip(outerIndent)
+        );
+        if (Array.isArray(converted)) {
+          paragraphs.push(...converted);
+        } else if (converted) {
+          paragraphs.push(converted);
+        }
+        childIndex++;
       }
     }
 
@@ -1477,121 +2150,304 @@ class DocxExporter {
   async convertTable(node) {
     const rows = [];
     const alignments = node.align || [];
-    const tableRows = node.children.filter((row) => row.type === 'tableRow');
-    const rowCount = tableRows.length;
 
     // Get table styles from theme
     const tableStyles = this.themeStyles.tableStyles;
 
+    // Directive options, delimiter row widths and `<<`/`^^` merges (see table-layout.js)
+    const {
+      tableRows, rowCount, columnCount, layout, headerRowCount, repeatHeader, widths: columnFractions, spans
+    } = getTableLayout(node, cell => this.extractText(cell));
+    const landscape = this.isLandscapeTable(node, layout, columnCount);
+    const tableWidth = this.getTableContentWidth(landscape);
+    const columnWidths = columnFractions
+      ? columnFractions.map(fraction => Math.floor(tableWidth * fraction))
+      : null;
+
     // Process rows
     for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
       const row = tableRows[rowIndex];
-      const isHeaderRow = rowIndex === 0;
-      const isLastRow = rowIndex === rowCount - 1;
-
-      if (row.type === 'tableRow') {
-        const cells = [];
-
-        for (let colIndex = 0; colIndex < row.children.length; colIndex++) {
-          const cell = row.children[colIndex];
-
-          if (cell.type === 'tableCell') {
-            // For header row, apply header style
-            const isBold = isHeaderRow && tableStyles.header.bold;
-            const children = isBold
-              ? await this.convertInlineNodes(cell.children, { bold: true, size: 20 })
-              : await this.convertInlineNodes(cell.children, { size: 20 });
-
-            const cellAlignment = alignments[colIndex];
-            let paragraphAlignment = AlignmentType.LEFT;
-            if (isHeaderRow) {
-              paragraphAlignment = AlignmentType.CENTER;
-            } else if (cellAlignment === 'center') {
-              paragraphAlignment = AlignmentType.CENTER;
-            } else if (cellAlignment === 'right') {
-              paragraphAlignment = AlignmentType.RIGHT;
-            }
-
-            const cellConfig = {
-              children: [new Paragraph({
-                children: children,
-                alignment: paragraphAlignment,
-                spacing: { before: 60, after: 60, line: 240 },
-              })],
-              verticalAlign: VerticalAlignTable.CENTER,
-              margins: tableStyles.cell.margins,
-            };
+      const isHeaderRow = rowIndex < headerRowCount;
+      // Zebra striping counts data rows after a single header row
+      const styleRowIndex = isHeaderRow ? 0 : rowIndex - headerRowCount + 1;
+      const cells = [];
+
+      for (let colIndex = 0; colIndex < row.children.length; colIndex++) {
+        const cell = row.children[colIndex];
+        const span = spans[rowIndex][colIndex];
+
+        // Merged into a neighbouring cell
+        if (!span) {
+          continue;
+        }
 
-            const whiteBorder = { style: BorderStyle.SINGLE, size: 0, color: 'FFFFFF' };
-            const noneBorder = { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' };
-
-            const isFirstColumn = colIndex === 0;
-
-            if (tableStyles.borders.all)
-              cellConfig.borders = {
-                top: tableStyles.borders.all,
-                bottom: tableStyles.borders.all,
-                left: tableStyles.borders.all,
-                right: tableStyles.borders.all
-              };
-            else
-              cellConfig.borders = {
-                top: whiteBorder,
-                bottom: whiteBorder,
-                left: isFirstColumn ? whiteBorder : noneBorder,
-                right: noneBorder
-              };
-
-            // Step 2: Apply special borders (override base borders for all modes)
-            if (isHeaderRow && tableStyles.borders.headerTop && tableStyles.borders.headerTop.style !== BorderStyle.NONE) {
-              cellConfig.borders.top = tableStyles.borders.headerTop;
-            }
-            if (isHeaderRow && tableStyles.borders.headerBottom && tableStyles.borders.headerBottom.style !== BorderStyle.NONE) {
-              cellConfig.borders.bottom = tableStyles.borders.headerBottom;
-            }
-            // For data rows: lastRowBottom takes precedence over insideHorizontal
-            if (!isHeaderRow) {
-              if (isLastRow && tableStyles.borders.lastRowBottom && tableStyles.borders.lastRowBottom.style !== BorderStyle.NONE) {
-                cellConfig.borders.bottom = tableStyles.borders.lastRowBottom;
-              } else if (tableStyles.borders.insideHorizontal && tableStyles.borders.insideHorizontal.style !== BorderStyle.NONE) {
-                // insideHorizontal applies to all data rows (including last row if no lastRowBottom)
-                cellConfig.borders.bottom = tableStyles.borders.insideHorizontal;
-              }
-            }
-
-            // Apply shading
-            if (isHeaderRow && tableStyles.header.shading) {
-              cellConfig.shading = tableStyles.header.shading;
-            } else if (tableStyles.zebra && rowIndex > 0) {
-              // Invert zebra stripe logic: odd rows (1st, 3rd, 5th data row) use even color
-              const isOddDataRow = ((rowIndex - 1) % 2) === 0;
-              const background = isOddDataRow ? tableStyles.zebra.odd : tableStyles.zebra.even;
-              if (background !== 'ffffff' && background !== 'FFFFFF') {
-                cellConfig.shading = { fill: background };
-              }
-            }
-
-            cells.push(new TableCell(cellConfig));
-          }
+        // For header row, apply header style
+        const isBold = isHeaderRow && tableStyles.header.bold;
+        const children = isBold
+          ? await this.convertInlineNodes(cell.children, { bold: true, size: 20 })
+          : await this.convertInlineNodes(cell.children, { size: 20 });
+
+        const cellAlignment = alignments[colIndex];
+        let paragraphAlignment = AlignmentType.LEFT;
+        if (isHeaderRow) {
+          paragraphAlignment = AlignmentType.CENTER;
+        } else if (cellAlignment === 'center') {
+          paragraphAlignment = AlignmentType.CENTER;
+        } else if (cellAlignment === 'right') {
+          paragraphAlignment = AlignmentType.RIGHT;
         }
 
-        rows.push(new TableRow({
-          children: cells,
-          tableHeader: isHeaderRow,
-        }));
+        const isLastRow = rowIndex + span.rowSpan === rowCount;
+        const cellConfig = {
+          children: [new Paragraph({
+            children: children,
+            alignment: paragraphAlignment,
+            spacing: { before: 60, after: 60, line: 240 },
+          })],
+          verticalAlign: VerticalAlignTable.CENTER,
+          margins: tableStyles.cell.margins,
+          ...this.getTableCellStyle(styleRowIndex, colIndex, isHeaderRow, isLastRow),
+        };
+
+        if (span.colSpan > 1) {
+          cellConfig.columnSpan = span.colSpan;
+        }
+        if (span.rowSpan > 1) {
+          cellConfig.rowSpan = span.rowSpan;
+        }
+        if (columnWidths) {
+          const width = columnWidths
+            .slice(colIndex, colIndex + span.colSpan)
+            .reduce((sum, columnWidth) => sum + columnWidth, 0);
+          cellConfig.width = { size: width, type: WidthType.DXA };
+        }
+
+        cells.push(new TableCell(cellConfig));
       }
+
+      rows.push(new TableRow({
+        children: cells,
+        tableHeader: isHeaderRow && repeatHeader,
+      }));
     }
 
     // Create table with no table-level borders at all
+    // Width hints fix the column grid; otherwise Word fits columns to the content
     const table = new Table({
       rows: rows,
-      layout: TableLayoutType.AUTOFIT,
-      alignment: AlignmentType.CENTER,
+      ...(columnWidths
+        ? {
+          layout: TableLayoutType.FIXED,
+          width: { size: tableWidth, type: WidthType.DXA },
+          columnWidths,
+        }
+        : {
+          layout: TableLayoutType.AUTOFIT,
+        }),
+      ...this.getTablePlacementOptions(),
     });
 
+    if (landscape) {
+      this.landscapeTables.add(table);
+    }
+
     return table;
   }
 
+  /**
+   * Convert a captioned figure or table (see captions.js)
+   * @param {object} node - Figure AST node wrapping an image paragraph, diagram or table
+   * @returns {Promise<Array>} Caption paragraph and content elements
+   */
+  async convertFigure(node) {
+    const elements = [];
+    for (const child of node.children) {
+      const converted = child.type === 'caption'
+        ? await this.convertCaption(child)
+        : await this.convertNode(child);
+      if (Array.isArray(converted)) {
+        elements.push(...converted);
+      } else if (converted) {
+        elements.push(converted);
+      }
+    }
+
+    // A table caption moves to the landscape section with its table
+    if (elements.some(element => this.landscapeTables.has(element))) {
+      elements.forEach(element => this.landscapeTables.add(element));
+    }
+
+    return elements;
+  }
+
+  /**
+   * Convert a caption to a paragraph numbered by a SEQ field
+   * The "Figure 3" label is bookmarked so cross-references can point at it.
+   * @param {object} node - Caption AST node
+   * @returns {Promise<Paragraph>} Caption paragraph
+   */
+  async convertCaption(node) {
+    const sequence = node.kind === 'table' ? 'Table' : 'Figure';
+    const labelRuns = [
+      new TextRun(`${node.name} `),
+      new SimpleField(`SEQ ${sequence} \\* ARABIC`, String(node.number)),
+    ];
+
+    const bookmarkName = node.identifier ? this.captionBookmarks?.get(node.identifier) : null;
+    const children = bookmarkName
+      ? [new Bookmark({ id: bookmarkName, children: labelRuns })]
+      : labelRuns;
+
+    const content = node.children.filter(child => child.type !== 'captionLabel');
+    if (content.length > 0) {
+      children.push(new TextRun(': '), ...await this.convertInlineNodes(content));
+    }
+
+    // Table captions sit above their table, figure captions below the figure
+    return new Paragraph({
+      children,
+      alignment: AlignmentType.CENTER,
+      spacing: node.kind === 'table' ? { before: 240, after: 80 } : { before: 0, after: 240 },
+      keepNext: node.kind === 'table',
+      ...this.getContainerIndentOptions(),
+    });
+  }
+
+  /**
+   * Decide whether a table gets its own landscape section
+   * Only top-level tables switch orientation: explicitly via `orientation=landscape`,
+   * or automatically when the estimated minimum width exceeds the portrait content width.
+   * @param {object} node - Table AST node
+   * @param {object} layout - Table layout options
+   * @param {number} columnCount - Number of columns
+   * @returns {boolean} True for a landscape section
+   */
+  isLandscapeTable(node, layout, columnCount) {
+    if (this.containerIndent > 0 || this.pageSetup?.orientation === 'landscape' || layout.orientation === 'portrait') {
+      return false;
+    }
+    if (layout.orientation === 'landscape') {
+      return true;
+    }
+    return this.estimateTableMinWidth(node, columnCount) > convertInchesToTwip(this.pageSetup?.contentWidth ?? 6);
+  }
+
+  /**
+   * Estimate the narrowest width a table can take without breaking words
+   * @param {object} node - Table AST node
+   * @param {number} columnCount - Number of columns
+   * @returns {number} Width in twips
+   */
+  estimateTableMinWidth(node, columnCount) {
+    const margins = this.themeStyles.tableStyles.cell.margins || {};
+    const cellPadding = (margins.left || 0) + (margins.right || 0);
+
+    const columnChars = new Array(columnCount).fill(TABLE_MIN_COLUMN_CHARS);
+    for (const row of node.children) {
+      row.children.forEach((cell, colIndex) => {
+        for (const word of this.extractText(cell).split(/\s+/)) {
+          // CJK text can break between any two characters
+          const unbreakable = WIDE_CHAR_REGEX.test(word) ? 2 : Math.min(word.length, TABLE_MAX_WORD_CHARS);
+          columnChars[colIndex] = Math.max(columnChars[colIndex], unbreakable);
+        }
+      });
+    }
+
+    return columnChars.reduce((sum, chars) => sum + chars * TABLE_CHAR_WIDTH + cellPadding, 0);
+  }
+
+  /**
+   * Get the width available to a table at the current container indent
+   * @param {boolean} landscape - Table is placed in a landscape section
+   * @returns {number} Width in twips
+   */
+  getTableContentWidth(landscape) {
+    const pageSetup = this.pageSetup || resolvePageSetup();
+    const contentWidth = landscape
+      ? pageSetup.height - pageSetup.margins.left - pageSetup.margins.right
+      : pageSetup.contentWidth;
+    return Math.max(convertInchesToTwip(contentWidth) - this.containerIndent, convertInchesToTwip(1));
+  }
+
+  /**
+   * Get theme borders and shading for a table cell
+   * @param {number} rowIndex - Row index (0 = header row)
+   * @param {number} colIndex - Column index
+   * @param {boolean} isHeaderRow - Cell is in the header row
+   * @param {boolean} isLastRow - Cell is in the last row
+   * @returns {object} { borders, shading } cell options
+   */
+  getTableCellStyle(rowIndex, colIndex, isHeaderRow, isLastRow) {
+    const tableStyles = this.themeStyles.tableStyles;
+    const style = {};
+
+    const whiteBorder = { style: BorderStyle.SINGLE, size: 0, color: 'FFFFFF' };
+    const noneBorder = { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' };
+
+    const isFirstColumn = colIndex === 0;
+
+    if (tableStyles.borders.all)
+      style.borders = {
+        top: tableStyles.borders.all,
+        bottom: tableStyles.borders.all,
+        left: tableStyles.borders.all,
+        right: tableStyles.borders.all
+      };
+    else
+      style.borders = {
+        top: whiteBorder,
+        bottom: whiteBorder,
+        left: isFirstColumn ? whiteBorder : noneBorder,
+        right: noneBorder
+      };
+
+    // Step 2: Apply special borders (override base borders for all modes)
+    if (isHeaderRow && tableStyles.borders.headerTop && tableStyles.borders.headerTop.style !== BorderStyle.NONE) {
+      style.borders.top = tableStyles.borders.headerTop;
+    }
+    if (isHeaderRow && tableStyles.borders.headerBottom && tableStyles.borders.headerBottom.style !== BorderStyle.NONE) {
+      style.borders.bottom = tableStyles.borders.headerBottom;
+    }
+    // For data rows: lastRowBottom takes precedence over insideHorizontal
+    if (!isHeaderRow) {
+      if (isLastRow && tableStyles.borders.lastRowBottom && tableStyles.borders.lastRowBottom.style !== BorderStyle.NONE) {
+        style.borders.bottom = tableStyles.borders.lastRowBottom;
+      } else if (tableStyles.borders.insideHorizontal && tableStyles.borders.insideHorizontal.style !== BorderStyle.NONE) {
+        // insideHorizontal applies to all data rows (including last row if no lastRowBottom)
+        style.borders.bottom = tableStyles.borders.insideHorizontal;
+      }
+    }
+
+    // Apply shading
+    if (isHeaderRow && tableStyles.header.shading) {
+      style.shading = tableStyles.header.shading;
+    } else if (tableStyles.zebra && rowIndex > 0) {
+      // Invert zebra stripe logic: odd rows (1st, 3rd, 5th data row) use even color
+      const isOddDataRow = ((rowIndex - 1) % 2) === 0;
+      const background = isOddDataRow ? tableStyles.zebra.odd : tableStyles.zebra.even;
+      if (background !== 'ffffff' && background !== 'FFFFFF') {
+        style.shading = { fill: background };
+      }
+    }
+
+    return style;
+  }
+
+  /**
+   * Get table alignment options
+   * Nested tables start at the container text instead of being centered on the page.
+   * @returns {object} { alignment, indent } table options
+   */
+  getTablePlacementOptions() {
+    if (this.containerIndent > 0) {
+      return {
+        alignment: AlignmentType.LEFT,
+        indent: { size: this.containerIndent, type: WidthType.DXA },
+      };
+    }
+    return { alignment: AlignmentType.CENTER };
+  }
+
   /**
    * Convert thematic break (horizontal rule)
    */
@@ -1615,6 +2471,7 @@ class DocxExporter {
           size: 12,             // 12 = 1.5pt (double the default ~0.75pt), roughly 2px
         },
       },
+      ...this.getContainerIndentOptions(),
     });
   }
 
@@ -1633,6 +2490,7 @@ class DocxExporter {
           after: 120,  // 6pt
         },
         alignment: AlignmentType.CENTER,
+        ...this.getContainerIndentOptions(),
       });
     } catch (error) {
       console.warn('Math conversion error:', error);
@@ -1648,6 +2506,7 @@ class DocxExporter {
         ],
         alignment: AlignmentType.LEFT, // Explicitly set left alignment for error fallback
         spacing: { before: 120, after: 120 },
+        ...this.getContainerIndentOptions(),
       });
     }
   }
@@ -1696,99 +2555,7 @@ class DocxExporter {
    * Download blob as file
    */
   async downloadBlob(blob, filename) {
-    let token = null;
-    try {
-      const arrayBuffer = await blob.arrayBuffer();
-      const bytes = new Uint8Array(arrayBuffer);
-
-      const uploadResult = await uploadInChunks({
-        sendMessage: (payload) => this.runtimeSendMessage(payload),
-        purpose: 'docx-download',
-        encoding: 'base64',
-        totalSize: bytes.length,
-        metadata: {
-          filename,
-          mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-        },
-        getChunk: (offset, size) => {
-          const end = Math.min(offset + size, bytes.length);
-          const chunkBytes = bytes.subarray(offset, end);
-          return this.encodeBytesToBase64(chunkBytes);
-        }
-      });
-
-      token = uploadResult.token;
-
-      const finalizeResponse = await this.runtimeSendMessage({
-        type: 'DOCX_DOWNLOAD_FINALIZE',
-        token
-      });
-
-      if (!finalizeResponse || !finalizeResponse.success) {
-        throw new Error(finalizeResponse?.error || 'Download finalize failed');
-      }
-    } catch (error) {
-      console.error('Download failed:', error);
-      if (token) {
-        abortUpload((payload) => this.runtimeSendMessage(payload), token);
-      }
-      this.fallbackDownload(blob, filename);
-    }
-  }
-
-  /**
-   * Convert byte array chunk to base64 without exceeding call stack limits
-   * @param {Uint8Array} bytes - Binary chunk
-   * @returns {string} Base64 encoded chunk
-   */
-  encodeBytesToBase64(bytes) {
-    let binary = '';
-    const sliceSize = 0x8000;
-    for (let i = 0; i < bytes.length; i += sliceSize) {
-      const slice = bytes.subarray(i, Math.min(i + sliceSize, bytes.length));
-      binary += String.fromCharCode.apply(null, slice);
-    }
-    return btoa(binary);
-  }
-
-  /**
-   * Wrapper for chrome.runtime.sendMessage with Promise interface
-   * @param {Object} message - Message payload
-   * @returns {Promise<any>} - Response from background script
-   */
-  runtimeSendMessage(message) {
-    return new Promise((resolve, reject) => {
-      try {
-        chrome.runtime.sendMessage(message, (response) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-            return;
-          }
-          resolve(response);
-        });
-      } catch (error) {
-        reject(error);
-      }
-    });
-  }
-
-  /**
-   * Fallback download method using <a> element
-   */
-  fallbackDownload(blob, filename) {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.style.display = 'none';
-
-    document.body.appendChild(a);
-    a.click();
-
-    setTimeout(() => {
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }, 100);
+    await downloadBlob(blob, filename, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
   }
 }
 
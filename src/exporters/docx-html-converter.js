@@ -0,0 +1,610 @@
+/**
+ * DOCX HTML Converter
+ *
+ * Maps simple block HTML (tables with colspan/rowspan, lists, inline formatting,
+ * links, images, details) onto native docx objects so the text stays searchable
+ * and editable in Word. Markup it cannot represent is reported as unsupported,
+ * and the exporter keeps the rendered screenshot for it.
+ */
+import {
+  Paragraph,
+  TextRun,
+  Table,
+  TableRow,
+  TableCell,
+  TableLayoutType,
+  AlignmentType,
+  ExternalHyperlink,
+} from 'docx';
+import { VerticalAlign as VerticalAlignTable } from 'docx';
+import { sanitizeHtml } from '../utils/html-sanitizer.js';
+
+// Elements that start their own paragraph or block
+const BLOCK_TAGS = new Set(['P', 'DIV', 'TABLE', 'UL', 'OL', 'LI', 'DETAILS', 'SUMMARY', 'HR']);
+
+// Table parts, read through the table's rows and cells
+const TABLE_PART_TAGS = new Set(['THEAD', 'TBODY', 'TFOOT', 'TR', 'TH', 'TD', 'CAPTION', 'COLGROUP', 'COL']);
+
+// Inline elements and the run formatting they apply
+const INLINE_FORMATS = {
+  B: { bold: true },
+  STRONG: { bold: true },
+  I: { italics: true },
+  EM: { italics: true },
+  U: { underline: {} },
+  INS: { underline: {} },
+  S: { strike: true },
+  DEL: { strike: true },
+  STRIKE: { strike: true },
+  SUB: { subScript: true },
+  SUP: { superScript: true },
+  SPAN: {},
+};
+
+// Inline elements handled individually
+const SPECIAL_INLINE_TAGS = new Set(['A', 'IMG', 'BR', 'CODE', 'KBD']);
+
+// Inline styles for layout or decoration Word paragraphs cannot reproduce
+const UNSUPPORTED_STYLE_PATTERN = /(?:^|;)\s*(?:display|position|float|transform|background[\w-]*|grid[\w-]*|flex[\w-]*)\s*:/i;
+
+const ALIGNMENTS = {
+  left: AlignmentType.LEFT,
+  center: AlignmentType.CENTER,
+  right: AlignmentType.RIGHT,
+  justify: AlignmentType.JUSTIFIED,
+};
+
+// Matches the paragraph spacing of markdown table cells
+const TABLE_CELL_SPACING = { before: 60, after: 60, line: 240 };
+
+export class DocxHtmlConverter {
+  /**
+   * @param {object} exporter - DocxExporter providing theme styles, images, links and list numbering
+   */
+  constructor(exporter) {
+    this.exporter = exporter;
+  }
+
+  /**
+   * Convert block HTML to docx elements
+   * @param {string} html - Raw HTML of an html AST node
+   * @returns {Promise<Array|null>} Paragraphs and tables, or null if the markup needs the screenshot fallback
+   */
+  async convert(html) {
+    const template = document.createElement('template');
+    template.innerHTML = sanitizeHtml(html);
+    const root = template.content;
+
+    // Comments and stray closing tags (e.g. </details> after markdown content)
+    if (!root.textContent.trim() && !root.querySelector('img, hr')) {
+      return [];
+    }
+    if (!this.isSupported(root)) {
+      return null;
+    }
+
+    return this.convertBlocks(root.childNodes, this.createFormat());
+  }
+
+  /**
+   * Check whether every element can be represented natively
+   * @param {DocumentFragment} root - Parsed HTML
+   * @returns {boolean} True if the markup can be converted
+   */
+  isSupported(root) {
+    for (const element of root.querySelectorAll('*')) {
+      const tag = element.tagName;
+      const isTablePart = tag === 'TABLE' || TABLE_PART_TAGS.has(tag);
+
+      if (!BLOCK_TAGS.has(tag) && !isTablePart && !INLINE_FORMATS[tag] && !SPECIAL_INLINE_TAGS.has(tag)) {
+        return false;
+      }
+
+      // Table decoration is replaced by the theme's table style
+      if (!isTablePart && UNSUPPORTED_STYLE_PATTERN.test(element.getAttribute('style') || '')) {
+        return false;
+      }
+
+      // SVG images need rasterizing, which the screenshot path already does
+      if (tag === 'IMG') {
+        const src = element.getAttribute('src') || '';
+        if (!src || /^data:image\/svg/i.test(src) || /\.svg(?:[?#]|$)/i.test(src)) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Create the formatting context for a run of blocks
+   * @param {object} overrides - { style, alignment, spacing } to replace
+   * @returns {object} Format with run style, paragraph alignment and spacing
+   */
+  createFormat(overrides = {}) {
+    const { run, paragraph } = this.exporter.themeStyles.default;
+    return {
+      style: { font: run.font, size: run.size },
+      alignment: AlignmentType.LEFT,
+      spacing: {
+        before: paragraph.spacing.before,
+        after: paragraph.spacing.after,
+        line: paragraph.spacing.line,
+      },
+      ...overrides,
+    };
+  }
+
+  /**
+   * Convert a sequence of nodes, grouping inline content into paragraphs
+   * @param {NodeList|Array} nodes - Child nodes
+   * @param {object} format - Formatting context
+   * @returns {Promise<Array>} Paragraphs and tables
+   */
+  async convertBlocks(nodes, format) {
+    const elements = [];
+    let pending = [];
+
+    const flush = async () => {
+      if (pending.some(hasInlineContent)) {
+        const runs = await this.convertInlineNodes(pending, format.style);
+        elements.push(this.createParagraph(runs, format));
+      }
+      pending = [];
+    };
+
+    for (const node of nodes) {
+      if (isBlockElement(node)) {
+        await flush();
+        elements.push(...await this.convertBlock(node, format));
+      } else {
+        pending.push(node);
+      }
+    }
+    await flush();
+
+    return elements;
+  }
+
+  /**
+   * Convert a block element
+   * @param {Element} element - Block element
+   * @param {object} format - Formatting context
+   * @returns {Promise<Array>} Paragraphs and tables
+   */
+  async convertBlock(element, format) {
+    const blockFormat = { ...format, alignment: getAlignment(element) ?? format.alignment };
+
+    switch (element.tagName) {
+      case 'TABLE':
+        return this.convertTable(element);
+
+      case 'UL':
+      case 'OL':
+        return this.convertList(element, 0, this.exporter.listInstanceCounter++);
+
+      case 'DETAILS':
+        return this.convertDetails(element, blockFormat);
+
+      case 'HR':
+        return [this.exporter.convertThematicBreak()];
+
+      case 'SUMMARY':
+        return this.convertBlocks(element.childNodes, { ...blockFormat, style: { ...blockFormat.style, bold: true } });
+
+      default:
+        // P, DIV and stray LI
+        return this.convertBlocks(element.childNodes, blockFormat);
+    }
+  }
+
+  /**
+   * Convert details as always-open content under a bold summary line
+   * @param {Element} details - details element
+   * @param {object} format - Formatting context
+   * @returns {Promise<Array>} Paragraphs and tables
+   */
+  async convertDetails(details, format) {
+    const summary = Array.from(details.children).find(child => child.tagName === 'SUMMARY');
+    const elements = [];
+
+    if (summary) {
+      elements.push(...await this.convertBlock(summary, format));
+    }
+
+    const body = Array.from(details.childNodes).filter(child => child !== summary);
+    elements.push(...await this.convertBlocks(body, format));
+
+    return elements;
+  }
+
+  /**
+   * Create a paragraph at the current container indent
+   * @param {Array} runs - Paragraph runs
+   * @param {object} format - Formatting context
+   * @returns {Paragraph} Paragraph
+   */
+  createParagraph(runs, format) {
+    return new Paragraph({
+      children: runs,
+      spacing: format.spacing,
+      alignment: format.alignment,
+      ...this.exporter.getContainerIndentOptions(),
+    });
+  }
+
+  /**
+   * Convert inline nodes to runs
+   * Whitespace is collapsed as in HTML rendering.
+   * @param {Array} nodes - Inline nodes
+   * @param {object} style - Run style
+   * @returns {Promise<Array>} TextRuns, ImageRuns and hyperlinks
+   */
+  async convertInlineNodes(nodes, style) {
+    const context = { skipLeadingSpace: true };
+    const runs = [];
+    for (const node of nodes) {
+      runs.push(...await this.convertInlineNode(node, style, context));
+    }
+    return runs;
+  }
+
+  /**
+   * Convert a single inline node
+   * @param {Node} node - Text node or inline element
+   * @param {object} style - Run style
+   * @param {object} context - { skipLeadingSpace } whitespace state shared across the paragraph
+   * @returns {Promise<Array>} Runs
+   */
+  async convertInlineNode(node, style, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = collapseWhitespace(node.nodeValue, context);
+      return text ? [new TextRun({ text, ...style })] : [];
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return [];
+    }
+
+    const convertChildren = async (childStyle) => {
+      const runs = [];
+      for (const child of node.childNodes) {
+        runs.push(...await this.convertInlineNode(child, childStyle, context));
+      }
+      return runs;
+    };
+
+    switch (node.tagName) {
+      case 'BR':
+        context.skipLeadingSpace = true;
+        return [new TextRun({ text: '', break: 1 })];
+
+      case 'IMG':
+        context.skipLeadingSpace = false;
+        return [await this.convertImage(node)];
+
+      case 'A':
+        return this.convertLink(node, style, context, convertChildren);
+
+      case 'CODE':
+      case 'KBD': {
+        const codeStyle = this.exporter.themeStyles.characterStyles.code;
+        return convertChildren({
+          ...style,
+          font: codeStyle.font,
+          size: codeStyle.size,
+          shading: { fill: codeStyle.background },
+        });
+      }
+
+      default:
+        // Formatting elements, and block elements nested in inline content
+        return convertChildren({ ...style, ...INLINE_FORMATS[node.tagName] });
+    }
+  }
+
+  /**
+   * Convert a link; links around images keep the image runs
+   * @param {Element} link - a element
+   * @param {object} style - Run style
+   * @param {object} context - Whitespace state
+   * @param {Function} convertChildren - Converts the link's children with a style
+   * @returns {Promise<Array>} Runs
+   */
+  async convertLink(link, style, context, convertChildren) {
+    const href = link.getAttribute('href');
+    if (!href) {
+      return convertChildren(style);
+    }
+
+    if (link.querySelector('img')) {
+      const runs = await convertChildren(style);
+      return /^https?:/i.test(href) ? [new ExternalHyperlink({ children: runs, link: href })] : runs;
+    }
+
+    const text = collapseWhitespace(link.textContent, context);
+    return text ? [this.exporter.createHyperlink(text, href, style)] : [];
+  }
+
+  /**
+   * Convert an img element through the exporter's image loading
+   * @param {HTMLImageElement} img - img element
+   * @returns {Promise<ImageRun|TextRun>} Image, or the exporter's error text
+   */
+  async convertImage(img) {
+    const node = {
+      url: img.getAttribute('src'),
+      alt: img.getAttribute('alt') || '',
+      width: parseInt(img.getAttribute('width'), 10) || null,
+      height: parseInt(img.getAttribute('height'), 10) || null,
+    };
+    // The whole HTML block counts as one resource for progress
+    return this.exporter.convertImage(node, false);
+  }
+
+  /**
+   * Convert ul/ol to numbered or bulleted paragraphs
+   * @param {Element} list - ul or ol element
+   * @param {number} level - Nesting level (0-based)
+   * @param {number} listInstance - Numbering instance shared by nested lists
+   * @returns {Promise<Array>} Paragraphs
+   */
+  async convertList(list, level, listInstance) {
+    const numbered = list.tagName === 'OL';
+    const elements = [];
+
+    for (const item of list.children) {
+      if (item.tagName === 'LI') {
+        elements.push(...await this.convertListItem(item, numbered, level, listInstance));
+      }
+    }
+
+    return elements;
+  }
+
+  /**
+   * Convert li; the first line carries the marker, other blocks follow at the item's text position
+   * @param {Element} item - li element
+   * @param {boolean} numbered - Ordered list
+   * @param {number} level - Nesting level (0-based)
+   * @param {number} listInstance - Numbering instance
+   * @returns {Promise<Array>} Paragraphs and tables
+   */
+  async convertListItem(item, numbered, level, listInstance) {
+    const exporter = this.exporter;
+    const textIndent = exporter.containerIndent + exporter.getListTextIndent(numbered, level);
+    const format = this.createFormat();
+    const elements = [];
+    let markerPlaced = false;
+    let pending = [];
+
+    const placeMarker = (runs) => {
+      elements.push(exporter.createListParagraph(runs, numbered, level, listInstance));
+      markerPlaced = true;
+    };
+
+    const flush = async () => {
+      if (pending.some(hasInlineContent)) {
+        const runs = await this.convertInlineNodes(pending, format.style);
+        if (markerPlaced) {
+          elements.push(await exporter.withContainerIndent(textIndent, () => this.createParagraph(runs, format)));
+        } else {
+          placeMarker(runs);
+        }
+      }
+      pending = [];
+    };
+
+    for (const child of item.childNodes) {
+      // <li><p>text</p></li> puts the paragraph on the marker line
+      if (child.tagName === 'P' && !markerPlaced && !pending.some(hasInlineContent)) {
+        pending = Array.from(child.childNodes);
+        await flush();
+        continue;
+      }
+
+      if (!isBlockElement(child)) {
+        pending.push(child);
+        continue;
+      }
+
+      await flush();
+      if (!markerPlaced) {
+        placeMarker([]);
+      }
+
+      if (child.tagName === 'UL' || child.tagName === 'OL') {
+        elements.push(...await this.convertList(child, Math.min(level + 1, 8), listInstance));
+      } else {
+        elements.push(...await exporter.withContainerIndent(textIndent, () => this.convertBlock(child, format)));
+      }
+    }
+
+    await flush();
+    if (!markerPlaced) {
+      placeMarker([]);
+    }
+
+    return elements;
+  }
+
+  /**
+   * Convert a table, keeping colspan and rowspan as merged Word cells
+   * @param {HTMLTableElement} table - table element
+   * @returns {Promise<Array>} Optional caption paragraph and the table
+   */
+  async convertTable(table) {
+    const exporter = this.exporter;
+    const tableStyles = exporter.themeStyles.tableStyles;
+    const rowElements = Array.from(table.rows);
+    const elements = [];
+
+    if (rowElements.length === 0) {
+      return elements;
+    }
+
+    if (table.caption) {
+      const captionFormat = this.createFormat({ alignment: AlignmentType.CENTER });
+      captionFormat.style.italics = true;
+      elements.push(...await this.convertBlocks(table.caption.childNodes, captionFormat));
+    }
+
+    // Leading rows from thead, or made only of th cells, repeat as header rows
+    let headerRowCount = 0;
+    while (headerRowCount < rowElements.length && isHeaderRowElement(rowElements[headerRowCount])) {
+      headerRowCount++;
+    }
+
+    const rows = [];
+    const grid = computeHtmlTableGrid(rowElements.map(row => Array.from(row.cells)));
+
+    for (let rowIndex = 0; rowIndex < rowElements.length; rowIndex++) {
+      const isHeaderRow = rowIndex < headerRowCount;
+      // Zebra striping counts data rows after a single header row
+      const styleRowIndex = isHeaderRow ? 0 : rowIndex - headerRowCount + 1;
+      const cells = [];
+
+      for (const { cell, colIndex, colSpan, rowSpan } of grid[rowIndex]) {
+        const isLastRow = rowIndex + rowSpan === rowElements.length;
+        const bold = isHeaderRow ? tableStyles.header.bold : cell.tagName === 'TH';
+
+        const format = this.createFormat({
+          alignment: getAlignment(cell) ?? (isHeaderRow ? AlignmentType.CENTER : AlignmentType.LEFT),
+          spacing: TABLE_CELL_SPACING,
+        });
+        format.style.size = 20;
+        if (bold) {
+          format.style.bold = true;
+        }
+
+        // Cell content starts at the cell edge, not at the table's container indent
+        const children = await exporter.withContainerIndent(0, () => this.convertBlocks(cell.childNodes, format));
+        if (children.length === 0 || !(children[children.length - 1] instanceof Paragraph)) {
+          // Word requires a cell to end with a paragraph
+          children.push(new Paragraph({ children: [], spacing: TABLE_CELL_SPACING }));
+        }
+
+        cells.push(new TableCell({
+          children,
+          columnSpan: colSpan > 1 ? colSpan : undefined,
+          rowSpan: rowSpan > 1 ? rowSpan : undefined,
+          verticalAlign: VerticalAlignTable.CENTER,
+          margins: tableStyles.cell.margins,
+          ...exporter.getTableCellStyle(styleRowIndex, colIndex, isHeaderRow, isLastRow),
+        }));
+      }
+
+      rows.push(new TableRow({
+        children: cells,
+        tableHeader: isHeaderRow,
+      }));
+    }
+
+    elements.push(new Table({
+      rows,
+      layout: TableLayoutType.AUTOFIT,
+      ...exporter.getTablePlacementOptions(),
+    }));
+
+    return elements;
+  }
+}
+
+/**
+ * Place the cells of an HTML table on its column grid
+ * Cells skip the columns still covered by a rowspan from the rows above, so rows
+ * may hold different numbers of cells. Spans are at least 1, and rowspans end at the last row.
+ * @param {Array<Array<{colSpan: number, rowSpan: number}>>} rows - Cells of each row (td/th elements)
+ * @returns {Array<Array<{cell: object, colIndex: number, colSpan: number, rowSpan: number}>>}
+ *   Grid position and spans of each cell, per row
+ */
+export function computeHtmlTableGrid(rows) {
+  // Remaining rows covered by a rowspan, per grid column
+  let coveredRows = [];
+
+  return rows.map((cells, rowIndex) => {
+    let colIndex = 0;
+    const placed = cells.map((cell) => {
+      while (coveredRows[colIndex] > 0) {
+        colIndex++;
+      }
+
+      const colSpan = Math.max(cell.colSpan || 1, 1);
+      const rowSpan = Math.max(Math.min(cell.rowSpan || 1, rows.length - rowIndex), 1);
+      for (let column = colIndex; column < colIndex + colSpan; column++) {
+        coveredRows[column] = rowSpan;
+      }
+
+      const position = { cell, colIndex, colSpan, rowSpan };
+      colIndex += colSpan;
+      return position;
+    });
+
+    coveredRows = coveredRows.map(count => Math.max((count || 0) - 1, 0));
+    return placed;
+  });
+}
+
+/**
+ * Check whether a node starts a block
+ * @param {Node} node - DOM node
+ * @returns {boolean} True for block elements
+ */
+function isBlockElement(node) {
+  return node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(node.tagName);
+}
+
+/**
+ * Check whether an inline node produces visible output
+ * @param {Node} node - DOM node
+ * @returns {boolean} True for text or images
+ */
+function hasInlineContent(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return /\S/.test(node.nodeValue);
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return false;
+  }
+  return node.tagName === 'IMG' || /\S/.test(node.textContent) || node.querySelector('img') !== null;
+}
+
+/**
+ * Check whether a table row belongs to the header
+ * @param {HTMLTableRowElement} row - tr element
+ * @returns {boolean} True for rows in thead or made only of th cells
+ */
+function isHeaderRowElement(row) {
+  if (row.parentElement?.tagName === 'THEAD') {
+    return true;
+  }
+  const cells = Array.from(row.cells);
+  return cells.length > 0 && cells.every(cell => cell.tagName === 'TH');
+}
+
+/**
+ * Read the horizontal alignment of an element
+ * @param {Element} element - Element with an align attribute or text-align style
+ * @returns {string|null} docx alignment, or null if not set
+ */
+function getAlignment(element) {
+  const value = element.style?.textAlign || element.getAttribute('align') || '';
+  return ALIGNMENTS[value.toLowerCase()] ?? null;
+}
+
+/**
+ * Collapse whitespace like HTML rendering does
+ * @param {string} text - Raw text
+ * @param {object} context - { skipLeadingSpace } whitespace state, updated in place
+ * @returns {string} Text to emit (empty if nothing visible)
+ */
+function collapseWhitespace(text, context) {
+  let collapsed = text.replace(/\s+/g, ' ');
+  if (context.skipLeadingSpace) {
+    collapsed = collapsed.trimStart();
+  }
+  if (collapsed) {
+    context.skipLeadingSpace = collapsed.endsWith(' ');
+  }
+  return collapsed;
+}
@@ -114,7 +114,13 @@ export async function mathJaxReady() {
   return true;
 }
 
-function latex2MathMl(latexString) {
+/**
+ * Convert LaTeX to a MathML `math` element
+ * @param {string} latexString - LaTeX source
+ * @param {boolean} display - Display (block) math instead of inline math
+ * @returns {string} Serialized MathML
+ */
+export function latex2MathMl(latexString, display = false) {
   if (typeof latexString !== 'string') {
     throw new Error('latex2MathMl expects a string input');
   }
@@ -124,7 +130,7 @@ function latex2MathMl(latexString) {
 
   const { document, visitor } = ensureMathJaxEnvironment();
   const mathNode = document.convert(preprocessed, {
-    display: false,
+    display,
     end: STATE.CONVERT,
   });
 
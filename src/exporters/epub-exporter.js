@@ -0,0 +1,449 @@
+// EPUB Exporter for Markdown Viewer Extension
+// Packages the rendered document as an EPUB 3 book: one chapter per H1/H2 section,
+// navigation from the document headings, diagrams and images as files, math as
+// MathML and the current theme's CSS
+
+import JSZip from 'jszip';
+import themeManager from '../utils/theme-manager.js';
+import { loadThemeCSS } from '../utils/theme-to-css.js';
+import { downloadBlob, runtimeSendMessage } from '../utils/file-download.js';
+import { removeSearchHighlights } from '../utils/document-search.js';
+import { resetDiagramZoom } from '../utils/diagram-zoom.js';
+import Localization from '../utils/localization.js';
+import {
+  EPUB_MIMETYPE,
+  CONTENT_DIR,
+  createContainerXml,
+  createPackageDocument,
+  createNavDocument,
+  createXhtmlDocument,
+} from './epub-package.js';
+
+const CHAPTER_HEADINGS = new Set(['H1', 'H2']);
+const DIAGRAM_SELECTOR = '.diagram-block, .diagram-inline';
+const STYLESHEET_PATH = 'styles/book.css';
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+};
+
+const IMAGE_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+// Viewer layout rules the theme CSS relies on, reduced to what reading systems support
+const EPUB_BASE_CSS = `#markdown-content img {
+  max-width: 100%;
+  height: auto;
+}
+
+#markdown-content pre {
+  white-space: pre-wrap;
+  word-wrap: break-word;
+}
+
+#markdown-content math[display="block"] {
+  display: block;
+  margin: 1em 0;
+}
+
+#markdown-content figure.figure {
+  margin: 1em 0;
+}
+
+#markdown-content figure.figure > p {
+  margin: 0;
+  text-align: center;
+}
+
+#markdown-content figure.figure figcaption {
+  margin-top: 0.5em;
+  text-align: center;
+  font-size: 0.9em;
+}
+
+#markdown-content figure.table-figure figcaption {
+  margin: 0 0 0.5em;
+}
+
+#markdown-content .caption-label {
+  font-weight: bold;
+}
+
+#markdown-content .sr-only {
+  display: none;
+}`;
+
+/**
+ * Main class for exporting the rendered document to an EPUB book
+ */
+class EpubExporter {
+  /**
+   * Export rendered markdown content to an EPUB file
+   * @param {HTMLElement} contentElement - Rendered #markdown-content element
+   * @param {string} filename - Output filename (default: 'document.epub')
+   * @param {Function} onProgress - Optional progress callback (completed, total)
+   * @param {Object} options - Export options
+   * @param {Object} [options.frontMatter] - Metadata of the current render
+   * @param {Function} [options.getHeadings] - Returns the TOC headings of a content element
+   * @param {Function} [options.renderDiagramPng] - Returns a Promise of the light-mode base64 PNG
+   *   of a diagram element id
+   */
+  async exportToEpub(contentElement, filename = 'document.epub', onProgress = null, options = {}) {
+    try {
+      const frontMatter = options.frontMatter || null;
+      const clone = this.createContentClone(contentElement);
+      const diagrams = options.renderDiagramPng ? Array.from(clone.querySelectorAll(DIAGRAM_SELECTOR)) : [];
+      const imageCount = Array.from(clone.querySelectorAll('img[src]'))
+        .filter(img => !img.closest(DIAGRAM_SELECTOR)).length;
+
+      // Diagrams and images are one step each, plus stylesheet and packaging
+      const total = diagrams.length + imageCount + 2;
+      let completed = 0;
+      const reportProgress = () => {
+        completed++;
+        if (onProgress) {
+          onProgress(completed, total);
+        }
+      };
+
+      for (const block of diagrams) {
+        await this.rasterizeDiagram(block, options.renderDiagramPng);
+        reportProgress();
+      }
+      this.convertMath(clone);
+
+      const zip = new JSZip();
+      // The mimetype entry must come first and stay uncompressed
+      zip.file('mimetype', EPUB_MIMETYPE, { compression: 'STORE' });
+      zip.file('META-INF/container.xml', createContainerXml());
+
+      const items = [];
+      const images = new Map();
+      for (const img of Array.from(clone.querySelectorAll('img[src]'))) {
+        const isDiagram = Boolean(img.closest(DIAGRAM_SELECTOR));
+        await this.packageImage(img, images, zip, items);
+        if (!isDiagram) {
+          reportProgress();
+        }
+      }
+
+      const themeId = await themeManager.loadSelectedTheme();
+      // Diagrams were rendered light, and reading systems apply their own dark modes
+      const themeCSS = await loadThemeCSS(themeId, 'light');
+      zip.file(`${CONTENT_DIR}/${STYLESHEET_PATH}`, `${EPUB_BASE_CSS}\n\n${themeCSS}`);
+      items.push({ id: 'css', href: STYLESHEET_PATH, mediaType: 'text/css' });
+      reportProgress();
+
+      const title = frontMatter?.title || filename.replace(/\.epub$/i, '');
+      const language = frontMatter?.data?.lang || document.documentElement.lang || 'en';
+      // Headings are collected before splitting moves them out of the clone
+      const headings = options.getHeadings ? options.getHeadings(clone) : [];
+      const chapters = this.splitChapters(clone);
+      const targets = this.collectLinkTargets(chapters);
+      this.rewriteLinks(chapters, targets);
+
+      const spine = [];
+      for (const chapter of chapters) {
+        const chapterTitle = chapter.heading?.textContent.trim() || title;
+        const body = new XMLSerializer().serializeToString(chapter.element);
+        zip.file(`${CONTENT_DIR}/${chapter.href}`, createXhtmlDocument(body, {
+          title: chapterTitle,
+          language,
+          stylesheet: STYLESHEET_PATH,
+        }));
+
+        const properties = [];
+        if (chapter.element.querySelector('math')) {
+          properties.push('mathml');
+        }
+        if (chapter.element.querySelector('svg')) {
+          properties.push('svg');
+        }
+        items.push({
+          id: chapter.id,
+          href: chapter.href,
+          mediaType: 'application/xhtml+xml',
+          properties: properties.join(' '),
+        });
+        spine.push(chapter.id);
+      }
+
+      const navEntries = headings.map(heading => ({
+        level: parseInt(heading.tagName[1], 10),
+        text: heading.textContent.trim(),
+        href: heading.id ? `${targets.get(heading.id) || chapters[0].href}#${heading.id}` : chapters[0].href,
+      }));
+      if (navEntries.length === 0) {
+        navEntries.push({ level: 1, text: title, href: chapters[0].href });
+      }
+      zip.file(`${CONTENT_DIR}/nav.xhtml`, createNavDocument(navEntries, {
+        title,
+        language,
+        tocTitle: Localization.translate('epub_toc_title') || 'Contents',
+      }));
+      items.unshift({ id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' });
+
+      zip.file(`${CONTENT_DIR}/content.opf`, createPackageDocument({
+        identifier: `urn:uuid:${crypto.randomUUID()}`,
+        title,
+        language,
+        author: frontMatter?.author || '',
+        description: frontMatter?.description || '',
+        keywords: frontMatter?.keywords || [],
+        // Seconds precision without milliseconds, as EPUB requires
+        modified: new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+      }, items, spine));
+
+      const blob = await zip.generateAsync({
+        type: 'blob',
+        mimeType: EPUB_MIMETYPE,
+        compression: 'DEFLATE',
+      });
+      reportProgress();
+
+      await downloadBlob(blob, filename, EPUB_MIMETYPE);
+
+      return { success: true };
+    } catch (error) {
+      console.error('EPUB export error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a detached copy of the content without viewer-only state
+   * @param {HTMLElement} contentElement - Rendered content element
+   * @returns {HTMLElement} Detached clone
+   */
+  createContentClone(contentElement) {
+    const clone = contentElement.cloneNode(true);
+    clone.removeAttribute('style');
+    clone.querySelectorAll('.document-toc .active').forEach((element) => {
+      element.classList.remove('active');
+    });
+    removeSearchHighlights(clone);
+    resetDiagramZoom(clone);
+    return clone;
+  }
+
+  /**
+   * Replace a diagram with its PNG rendering
+   * Vector and live diagrams become images; PNG diagrams are re-rendered in
+   * light mode. Diagrams that fail to render keep their current form.
+   * @param {HTMLElement} block - Diagram element in the clone
+   * @param {Function} renderDiagramPng - Returns a Promise of the base64 PNG of a diagram id
+   */
+  async rasterizeDiagram(block, renderDiagramPng) {
+    try {
+      const base64 = await renderDiagramPng(block.id);
+      if (!base64) {
+        return;
+      }
+      const current = block.querySelector('img, svg');
+      const img = document.createElement('img');
+      img.src = `data:image/png;base64,${base64}`;
+      img.alt = block.getAttribute('aria-label') || current?.getAttribute('alt') || '';
+      const width = current?.getAttribute('width');
+      if (width) {
+        img.setAttribute('width', String(parseFloat(width)));
+      }
+      block.removeAttribute('role');
+      block.removeAttribute('aria-label');
+      block.replaceChildren(img);
+    } catch (error) {
+      console.warn('Failed to render diagram for EPUB:', error);
+    }
+  }
+
+  /**
+   * Replace KaTeX output with the MathML it carries
+   * @param {HTMLElement} container - Content clone
+   */
+  convertMath(container) {
+    container.querySelectorAll('.katex-display').forEach((display) => {
+      const math = display.querySelector('.katex-mathml math');
+      if (math) {
+        math.setAttribute('display', 'block');
+        display.replaceWith(math);
+      }
+    });
+    container.querySelectorAll('.katex').forEach((katex) => {
+      const math = katex.querySelector('.katex-mathml math');
+      if (math) {
+        katex.replaceWith(math);
+      }
+    });
+  }
+
+  /**
+   * Store an image in the book and point the element to it
+   * Images that cannot be read are replaced by their alt text, since EPUB
+   * reading systems do not load remote resources.
+   * @param {HTMLImageElement} img - Image element in the clone
+   * @param {Map<string, string>} images - Packaged paths by source URL
+   * @param {JSZip} zip - Book archive
+   * @param {Object[]} items - Manifest items
+   */
+  async packageImage(img, images, zip, items) {
+    const url = img.getAttribute('src');
+    try {
+      if (!images.has(url)) {
+        const { bytes, contentType } = await this.readImage(url);
+        const id = `image-${images.size + 1}`;
+        const href = `images/${id}.${IMAGE_EXTENSIONS[contentType]}`;
+        zip.file(`${CONTENT_DIR}/${href}`, bytes);
+        items.push({ id, href, mediaType: contentType });
+        images.set(url, href);
+      }
+      img.setAttribute('src', images.get(url));
+      img.removeAttribute('srcset');
+      if (!img.hasAttribute('alt')) {
+        img.setAttribute('alt', '');
+      }
+    } catch (error) {
+      console.warn('Failed to package image:', url, error);
+      img.replaceWith(document.createTextNode(img.getAttribute('alt') || ''));
+    }
+  }
+
+  /**
+   * Read image bytes from a data URL or through the background script
+   * @param {string} url - Image URL (data:, file://, http(s)://)
+   * @returns {Promise<{bytes: Uint8Array, contentType: string}>}
+   */
+  async readImage(url) {
+    let base64;
+    let headerType = '';
+    if (url.startsWith('data:')) {
+      const match = url.match(/^data:([^;,]+)[^,]*,(.+)$/);
+      if (!match) {
+        throw new Error('Invalid data URL format');
+      }
+      headerType = match[1];
+      base64 = match[2];
+    } else {
+      const response = await runtimeSendMessage({
+        type: 'READ_LOCAL_FILE',
+        filePath: new URL(url, document.baseURI).href,
+        binary: true
+      });
+      if (!response || response.error) {
+        throw new Error(response?.error || 'No response');
+      }
+      headerType = response.contentType;
+      base64 = response.content;
+    }
+
+    const contentType = this.resolveImageContentType(url, headerType);
+    if (!IMAGE_EXTENSIONS[contentType]) {
+      throw new Error(`Unsupported image type: ${contentType}`);
+    }
+
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return { bytes, contentType };
+  }
+
+  /**
+   * Determine image MIME type from the response header or the URL extension
+   * @param {string} url - Image URL
+   * @param {string} headerType - Content type reported by the fetch or data URL
+   * @returns {string} MIME type
+   */
+  resolveImageContentType(url, headerType) {
+    const mimeType = (headerType || '').split(';')[0].trim().toLowerCase();
+    if (mimeType.startsWith('image/')) {
+      return mimeType;
+    }
+
+    const ext = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    return IMAGE_CONTENT_TYPES[ext] || 'image/png';
+  }
+
+  /**
+   * Split the content into chapters at top-level H1 and H2 headings
+   * Headings directly after each other stay together, so a part title and its
+   * first chapter do not produce a page with nothing but a heading.
+   * @param {HTMLElement} container - Content clone
+   * @returns {Object[]} Chapters { id, href, element, heading }
+   */
+  splitChapters(container) {
+    const chapters = [];
+    let current = null;
+    let hasContent = false;
+
+    for (const node of Array.from(container.childNodes)) {
+      const isElement = node.nodeType === Node.ELEMENT_NODE;
+      const startsChapter = isElement && CHAPTER_HEADINGS.has(node.tagName);
+
+      if (!current || (startsChapter && hasContent)) {
+        const number = chapters.length + 1;
+        const element = document.createElement('div');
+        element.id = 'markdown-content';
+        current = { id: `chapter-${number}`, href: `chapter-${number}.xhtml`, element, heading: null };
+        chapters.push(current);
+        hasContent = false;
+      }
+
+      if (startsChapter && !current.heading) {
+        current.heading = node;
+      }
+      const isText = node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== '';
+      if ((isElement && !startsChapter) || isText) {
+        hasContent = true;
+      }
+      current.element.appendChild(node);
+    }
+
+    return chapters;
+  }
+
+  /**
+   * Map element ids to the chapter files holding them
+   * @param {Object[]} chapters - Chapters from splitChapters()
+   * @returns {Map<string, string>} Chapter href by element id
+   */
+  collectLinkTargets(chapters) {
+    const targets = new Map();
+    for (const chapter of chapters) {
+      chapter.element.querySelectorAll('[id]').forEach((element) => {
+        if (!targets.has(element.id)) {
+          targets.set(element.id, chapter.href);
+        }
+      });
+    }
+    return targets;
+  }
+
+  /**
+   * Point in-document links (TOC, footnotes, cross-references) to the chapter holding their target
+   * @param {Object[]} chapters - Chapters from splitChapters()
+   * @param {Map<string, string>} targets - Chapter href by element id
+   */
+  rewriteLinks(chapters, targets) {
+    for (const chapter of chapters) {
+      chapter.element.querySelectorAll('a[href^="#"]').forEach((link) => {
+        const id = link.getAttribute('href').slice(1);
+        const href = targets.get(id);
+        if (href && href !== chapter.href) {
+          link.setAttribute('href', `${href}#${id}`);
+        }
+      });
+    }
+  }
+}
+
+export default EpubExporter;
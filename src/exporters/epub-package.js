@@ -0,0 +1,138 @@
+// EPUB package documents
+// Builds the XML files of an EPUB 3 container: container.xml, the package
+// document (metadata, manifest, spine), the navigation document and chapter pages.
+
+import { escapeXml } from '../utils/xml.js';
+
+export const EPUB_MIMETYPE = 'application/epub+zip';
+
+/**
+ * Folder holding the package document and all publication resources
+ */
+export const CONTENT_DIR = 'OEBPS';
+
+/**
+ * Build META-INF/container.xml, which points reading systems to the package document
+ * @returns {string} XML document
+ */
+export function createContainerXml() {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="${CONTENT_DIR}/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+}
+
+/**
+ * Build the package document
+ * @param {Object} meta - { identifier, title, language, author, description, keywords, modified }
+ * @param {Object[]} items - Manifest items { id, href, mediaType, properties }
+ * @param {string[]} spine - Ids of the items in reading order
+ * @returns {string} XML document
+ */
+export function createPackageDocument(meta, items, spine) {
+  const metadata = [
+    `<dc:identifier id="book-id">${escapeXml(meta.identifier)}</dc:identifier>`,
+    `<dc:title>${escapeXml(meta.title)}</dc:title>`,
+    `<dc:language>${escapeXml(meta.language)}</dc:language>`,
+    `<meta property="dcterms:modified">${escapeXml(meta.modified)}</meta>`,
+  ];
+  if (meta.author) {
+    metadata.push(`<dc:creator>${escapeXml(meta.author)}</dc:creator>`);
+  }
+  if (meta.description) {
+    metadata.push(`<dc:description>${escapeXml(meta.description)}</dc:description>`);
+  }
+  for (const keyword of meta.keywords || []) {
+    metadata.push(`<dc:subject>${escapeXml(keyword)}</dc:subject>`);
+  }
+  metadata.push('<meta name="generator" content="Markdown Viewer Extension"/>');
+
+  const manifest = items.map(({ id, href, mediaType, properties }) => {
+    const propertiesAttribute = properties ? ` properties="${escapeXml(properties)}"` : '';
+    return `<item id="${escapeXml(id)}" href="${escapeXml(href)}" media-type="${escapeXml(mediaType)}"${propertiesAttribute}/>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(meta.language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    ${metadata.join('\n    ')}
+  </metadata>
+  <manifest>
+    ${manifest.join('\n    ')}
+  </manifest>
+  <spine>
+    ${spine.map(id => `<itemref idref="${escapeXml(id)}"/>`).join('\n    ')}
+  </spine>
+</package>
+`;
+}
+
+/**
+ * Build the nested list of the navigation document
+ * A heading nests under the closest previous heading of a higher level.
+ * @param {Object[]} entries - Headings in document order { level, text, href }
+ * @returns {string} XHTML `ol` markup, or an empty string without entries
+ */
+export function createNavList(entries) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  for (const entry of entries) {
+    while (stack[stack.length - 1].level >= entry.level) {
+      stack.pop();
+    }
+    const item = { ...entry, children: [] };
+    stack[stack.length - 1].children.push(item);
+    stack.push(item);
+  }
+
+  const renderList = (items, depth) => {
+    const indent = '  '.repeat(depth);
+    const lines = items.map((item) => {
+      const link = `<a href="${escapeXml(item.href)}">${escapeXml(item.text || item.href)}</a>`;
+      const children = item.children.length > 0 ? `\n${renderList(item.children, depth + 2)}\n${indent}  ` : '';
+      return `${indent}  <li>${link}${children}</li>`;
+    });
+    return `${indent}<ol>\n${lines.join('\n')}\n${indent}</ol>`;
+  };
+
+  return root.children.length > 0 ? renderList(root.children, 0) : '';
+}
+
+/**
+ * Build an XHTML content document
+ * @param {string} bodyMarkup - XHTML markup of the body
+ * @param {Object} options - { title, language, stylesheet } stylesheet path relative to the document
+ * @returns {string} XHTML document
+ */
+export function createXhtmlDocument(bodyMarkup, { title, language, stylesheet }) {
+  const styleLink = stylesheet ? `\n<link rel="stylesheet" type="text/css" href="${escapeXml(stylesheet)}"/>` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(title)}</title>${styleLink}
+</head>
+<body>
+${bodyMarkup}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the navigation document
+ * @param {Object[]} entries - Headings in document order { level, text, href }; EPUB requires at least one
+ * @param {Object} options - { title, language, tocTitle } tocTitle labels the table of contents
+ * @returns {string} XHTML document
+ */
+export function createNavDocument(entries, { title, language, tocTitle }) {
+  return createXhtmlDocument(`<nav epub:type="toc" id="toc">
+<h1>${escapeXml(tocTitle)}</h1>
+${createNavList(entries)}
+</nav>`, { title, language });
+}
@@ -0,0 +1,308 @@
+// HTML Exporter for Markdown Viewer Extension
+// Writes a single self-contained .html file: rendered content, viewer and theme CSS,
+// KaTeX fonts and every image/diagram inlined as data URIs
+
+import themeManager from '../utils/theme-manager.js';
+import { loadThemeCSS } from '../utils/theme-to-css.js';
+import { downloadBlob, runtimeSendMessage, encodeBytesToBase64 } from '../utils/file-download.js';
+import { removeSearchHighlights } from '../utils/document-search.js';
+import { resetDiagramZoom } from '../utils/diagram-zoom.js';
+
+const IMAGE_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+// Layout overrides: the exported page has no toolbar or TOC sidebar
+const EXPORT_LAYOUT_CSS = `body {
+  background-color: #f5f5f5;
+}
+
+#markdown-wrapper {
+  margin: 0;
+  padding: 20px 0;
+}
+
+#markdown-page {
+  display: block;
+  max-width: 1060px;
+  margin: 0 auto;
+}
+
+@media print {
+  body {
+    background: white;
+  }
+
+  #markdown-wrapper {
+    padding: 0;
+  }
+
+  #markdown-content {
+    box-shadow: none;
+  }
+}`;
+
+/**
+ * Main class for exporting the rendered document to a self-contained HTML file
+ */
+class HtmlExporter {
+  /**
+   * Export rendered markdown content to a self-contained HTML file
+   * @param {HTMLElement} contentElement - Rendered #markdown-content element
+   * @param {string} filename - Output filename (default: 'document.html')
+   * @param {Function} onProgress - Optional progress callback (completed, total)
+   * @param {Object} options - { frontMatter, colorMode } metadata and color mode of the current render
+   */
+  async exportToHtml(contentElement, filename = 'document.html', onProgress = null, options = {}) {
+    try {
+      const frontMatter = options.frontMatter || null;
+      const colorMode = options.colorMode || 'light';
+      const clone = this.createContentClone(contentElement);
+      const images = Array.from(clone.querySelectorAll('img[src]'));
+
+      // Stylesheets count as two steps, then one step per image
+      const total = images.length + 2;
+      let completed = 0;
+      const reportProgress = () => {
+        completed++;
+        if (onProgress) {
+          onProgress(completed, total);
+        }
+      };
+
+      const viewerCSS = await this.loadViewerCSS();
+      reportProgress();
+
+      const themeId = await themeManager.loadSelectedTheme();
+      const themeCSS = await loadThemeCSS(themeId, colorMode);
+      reportProgress();
+
+      for (const img of images) {
+        await this.inlineImage(img);
+        reportProgress();
+      }
+
+      const title = frontMatter?.title || filename.replace(/\.html?$/i, '');
+      const html = this.buildDocument(clone.innerHTML, {
+        title,
+        author: frontMatter?.author || '',
+        description: frontMatter?.description || '',
+        keywords: frontMatter?.keywords || [],
+        // Diagram images were rendered for this mode, so the page colors must match
+        colorMode,
+        styles: [viewerCSS, themeCSS, EXPORT_LAYOUT_CSS],
+      });
+
+      const blob = new Blob([html], { type: 'text/html' });
+      await downloadBlob(blob, filename, 'text/html');
+
+      return { success: true };
+    } catch (error) {
+      console.error('HTML export error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a detached copy of the content without viewer-only state
+   * @param {HTMLElement} contentElement - Rendered content element
+   * @returns {HTMLElement} Detached clone
+   */
+  createContentClone(contentElement) {
+    const clone = contentElement.cloneNode(true);
+
+    // Drop zoom and other inline layout applied by the viewer
+    clone.removeAttribute('style');
+    clone.querySelectorAll('[style*="scroll-margin-top"]').forEach((element) => {
+      element.style.removeProperty('scroll-margin-top');
+      if (!element.getAttribute('style')) {
+        element.removeAttribute('style');
+      }
+    });
+
+    // Active TOC highlighting is viewer state
+    clone.querySelectorAll('.document-toc .active').forEach((element) => {
+      element.classList.remove('active');
+    });
+    removeSearchHighlights(clone);
+    resetDiagramZoom(clone);
+
+    // Live charts keep their current SVG; their action menu needs the viewer's scripts
+    clone.querySelectorAll('.diagram-interactive details').forEach((element) => {
+      element.remove();
+    });
+
+    return clone;
+  }
+
+  /**
+   * Load the viewer stylesheet (layout, KaTeX, front matter, footnotes) with fonts inlined
+   * @returns {Promise<string>} CSS string
+   */
+  async loadViewerCSS() {
+    const response = await fetch(chrome.runtime.getURL('ui/styles.css'));
+    if (!response.ok) {
+      throw new Error(`Failed to load viewer styles: ${response.status}`);
+    }
+
+    // __MSG_@@extension_id__ is only substituted when Chrome injects the stylesheet
+    const extensionBase = chrome.runtime.getURL('');
+    const css = (await response.text()).replace(/chrome-extension:\/\/__MSG_@@extension_id__\//g, extensionBase);
+
+    return this.inlineFontFaces(css);
+  }
+
+  /**
+   * Inline @font-face sources as data URIs, keeping only the woff2 variant
+   * All supported browsers load woff2, so the other formats would only add size.
+   * @param {string} css - CSS string
+   * @returns {Promise<string>} CSS with inlined fonts
+   */
+  async inlineFontFaces(css) {
+    const fontUrls = new Set();
+    const fontFaceRegex = /@font-face\s*\{[^}]*\}/g;
+
+    for (const [rule] of css.matchAll(fontFaceRegex)) {
+      const match = rule.match(/url\(["']?([^"')]+\.woff2)["']?\)/);
+      if (match) {
+        fontUrls.add(match[1]);
+      }
+    }
+
+    const dataUrls = new Map();
+    for (const url of fontUrls) {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        dataUrls.set(url, `data:font/woff2;base64,${encodeBytesToBase64(bytes)}`);
+      } catch (error) {
+        console.warn('Failed to inline font:', url, error);
+      }
+    }
+
+    return css.replace(fontFaceRegex, (rule) => {
+      const match = rule.match(/url\(["']?([^"')]+\.woff2)["']?\)/);
+      if (!match || !dataUrls.has(match[1])) {
+        return rule;
+      }
+      return rule.replace(/src:[^;}]+/, `src:url("${dataUrls.get(match[1])}") format("woff2")`);
+    });
+  }
+
+  /**
+   * Replace an image source with a data URI
+   * Images that cannot be read keep their original URL.
+   * @param {HTMLImageElement} img - Image element in the clone
+   */
+  async inlineImage(img) {
+    const url = img.src;
+    if (!url || url.startsWith('data:')) {
+      return;
+    }
+
+    try {
+      const response = await runtimeSendMessage({
+        type: 'READ_LOCAL_FILE',
+        filePath: url,
+        binary: true
+      });
+
+      if (!response || response.error) {
+        throw new Error(response?.error || 'No response');
+      }
+
+      const contentType = this.resolveImageContentType(url, response.contentType);
+      img.setAttribute('src', `data:${contentType};base64,${response.content}`);
+      img.removeAttribute('srcset');
+    } catch (error) {
+      console.warn('Failed to inline image:', url, error);
+    }
+  }
+
+  /**
+   * Determine image MIME type from the response header or the URL extension
+   * @param {string} url - Image URL
+   * @param {string} headerType - Content-Type reported by the fetch
+   * @returns {string} MIME type
+   */
+  resolveImageContentType(url, headerType) {
+    const mimeType = (headerType || '').split(';')[0].trim();
+    if (mimeType.startsWith('image/')) {
+      return mimeType;
+    }
+
+    const ext = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    return IMAGE_CONTENT_TYPES[ext] || 'image/png';
+  }
+
+  /**
+   * Build the complete HTML document
+   * @param {string} contentHtml - Inner HTML of #markdown-content
+   * @param {Object} meta - { title, author, description, keywords, colorMode, styles }
+   * @returns {string} HTML document
+   */
+  buildDocument(contentHtml, meta) {
+    const lang = document.documentElement.lang || 'en';
+    const metaTags = [
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      '<meta name="generator" content="Markdown Viewer Extension">',
+    ];
+
+    if (meta.author) {
+      metaTags.push(`<meta name="author" content="${escapeAttribute(meta.author)}">`);
+    }
+    if (meta.description) {
+      metaTags.push(`<meta name="description" content="${escapeAttribute(meta.description)}">`);
+    }
+    if (meta.keywords.length > 0) {
+      metaTags.push(`<meta name="keywords" content="${escapeAttribute(meta.keywords.join(', '))}">`);
+    }
+
+    const styles = meta.styles.map(css => `<style>\n${css}\n</style>`).join('\n');
+    const bodyClass = meta.colorMode === 'dark' ? ' class="dark-mode"' : '';
+
+    return `<!DOCTYPE html>
+<html lang="${escapeAttribute(lang)}">
+<head>
+${metaTags.join('\n')}
+<title>${escapeAttribute(meta.title)}</title>
+${styles}
+</head>
+<body${bodyClass}>
+<div id="markdown-wrapper">
+<div id="markdown-page">
+<div id="markdown-content">
+${contentHtml}
+</div>
+</div>
+</div>
+</body>
+</html>
+`;
+  }
+}
+
+/**
+ * Escape text for use in HTML text and attribute values
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default HtmlExporter;
@@ -0,0 +1,591 @@
+// LaTeX Exporter for Markdown Viewer Extension
+// Converts the Markdown AST of the DOCX export to LaTeX source, zipped with
+// its images and rendered diagrams. Math is passed through verbatim.
+
+import JSZip from 'jszip';
+import { visit } from 'unist-util-visit';
+import DocxExporter, { applyRequestedImageSize, calculateImageDimensions, withContext } from './docx-exporter.js';
+import { splitTemplate } from './page-setup.js';
+import {
+  LATEX_ZIP_MIMETYPE,
+  escapeLatex,
+  escapeUrl,
+  containsCjk,
+  getSectionCommand,
+  getFontSizeOption,
+  createCodeListing,
+  createTabular,
+  createDocument,
+} from './latex-package.js';
+import themeManager from '../utils/theme-manager.js';
+import { getPluginForNode, renderNodeToCommon } from '../plugins/index.js';
+import { downloadBlob } from '../utils/file-download.js';
+import { isTocMarker } from '../utils/toc-marker.js';
+import { getDisplaySize } from '../utils/fence-options.js';
+import { getTableLayout } from '../utils/table-layout.js';
+
+// Image formats graphicx includes directly; others are converted to PNG
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'application/pdf': 'pdf',
+};
+
+const ALIGNMENT_ENVIRONMENTS = { left: 'flushleft', center: 'center', right: 'flushright' };
+
+// Nodes that do not appear in the text, skipped when looking for a title heading
+const NON_CONTENT_TYPES = new Set(['yaml', 'definition', 'footnoteDefinition']);
+
+/**
+ * Main class for exporting Markdown to LaTeX
+ */
+class LatexExporter {
+  constructor(renderer = null) {
+    this.renderer = renderer; // ExtensionRenderer instance for rendering diagrams
+    this.docxExporter = new DocxExporter(renderer); // See DocxExporter.prepareExport
+    this.themeStyles = null;
+    this.context = null; // Position of the blocks being converted
+  }
+
+  /**
+   * Export markdown content to a zip with a .tex file and its images
+   * @param {string} markdown - Raw markdown content
+   * @param {string} filename - Output filename (default: 'document.zip'); the .tex file takes its base name
+   * @param {Function} onProgress - Optional progress callback (completed, total)
+   */
+  async exportToLatex(markdown, filename = 'document.zip', onProgress = null) {
+    try {
+      const docx = this.docxExporter;
+      const { ast, frontMatter, settings, themeStyles, pageSetup, imageBounds } = await docx.prepareExport(markdown, onProgress);
+      this.frontMatter = frontMatter;
+      this.themeStyles = themeStyles;
+      this.pageSetup = pageSetup;
+      this.imageBounds = imageBounds;
+      const theme = themeManager.getCurrentTheme();
+      this.codePackage = settings.latexCodePackage === 'minted' ? 'minted' : 'listings';
+      // Numbered heading levels, 0 (unnumbered) to 3: the popup setting overrides the
+      // theme's `headingNumbering`, e.g. `"headingNumbering": { "levels": 3 }` in the academic theme
+      const numberingSetting = settings.latexSectionNumbering ?? '';
+      const numberingLevels = Math.min(Math.max(
+        Number(numberingSetting === '' ? theme?.headingNumbering?.levels : numberingSetting) || 0, 0), 3);
+
+      this.zip = new JSZip();
+      this.features = new Set();
+      this.counters = { image: 0 };
+      this.footnoteLabels = new Map();
+      this.context = { inNote: false, inFigure: false };
+      this.tocInserted = false;
+
+      this.resolveHeadingLevels(ast);
+
+      const body = (await this.convertBlocks(ast.children)).join('\n\n');
+      const baseName = filename.replace(/\.zip$/i, '');
+      const title = this.frontMatter?.title || (this.titleHeading ? docx.extractText(this.titleHeading) : '');
+      const titleMarkup = this.frontMatter?.title ? escapeLatex(this.frontMatter.title) : this.titleMarkup;
+
+      const source = createDocument({
+        body,
+        fontSize: getFontSizeOption(theme?.fontScheme?.body?.fontSize),
+        pageSetup: this.pageSetup,
+        cjk: containsCjk(markdown),
+        numberingLevels,
+        codePackage: this.codePackage,
+        features: this.features,
+        metadata: {
+          title: titleMarkup,
+          author: escapeLatex(this.frontMatter?.author || ''),
+          date: escapeLatex(this.frontMatter?.date || ''),
+          pdfTitle: title,
+          pdfAuthor: this.frontMatter?.author || '',
+          subject: this.frontMatter?.subject || '',
+          keywords: this.frontMatter?.keywords || [],
+        },
+        abstract: escapeLatex(this.frontMatter?.description || ''),
+        tableOfContents: Boolean(settings.docxIncludeToc) && !this.tocInserted,
+        header: this.createHeaderFooter(this.pageSetup.header, title || baseName),
+        footer: this.createHeaderFooter(this.pageSetup.footer, title || baseName),
+      });
+      this.zip.file(`${baseName}.tex`, source);
+
+      const blob = await this.zip.generateAsync({
+        type: 'blob',
+        mimeType: LATEX_ZIP_MIMETYPE,
+        compression: 'DEFLATE',
+      });
+
+      await downloadBlob(blob, filename, LATEX_ZIP_MIMETYPE);
+
+      return { success: true };
+    } catch (error) {
+      console.error('LaTeX export error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.zip = null;
+      this.docxExporter.progressCallback = null;
+    }
+  }
+
+  /**
+   * Pick the title heading and the heading level that maps to \section
+   * Without a front matter title, an H1 opening the document becomes the title
+   * when it is the only H1; the shallowest remaining level becomes \section.
+   * @param {Object} ast - Document AST
+   */
+  resolveHeadingLevels(ast) {
+    const headings = [];
+    visit(ast, 'heading', (node) => {
+      headings.push(node);
+    });
+
+    const firstBlock = ast.children.find(node => !NON_CONTENT_TYPES.has(node.type));
+    const isOnlyH1 = headings.filter(node => node.depth === 1).length === 1;
+    this.titleHeading = !this.frontMatter?.title && firstBlock?.type === 'heading' && firstBlock.depth === 1 && isOnlyH1
+      ? firstBlock
+      : null;
+    this.titleMarkup = '';
+
+    const depths = headings.filter(node => node !== this.titleHeading).map(node => node.depth);
+    this.topDepth = depths.length > 0 ? Math.min(...depths) : 1;
+  }
+
+  /**
+   * Convert a sequence of block nodes
+   * @param {Array} nodes - Block AST nodes
+   * @returns {Promise<string[]>} Markup of the blocks that produce output
+   */
+  async convertBlocks(nodes) {
+    const blocks = [];
+    for (const node of nodes) {
+      const markup = await this.convertNode(node);
+      if (markup) {
+        blocks.push(markup);
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * Convert a single block node
+   * @param {Object} node - Block AST node
+   * @returns {Promise<string>} Block markup
+   */
+  async convertNode(node) {
+    // Diagrams, charts and HTML blocks render through their plugins
+    const plugin = getPluginForNode(node);
+    if (plugin) {
+      const renderResult = await renderNodeToCommon(node, this.renderer);
+      this.docxExporter.reportResourceProgress();
+      if (renderResult) {
+        return this.convertPluginResult(renderResult, plugin.type, false);
+      }
+    }
+
+    switch (node.type) {
+      case 'heading':
+        return this.convertHeading(node);
+
+      case 'paragraph':
+        if (isTocMarker(node)) {
+          this.tocInserted = true;
+          return '\\tableofcontents';
+        }
+        return this.convertInlineNodes(node.children);
+
+      case 'list':
+        return this.convertList(node);
+
+      case 'code':
+        this.features.add('code');
+        return createCodeListing(node.value, node.lang, this.codePackage);
+
+      case 'blockquote': {
+        const blocks = await this.convertBlocks(node.children);
+        return `\\begin{quote}\n${blocks.join('\n\n')}\n\\end{quote}`;
+      }
+
+      case 'table':
+        return `\\begin{center}\n${await this.convertTable(node)}\n\\end{center}`;
+
+      case 'figure':
+        return this.convertFigure(node);
+
+      case 'thematicBreak':
+        return '\\begin{center}\n\\rule{0.5\\linewidth}{0.4pt}\n\\end{center}';
+
+      case 'html':
+        // Keep raw HTML as a comment for the author to convert
+        return node.value.split('\n').map(line => `% ${line}`).join('\n');
+
+      case 'math':
+        // Environments such as align bring their own math mode
+        return /^\s*\\begin\{/.test(node.value) ? node.value.trim() : `\\[\n${node.value.trim()}\n\\]`;
+
+      default:
+        // Footnote and link definitions are resolved at their references
+        return '';
+    }
+  }
+
+  /**
+   * Convert a plugin render result (see BasePlugin.renderToCommon)
+   * Rendered diagrams are saved as PNG files next to the .tex file.
+   * @param {Object} renderResult - Unified render result
+   * @param {string} pluginType - Plugin type, used for file names
+   * @param {boolean} inline - Inside a paragraph
+   * @returns {string} Graphic markup
+   */
+  convertPluginResult(renderResult, pluginType, inline) {
+    if (renderResult.type === 'error') {
+      return `\\textcolor{red}{\\emph{${escapeLatex(renderResult.content.text)}}}`;
+    }
+    if (renderResult.type !== 'image') {
+      return '';
+    }
+
+    const { data, width, height } = renderResult.content;
+    const scaled = getDisplaySize(width, height, renderResult.display);
+    const path = this.addImage(data, pluginType, 'png');
+    const graphic = this.createGraphic(path, scaled);
+
+    if (inline || renderResult.display.inline || this.context.inFigure) {
+      return graphic;
+    }
+    const environment = ALIGNMENT_ENVIRONMENTS[renderResult.display.alignment] || 'center';
+    return `\\begin{${environment}}\n${graphic}\n\\end{${environment}}`;
+  }
+
+  /**
+   * Store an image in the images folder
+   * @param {Uint8Array} data - Image data
+   * @param {string} prefix - File name prefix
+   * @param {string} extension - File extension
+   * @returns {string} Path relative to the .tex file
+   */
+  addImage(data, prefix, extension) {
+    const path = `images/${prefix}-${++this.counters.image}.${extension}`;
+    this.zip.file(path, data);
+    return path;
+  }
+
+  /**
+   * Create an \includegraphics command sized like the other exports
+   * @param {string} path - Image path
+   * @param {Object} size - Display size {width, height} in pixels
+   * @returns {string} Graphic markup
+   */
+  createGraphic(path, size) {
+    const { width } = calculateImageDimensions(size.width, size.height, this.imageBounds);
+    const inches = width / 96;
+    const widthOption = inches >= this.pageSetup.contentWidth - 0.01
+      ? 'width=\\linewidth'
+      : `width=${Number(inches.toFixed(2))}in`;
+    return `\\includegraphics[${widthOption}]{${path}}`;
+  }
+
+  /**
+   * Convert heading node to a sectioning command labelled for in-document links
+   * Headings are numbered through secnumdepth, set from the theme or the LaTeX heading numbers setting (see createDocument).
+   */
+  async convertHeading(node) {
+    const content = await this.convertInlineNodes(node.children);
+    if (node === this.titleHeading) {
+      this.titleMarkup = content;
+      return '';
+    }
+
+    // Footnotes cannot move to the table of contents; give it the plain text
+    let shortTitle = '';
+    visit(node, 'footnoteReference', () => {
+      shortTitle = `[${escapeLatex(this.docxExporter.extractText(node))}]`;
+    });
+
+    const command = getSectionCommand(node.depth - this.topDepth);
+    const label = this.docxExporter.headingBookmarks?.get(node);
+    return `\\${command}${shortTitle}{${content}}${label ? `\\label{${label}}` : ''}`;
+  }
+
+  /**
+   * Convert inline nodes (text, emphasis, strong, etc.)
+   * @param {Array} nodes - Inline AST nodes
+   * @returns {Promise<string>} Inline markup
+   */
+  async convertInlineNodes(nodes) {
+    let markup = '';
+    for (const node of nodes) {
+      markup += await this.convertInlineNode(node);
+    }
+    return markup;
+  }
+
+  /**
+   * Convert single inline node
+   */
+  async convertInlineNode(node) {
+    const plugin = getPluginForNode(node);
+    if (plugin) {
+      const renderResult = await renderNodeToCommon(node, this.renderer);
+      this.docxExporter.reportResourceProgress();
+      if (renderResult) {
+        return this.convertPluginResult(renderResult, plugin.type, true);
+      }
+    }
+
+    switch (node.type) {
+      case 'text':
+        return escapeLatex(node.value);
+
+      case 'strong':
+        return `\\textbf{${await this.convertInlineNodes(node.children)}}`;
+
+      case 'emphasis':
+        return `\\emph{${await this.convertInlineNodes(node.children)}}`;
+
+      case 'delete':
+        this.features.add('strikethrough');
+        return `\\sout{${await this.convertInlineNodes(node.children)}}`;
+
+      case 'inlineCode':
+        return `\\texttt{${escapeLatex(node.value)}}`;
+
+      case 'link':
+        return this.createHyperlink(await this.convertInlineNodes(node.children), node.url || '');
+
+      case 'linkReference': {
+        const definition = this.docxExporter.linkDefinitions?.get(node.identifier.toLowerCase());
+        return this.createHyperlink(await this.convertInlineNodes(node.children), definition?.url || '');
+      }
+
+      case 'image':
+        return this.convertImage(node);
+
+      case 'inlineMath':
+        return `$${node.value}$`;
+
+      case 'footnoteReference':
+        return this.convertFootnoteReference(node);
+
+      case 'crossReference':
+        return this.convertCrossReference(node);
+
+      case 'break':
+        return '\\newline\n';
+
+      case 'html': {
+        const htmlValue = node.value?.trim() || '';
+        if (/^<br\s*\/?>$/i.test(htmlValue)) {
+          return '\\newline\n';
+        }
+        // For other inline HTML, keep the text (strip tags)
+        return escapeLatex(htmlValue.replace(/<[^>]+>/g, ''));
+      }
+
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Create hyperlink; in-document anchors (#slug) link to heading labels
+   * @param {string} content - Link content markup
+   * @param {string} url - Link target
+   * @returns {string} Link markup
+   */
+  createHyperlink(content, url) {
+    if (!url) {
+      return content;
+    }
+
+    if (url.startsWith('#')) {
+      const label = this.docxExporter.resolveAnchor(url);
+      // Unknown anchor: keep the text without a broken link
+      return label ? `\\hyperref[${label}]{${content}}` : content;
+    }
+
+    return `\\href{${escapeUrl(url)}}{${content}}`;
+  }
+
+  /**
+   * Convert a figure/table cross-reference to a \ref of the caption label
+   */
+  convertCrossReference(node) {
+    const label = this.docxExporter.captionBookmarks?.get(node.identifier);
+    if (!label) {
+      return escapeLatex(node.value);
+    }
+    const name = node.value.replace(/\s*\d+$/, '');
+    return `${escapeLatex(name)}~\\ref{${label}}`;
+  }
+
+  /**
+   * Convert footnote reference to \footnote
+   * The note body is written at its first reference; later references repeat its number.
+   */
+  async convertFootnoteReference(node) {
+    const identifier = node.identifier.toLowerCase();
+    const definition = this.docxExporter.footnoteDefinitions?.get(identifier);
+    const existingLabel = this.footnoteLabels.get(identifier);
+
+    if (existingLabel) {
+      return `\\textsuperscript{\\ref{${existingLabel}}}`;
+    }
+
+    // Keep the marker as plain text when the definition is missing; notes cannot nest
+    if (!definition || this.context.inNote) {
+      return escapeLatex(`[^${node.label || node.identifier}]`);
+    }
+
+    const label = `fn:${this.footnoteLabels.size + 1}`;
+    this.footnoteLabels.set(identifier, label);
+    const blocks = await withContext(this, { inNote: true }, () => this.convertBlocks(definition.children));
+    return `\\footnote{\\label{${label}}${blocks.join('\n\n')}}`;
+  }
+
+  /**
+   * Convert image node
+   * Formats graphicx cannot include (SVG, GIF, WebP, ...) are converted to PNG.
+   * @param {object} node - Image node ({url, alt}, HTML images may add width/height in pixels)
+   */
+  async convertImage(node) {
+    try {
+      const { buffer, contentType } = await this.docxExporter.fetchImageAsBuffer(node.url);
+      const naturalSize = await this.docxExporter.getImageDimensions(buffer, contentType);
+      const size = applyRequestedImageSize(naturalSize, node);
+
+      let data = buffer;
+      let extension = IMAGE_EXTENSIONS[contentType];
+      if (!extension) {
+        data = await this.docxExporter.rasterizeImage(buffer, contentType, size);
+        extension = 'png';
+      }
+      this.docxExporter.reportResourceProgress();
+
+      return this.createGraphic(this.addImage(data, 'image', extension), size);
+    } catch (error) {
+      console.warn('Failed to load image:', node.url, error);
+      this.docxExporter.reportResourceProgress();
+      return `\\emph{${escapeLatex(`[${node.alt || node.url}]`)}}`;
+    }
+  }
+
+  /**
+   * Convert list node to itemize or enumerate
+   * Task items get a checkbox label, also inside ordered lists.
+   */
+  async convertList(node) {
+    const environment = node.ordered ? 'enumerate' : 'itemize';
+    let options = '';
+    if (node.ordered && node.start > 1) {
+      this.features.add('enumitem');
+      options = `[start=${node.start}]`;
+    }
+
+    const items = [];
+    for (const item of node.children) {
+      const isTaskList = item.checked !== null && item.checked !== undefined;
+      const label = isTaskList ? `[${item.checked ? '$\\boxtimes$' : '$\\square$'}]` : '';
+      const blocks = await this.convertBlocks(item.children);
+      items.push(`\\item${label} ${blocks.join('\n\n')}`.trimEnd());
+    }
+
+    return `\\begin{${environment}}${options}\n${items.join('\n')}\n\\end{${environment}}`;
+  }
+
+  /**
+   * Convert table node to a tabular
+   * Themes with borders on every cell get a ruled grid, others booktabs rules;
+   * header cells are bold when the theme's table header is.
+   */
+  async convertTable(node) {
+    const docx = this.docxExporter;
+    const tableStyles = this.themeStyles.tableStyles;
+    const alignments = node.align || [];
+
+    // Directive options, delimiter row widths and `<<`/`^^` merges (see table-layout.js)
+    const {
+      tableRows, rowCount, columnCount, headerRowCount, widths, spans
+    } = getTableLayout(node, cell => docx.extractText(cell));
+
+    const rows = [];
+    for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+      const cells = [];
+      for (let colIndex = 0; colIndex < columnCount; colIndex++) {
+        const cell = tableRows[rowIndex].children[colIndex];
+        const span = cell ? spans[rowIndex][colIndex] : { rowSpan: 1, colSpan: 1 };
+        if (!span) {
+          cells.push({ content: '', span: null });
+          continue;
+        }
+
+        let content = cell ? await this.convertInlineNodes(cell.children) : '';
+        if (content && rowIndex < headerRowCount && tableStyles.header?.bold) {
+          content = `\\textbf{${content}}`;
+        }
+        cells.push({ content, span });
+      }
+      rows.push(cells);
+    }
+
+    this.features.add('table');
+    return createTabular({
+      alignments: Array.from({ length: columnCount }, (_, index) => alignments[index] || null),
+      widths,
+      rows,
+      headerRowCount,
+      grid: Boolean(tableStyles.borders?.all),
+    });
+  }
+
+  /**
+   * Convert a captioned figure or table (see captions.js) to a float
+   * LaTeX numbers the caption; its label is the target of cross-references.
+   */
+  async convertFigure(node) {
+    const caption = node.children.find(child => child.type === 'caption');
+    const parts = [];
+
+    for (const child of node.children) {
+      if (child.type === 'caption') {
+        const content = child.children.filter(captionChild => captionChild.type !== 'captionLabel');
+        const label = node.identifier ? this.docxExporter.captionBookmarks?.get(node.identifier) : null;
+        parts.push(`\\caption{${await this.convertInlineNodes(content)}}${label ? `\\label{${label}}` : ''}`);
+      } else if (child.type === 'table') {
+        parts.push(await this.convertTable(child));
+      } else {
+        parts.push(await withContext(this, { inFigure: true }, () => this.convertNode(child)));
+      }
+    }
+
+    const environment = (caption?.kind || node.kind) === 'table' ? 'table' : 'figure';
+    return `\\begin{${environment}}[htbp]\n\\centering\n${parts.filter(Boolean).join('\n')}\n\\end{${environment}}`;
+  }
+
+  /**
+   * Create header or footer content from a template with {page}, {pages}, {title} and {date} tokens
+   * @param {string} template - Template string (empty for none)
+   * @param {string} title - Document title
+   * @returns {string} Header or footer markup, empty for none
+   */
+  createHeaderFooter(template, title) {
+    const date = this.frontMatter?.date || new Date().toLocaleDateString();
+    return splitTemplate(template.trim()).map((part) => {
+      if (part.type === 'text') {
+        return escapeLatex(part.value);
+      }
+      switch (part.value) {
+        case 'page':
+          return '\\thepage';
+        case 'pages':
+          this.features.add('lastpage');
+          return '\\pageref{LastPage}';
+        case 'title':
+          return escapeLatex(title);
+        case 'date':
+          return escapeLatex(date);
+        default:
+          return '';
+      }
+    }).join('');
+  }
+}
+
+export default LatexExporter;
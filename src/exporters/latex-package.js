@@ -0,0 +1,390 @@
+// LaTeX source builders for the LaTeX exporter
+// Escaping, sectioning, tabular and code listing environments and the
+// preamble of a standalone article compiled with XeLaTeX or LuaLaTeX.
+
+export const LATEX_ZIP_MIMETYPE = 'application/zip';
+
+/**
+ * Sectioning commands of the article class, from the top level down
+ */
+export const SECTION_COMMANDS = ['section', 'subsection', 'subsubsection', 'paragraph', 'subparagraph'];
+
+/**
+ * Languages known to the listings package, by fence language
+ * Other languages are listed without highlighting; listings fails on unknown names.
+ */
+export const LISTINGS_LANGUAGES = {
+  bash: 'bash',
+  sh: 'bash',
+  shell: 'bash',
+  c: 'C',
+  cpp: 'C++',
+  'c++': 'C++',
+  cs: '[Sharp]C',
+  csharp: '[Sharp]C',
+  fortran: 'Fortran',
+  haskell: 'Haskell',
+  html: 'HTML',
+  java: 'Java',
+  latex: '[LaTeX]TeX',
+  tex: '[LaTeX]TeX',
+  lua: 'Lua',
+  matlab: 'Matlab',
+  pascal: 'Pascal',
+  perl: 'Perl',
+  php: 'PHP',
+  py: 'Python',
+  python: 'Python',
+  r: 'R',
+  rb: 'Ruby',
+  ruby: 'Ruby',
+  sql: 'SQL',
+  xml: 'XML',
+};
+
+const SPECIAL_CHARACTERS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  $: '\\$',
+  '&': '\\&',
+  '#': '\\#',
+  '%': '\\%',
+  _: '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+};
+
+const PAPER_OPTIONS = {
+  a4: 'a4paper',
+  letter: 'letterpaper',
+  legal: 'legalpaper',
+};
+
+const COLUMN_TYPES = { left: 'l', center: 'c', right: 'r' };
+const PARAGRAPH_ALIGNMENTS = { left: '\\raggedright', center: '\\centering', right: '\\raggedleft' };
+
+const CJK_REGEX = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/;
+
+/**
+ * Escape text for LaTeX
+ * @param {string} text - Plain text
+ * @returns {string} Text with special characters replaced by commands
+ */
+export function escapeLatex(text) {
+  return String(text ?? '').replace(/[\\{}$&#%_~^]/g, character => SPECIAL_CHARACTERS[character]);
+}
+
+/**
+ * Escape a URL for \href and \url
+ * Braces and backslashes are percent-encoded; `%` and `#` are escaped.
+ * @param {string} url - URL
+ * @returns {string} URL argument
+ */
+export function escapeUrl(url) {
+  return String(url ?? '')
+    .replace(/[\\{}]/g, character => encodeURIComponent(character))
+    .replace(/[%#]/g, character => `\\${character}`);
+}
+
+/**
+ * Check whether text needs CJK font support
+ * @param {string} text - Document text
+ * @returns {boolean} True if Chinese, Japanese or Korean characters occur
+ */
+export function containsCjk(text) {
+  return CJK_REGEX.test(text || '');
+}
+
+/**
+ * Get the sectioning command for a heading level
+ * @param {number} level - Level below the top heading level (0 = section)
+ * @returns {string} Command name; levels below subparagraph stay subparagraphs
+ */
+export function getSectionCommand(level) {
+  return SECTION_COMMANDS[Math.max(0, Math.min(level, SECTION_COMMANDS.length - 1))];
+}
+
+/**
+ * Pick the article class font size closest to the theme body size
+ * @param {string} fontSize - Theme font size, e.g. "12pt"
+ * @returns {string} Class option: 10pt, 11pt or 12pt
+ */
+export function getFontSizeOption(fontSize) {
+  const size = parseFloat(fontSize);
+  if (!Number.isFinite(size) || size < 10.75) {
+    return '10pt';
+  }
+  return size < 11.75 ? '11pt' : '12pt';
+}
+
+/**
+ * Create a code listing environment
+ * @param {string} code - Source code, kept verbatim
+ * @param {string} language - Fence language
+ * @param {string} codePackage - 'listings' or 'minted'
+ * @returns {string} Environment markup
+ */
+export function createCodeListing(code, language, codePackage = 'listings') {
+  const source = String(code ?? '').replace(/\n+$/, '');
+  const name = String(language || '').toLowerCase();
+
+  if (codePackage === 'minted') {
+    const lexer = /^[\w+#.-]+$/.test(name) ? name : 'text';
+    return `\\begin{minted}{${lexer}}\n${source}\n\\end{minted}`;
+  }
+
+  const listingsLanguage = LISTINGS_LANGUAGES[name];
+  const options = listingsLanguage ? `[language=${listingsLanguage}]` : '';
+  return `\\begin{lstlisting}${options}\n${source}\n\\end{lstlisting}`;
+}
+
+/**
+ * Get the column type of a tabular column
+ * @param {string|null} alignment - 'left', 'center', 'right' or null
+ * @param {number} [width] - Fraction of the line width; fixed-width columns wrap their text
+ * @returns {string} Column specification
+ */
+function getColumnType(alignment, width) {
+  if (!width) {
+    return COLUMN_TYPES[alignment] || 'l';
+  }
+  const paragraphAlignment = PARAGRAPH_ALIGNMENTS[alignment] || PARAGRAPH_ALIGNMENTS.left;
+  return `>{${paragraphAlignment}\\arraybackslash}p{\\dimexpr ${width.toFixed(3)}\\linewidth-2\\tabcolsep\\relax}`;
+}
+
+/**
+ * Create a tabular environment
+ * Merged cells use \multicolumn and \multirow; rows below a merged origin get an
+ * empty cell for the region.
+ * @param {Object} options - Table options
+ * @param {Array<string|null>} options.alignments - Alignment per column
+ * @param {number[]|null} options.widths - Column width fractions, or null for natural widths
+ * @param {Array<Array<{content: string, span: Object|null}>>} options.rows - Cell markup and span
+ *   ({rowSpan, colSpan} as from computeTableSpans, null for merged-away cells)
+ * @param {number} options.headerRowCount - Rows above the header rule
+ * @param {boolean} options.grid - Rule every row and column instead of booktabs rules
+ * @returns {string} Environment markup
+ */
+export function createTabular({ alignments, widths = null, rows, headerRowCount = 1, grid = false }) {
+  const columnCount = alignments.length;
+  const separator = grid ? '|' : '';
+  const columnTypes = alignments.map((alignment, index) => getColumnType(alignment, widths?.[index]));
+
+  // Merged region covering each cell
+  const regions = rows.map(row => row.map(() => null));
+  rows.forEach((row, rowIndex) => {
+    row.forEach((cell, colIndex) => {
+      const span = cell?.span;
+      if (!span || (span.rowSpan === 1 && span.colSpan === 1)) {
+        return;
+      }
+      for (let r = rowIndex; r < Math.min(rowIndex + span.rowSpan, rows.length); r++) {
+        for (let c = colIndex; c < Math.min(colIndex + span.colSpan, columnCount); c++) {
+          regions[r][c] = { row: rowIndex, col: colIndex, span };
+        }
+      }
+    });
+  });
+
+  const multicolumn = (colIndex, colSpan, content) => {
+    const alignment = COLUMN_TYPES[alignments[colIndex]] || 'l';
+    const left = grid && colIndex === 0 ? '|' : '';
+    return `\\multicolumn{${colSpan}}{${left}${alignment}${separator}}{${content}}`;
+  };
+
+  // Rule below a row; grid rules skip columns of regions continuing into the next row
+  const ruleAfter = (rowIndex) => {
+    if (!grid) {
+      if (rowIndex === rows.length - 1) {
+        return '\\bottomrule';
+      }
+      return rowIndex === headerRowCount - 1 ? '\\midrule' : '';
+    }
+    if (rowIndex === rows.length - 1) {
+      return '\\hline';
+    }
+
+    const ruled = [];
+    for (let colIndex = 0; colIndex < columnCount; colIndex++) {
+      const region = regions[rowIndex + 1]?.[colIndex];
+      if (!region || region.row > rowIndex) {
+        ruled.push(colIndex + 1);
+      }
+    }
+    if (ruled.length === columnCount) {
+      return '\\hline';
+    }
+
+    const ranges = [];
+    for (const column of ruled) {
+      const last = ranges[ranges.length - 1];
+      if (last && last[1] === column - 1) {
+        last[1] = column;
+      } else {
+        ranges.push([column, column]);
+      }
+    }
+    return ranges.map(([first, last]) => `\\cline{${first}-${last}}`).join('');
+  };
+
+  const lines = [`\\begin{tabular}{${separator}${columnTypes.join(separator)}${separator}}`, grid ? '\\hline' : '\\toprule'];
+
+  rows.forEach((row, rowIndex) => {
+    const cells = [];
+    for (let colIndex = 0; colIndex < columnCount; colIndex++) {
+      const region = regions[rowIndex][colIndex];
+      if (region && (region.row !== rowIndex || region.col !== colIndex)) {
+        if (region.row !== rowIndex && region.col === colIndex) {
+          cells.push(region.span.colSpan > 1 ? multicolumn(colIndex, region.span.colSpan, '') : '');
+        }
+        continue;
+      }
+
+      const cell = row[colIndex];
+      const span = cell?.span || { rowSpan: 1, colSpan: 1 };
+      let content = cell?.content ?? '';
+      if (span.rowSpan > 1) {
+        content = `\\multirow{${span.rowSpan}}{*}{${content}}`;
+      }
+      cells.push(span.colSpan > 1 ? multicolumn(colIndex, span.colSpan, content) : content);
+    }
+
+    lines.push(`${cells.join(' & ')} \\\\`);
+    const rule = ruleAfter(rowIndex);
+    if (rule) {
+      lines.push(rule);
+    }
+  });
+
+  lines.push('\\end{tabular}');
+  return lines.join('\n');
+}
+
+/**
+ * Create the geometry package options for a page setup
+ * @param {Object} pageSetup - Result of resolvePageSetup()
+ * @returns {string} Package options
+ */
+function createGeometryOptions(pageSetup) {
+  const { margins } = pageSetup;
+  const options = [PAPER_OPTIONS[pageSetup.paperSize] || PAPER_OPTIONS.a4];
+  if (pageSetup.orientation === 'landscape') {
+    options.push('landscape');
+  }
+  for (const side of ['top', 'bottom', 'left', 'right']) {
+    options.push(`${side}=${Number(margins[side].toFixed(3))}in`);
+  }
+  return options.join(',');
+}
+
+/**
+ * Create the complete .tex document
+ * @param {Object} options - Document options
+ * @param {string} options.body - Converted body
+ * @param {string} options.fontSize - Class font size option
+ * @param {Object} options.pageSetup - Result of resolvePageSetup()
+ * @param {boolean} options.cjk - Load ctex for Chinese, Japanese and Korean text
+ * @param {number} options.numberingLevels - Numbered heading levels (0 for unnumbered headings)
+ * @param {string} options.codePackage - 'listings' or 'minted'
+ * @param {Set<string>} options.features - Used features: 'table', 'code', 'strikethrough', 'enumitem', 'lastpage'
+ * @param {Object} options.metadata - { title, author, date } as markup, { pdfTitle, pdfAuthor, subject, keywords } as text
+ * @param {string} options.abstract - Abstract markup (empty for none)
+ * @param {boolean} options.tableOfContents - Insert a table of contents before the body
+ * @param {string} options.header - Header markup (empty for none)
+ * @param {string} options.footer - Footer markup (empty for none)
+ * @returns {string} LaTeX source
+ */
+export function createDocument({
+  body,
+  fontSize = '11pt',
+  pageSetup,
+  cjk = false,
+  numberingLevels = 0,
+  codePackage = 'listings',
+  features = new Set(),
+  metadata = {},
+  abstract = '',
+  tableOfContents = false,
+  header = '',
+  footer = '',
+}) {
+  const useMinted = codePackage === 'minted' && features.has('code');
+  const lines = [
+    '% Generated by Markdown Viewer',
+    `% Compile with XeLaTeX or LuaLaTeX${useMinted ? ' and -shell-escape (minted runs Pygments)' : ''}`,
+    `\\documentclass[${fontSize}]{article}`,
+    cjk ? '\\usepackage[UTF8]{ctex}' : '\\usepackage{fontspec}',
+    `\\usepackage[${createGeometryOptions(pageSetup)}]{geometry}`,
+    '\\usepackage{amsmath,amssymb}',
+    '\\usepackage{graphicx}',
+    '\\usepackage{xcolor}',
+  ];
+
+  if (features.has('table')) {
+    lines.push('\\usepackage{array,booktabs,multirow}');
+  }
+  if (features.has('code')) {
+    if (useMinted) {
+      lines.push('\\usepackage{minted}', '\\setminted{breaklines,fontsize=\\small,frame=single}');
+    } else {
+      lines.push(
+        '\\usepackage{listings}',
+        '\\lstset{basicstyle=\\ttfamily\\small,breaklines=true,columns=fullflexible,keepspaces=true,frame=single,keywordstyle=\\bfseries,commentstyle=\\itshape\\color{gray},stringstyle=\\color{teal}}'
+      );
+    }
+  }
+  if (features.has('strikethrough')) {
+    lines.push('\\usepackage[normalem]{ulem}');
+  }
+  if (features.has('enumitem')) {
+    lines.push('\\usepackage{enumitem}');
+  }
+  if (header || footer) {
+    if (features.has('lastpage')) {
+      lines.push('\\usepackage{lastpage}');
+    }
+    lines.push(
+      '\\usepackage{fancyhdr}',
+      '\\pagestyle{fancy}',
+      '\\fancyhf{}',
+      '\\renewcommand{\\headrulewidth}{0pt}',
+      `\\fancyhead[C]{${header}}`,
+      `\\fancyfoot[C]{${footer}}`
+    );
+  }
+
+  const pdfInfo = [
+    'colorlinks=true',
+    'linkcolor=blue',
+    'urlcolor=blue',
+    metadata.pdfTitle && `pdftitle={${escapeLatex(metadata.pdfTitle)}}`,
+    metadata.pdfAuthor && `pdfauthor={${escapeLatex(metadata.pdfAuthor)}}`,
+    metadata.subject && `pdfsubject={${escapeLatex(metadata.subject)}}`,
+    metadata.keywords?.length > 0 && `pdfkeywords={${escapeLatex(metadata.keywords.join(', '))}}`,
+  ].filter(Boolean);
+  lines.push('\\usepackage{hyperref}', `\\hypersetup{${pdfInfo.join(',')}}`);
+
+  lines.push(`\\setcounter{secnumdepth}{${numberingLevels}}`);
+
+  if (metadata.title) {
+    lines.push(`\\title{${metadata.title}}`, `\\author{${metadata.author || ''}}`, `\\date{${metadata.date || ''}}`);
+  }
+
+  lines.push('', '\\begin{document}', '');
+  if (metadata.title) {
+    lines.push('\\maketitle', '');
+  }
+  if (abstract) {
+    lines.push('\\begin{abstract}', abstract, '\\end{abstract}', '');
+  }
+  if (tableOfContents) {
+    lines.push('\\tableofcontents', '');
+  }
+  if (body) {
+    lines.push(body, '');
+  }
+  lines.push('\\end{document}', '');
+
+  return lines.join('\n');
+}
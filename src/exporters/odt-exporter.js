@@ -0,0 +1,807 @@
+// ODT Exporter for Markdown Viewer Extension
+// Converts the Markdown AST of the DOCX export to an OpenDocument text file:
+// theme styles as ODF styles, native list numbering and MathML formula objects
+
+import JSZip from 'jszip';
+import { visit } from 'unist-util-visit';
+import DocxExporter, { applyRequestedImageSize, calculateImageDimensions, withContext } from './docx-exporter.js';
+import { mathJaxReady, latex2MathMl } from './docx-math-converter.js';
+import { splitTemplate } from './page-setup.js';
+import {
+  ODT_MIMETYPE,
+  FORMULA_MIMETYPE,
+  formatBorder,
+  formatInches,
+  formatPoints,
+  createStyle,
+  createTextMarkup,
+  createImageFrame,
+  createFormulaFrame,
+  createFormulaDocument,
+  createTableOfContents,
+  createManifest,
+  createMetaDocument,
+  createStylesDocument,
+  createContentDocument,
+} from './odt-package.js';
+import { getPluginForNode, renderNodeToCommon } from '../plugins/index.js';
+import { downloadBlob } from '../utils/file-download.js';
+import { isTocMarker } from '../utils/toc-marker.js';
+import { getDisplaySize } from '../utils/fence-options.js';
+import { getTableLayout } from '../utils/table-layout.js';
+import { escapeXml } from '../utils/xml.js';
+import Localization from '../utils/localization.js';
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+};
+
+// Blockquotes indent by 0.3 inch per level, like the DOCX export
+const QUOTE_INDENT = 0.3;
+
+const ALIGNMENTS = { left: 'start', center: 'center', right: 'end' };
+
+const AUTOMATIC_STYLE_PREFIXES = {
+  paragraph: 'P',
+  text: 'T',
+  table: 'Tbl',
+  'table-column': 'Col',
+  'table-cell': 'Cell',
+  graphic: 'fr',
+};
+
+/**
+ * Main class for exporting Markdown to ODT
+ */
+class OdtExporter {
+  constructor(renderer = null) {
+    this.renderer = renderer; // ExtensionRenderer instance for rendering diagrams
+    this.docxExporter = new DocxExporter(renderer); // See DocxExporter.prepareExport
+    this.themeStyles = null;
+    this.context = null; // Paragraph style and indent of the blocks being converted
+  }
+
+  /**
+   * Export markdown content to an ODT file
+   * @param {string} markdown - Raw markdown content
+   * @param {string} filename - Output filename (default: 'document.odt')
+   * @param {Function} onProgress - Optional progress callback (completed, total)
+   */
+  async exportToOdt(markdown, filename = 'document.odt', onProgress = null) {
+    try {
+      const docx = this.docxExporter;
+      const { ast, frontMatter, settings, themeStyles, pageSetup, imageBounds } = await docx.prepareExport(markdown, onProgress);
+      this.frontMatter = frontMatter;
+      this.themeStyles = themeStyles;
+      this.pageSetup = pageSetup;
+      this.imageBounds = imageBounds;
+      // Formulas are embedded as MathML objects
+      await mathJaxReady();
+
+      this.zip = new JSZip();
+      // The mimetype entry must come first and stay uncompressed
+      this.zip.file('mimetype', ODT_MIMETYPE, { compression: 'STORE' });
+      this.manifestEntries = [];
+      this.automaticStyles = new Map();
+      this.styleCounters = {};
+      this.footnoteIds = new Map();
+      this.counters = { image: 0, formula: 0, table: 0 };
+      this.context = { paragraphStyle: 'Text_20_body', indent: 0, inList: false, inNote: false };
+      this.tocInserted = false;
+
+      this.tocEntries = [];
+      visit(ast, 'heading', (node) => {
+        if (node.depth <= 3) {
+          this.tocEntries.push({
+            level: node.depth,
+            text: docx.extractText(node),
+            bookmark: docx.headingBookmarks.get(node),
+          });
+        }
+      });
+
+      let body = await this.convertBlocks(ast.children);
+      if (settings.docxIncludeToc && !this.tocInserted) {
+        body = this.createTableOfContents() + body;
+      }
+
+      const title = this.frontMatter?.title || filename.replace(/\.odt$/i, '');
+      this.zip.file('content.xml', createContentDocument(Array.from(this.automaticStyles.values(), style => style.xml), body));
+      this.zip.file('styles.xml', createStylesDocument(this.themeStyles, this.pageSetup, {
+        header: this.createHeaderFooter(this.pageSetup.header, title),
+        footer: this.createHeaderFooter(this.pageSetup.footer, title),
+      }));
+      this.zip.file('meta.xml', createMetaDocument({
+        title,
+        author: this.frontMatter?.author || '',
+        subject: this.frontMatter?.subject || '',
+        description: this.frontMatter?.description || 'Generated from Markdown',
+        keywords: this.frontMatter?.keywords || [],
+        date: this.frontMatter?.date || '',
+        created: new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+      }));
+      this.zip.file('META-INF/manifest.xml', createManifest([
+        { path: 'content.xml', mediaType: 'text/xml' },
+        { path: 'styles.xml', mediaType: 'text/xml' },
+        { path: 'meta.xml', mediaType: 'text/xml' },
+        ...this.manifestEntries,
+      ]));
+
+      const blob = await this.zip.generateAsync({
+        type: 'blob',
+        mimeType: ODT_MIMETYPE,
+        compression: 'DEFLATE',
+      });
+
+      await downloadBlob(blob, filename, ODT_MIMETYPE);
+
+      return { success: true };
+    } catch (error) {
+      console.error('ODT export error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.zip = null;
+      this.docxExporter.progressCallback = null;
+    }
+  }
+
+  /**
+   * Register an automatic style, reusing an identical one
+   * @param {string} family - Style family ('paragraph', 'text', 'table-cell', ...)
+   * @param {string|undefined} parent - Parent common style
+   * @param {Object} properties - Property attributes by kind (see createStyle)
+   * @returns {string} Style name
+   */
+  addAutomaticStyle(family, parent, properties) {
+    const key = JSON.stringify([family, parent, properties]);
+    const existing = this.automaticStyles.get(key);
+    if (existing) {
+      return existing.name;
+    }
+
+    const prefix = AUTOMATIC_STYLE_PREFIXES[family];
+    this.styleCounters[prefix] = (this.styleCounters[prefix] || 0) + 1;
+    const name = `${prefix}${this.styleCounters[prefix]}`;
+    this.automaticStyles.set(key, { name, xml: createStyle({ name, family, parent }, properties) });
+    return name;
+  }
+
+  /**
+   * Get a paragraph style indented to the current blockquote level
+   * @param {string} base - Common paragraph style
+   * @param {Object} paragraphProperties - Extra paragraph properties, e.g. alignment
+   * @returns {string} Style name
+   */
+  resolveParagraphStyle(base, paragraphProperties = {}) {
+    const paragraph = this.context.indent > 0
+      ? { 'fo:margin-left': formatInches(this.context.indent), ...paragraphProperties }
+      : paragraphProperties;
+    if (Object.keys(paragraph).length === 0) {
+      return base;
+    }
+    return this.addAutomaticStyle('paragraph', base, { paragraph });
+  }
+
+  /**
+   * Add a file to the package and the manifest
+   * @param {string} path - Path inside the package
+   * @param {string|Uint8Array} data - File content
+   * @param {string} mediaType - Manifest media type
+   */
+  addPackageFile(path, data, mediaType) {
+    this.zip.file(path, data);
+    this.manifestEntries.push({ path, mediaType });
+  }
+
+  /**
+   * Convert a sequence of block nodes
+   * @param {Array} nodes - Block AST nodes
+   * @returns {Promise<string>} Block markup
+   */
+  async convertBlocks(nodes) {
+    let markup = '';
+    for (const node of nodes) {
+      markup += await this.convertNode(node);
+    }
+    return markup;
+  }
+
+  /**
+   * Convert a single block node
+   * @param {Object} node - Block AST node
+   * @returns {Promise<string>} Block markup
+   */
+  async convertNode(node) {
+    // Diagrams, charts and HTML blocks render through their plugins
+    const plugin = getPluginForNode(node);
+    if (plugin) {
+      const renderResult = await renderNodeToCommon(node, this.renderer);
+      this.docxExporter.reportResourceProgress();
+      if (renderResult) {
+        return this.convertPluginResult(renderResult, plugin.type, false);
+      }
+    }
+
+    switch (node.type) {
+      case 'heading':
+        return this.convertHeading(node);
+
+      case 'paragraph':
+        if (isTocMarker(node)) {
+          return this.createTableOfContents();
+        }
+        return this.convertParagraph(node);
+
+      case 'list':
+        return this.convertList(node);
+
+      case 'code':
+        return this.convertCodeBlock(node);
+
+      case 'blockquote':
+        return this.convertBlockquote(node);
+
+      case 'table':
+        return this.convertTable(node);
+
+      case 'figure':
+        return this.convertFigure(node);
+
+      case 'thematicBreak':
+        return `<text:p text:style-name="${this.resolveParagraphStyle('Horizontal_20_Line')}"/>`;
+
+      case 'html':
+        return `<text:p text:style-name="${this.resolveParagraphStyle(this.context.paragraphStyle)}">[HTML Content]</text:p>`;
+
+      case 'math':
+        return `<text:p text:style-name="${this.resolveParagraphStyle('Formula_20_Paragraph')}">${this.convertMath(node.value, true)}</text:p>`;
+
+      default:
+        // Footnote and link definitions are resolved at their references
+        return '';
+    }
+  }
+
+  /**
+   * Convert a plugin render result (see BasePlugin.renderToCommon)
+   * @param {Object} renderResult - Unified render result
+   * @param {string} pluginType - Plugin type, used for picture names
+   * @param {boolean} inline - Inside a paragraph
+   * @returns {string} Frame or paragraph markup
+   */
+  convertPluginResult(renderResult, pluginType, inline) {
+    const isInline = inline || renderResult.display.inline;
+    let markup = '';
+
+    if (renderResult.type === 'error') {
+      const styleName = this.addAutomaticStyle('text', undefined, {
+        text: { 'fo:color': '#ff0000', 'fo:font-style': 'italic' },
+      });
+      markup = `<text:span text:style-name="${styleName}">${createTextMarkup(renderResult.content.text)}</text:span>`;
+    } else if (renderResult.type === 'image') {
+      const { data, width, height } = renderResult.content;
+      const { caption } = renderResult.display;
+      const scaled = getDisplaySize(width, height, renderResult.display);
+      const size = calculateImageDimensions(scaled.width, scaled.height, this.getImageBounds());
+      const href = this.addPicture(data, 'png', 'image/png');
+      markup = createImageFrame({
+        name: href.slice(href.lastIndexOf('/') + 1),
+        href,
+        width: size.width,
+        height: size.height,
+        title: `${pluginType} Image`,
+        description: caption || `${pluginType} image`,
+      });
+    }
+
+    if (isInline || !markup) {
+      return markup;
+    }
+
+    const alignment = ALIGNMENTS[renderResult.display.alignment] || 'center';
+    const styleName = this.resolveParagraphStyle('Figure', { 'fo:text-align': alignment });
+    return `<text:p text:style-name="${styleName}">${markup}</text:p>`;
+  }
+
+  /**
+   * Image bounds reduced by the current blockquote indent
+   * @returns {Object} {maxWidth, maxHeight} in pixels
+   */
+  getImageBounds() {
+    return {
+      ...this.imageBounds,
+      maxWidth: Math.max(this.imageBounds.maxWidth - this.context.indent * 96, 1),
+    };
+  }
+
+  /**
+   * Store an image in the Pictures folder
+   * @param {Uint8Array} data - Image data
+   * @param {string} extension - File extension
+   * @param {string} mediaType - Image content type
+   * @returns {string} Path inside the package
+   */
+  addPicture(data, extension, mediaType) {
+    const path = `Pictures/image-${++this.counters.image}.${extension}`;
+    this.addPackageFile(path, data, mediaType);
+    return path;
+  }
+
+  /**
+   * Convert heading node to an outline heading with a bookmark for in-document links
+   */
+  async convertHeading(node) {
+    const content = await this.convertInlineNodes(node.children);
+    const bookmarkName = this.docxExporter.headingBookmarks?.get(node);
+    const bookmarked = bookmarkName
+      ? `<text:bookmark-start text:name="${escapeXml(bookmarkName)}"/>${content}<text:bookmark-end text:name="${escapeXml(bookmarkName)}"/>`
+      : content;
+    const styleName = this.resolveParagraphStyle(`Heading_20_${node.depth}`);
+    return `<text:h text:style-name="${styleName}" text:outline-level="${node.depth}">${bookmarked}</text:h>`;
+  }
+
+  /**
+   * Convert paragraph node with the paragraph style of the current context
+   */
+  async convertParagraph(node) {
+    const content = await this.convertInlineNodes(node.children);
+    const styleName = this.resolveParagraphStyle(this.context.paragraphStyle);
+    return content
+      ? `<text:p text:style-name="${styleName}">${content}</text:p>`
+      : `<text:p text:style-name="${styleName}"/>`;
+  }
+
+  /**
+   * Convert inline nodes (text, emphasis, strong, etc.)
+   * @param {Array} nodes - Inline AST nodes
+   * @returns {Promise<string>} Paragraph content markup
+   */
+  async convertInlineNodes(nodes) {
+    let markup = '';
+    for (const node of nodes) {
+      markup += await this.convertInlineNode(node);
+    }
+    return markup;
+  }
+
+  /**
+   * Convert single inline node
+   */
+  async convertInlineNode(node) {
+    const plugin = getPluginForNode(node);
+    if (plugin) {
+      const renderResult = await renderNodeToCommon(node, this.renderer);
+      this.docxExporter.reportResourceProgress();
+      if (renderResult) {
+        return this.convertPluginResult(renderResult, plugin.type, true);
+      }
+    }
+
+    switch (node.type) {
+      case 'text':
+        return createTextMarkup(node.value);
+
+      case 'strong':
+        return this.wrapSpan('Strong_20_Emphasis', await this.convertInlineNodes(node.children));
+
+      case 'emphasis':
+        return this.wrapSpan('Emphasis', await this.convertInlineNodes(node.children));
+
+      case 'delete':
+        return this.wrapSpan('Strikethrough', await this.convertInlineNodes(node.children));
+
+      case 'inlineCode':
+        return this.wrapSpan('Source_20_Text', createTextMarkup(node.value));
+
+      case 'link':
+        return this.createHyperlink(await this.convertInlineNodes(node.children), node.url || '#');
+
+      case 'linkReference': {
+        const definition = this.docxExporter.linkDefinitions?.get(node.identifier.toLowerCase());
+        return this.createHyperlink(await this.convertInlineNodes(node.children), definition?.url || '#');
+      }
+
+      case 'image':
+        return this.convertImage(node);
+
+      case 'inlineMath':
+        return this.convertMath(node.value, false);
+
+      case 'footnoteReference':
+        return this.convertFootnoteReference(node);
+
+      case 'crossReference':
+        return this.convertCrossReference(node);
+
+      case 'break':
+        return '<text:line-break/>';
+
+      case 'html': {
+        const htmlValue = node.value?.trim() || '';
+        if (/^<br\s*\/?>$/i.test(htmlValue)) {
+          return '<text:line-break/>';
+        }
+        // For other inline HTML, keep the text (strip tags)
+        return createTextMarkup(htmlValue.replace(/<[^>]+>/g, ''));
+      }
+
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Wrap content in a character style span
+   * @param {string} styleName - Text style name
+   * @param {string} content - Content markup
+   * @returns {string} Span markup
+   */
+  wrapSpan(styleName, content) {
+    return content ? `<text:span text:style-name="${styleName}">${content}</text:span>` : '';
+  }
+
+  /**
+   * Create hyperlink; in-document anchors (#slug) link to heading bookmarks
+   * @param {string} content - Link content markup
+   * @param {string} url - Link target
+   * @returns {string} Link markup
+   */
+  createHyperlink(content, url) {
+    let href = url;
+
+    if (url.startsWith('#')) {
+      const bookmarkName = this.docxExporter.resolveAnchor(url);
+      if (!bookmarkName) {
+        // Unknown anchor: keep the text without a broken link
+        return content;
+      }
+      href = `#${bookmarkName}`;
+    }
+
+    return `<text:a xlink:type="simple" xlink:href="${escapeXml(href)}" text:style-name="Internet_20_link">${content}</text:a>`;
+  }
+
+  /**
+   * Convert a figure/table cross-reference to a reference to the caption bookmark
+   */
+  convertCrossReference(node) {
+    const bookmarkName = this.docxExporter.captionBookmarks?.get(node.identifier);
+    if (!bookmarkName) {
+      return createTextMarkup(node.value);
+    }
+    return `<text:bookmark-ref text:reference-format="text" text:ref-name="${escapeXml(bookmarkName)}">${createTextMarkup(node.value)}</text:bookmark-ref>`;
+  }
+
+  /**
+   * Convert footnote reference to a native footnote
+   * The note body is written at its first reference; later references point at it.
+   */
+  async convertFootnoteReference(node) {
+    const identifier = node.identifier.toLowerCase();
+    const definition = this.docxExporter.footnoteDefinitions?.get(identifier);
+    const existingId = this.footnoteIds.get(identifier);
+
+    if (existingId) {
+      return `<text:note-ref text:note-class="footnote" text:reference-format="text" text:ref-name="ftn${existingId}">${existingId}</text:note-ref>`;
+    }
+
+    // Keep the marker as plain text when the definition is missing; notes cannot nest
+    if (!definition || this.context.inNote) {
+      return createTextMarkup(`[^${node.label || node.identifier}]`);
+    }
+
+    const id = this.footnoteIds.size + 1;
+    this.footnoteIds.set(identifier, id);
+    const body = await withContext(
+      this,
+      { paragraphStyle: 'Footnote', indent: 0, inList: false, inNote: true },
+      () => this.convertBlocks(definition.children)
+    );
+
+    return `<text:note text:id="ftn${id}" text:note-class="footnote"><text:note-citation>${id}</text:note-citation>`
+      + `<text:note-body>${body || '<text:p text:style-name="Footnote"/>'}</text:note-body></text:note>`;
+  }
+
+  /**
+   * Convert LaTeX to an embedded MathML formula object
+   * @param {string} latex - LaTeX source
+   * @param {boolean} display - Display math
+   * @returns {string} Formula frame, or the source as code when MathJax cannot parse it
+   */
+  convertMath(latex, display) {
+    try {
+      const mathMl = latex2MathMl(latex, display);
+      const name = `Object ${++this.counters.formula}`;
+      this.addPackageFile(`${name}/content.xml`, createFormulaDocument(mathMl), 'text/xml');
+      this.manifestEntries.push({ path: `${name}/`, mediaType: FORMULA_MIMETYPE });
+      return createFormulaFrame({ name, href: name, description: latex });
+    } catch (error) {
+      console.warn('Math conversion error:', error);
+      return this.wrapSpan('Source_20_Text', createTextMarkup(latex));
+    }
+  }
+
+  /**
+   * Convert image node
+   * @param {object} node - Image node ({url, alt}, HTML images may add width/height in pixels)
+   */
+  async convertImage(node) {
+    try {
+      const { buffer, contentType } = await this.docxExporter.fetchImageAsBuffer(node.url);
+      const naturalSize = await this.docxExporter.getImageDimensions(buffer, contentType);
+      const requested = applyRequestedImageSize(naturalSize, node);
+      const { width, height } = calculateImageDimensions(requested.width, requested.height, this.getImageBounds());
+
+      const extension = IMAGE_EXTENSIONS[contentType] || 'png';
+      const href = this.addPicture(buffer, extension, contentType || 'image/png');
+      this.docxExporter.reportResourceProgress();
+
+      return createImageFrame({
+        name: href.slice(href.lastIndexOf('/') + 1),
+        href,
+        width,
+        height,
+        title: node.alt || 'Image',
+        description: node.alt || '',
+      });
+    } catch (error) {
+      console.warn('Failed to load image:', node.url, error);
+      this.docxExporter.reportResourceProgress();
+      return this.wrapSpan('Emphasis', createTextMarkup(`[${node.alt || node.url}]`));
+    }
+  }
+
+  /**
+   * Convert code block node with syntax highlighting colors from the theme
+   * Special code blocks (diagrams, charts, etc.) are handled by plugins.
+   */
+  convertCodeBlock(node) {
+    const segments = this.docxExporter.getHighlightedSegments(node.value ?? '', node.lang);
+
+    const content = segments.map(({ text, color }) => {
+      const markup = createTextMarkup(text);
+      if (!color) {
+        return markup;
+      }
+      const styleName = this.addAutomaticStyle('text', undefined, { text: { 'fo:color': `#${color}` } });
+      return this.wrapSpan(styleName, markup);
+    }).join('');
+
+    const styleName = this.resolveParagraphStyle('Preformatted_20_Text');
+    return `<text:p text:style-name="${styleName}">${content}</text:p>`;
+  }
+
+  /**
+   * Convert blockquote node; nested quotes indent further
+   */
+  async convertBlockquote(node) {
+    return withContext(
+      this,
+      { paragraphStyle: 'Quotations', indent: this.context.indent + QUOTE_INDENT },
+      () => this.convertBlocks(node.children)
+    );
+  }
+
+  /**
+   * Convert list node to a native ODF list
+   * Numbering restarts with every list and nested lists continue the level formats.
+   */
+  async convertList(node) {
+    const styleName = node.ordered ? 'Numbering_20_123' : 'List_20_Bullet';
+    let items = '';
+    for (const item of node.children) {
+      items += await this.convertListItem(item, node.ordered);
+    }
+    return `<text:list text:style-name="${styleName}">${items}</text:list>`;
+  }
+
+  /**
+   * Convert list item node
+   * Task items use bullets with a checkbox, also inside ordered lists.
+   */
+  async convertListItem(node, ordered) {
+    const isTaskList = node.checked !== null && node.checked !== undefined;
+    const checkbox = isTaskList ? createTextMarkup(node.checked ? '▣ ' : '☐ ') : '';
+    let content = '';
+    let markerPlaced = false;
+
+    await withContext(this, { paragraphStyle: 'List_20_Contents', inList: true }, async () => {
+      for (const child of node.children) {
+        if (child.type === 'paragraph' && !markerPlaced) {
+          markerPlaced = true;
+          const inline = await this.convertInlineNodes(child.children);
+          content += `<text:p text:style-name="${this.resolveParagraphStyle('List_20_Contents')}">${checkbox}${inline}</text:p>`;
+          continue;
+        }
+
+        // Keep the item's number even when it starts with a code block, table, ...
+        if (!markerPlaced) {
+          markerPlaced = true;
+          content += `<text:p text:style-name="${this.resolveParagraphStyle('List_20_Contents')}">${checkbox}</text:p>`;
+        }
+        content += await this.convertNode(child);
+      }
+    });
+
+    if (!markerPlaced) {
+      content = `<text:p text:style-name="List_20_Contents">${checkbox}</text:p>`;
+    }
+
+    const override = isTaskList && ordered ? ' text:style-override="List_20_Bullet"' : '';
+    return `<text:list-item${override}>${content}</text:list-item>`;
+  }
+
+  /**
+   * Convert table node with the theme's borders, header shading and zebra stripes
+   */
+  async convertTable(node) {
+    const docx = this.docxExporter;
+    const tableStyles = this.themeStyles.tableStyles;
+    const alignments = node.align || [];
+
+    // Directive options, delimiter row widths and `<<`/`^^` merges (see table-layout.js)
+    const {
+      tableRows, rowCount, columnCount, headerRowCount, repeatHeader, widths, spans
+    } = getTableLayout(node, cell => docx.extractText(cell));
+    const tableWidth = Math.max(this.pageSetup.contentWidth - this.context.indent, 1);
+    const columnFractions = widths || Array(columnCount).fill(1 / columnCount);
+
+    const name = `Table${++this.counters.table}`;
+    const tableStyle = this.addAutomaticStyle('table', undefined, {
+      table: {
+        'style:width': formatInches(tableWidth),
+        'table:align': this.context.indent > 0 ? 'left' : 'center',
+        'fo:margin-left': this.context.indent > 0 ? formatInches(this.context.indent) : undefined,
+        'fo:margin-top': '6pt',
+        'fo:margin-bottom': '6pt',
+      },
+    });
+    const columns = columnFractions.map((fraction) => {
+      const columnStyle = this.addAutomaticStyle('table-column', undefined, {
+        'table-column': { 'style:column-width': formatInches(tableWidth * fraction) },
+      });
+      return `<table:table-column table:style-name="${columnStyle}"/>`;
+    }).join('');
+
+    const padding = tableStyles.cell?.margins?.top;
+    const headerRows = [];
+    const bodyRows = [];
+
+    for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+      const row = tableRows[rowIndex];
+      const isHeaderRow = rowIndex < headerRowCount;
+      // Zebra striping counts data rows after a single header row
+      const styleRowIndex = isHeaderRow ? 0 : rowIndex - headerRowCount + 1;
+      let cells = '';
+
+      for (let colIndex = 0; colIndex < columnCount; colIndex++) {
+        const cell = row.children[colIndex];
+        const span = cell ? spans[rowIndex][colIndex] : { colSpan: 1, rowSpan: 1 };
+
+        // Merged into a neighbouring cell
+        if (!span) {
+          cells += '<table:covered-table-cell/>';
+          continue;
+        }
+
+        const isLastRow = rowIndex + span.rowSpan === rowCount;
+        const cellStyle = docx.getTableCellStyle(styleRowIndex, colIndex, isHeaderRow, isLastRow);
+        const cellStyleName = this.addAutomaticStyle('table-cell', undefined, {
+          'table-cell': {
+            'fo:border-top': formatBorder(cellStyle.borders?.top),
+            'fo:border-bottom': formatBorder(cellStyle.borders?.bottom),
+            'fo:border-left': formatBorder(cellStyle.borders?.left),
+            'fo:border-right': formatBorder(cellStyle.borders?.right),
+            'fo:background-color': cellStyle.shading ? `#${cellStyle.shading.fill}` : undefined,
+            'fo:padding': padding !== undefined ? formatPoints(padding / 20) : undefined,
+            'style:vertical-align': 'middle',
+          },
+        });
+
+        const cellAlignment = alignments[colIndex];
+        const paragraphStyle = isHeaderRow || !ALIGNMENTS[cellAlignment] || cellAlignment === 'left'
+          ? (isHeaderRow ? 'Table_20_Heading' : 'Table_20_Contents')
+          : this.addAutomaticStyle('paragraph', 'Table_20_Contents', { paragraph: { 'fo:text-align': ALIGNMENTS[cellAlignment] } });
+        const content = cell ? await withContext(this, { indent: 0 }, () => this.convertInlineNodes(cell.children)) : '';
+
+        const spanAttributes = (span.colSpan > 1 ? ` table:number-columns-spanned="${span.colSpan}"` : '')
+          + (span.rowSpan > 1 ? ` table:number-rows-spanned="${span.rowSpan}"` : '');
+        cells += `<table:table-cell table:style-name="${cellStyleName}" office:value-type="string"${spanAttributes}>`
+          + `<text:p text:style-name="${paragraphStyle}">${content}</text:p></table:table-cell>`;
+      }
+
+      const rowMarkup = `<table:table-row>${cells}</table:table-row>`;
+      (isHeaderRow && repeatHeader ? headerRows : bodyRows).push(rowMarkup);
+    }
+
+    const header = headerRows.length > 0 ? `<table:table-header-rows>${headerRows.join('')}</table:table-header-rows>` : '';
+    const table = `<table:table table:name="${name}" table:style-name="${tableStyle}">${columns}${header}${bodyRows.join('')}</table:table>`;
+
+    // List items only hold paragraphs, so nested tables sit in a text frame
+    if (this.context.inList) {
+      return `<text:p text:style-name="List_20_Contents"><draw:frame draw:style-name="Graphics" draw:name="${name}Frame" text:anchor-type="as-char" svg:width="${formatInches(tableWidth)}">`
+        + `<draw:text-box fo:min-height="0.2in">${table}</draw:text-box></draw:frame></text:p>`;
+    }
+    return table;
+  }
+
+  /**
+   * Convert a captioned figure or table (see captions.js)
+   */
+  async convertFigure(node) {
+    let markup = '';
+    for (const child of node.children) {
+      markup += child.type === 'caption'
+        ? await this.convertCaption(child)
+        : await this.convertNode(child);
+    }
+    return markup;
+  }
+
+  /**
+   * Convert a caption to a paragraph numbered by a sequence field
+   * The "Figure 3" label is bookmarked so cross-references can point at it.
+   */
+  async convertCaption(node) {
+    const sequence = node.kind === 'table' ? 'Table' : 'Figure';
+    let label = `${createTextMarkup(`${node.name} `)}<text:sequence text:name="${sequence}" text:formula="ooow:${sequence}+1" style:num-format="1">${node.number}</text:sequence>`;
+
+    const bookmarkName = node.identifier ? this.docxExporter.captionBookmarks?.get(node.identifier) : null;
+    if (bookmarkName) {
+      label = `<text:bookmark-start text:name="${escapeXml(bookmarkName)}"/>${label}<text:bookmark-end text:name="${escapeXml(bookmarkName)}"/>`;
+    }
+
+    const content = node.children.filter(child => child.type !== 'captionLabel');
+    if (content.length > 0) {
+      label += `: ${await this.convertInlineNodes(content)}`;
+    }
+
+    // Table captions sit above their table, figure captions below the figure
+    const styleName = this.resolveParagraphStyle(node.kind === 'table' ? 'Table_20_Caption' : 'Caption');
+    return `<text:p text:style-name="${styleName}">${label}</text:p>`;
+  }
+
+  /**
+   * Create a table of contents from the headings up to level 3
+   * @returns {string} Index markup
+   */
+  createTableOfContents() {
+    this.tocInserted = true;
+    const title = Localization.translate('docx_toc_title') || 'Contents';
+    return createTableOfContents(this.tocEntries, title);
+  }
+
+  /**
+   * Create header or footer content from a template with {page}, {pages}, {title} and {date} tokens
+   * @param {string} template - Template string (empty for none)
+   * @param {string} title - Document title
+   * @returns {string} Paragraph content markup, empty for none
+   */
+  createHeaderFooter(template, title) {
+    const date = this.frontMatter?.date || new Date().toLocaleDateString();
+    return splitTemplate(template.trim()).map((part) => {
+      if (part.type === 'text') {
+        return createTextMarkup(part.value);
+      }
+      switch (part.value) {
+        case 'page':
+          return '<text:page-number text:select-page="current">1</text:page-number>';
+        case 'pages':
+          return '<text:page-count>1</text:page-count>';
+        case 'title':
+          return createTextMarkup(title);
+        case 'date':
+          return createTextMarkup(date);
+        default:
+          return '';
+      }
+    }).join('');
+  }
+}
+
+export default OdtExporter;
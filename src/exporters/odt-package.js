@@ -0,0 +1,610 @@
+// ODT package documents
+// Builds the XML files of an OpenDocument text package: manifest, meta, styles
+// (mapped from the DOCX theme styles), content and embedded MathML formulas.
+
+import { escapeXml } from '../utils/xml.js';
+
+export const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+export const FORMULA_MIMETYPE = 'application/vnd.oasis.opendocument.formula';
+
+const ODF_VERSION = '1.2';
+
+const ODF_NAMESPACES = [
+  'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+  'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"',
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+  'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"',
+  'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0"',
+  'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"',
+  'xmlns:svg="urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0"',
+  'xmlns:xlink="http://www.w3.org/1999/xlink"',
+  'xmlns:dc="http://purl.org/dc/elements/1.1/"',
+  'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0"',
+  'xmlns:number="urn:oasis:names:tc:opendocument:xmlns:datastyle:1.0"',
+  'xmlns:math="http://www.w3.org/1998/Math/MathML"',
+  'xmlns:ooow="http://openoffice.org/2004/writer"',
+].join(' ');
+
+/**
+ * Ordered list numbering per level, matching the DOCX default-ordered-list
+ */
+const NUMBER_FORMATS = ['1', 'i', 'a'];
+const BULLET_CHARS = ['•', '◦', '▪'];
+const LIST_LEVELS = 10;
+
+/**
+ * Format a length in points
+ * @param {number} value - Length in points
+ * @returns {string} ODF length
+ */
+export function formatPoints(value) {
+  return `${Math.round(value * 100) / 100}pt`;
+}
+
+/**
+ * Format a length in inches
+ * @param {number} value - Length in inches
+ * @returns {string} ODF length
+ */
+export function formatInches(value) {
+  return `${Math.round(value * 1000) / 1000}in`;
+}
+
+/**
+ * Convert a DOCX border ({ style, size in eighths of a point, color }) to an ODF border
+ * @param {Object|null} border - DOCX border from the theme table styles
+ * @returns {string} ODF border value, e.g. "0.75pt solid #dfe2e5"
+ */
+export function formatBorder(border) {
+  if (!border || border.style === 'none' || border.style === 'nil' || !(border.size > 0)) {
+    return 'none';
+  }
+  const styles = { dashed: 'dashed', dotted: 'dotted', double: 'double' };
+  return `${formatPoints(border.size / 8)} ${styles[border.style] || 'solid'} #${border.color}`;
+}
+
+/**
+ * Get ODF font attributes from a DOCX font ({ ascii, eastAsia } or a family name)
+ * @param {Object|string} font - DOCX font
+ * @returns {Object} Text property attributes
+ */
+function getFontAttributes(font) {
+  if (!font) {
+    return {};
+  }
+  const quote = name => (/\s/.test(name) ? `'${name}'` : name);
+  const latin = typeof font === 'string' ? font : font.ascii;
+  const asian = typeof font === 'string' ? font : (font.eastAsia || font.ascii);
+  return {
+    'fo:font-family': quote(latin),
+    'style:font-family-asian': quote(asian),
+    'style:font-family-complex': quote(latin),
+  };
+}
+
+/**
+ * Get ODF font size attributes from a DOCX size in half-points
+ * @param {number} halfPoints - DOCX font size
+ * @returns {Object} Text property attributes
+ */
+function getFontSizeAttributes(halfPoints) {
+  if (!halfPoints) {
+    return {};
+  }
+  const size = formatPoints(halfPoints / 2);
+  return {
+    'fo:font-size': size,
+    'style:font-size-asian': size,
+    'style:font-size-complex': size,
+  };
+}
+
+/**
+ * Serialize attributes, skipping undefined and null values
+ * @param {Object} attributes - Attribute map
+ * @returns {string} Attribute markup with a leading space per attribute
+ */
+function createAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+}
+
+/**
+ * Build a style element
+ * @param {Object} style - { name, family, parent, displayName, next, className, outlineLevel }
+ * @param {Object} properties - Property attributes by kind, e.g. { paragraph: {...}, text: {...} }
+ *   becomes `style:paragraph-properties` and `style:text-properties`
+ * @returns {string} XML element
+ */
+export function createStyle(style, properties = {}) {
+  const attributes = createAttributes({
+    'style:name': style.name,
+    'style:display-name': style.displayName,
+    'style:family': style.family,
+    'style:parent-style-name': style.parent,
+    'style:next-style-name': style.next,
+    'style:class': style.className,
+    'style:default-outline-level': style.outlineLevel,
+  });
+  const children = Object.entries(properties)
+    .filter(([, values]) => values && Object.keys(values).length > 0)
+    .map(([kind, values]) => `<style:${kind}-properties${createAttributes(values)}/>`)
+    .join('');
+  return children
+    ? `<style:style${attributes}>${children}</style:style>`
+    : `<style:style${attributes}/>`;
+}
+
+/**
+ * Encode text for a paragraph
+ * Tabs and line breaks become elements, and repeated spaces are kept with
+ * `text:s` because ODF collapses white space.
+ * @param {string} text - Raw text
+ * @returns {string} Text markup
+ */
+export function createTextMarkup(text) {
+  const encodeSpaces = segment => escapeXml(segment).replace(/ +/g, (spaces, offset) => {
+    if (offset === 0) {
+      return spaces.length === 1 ? '<text:s/>' : `<text:s text:c="${spaces.length}"/>`;
+    }
+    if (spaces.length === 1) {
+      return ' ';
+    }
+    return spaces.length === 2 ? ' <text:s/>' : ` <text:s text:c="${spaces.length - 1}"/>`;
+  });
+
+  return String(text)
+    .split('\n')
+    .map(line => line.split('\t').map(encodeSpaces).join('<text:tab/>'))
+    .join('<text:line-break/>');
+}
+
+/**
+ * Build an as-character image frame
+ * @param {Object} frame - { name, href, width, height, title, description, styleName } size in pixels (96 DPI)
+ * @returns {string} `draw:frame` markup
+ */
+export function createImageFrame({ name, href, width, height, title, description, styleName = 'Graphics' }) {
+  const titleMarkup = title ? `<svg:title>${escapeXml(title)}</svg:title>` : '';
+  const descriptionMarkup = description ? `<svg:desc>${escapeXml(description)}</svg:desc>` : '';
+  return `<draw:frame${createAttributes({
+    'draw:style-name': styleName,
+    'draw:name': name,
+    'text:anchor-type': 'as-char',
+    'svg:width': formatInches(width / 96),
+    'svg:height': formatInches(height / 96),
+  })}><draw:image${createAttributes({
+    'xlink:href': href,
+    'xlink:type': 'simple',
+    'xlink:show': 'embed',
+    'xlink:actuate': 'onLoad',
+  })}/>${titleMarkup}${descriptionMarkup}</draw:frame>`;
+}
+
+/**
+ * Build an as-character frame for an embedded formula object
+ * Office suites size the frame from the formula when the document is opened.
+ * @param {Object} formula - { name, href, description } href is the object folder
+ * @returns {string} `draw:frame` markup
+ */
+export function createFormulaFrame({ name, href, description }) {
+  const descriptionMarkup = description ? `<svg:desc>${escapeXml(description)}</svg:desc>` : '';
+  return `<draw:frame${createAttributes({
+    'draw:style-name': 'Formula',
+    'draw:name': name,
+    'text:anchor-type': 'as-char',
+  })}><draw:object${createAttributes({
+    'xlink:href': `./${href}`,
+    'xlink:type': 'simple',
+    'xlink:show': 'embed',
+    'xlink:actuate': 'onLoad',
+  })}/>${descriptionMarkup}</draw:frame>`;
+}
+
+/**
+ * Build the content document of an embedded formula object
+ * @param {string} mathMl - MathML `math` element
+ * @returns {string} XML document
+ */
+export function createFormulaDocument(mathMl) {
+  const math = /^<math[^>]*\sxmlns=/.test(mathMl)
+    ? mathMl
+    : mathMl.replace(/^<math/, '<math xmlns="http://www.w3.org/1998/Math/MathML"');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${math}\n`;
+}
+
+/**
+ * Build a table of contents with prefilled entries
+ * Office suites replace the entries (and add page numbers) when the index is updated.
+ * @param {Object[]} entries - Headings { level, text, bookmark } up to level 3
+ * @param {string} title - Index title
+ * @returns {string} `text:table-of-content` markup
+ */
+export function createTableOfContents(entries, title) {
+  const templates = [1, 2, 3].map(level => `<text:table-of-content-entry-template text:outline-level="${level}" text:style-name="Contents_20_${level}">`
+    + '<text:index-entry-link-start/><text:index-entry-text/>'
+    + '<text:index-entry-tab-stop style:type="right" style:leader-char="."/>'
+    + '<text:index-entry-page-number/><text:index-entry-link-end/>'
+    + '</text:table-of-content-entry-template>').join('');
+
+  const body = entries.map(({ level, text, bookmark }) => {
+    const label = escapeXml(text);
+    const link = bookmark
+      ? `<text:a xlink:type="simple" xlink:href="#${escapeXml(bookmark)}">${label}</text:a>`
+      : label;
+    return `<text:p text:style-name="Contents_20_${level}">${link}</text:p>`;
+  }).join('');
+
+  return '<text:table-of-content text:protected="true" text:name="Table of Contents1">'
+    + '<text:table-of-content-source text:outline-level="3">'
+    + `<text:index-title-template text:style-name="Contents_20_Heading">${escapeXml(title)}</text:index-title-template>`
+    + templates
+    + '</text:table-of-content-source>'
+    + '<text:index-body>'
+    + `<text:index-title text:name="Table of Contents1_Head"><text:p text:style-name="Contents_20_Heading">${escapeXml(title)}</text:p></text:index-title>`
+    + body
+    + '</text:index-body>'
+    + '</text:table-of-content>';
+}
+
+/**
+ * Build META-INF/manifest.xml
+ * @param {Object[]} entries - Package files { path, mediaType } besides the root entry
+ * @returns {string} XML document
+ */
+export function createManifest(entries) {
+  const files = [
+    { path: '/', mediaType: ODT_MIMETYPE },
+    ...entries,
+  ].map(({ path, mediaType }) => {
+    const version = mediaType.startsWith('application/vnd.oasis.opendocument.') ? ` manifest:version="${ODF_VERSION}"` : '';
+    return `<manifest:file-entry manifest:full-path="${escapeXml(path)}"${version} manifest:media-type="${escapeXml(mediaType)}"/>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="${ODF_VERSION}">
+  ${files.join('\n  ')}
+</manifest:manifest>
+`;
+}
+
+/**
+ * Build meta.xml
+ * @param {Object} meta - { title, author, subject, description, keywords, date, created }
+ * @returns {string} XML document
+ */
+export function createMetaDocument(meta) {
+  const fields = [
+    '<meta:generator>Markdown Viewer Extension</meta:generator>',
+    `<dc:title>${escapeXml(meta.title)}</dc:title>`,
+    `<meta:creation-date>${escapeXml(meta.created)}</meta:creation-date>`,
+  ];
+  if (meta.author) {
+    fields.push(`<meta:initial-creator>${escapeXml(meta.author)}</meta:initial-creator>`);
+    fields.push(`<dc:creator>${escapeXml(meta.author)}</dc:creator>`);
+  }
+  if (meta.subject) {
+    fields.push(`<dc:subject>${escapeXml(meta.subject)}</dc:subject>`);
+  }
+  if (meta.description) {
+    fields.push(`<dc:description>${escapeXml(meta.description)}</dc:description>`);
+  }
+  for (const keyword of meta.keywords || []) {
+    fields.push(`<meta:keyword>${escapeXml(keyword)}</meta:keyword>`);
+  }
+  // The creation date is the export time, so the authored date stays a user-defined field
+  if (meta.date) {
+    fields.push(`<meta:user-defined meta:name="Date">${escapeXml(meta.date)}</meta:user-defined>`);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-meta ${ODF_NAMESPACES} office:version="${ODF_VERSION}">
+  <office:meta>
+    ${fields.join('\n    ')}
+  </office:meta>
+</office:document-meta>
+`;
+}
+
+/**
+ * Build the list styles used for ordered and bullet lists
+ * @returns {string} `text:list-style` elements
+ */
+function createListStyles() {
+  const levelProperties = (level, step, hanging) => {
+    const indent = formatInches(step * level);
+    return '<style:list-level-properties text:list-level-position-and-space-mode="label-alignment">'
+      + `<style:list-level-label-alignment text:label-followed-by="listtab" text:list-tab-stop-position="${indent}" fo:text-indent="-${formatInches(hanging)}" fo:margin-left="${indent}"/>`
+      + '</style:list-level-properties>';
+  };
+
+  const numbered = [];
+  const bullets = [];
+  for (let level = 1; level <= LIST_LEVELS; level++) {
+    const format = NUMBER_FORMATS[Math.min(level, NUMBER_FORMATS.length) - 1];
+    numbered.push(`<text:list-level-style-number text:level="${level}" style:num-suffix="." style:num-format="${format}">`
+      + levelProperties(level, 0.42, 0.28)
+      + '</text:list-level-style-number>');
+    bullets.push(`<text:list-level-style-bullet text:level="${level}" text:bullet-char="${BULLET_CHARS[(level - 1) % BULLET_CHARS.length]}">`
+      + levelProperties(level, 0.5, 0.25)
+      + '</text:list-level-style-bullet>');
+  }
+
+  return `<text:list-style style:name="Numbering_20_123" style:display-name="Numbering 123">${numbered.join('')}</text:list-style>
+    <text:list-style style:name="List_20_Bullet" style:display-name="List Bullet">${bullets.join('')}</text:list-style>`;
+}
+
+/**
+ * Build the common styles from the DOCX theme styles (see theme-to-docx.js)
+ * @param {Object} themeStyles - Result of loadThemeForDOCX()
+ * @returns {string[]} Style elements
+ */
+function createCommonStyles(themeStyles) {
+  const { run, paragraph } = themeStyles.default;
+  const spacing = paragraph.spacing;
+  const code = themeStyles.characterStyles.code;
+  const codeColors = themeStyles.codeColors;
+  const tableStyles = themeStyles.tableStyles;
+  const lineHeight = `${Math.round(spacing.line / 240 * 100)}%`;
+  const smallSize = Math.max(16, Math.round(run.size * 0.8));
+
+  const styles = [
+    createStyle({ name: 'Standard', family: 'paragraph', className: 'text' }),
+    createStyle({ name: 'Text_20_body', displayName: 'Text body', family: 'paragraph', parent: 'Standard', className: 'text' }, {
+      paragraph: {
+        'fo:margin-top': formatPoints(spacing.before / 20),
+        'fo:margin-bottom': formatPoints(spacing.after / 20),
+        'fo:line-height': lineHeight,
+      },
+    }),
+    createStyle({ name: 'Heading', family: 'paragraph', parent: 'Standard', next: 'Text_20_body', className: 'text' }, {
+      paragraph: { 'fo:keep-with-next': 'always' },
+    }),
+  ];
+
+  for (let level = 1; level <= 6; level++) {
+    const heading = themeStyles.paragraphStyles[`heading${level}`];
+    if (!heading) {
+      continue;
+    }
+    styles.push(createStyle({
+      name: `Heading_20_${level}`,
+      displayName: `Heading ${level}`,
+      family: 'paragraph',
+      parent: 'Heading',
+      next: 'Text_20_body',
+      className: 'text',
+      outlineLevel: level,
+    }, {
+      paragraph: {
+        'fo:margin-top': formatPoints(heading.paragraph.spacing.before / 20),
+        'fo:margin-bottom': formatPoints(heading.paragraph.spacing.after / 20),
+        'fo:line-height': `${Math.round(heading.paragraph.spacing.line / 240 * 100)}%`,
+        'fo:text-align': heading.paragraph.alignment === 'center' ? 'center' : 'start',
+      },
+      text: {
+        ...getFontAttributes(heading.run.font),
+        ...getFontSizeAttributes(heading.run.size),
+        'fo:font-weight': heading.run.bold ? 'bold' : 'normal',
+        'style:font-weight-asian': heading.run.bold ? 'bold' : 'normal',
+      },
+    }));
+  }
+
+  const codeBorder = '0.75pt solid #e1e4e8';
+
+  styles.push(
+    createStyle({ name: 'List_20_Contents', displayName: 'List Contents', family: 'paragraph', parent: 'Standard', className: 'list' }, {
+      paragraph: { 'fo:line-height': lineHeight },
+    }),
+    createStyle({ name: 'Preformatted_20_Text', displayName: 'Preformatted Text', family: 'paragraph', parent: 'Standard', className: 'html' }, {
+      paragraph: {
+        'fo:margin-top': '10pt',
+        'fo:margin-bottom': '10pt',
+        'fo:line-height': '115%',
+        'fo:background-color': `#${code.background}`,
+        'fo:border': codeBorder,
+        'fo:padding': '5pt',
+      },
+      text: {
+        ...getFontAttributes(code.font),
+        ...getFontSizeAttributes(code.size),
+        'fo:color': `#${codeColors.foreground}`,
+      },
+    }),
+    createStyle({ name: 'Quotations', family: 'paragraph', parent: 'Text_20_body', className: 'html' }, {
+      paragraph: {
+        'fo:margin-left': '0.3in',
+        'fo:margin-right': '0.09in',
+        'fo:border-left': '2.25pt solid #dfe2e5',
+        'fo:border-right': 'none',
+        'fo:border-top': 'none',
+        'fo:border-bottom': 'none',
+        'fo:padding-left': '6pt',
+        // Quotes compress the extra line spacing to a quarter, like the DOCX export
+        'fo:line-height': `${Math.round((240 + (spacing.line - 240) / 4) / 240 * 100)}%`,
+      },
+      text: { 'fo:color': '#6a737d' },
+    }),
+    createStyle({ name: 'Table_20_Contents', displayName: 'Table Contents', family: 'paragraph', parent: 'Standard', className: 'extra' }, {
+      paragraph: { 'fo:margin-top': '3pt', 'fo:margin-bottom': '3pt' },
+      text: getFontSizeAttributes(20),
+    }),
+    createStyle({ name: 'Table_20_Heading', displayName: 'Table Heading', family: 'paragraph', parent: 'Table_20_Contents', className: 'extra' }, {
+      paragraph: { 'fo:text-align': 'center' },
+      text: tableStyles.header?.bold ? { 'fo:font-weight': 'bold', 'style:font-weight-asian': 'bold' } : {},
+    }),
+    createStyle({ name: 'Figure', family: 'paragraph', parent: 'Standard', className: 'extra' }, {
+      paragraph: { 'fo:margin-top': '6pt', 'fo:margin-bottom': '6pt', 'fo:text-align': 'center' },
+    }),
+    createStyle({ name: 'Caption', family: 'paragraph', parent: 'Standard', className: 'extra' }, {
+      paragraph: { 'fo:margin-top': '0pt', 'fo:margin-bottom': '12pt', 'fo:text-align': 'center' },
+    }),
+    createStyle({ name: 'Table_20_Caption', displayName: 'Table Caption', family: 'paragraph', parent: 'Caption', className: 'extra' }, {
+      paragraph: { 'fo:margin-top': '12pt', 'fo:margin-bottom': '4pt', 'fo:keep-with-next': 'always' },
+    }),
+    createStyle({ name: 'Formula_20_Paragraph', displayName: 'Formula Paragraph', family: 'paragraph', parent: 'Standard', className: 'extra' }, {
+      paragraph: { 'fo:margin-top': '6pt', 'fo:margin-bottom': '6pt', 'fo:text-align': 'center' },
+    }),
+    createStyle({ name: 'Horizontal_20_Line', displayName: 'Horizontal Line', family: 'paragraph', parent: 'Standard', className: 'html' }, {
+      paragraph: {
+        'fo:margin-top': '15pt',
+        'fo:margin-bottom': '15pt',
+        'fo:border-bottom': '1.5pt solid #e1e4e8',
+        'fo:padding': '0pt',
+      },
+      text: { 'fo:font-size': '3pt' },
+    }),
+    createStyle({ name: 'Footnote', family: 'paragraph', parent: 'Standard', className: 'extra' }, {
+      text: getFontSizeAttributes(smallSize),
+    }),
+    createStyle({ name: 'Header', family: 'paragraph', parent: 'Standard', className: 'extra' }, {
+      paragraph: { 'fo:text-align': 'center' },
+      text: { ...getFontSizeAttributes(smallSize), 'fo:color': '#666666' },
+    }),
+    createStyle({ name: 'Footer', family: 'paragraph', parent: 'Header', className: 'extra' }),
+    createStyle({ name: 'Contents_20_Heading', displayName: 'Contents Heading', family: 'paragraph', parent: 'Heading', className: 'index' }, {
+      text: {
+        ...getFontSizeAttributes(themeStyles.paragraphStyles.heading2?.run?.size),
+        'fo:font-weight': 'bold',
+        'style:font-weight-asian': 'bold',
+      },
+    }),
+  );
+
+  for (let level = 1; level <= 3; level++) {
+    styles.push(createStyle({
+      name: `Contents_20_${level}`,
+      displayName: `Contents ${level}`,
+      family: 'paragraph',
+      parent: 'Standard',
+      className: 'index',
+    }, {
+      paragraph: { 'fo:margin-left': formatInches(0.2 * (level - 1)) },
+    }));
+  }
+
+  styles.push(
+    createStyle({ name: 'Strong_20_Emphasis', displayName: 'Strong Emphasis', family: 'text' }, {
+      text: { 'fo:font-weight': 'bold', 'style:font-weight-asian': 'bold', 'style:font-weight-complex': 'bold' },
+    }),
+    createStyle({ name: 'Emphasis', family: 'text' }, {
+      text: { 'fo:font-style': 'italic', 'style:font-style-asian': 'italic', 'style:font-style-complex': 'italic' },
+    }),
+    createStyle({ name: 'Strikethrough', family: 'text' }, {
+      text: { 'style:text-line-through-style': 'solid' },
+    }),
+    createStyle({ name: 'Source_20_Text', displayName: 'Source Text', family: 'text' }, {
+      text: {
+        ...getFontAttributes(code.font),
+        ...getFontSizeAttributes(code.size),
+        'fo:background-color': `#${code.background}`,
+      },
+    }),
+    createStyle({ name: 'Internet_20_link', displayName: 'Internet link', family: 'text' }, {
+      text: {
+        'fo:color': '#0366d6',
+        'style:text-underline-style': 'solid',
+        'style:text-underline-width': 'auto',
+        'style:text-underline-color': 'font-color',
+      },
+    }),
+    createStyle({ name: 'Footnote_20_Symbol', displayName: 'Footnote Symbol', family: 'text' }),
+    createStyle({ name: 'Footnote_20_anchor', displayName: 'Footnote anchor', family: 'text' }, {
+      text: { 'style:text-position': 'super 58%' },
+    }),
+    createStyle({ name: 'Graphics', family: 'graphic' }, {
+      graphic: {
+        'style:vertical-pos': 'top',
+        'style:vertical-rel': 'baseline',
+        'fo:border': 'none',
+      },
+    }),
+    createStyle({ name: 'Formula', family: 'graphic' }, {
+      graphic: {
+        'style:vertical-pos': 'middle',
+        'style:vertical-rel': 'text',
+        'fo:border': 'none',
+      },
+    }),
+  );
+
+  return styles;
+}
+
+/**
+ * Build styles.xml: theme styles, list styles, page layout and header/footer
+ * @param {Object} themeStyles - Result of loadThemeForDOCX()
+ * @param {Object} pageSetup - Resolved page setup (see page-setup.js) in inches
+ * @param {Object} options - { header, footer } paragraph content markup, empty for none
+ * @returns {string} XML document
+ */
+export function createStylesDocument(themeStyles, pageSetup, { header = '', footer = '' } = {}) {
+  const { run } = themeStyles.default;
+  const margins = pageSetup.margins;
+  const headerFooterStyle = '<style:header-footer-properties fo:min-height="0in" fo:margin-bottom="0.1in"/>';
+
+  const pageLayout = `<style:page-layout style:name="pm1">
+      <style:page-layout-properties${createAttributes({
+    'fo:page-width': formatInches(pageSetup.width),
+    'fo:page-height': formatInches(pageSetup.height),
+    'style:print-orientation': pageSetup.orientation,
+    'fo:margin-top': formatInches(margins.top),
+    'fo:margin-right': formatInches(margins.right),
+    'fo:margin-bottom': formatInches(margins.bottom),
+    'fo:margin-left': formatInches(margins.left),
+  })}/>
+      <style:header-style>${header ? headerFooterStyle : ''}</style:header-style>
+      <style:footer-style>${footer ? headerFooterStyle.replace('margin-bottom', 'margin-top') : ''}</style:footer-style>
+    </style:page-layout>`;
+
+  const headerMarkup = header ? `<style:header><text:p text:style-name="Header">${header}</text:p></style:header>` : '';
+  const footerMarkup = footer ? `<style:footer><text:p text:style-name="Footer">${footer}</text:p></style:footer>` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-styles ${ODF_NAMESPACES} office:version="${ODF_VERSION}">
+  <office:styles>
+    <style:default-style style:family="paragraph">
+      <style:paragraph-properties style:writing-mode="page"/>
+      <style:text-properties${createAttributes({ ...getFontAttributes(run.font), ...getFontSizeAttributes(run.size) })}/>
+    </style:default-style>
+    ${createCommonStyles(themeStyles).join('\n    ')}
+    ${createListStyles()}
+    <text:notes-configuration text:note-class="footnote" text:citation-style-name="Footnote_20_Symbol" text:citation-body-style-name="Footnote_20_anchor" style:num-format="1" text:start-value="0" text:footnotes-position="page" text:start-numbering-at="document"/>
+  </office:styles>
+  <office:automatic-styles>
+    ${pageLayout}
+  </office:automatic-styles>
+  <office:master-styles>
+    <style:master-page style:name="Standard" style:page-layout-name="pm1">${headerMarkup}${footerMarkup}</style:master-page>
+  </office:master-styles>
+</office:document-styles>
+`;
+}
+
+/**
+ * Build content.xml
+ * @param {string[]} automaticStyles - Automatic style elements used by the body
+ * @param {string} body - Body markup (paragraphs, headings, lists, tables)
+ * @returns {string} XML document
+ */
+export function createContentDocument(automaticStyles, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content ${ODF_NAMESPACES} office:version="${ODF_VERSION}">
+  <office:automatic-styles>
+    ${automaticStyles.join('\n    ')}
+  </office:automatic-styles>
+  <office:body>
+    <office:text>
+      <text:sequence-decls>
+        <text:sequence-decl text:display-outline-level="0" text:name="Figure"/>
+        <text:sequence-decl text:display-outline-level="0" text:name="Table"/>
+      </text:sequence-decls>
+      ${body}
+    </office:text>
+  </office:body>
+</office:document-content>
+`;
+}
@@ -0,0 +1,206 @@
+// Page setup for document exporters
+// Resolves paper size, orientation, margins and header/footer templates from
+// popup settings and per-document front matter (`page:` block).
+
+/**
+ * Paper sizes in inches (portrait)
+ */
+export const PAPER_SIZES = {
+  a4: { width: 8.27, height: 11.69 },
+  letter: { width: 8.5, height: 11 },
+  legal: { width: 8.5, height: 14 },
+};
+
+/**
+ * Margin presets in inches
+ */
+export const MARGIN_PRESETS = {
+  normal: { top: 1, right: 1, bottom: 1, left: 1 },
+  narrow: { top: 0.5, right: 0.5, bottom: 0.5, left: 0.5 },
+  moderate: { top: 1, right: 0.75, bottom: 1, left: 0.75 },
+  wide: { top: 1, right: 2, bottom: 1, left: 2 },
+};
+
+/**
+ * Default page setup (matches the previous fixed export layout)
+ */
+export const DEFAULT_PAGE_SETUP = {
+  paperSize: 'a4',
+  orientation: 'portrait',
+  margins: 'normal',
+  header: '',
+  footer: '',
+};
+
+/**
+ * Tokens supported in header/footer templates
+ */
+export const TEMPLATE_TOKENS = ['page', 'pages', 'title', 'date'];
+
+const UNITS_PER_INCH = {
+  in: 1,
+  cm: 2.54,
+  mm: 25.4,
+  pt: 72,
+  px: 96,
+};
+
+/**
+ * Parse a length such as "2cm", "20mm", "1in", "72pt" or a bare number (inches)
+ * @param {string|number} value - Length value
+ * @returns {number|null} Length in inches, or null if invalid
+ */
+export function parseLength(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(in|cm|mm|pt|px)?$/);
+  if (!match) {
+    return null;
+  }
+  return parseFloat(match[1]) / UNITS_PER_INCH[match[2] || 'in'];
+}
+
+/**
+ * Resolve margins from a preset name, a single length, or a per-side object
+ * @param {string|number|Object} value - Margin specification
+ * @param {Object} fallback - Margins to use for missing or invalid values
+ * @returns {Object} {top, right, bottom, left} in inches
+ */
+function resolveMargins(value, fallback) {
+  if (typeof value === 'string' && MARGIN_PRESETS[value.toLowerCase()]) {
+    return { ...MARGIN_PRESETS[value.toLowerCase()] };
+  }
+
+  const uniform = parseLength(value);
+  if (uniform !== null) {
+    return { top: uniform, right: uniform, bottom: uniform, left: uniform };
+  }
+
+  if (value && typeof value === 'object') {
+    const margins = { ...fallback };
+    for (const side of ['top', 'right', 'bottom', 'left']) {
+      const length = parseLength(value[side]);
+      if (length !== null) {
+        margins[side] = length;
+      }
+    }
+    return margins;
+  }
+
+  return { ...fallback };
+}
+
+/**
+ * Resolve the effective page setup
+ * Front matter `page:` values take precedence over popup settings.
+ * @param {Object} settings - Popup settings (docxPaperSize, docxOrientation, docxMargins, docxHeader, docxFooter)
+ * @param {Object|null} frontMatterPage - `page` object from front matter
+ * @returns {Object} Page setup with dimensions and content area in inches
+ */
+export function resolvePageSetup(settings = {}, frontMatterPage = null) {
+  const page = frontMatterPage && typeof frontMatterPage === 'object' ? frontMatterPage : {};
+
+  const pick = (frontMatterValue, settingValue, defaultValue) => {
+    if (frontMatterValue !== undefined && frontMatterValue !== null) {
+      return frontMatterValue;
+    }
+    if (settingValue !== undefined && settingValue !== null) {
+      return settingValue;
+    }
+    return defaultValue;
+  };
+
+  const paperSizeValue = String(pick(page.size ?? page.paper, settings.docxPaperSize, DEFAULT_PAGE_SETUP.paperSize)).toLowerCase();
+  const paperSize = PAPER_SIZES[paperSizeValue] ? paperSizeValue : DEFAULT_PAGE_SETUP.paperSize;
+
+  const orientationValue = String(pick(page.orientation, settings.docxOrientation, DEFAULT_PAGE_SETUP.orientation)).toLowerCase();
+  const orientation = orientationValue === 'landscape' ? 'landscape' : 'portrait';
+
+  const defaultMargins = MARGIN_PRESETS[DEFAULT_PAGE_SETUP.margins];
+  const settingMargins = resolveMargins(settings.docxMargins ?? DEFAULT_PAGE_SETUP.margins, defaultMargins);
+  const margins = page.margin !== undefined || page.margins !== undefined
+    ? resolveMargins(page.margin ?? page.margins, settingMargins)
+    : settingMargins;
+
+  const header = String(pick(page.header, settings.docxHeader, DEFAULT_PAGE_SETUP.header));
+  const footer = String(pick(page.footer, settings.docxFooter, DEFAULT_PAGE_SETUP.footer));
+
+  const portrait = PAPER_SIZES[paperSize];
+  const width = orientation === 'landscape' ? portrait.height : portrait.width;
+  const height = orientation === 'landscape' ? portrait.width : portrait.height;
+
+  return {
+    paperSize,
+    orientation,
+    margins,
+    header,
+    footer,
+    width,
+    height,
+    contentWidth: Math.max(1, width - margins.left - margins.right),
+    contentHeight: Math.max(1, height - margins.top - margins.bottom),
+  };
+}
+
+/**
+ * Resolve the page setup of a document export and the image area it leaves
+ * @param {Object} settings - Popup settings (see resolvePageSetup)
+ * @param {Object|null} frontMatter - Parsed front matter; its `page` object overrides the settings
+ * @returns {{pageSetup: Object, imageBounds: {maxWidth: number, maxHeight: number}}} Page setup and
+ *   the content area in CSS pixels
+ */
+export function resolveExportPageSetup(settings = {}, frontMatter = null) {
+  const pageSetup = resolvePageSetup(settings, frontMatter?.data?.page);
+  return {
+    pageSetup,
+    imageBounds: {
+      maxWidth: pageSetup.contentWidth * 96,
+      maxHeight: pageSetup.contentHeight * 96,
+    },
+  };
+}
+
+/**
+ * Split a header/footer template into text and token parts
+ * Example: "Page {page} of {pages}" → text, token(page), text, token(pages)
+ * Unknown tokens are kept as literal text.
+ * @param {string} template - Template string
+ * @returns {Array<{type: 'text'|'token', value: string}>} Template parts
+ */
+export function splitTemplate(template) {
+  const parts = [];
+  const regex = /\{(\w+)\}/g;
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (text) => {
+    if (!text) {
+      return;
+    }
+    const last = parts[parts.length - 1];
+    if (last && last.type === 'text') {
+      last.value += text;
+    } else {
+      parts.push({ type: 'text', value: text });
+    }
+  };
+
+  while ((match = regex.exec(template || '')) !== null) {
+    pushText(template.slice(lastIndex, match.index));
+    const name = match[1].toLowerCase();
+    if (TEMPLATE_TOKENS.includes(name)) {
+      parts.push({ type: 'token', value: name });
+    } else {
+      pushText(match[0]);
+    }
+    lastIndex = regex.lastIndex;
+  }
+  pushText((template || '').slice(lastIndex));
+
+  return parts;
+}
@@ -0,0 +1,409 @@
+// PDF Exporter for Markdown Viewer Extension
+// Rasterizes the rendered document (current theme, vector diagrams swapped for their PNG rendering)
+// into paginated PDF pages and adds outline bookmarks from the headings and link annotations
+// over the links
+
+import { jsPDF } from 'jspdf';
+import html2canvas from 'html2canvas';
+import { resolvePageSetup } from './page-setup.js';
+import { loadExportSettings } from '../utils/export-settings.js';
+import { downloadBlob } from '../utils/file-download.js';
+import { removeSearchHighlights } from '../utils/document-search.js';
+import { resetDiagramZoom } from '../utils/diagram-zoom.js';
+
+const CSS_PIXELS_PER_INCH = 96;
+const RENDER_SCALE = 2;
+// Keep each html2canvas pass well below browser canvas size limits
+const MAX_CANVAS_HEIGHT = 14000;
+
+/**
+ * Main class for exporting the rendered document to PDF
+ */
+class PdfExporter {
+  /**
+   * Export rendered markdown content to a PDF file
+   * @param {HTMLElement} contentElement - Rendered #markdown-content element
+   * @param {string} filename - Output filename (default: 'document.pdf')
+   * @param {Function} onProgress - Optional progress callback (completedPages, totalPages)
+   * @param {Object} options - { frontMatter, renderDiagramPng } metadata from the current render and
+   *   a function returning the base64 PNG of a vector diagram element id
+   */
+  async exportToPdf(contentElement, filename = 'document.pdf', onProgress = null, options = {}) {
+    let clone = null;
+
+    try {
+      const frontMatter = options.frontMatter || null;
+      const settings = await loadExportSettings();
+      const pageSetup = resolvePageSetup(settings, frontMatter?.data?.page);
+
+      const pageWidthPx = Math.round(pageSetup.contentWidth * CSS_PIXELS_PER_INCH);
+      const pageHeightPx = Math.round(pageSetup.contentHeight * CSS_PIXELS_PER_INCH);
+
+      // Lay out a copy of the content at the page content width
+      clone = this.createLayoutClone(contentElement, pageWidthPx);
+      await this.rasterizeVectorDiagrams(clone, options.renderDiagramPng);
+      await this.waitForImages(clone);
+
+      const pageBreaks = this.calculatePageBreaks(clone, pageHeightPx);
+      const totalPages = pageBreaks.length;
+
+      // Dark mode content keeps its background across the whole page, margins included
+      const pageBackground = this.getPageBackground(clone);
+
+      const pdf = new jsPDF({
+        unit: 'in',
+        format: pageSetup.paperSize,
+        orientation: pageSetup.orientation,
+        compress: true,
+      });
+
+      pdf.setProperties({
+        title: frontMatter?.title || filename.replace(/\.pdf$/i, ''),
+        author: frontMatter?.author || '',
+        subject: frontMatter?.subject || '',
+        keywords: frontMatter?.keywords?.join(', ') || '',
+        creator: 'Markdown Viewer Extension',
+      });
+
+      if (onProgress) {
+        onProgress(0, totalPages);
+      }
+
+      let completedPages = 0;
+      for (const batch of this.createRenderBatches(pageBreaks)) {
+        const canvas = await html2canvas(clone, {
+          scale: RENDER_SCALE,
+          useCORS: true,
+          backgroundColor: pageBackground.css,
+          logging: false,
+          // x/y are offsets relative to the captured element
+          y: batch.top,
+          height: batch.bottom - batch.top,
+        });
+
+        for (const page of batch.pages) {
+          const pageCanvas = this.sliceCanvas(canvas, page.top - batch.top, page.bottom - page.top, pageBackground.css);
+
+          if (completedPages > 0) {
+            pdf.addPage();
+          }
+          if (!pageBackground.isWhite) {
+            pdf.setFillColor(...pageBackground.rgb);
+            pdf.rect(0, 0, pdf.internal.pageSize.getWidth(), pdf.internal.pageSize.getHeight(), 'F');
+          }
+          // Lossless, so text stays sharp
+          pdf.addImage(
+            pageCanvas.toDataURL('image/png'),
+            'PNG',
+            pageSetup.margins.left,
+            pageSetup.margins.top,
+            pageSetup.contentWidth,
+            (page.bottom - page.top) / CSS_PIXELS_PER_INCH
+          );
+
+          completedPages++;
+          if (onProgress) {
+            onProgress(completedPages, totalPages);
+          }
+        }
+      }
+
+      this.addOutline(pdf, clone, pageBreaks);
+      this.addLinks(pdf, clone, pageBreaks, pageSetup);
+
+      const blob = pdf.output('blob');
+      await downloadBlob(blob, filename, 'application/pdf');
+
+      return { success: true };
+    } catch (error) {
+      console.error('PDF export error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (clone) {
+        clone.remove();
+      }
+    }
+  }
+
+  /**
+   * Create an off-screen copy of the content laid out at page width
+   * The copy keeps the #markdown-content id so theme CSS applies; it is appended
+   * after the original, so getElementById still returns the visible content.
+   * @param {HTMLElement} contentElement - Rendered content element
+   * @param {number} widthPx - Page content width in CSS pixels
+   * @returns {HTMLElement} Layout clone attached to the document
+   */
+  createLayoutClone(contentElement, widthPx) {
+    const clone = contentElement.cloneNode(true);
+    clone.setAttribute('aria-hidden', 'true');
+    removeSearchHighlights(clone);
+    resetDiagramZoom(clone);
+    Object.assign(clone.style, {
+      position: 'absolute',
+      left: '-100000px',
+      top: '0',
+      width: `${widthPx}px`,
+      maxWidth: 'none',
+      margin: '0',
+      padding: '0',
+      boxShadow: 'none',
+      zoom: '1',
+    });
+    document.body.appendChild(clone);
+    return clone;
+  }
+
+  /**
+   * Read the page background from the content's computed style
+   * Transparent backgrounds fall back to white.
+   * @param {HTMLElement} container - Layout clone
+   * @returns {{css: string, rgb: number[], isWhite: boolean}} Page background
+   */
+  getPageBackground(container) {
+    const match = getComputedStyle(container).backgroundColor.match(/rgba?\(([^)]+)\)/);
+    const channels = match ? match[1].split(',').map(value => parseFloat(value)) : [];
+    const isOpaque = channels.length === 3 || (channels.length === 4 && channels[3] === 1);
+    const rgb = isOpaque ? channels.slice(0, 3).map(Math.round) : [255, 255, 255];
+
+    return {
+      css: `rgb(${rgb.join(', ')})`,
+      rgb,
+      isWhite: rgb.every(value => value === 255)
+    };
+  }
+
+  /**
+   * Replace inline SVG diagrams and live charts with their PNG rendering
+   * html2canvas cannot draw the HTML labels inside diagram SVGs reliably.
+   * @param {HTMLElement} container - Layout clone
+   * @param {Function|undefined} renderDiagramPng - Returns the base64 PNG of a diagram element id
+   */
+  async rasterizeVectorDiagrams(container, renderDiagramPng) {
+    if (!renderDiagramPng) {
+      return;
+    }
+
+    for (const block of Array.from(container.querySelectorAll('.diagram-vector, .diagram-interactive'))) {
+      const svg = block.querySelector(':scope > svg, .diagram-viewport > svg, .vega-embed > svg');
+      try {
+        const base64 = svg ? await renderDiagramPng(block.id) : null;
+        if (!base64) {
+          continue;
+        }
+        const img = document.createElement('img');
+        img.src = `data:image/png;base64,${base64}`;
+        img.alt = block.getAttribute('aria-label') || '';
+        img.setAttribute('width', svg.getAttribute('width'));
+        (block.querySelector('.diagram-viewport') || block).replaceChildren(img);
+      } catch (error) {
+        // Keep the SVG; html2canvas draws what it can
+        console.warn('Failed to rasterize diagram for PDF:', error);
+      }
+    }
+  }
+
+  /**
+   * Wait until images in the clone are decoded so measurements are stable
+   * @param {HTMLElement} container - Layout clone
+   */
+  async waitForImages(container) {
+    const images = Array.from(container.querySelectorAll('img'));
+    await Promise.all(images.map(img => (img.decode ? img.decode().catch(() => {}) : Promise.resolve())));
+  }
+
+  /**
+   * Calculate page ranges, breaking between top-level blocks where possible
+   * Blocks taller than a page are sliced at page height.
+   * @param {HTMLElement} container - Layout clone
+   * @param {number} pageHeightPx - Page content height in CSS pixels
+   * @returns {Array<{top: number, bottom: number}>} Page ranges relative to the container
+   */
+  calculatePageBreaks(container, pageHeightPx) {
+    const containerTop = container.getBoundingClientRect().top;
+    const totalHeight = Math.ceil(container.scrollHeight);
+    const starts = [0];
+    let pageStart = 0;
+
+    for (const block of Array.from(container.children)) {
+      const rect = block.getBoundingClientRect();
+      const top = rect.top - containerTop;
+      const bottom = rect.bottom - containerTop;
+
+      if (bottom - pageStart <= pageHeightPx) {
+        continue;
+      }
+
+      // Move the whole block to the next page when it fits on one page
+      if (top > pageStart && bottom - top <= pageHeightPx) {
+        pageStart = top;
+        starts.push(pageStart);
+        continue;
+      }
+
+      // Slice blocks that are taller than a page
+      while (bottom - pageStart > pageHeightPx) {
+        pageStart += pageHeightPx;
+        starts.push(pageStart);
+      }
+    }
+
+    return starts
+      .map((top, index) => ({
+        top: Math.floor(top),
+        bottom: Math.ceil(Math.min(starts[index + 1] ?? totalHeight, top + pageHeightPx, totalHeight)),
+      }))
+      .filter(page => page.bottom > page.top);
+  }
+
+  /**
+   * Group consecutive pages so each html2canvas pass stays under the canvas size limit
+   * @param {Array<{top: number, bottom: number}>} pages - Page ranges
+   * @returns {Array<{top: number, bottom: number, pages: Array}>} Render batches
+   */
+  createRenderBatches(pages) {
+    const batches = [];
+    let current = null;
+
+    for (const page of pages) {
+      if (current && (page.bottom - current.top) * RENDER_SCALE <= MAX_CANVAS_HEIGHT) {
+        current.bottom = page.bottom;
+        current.pages.push(page);
+      } else {
+        current = { top: page.top, bottom: page.bottom, pages: [page] };
+        batches.push(current);
+      }
+    }
+
+    return batches;
+  }
+
+  /**
+   * Copy a vertical slice of a rendered canvas into a new canvas
+   * @param {HTMLCanvasElement} canvas - Rendered batch canvas
+   * @param {number} offsetPx - Slice offset in CSS pixels
+   * @param {number} heightPx - Slice height in CSS pixels
+   * @param {string} background - CSS color filled behind the slice
+   * @returns {HTMLCanvasElement} Page canvas
+   */
+  sliceCanvas(canvas, offsetPx, heightPx, background = '#ffffff') {
+    const pageCanvas = document.createElement('canvas');
+    const sourceY = Math.round(offsetPx * RENDER_SCALE);
+    const sourceHeight = Math.min(Math.round(heightPx * RENDER_SCALE), canvas.height - sourceY);
+
+    pageCanvas.width = canvas.width;
+    pageCanvas.height = Math.max(1, sourceHeight);
+
+    const ctx = pageCanvas.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, pageCanvas.width, pageCanvas.height);
+    ctx.drawImage(canvas, 0, sourceY, canvas.width, sourceHeight, 0, 0, canvas.width, sourceHeight);
+
+    return pageCanvas;
+  }
+
+  /**
+   * Add PDF outline (bookmarks) for document headings
+   * @param {jsPDF} pdf - PDF document
+   * @param {HTMLElement} container - Layout clone
+   * @param {Array<{top: number, bottom: number}>} pages - Page ranges
+   */
+  addOutline(pdf, container, pages) {
+    const containerTop = container.getBoundingClientRect().top;
+    const headings = Array.from(container.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+      .filter(heading => !heading.closest('section[data-footnotes]'));
+
+    // Stack of open outline nodes by heading level
+    const stack = [];
+
+    for (const heading of headings) {
+      const title = heading.textContent.trim();
+      if (!title) {
+        continue;
+      }
+
+      const level = parseInt(heading.tagName[1], 10);
+      const pageIndex = findPageIndex(pages, heading.getBoundingClientRect().top - containerTop);
+
+      while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+        stack.pop();
+      }
+      const parent = stack.length > 0 ? stack[stack.length - 1].node : null;
+      const node = pdf.outline.add(parent, title, { pageNumber: pageIndex + 1 });
+      stack.push({ level, node });
+    }
+  }
+
+  /**
+   * Add link annotations over the links of the page images
+   * External links open their URL; in-document links (#id) jump to the target's page.
+   * Links wrapped over several lines get one annotation per line box.
+   * @param {jsPDF} pdf - PDF document
+   * @param {HTMLElement} container - Layout clone
+   * @param {Array<{top: number, bottom: number}>} pages - Page ranges
+   * @param {Object} pageSetup - Resolved page setup (margins in inches)
+   */
+  addLinks(pdf, container, pages, pageSetup) {
+    const containerRect = container.getBoundingClientRect();
+    const targets = new Map(Array.from(container.querySelectorAll('[id]')).map(element => [element.id, element]));
+
+    for (const link of Array.from(container.querySelectorAll('a[href]'))) {
+      const href = link.getAttribute('href');
+      let options = null;
+
+      if (href.startsWith('#')) {
+        let id = href.slice(1);
+        try {
+          id = decodeURIComponent(id);
+        } catch (error) {
+          // Keep the raw anchor if it is not valid URI encoding
+        }
+        const target = targets.get(id);
+        if (!target) {
+          continue;
+        }
+        const top = target.getBoundingClientRect().top - containerRect.top;
+        const pageIndex = findPageIndex(pages, top);
+        options = {
+          pageNumber: pageIndex + 1,
+          top: pageSetup.margins.top + Math.max(top - pages[pageIndex].top, 0) / CSS_PIXELS_PER_INCH,
+        };
+      } else if (/^(https?|mailto|ftp):/i.test(link.href)) {
+        options = { url: link.href };
+      } else {
+        continue;
+      }
+
+      for (const rect of Array.from(link.getClientRects())) {
+        const top = rect.top - containerRect.top;
+        const pageIndex = findPageIndex(pages, top);
+        const page = pages[pageIndex];
+        const height = Math.min(rect.bottom - containerRect.top, page.bottom) - top;
+        if (rect.width <= 0 || height <= 0) {
+          continue;
+        }
+
+        pdf.setPage(pageIndex + 1);
+        pdf.link(
+          pageSetup.margins.left + (rect.left - containerRect.left) / CSS_PIXELS_PER_INCH,
+          pageSetup.margins.top + (top - page.top) / CSS_PIXELS_PER_INCH,
+          rect.width / CSS_PIXELS_PER_INCH,
+          height / CSS_PIXELS_PER_INCH,
+          options
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Find the page showing a position of the layout clone
+ * @param {Array<{top: number, bottom: number}>} pages - Page ranges
+ * @param {number} top - Position relative to the container in CSS pixels
+ * @returns {number} Page index; positions past the end map to the last page
+ */
+function findPageIndex(pages, top) {
+  const pageIndex = pages.findIndex(page => top < page.bottom);
+  return pageIndex === -1 ? pages.length - 1 : pageIndex;
+}
+
+export default PdfExporter;
@@ -0,0 +1,1053 @@
+// PPTX Exporter for Markdown Viewer Extension
+// Turns the document into a slide deck: slides start at `---` and H1/H2 headings,
+// text and one visual (code, table, image or diagram) go on the slide, and the
+// rest of the content goes to the speaker notes
+
+import JSZip from 'jszip';
+import DocxExporter, { applyRequestedImageSize } from './docx-exporter.js';
+import {
+  PPTX_MIMETYPE,
+  EMU_PER_INCH,
+  LAYOUT,
+  RELATIONSHIP_TYPES,
+  inchesToEmu,
+  createRun,
+  createParagraph,
+  createTextShape,
+  createPicture,
+  createTable,
+  createRelationships,
+  createContentTypes,
+  createPackageRelationships,
+  createPresentation,
+  createTheme,
+  createSlideMaster,
+  createSlideLayout,
+  createNotesMaster,
+  createSlide,
+  createNotesSlide,
+  createPresentationProperties,
+  createCoreProperties,
+  createAppProperties,
+} from './pptx-package.js';
+import { getPluginForNode, renderNodeToCommon } from '../plugins/index.js';
+import { downloadBlob } from '../utils/file-download.js';
+import { isTocMarker } from '../utils/toc-marker.js';
+import { getDisplaySize } from '../utils/fence-options.js';
+import { getTableLayout } from '../utils/table-layout.js';
+import { splitSlides } from '../utils/slide-outline.js';
+
+// Picture formats PowerPoint opens everywhere; others are converted to PNG
+const PICTURE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+};
+
+// Ordered list levels number like the DOCX export: 1. / i. / a.
+const NUMBER_FORMATS = ['arabicPeriod', 'romanLcPeriod', 'alphaLcPeriod'];
+
+// Text sizes in points; body text uses the slide master's 20pt
+const SMALL_TEXT_SIZE = 14;
+const CODE_SIZE = { max: 16, min: 9 };
+
+// Body text that does not fit this many estimated lines moves to the notes
+const LINE_BUDGET = 12;
+const CHARS_PER_INCH = 7; // Average characters per inch of 20pt text
+
+// Body area and the text/visual columns in inches
+const BODY = { left: 0.5, right: 12.83, bottom: 7.0 };
+const TEXT_COLUMN_WIDTH = 5.9;
+const VISUAL_COLUMN_LEFT = 6.6;
+const CAPTION_HEIGHT = 0.4;
+
+/**
+ * Main class for exporting Markdown to PPTX
+ */
+class PptxExporter {
+  constructor(renderer = null) {
+    this.renderer = renderer; // ExtensionRenderer instance for rendering diagrams
+    this.docxExporter = new DocxExporter(renderer); // See DocxExporter.prepareExport
+    this.themeStyles = null;
+    this.slideRelationships = null; // Relationships of the slide being built, null while writing notes
+  }
+
+  /**
+   * Export markdown content to a PPTX slide deck
+   * @param {string} markdown - Raw markdown content
+   * @param {string} filename - Output filename (default: 'presentation.pptx')
+   * @param {Function} onProgress - Optional progress callback (completed, total)
+   */
+  async exportToPptx(markdown, filename = 'presentation.pptx', onProgress = null) {
+    try {
+      // Slides have a fixed 16:9 size, so the page setup is not used
+      const { ast, frontMatter, themeStyles } = await this.docxExporter.prepareExport(markdown, onProgress);
+      this.frontMatter = frontMatter;
+      this.themeStyles = themeStyles;
+
+      this.zip = new JSZip();
+      this.mediaTypes = {};
+      this.counters = { image: 0 };
+      this.footnoteNumbers = new Map();
+
+      const title = this.frontMatter?.title || filename.replace(/\.pptx$/i, '');
+      const slides = splitSlides(ast.children);
+
+      // A front matter title gets its own title slide unless the deck opens with one
+      if (this.frontMatter?.title && slides[0]?.title?.depth !== 1) {
+        slides.unshift({ title: null, body: [], notes: [], documentTitle: this.frontMatter.title });
+      }
+      if (slides.length === 0) {
+        slides.push({ title: null, body: [], notes: [], documentTitle: title });
+      }
+
+      for (let index = 0; index < slides.length; index++) {
+        await this.convertSlide(slides[index], index + 1);
+      }
+
+      this.writePackageParts(slides.length, title);
+
+      const blob = await this.zip.generateAsync({
+        type: 'blob',
+        mimeType: PPTX_MIMETYPE,
+        compression: 'DEFLATE',
+      });
+
+      await downloadBlob(blob, filename, PPTX_MIMETYPE);
+
+      return { success: true };
+    } catch (error) {
+      console.error('PPTX export error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.zip = null;
+      this.docxExporter.progressCallback = null;
+    }
+  }
+
+  /**
+   * Write the presentation, master, layout, theme and property parts
+   * @param {number} slideCount - Number of slides
+   * @param {string} title - Presentation title
+   */
+  writePackageParts(slideCount, title) {
+    const fonts = {
+      heading: this.themeStyles.paragraphStyles.heading1?.run.font || this.themeStyles.default.run.font,
+      body: this.themeStyles.default.run.font,
+    };
+    const presentation = createPresentation(slideCount);
+    const slideMaster = createSlideMaster();
+    const notesMaster = createNotesMaster();
+
+    this.zip.file('[Content_Types].xml', createContentTypes(slideCount, this.mediaTypes));
+    this.zip.file('_rels/.rels', createPackageRelationships());
+    this.zip.file('ppt/presentation.xml', presentation.xml);
+    this.zip.file('ppt/_rels/presentation.xml.rels', presentation.relationships);
+    this.zip.file('ppt/slideMasters/slideMaster1.xml', slideMaster.xml);
+    this.zip.file('ppt/slideMasters/_rels/slideMaster1.xml.rels', slideMaster.relationships);
+    ['title', 'content'].forEach((kind, index) => {
+      const layout = createSlideLayout(kind);
+      this.zip.file(`ppt/slideLayouts/slideLayout${index + 1}.xml`, layout.xml);
+      this.zip.file(`ppt/slideLayouts/_rels/slideLayout${index + 1}.xml.rels`, layout.relationships);
+    });
+    this.zip.file('ppt/notesMasters/notesMaster1.xml', notesMaster.xml);
+    this.zip.file('ppt/notesMasters/_rels/notesMaster1.xml.rels', notesMaster.relationships);
+    this.zip.file('ppt/theme/theme1.xml', createTheme(fonts));
+    this.zip.file('ppt/theme/theme2.xml', createTheme(fonts));
+    for (const [path, xml] of Object.entries(createPresentationProperties())) {
+      this.zip.file(`ppt/${path}`, xml);
+    }
+    this.zip.file('docProps/core.xml', createCoreProperties({
+      title,
+      author: this.frontMatter?.author || '',
+      subject: this.frontMatter?.subject || '',
+      description: this.frontMatter?.description || 'Generated from Markdown',
+      keywords: this.frontMatter?.keywords || [],
+      created: new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+    }));
+    this.zip.file('docProps/app.xml', createAppProperties(slideCount));
+  }
+
+  /**
+   * Report progress for the images and diagrams of content that is not rendered
+   * @param {Object} node - AST node
+   */
+  skipResources(node) {
+    const count = this.docxExporter.countResources({ children: [node] });
+    for (let index = 0; index < count; index++) {
+      this.docxExporter.reportResourceProgress();
+    }
+  }
+
+  /**
+   * Add a relationship to the slide being built
+   * @param {string} type - Relationship type
+   * @param {string} target - Target path or URL
+   * @param {boolean} external - Target is outside the package
+   * @returns {string} Relationship id
+   */
+  addSlideRelationship(type, target, external = false) {
+    const id = `rId${this.slideRelationships.length + 1}`;
+    this.slideRelationships.push({ id, type, target, external });
+    return id;
+  }
+
+  /**
+   * Next shape id on the slide being built
+   * @returns {number} Shape id
+   */
+  nextShapeId() {
+    return ++this.shapeId;
+  }
+
+  /**
+   * Build a slide and its notes slide
+   * @param {Object} slide - Slide from splitSlides()
+   * @param {number} number - Slide number
+   */
+  async convertSlide(slide, number) {
+    this.slideRelationships = [];
+    this.addSlideRelationship(RELATIONSHIP_TYPES.slideLayout, '../slideLayouts/slideLayout2.xml');
+    this.addSlideRelationship(RELATIONSHIP_TYPES.notesSlide, `../notesSlides/notesSlide${number}.xml`);
+    this.shapeId = 1;
+    this.slideFootnotes = [];
+    this.overflowNotes = [];
+
+    const isTitleSlide = Boolean(slide.documentTitle)
+      || (slide.title?.depth === 1 && slide.body.every(node => node.type === 'paragraph' && !this.isVisualNode(node)));
+
+    let shapes;
+    if (isTitleSlide) {
+      this.slideRelationships[0].target = '../slideLayouts/slideLayout1.xml';
+      shapes = await this.convertTitleSlide(slide);
+    } else {
+      shapes = await this.convertContentSlide(slide);
+    }
+
+    // Notes are plain text without relationships: speaker notes, then content that did not fit, then footnotes
+    const slideRelationships = this.slideRelationships;
+    this.slideRelationships = null;
+    let notes = (await this.convertTextBlocks(slide.notes, 0)).map(item => item.markup).join('');
+    notes += this.overflowNotes.join('');
+    notes += await this.convertFootnoteNotes();
+
+    this.zip.file(`ppt/slides/slide${number}.xml`, createSlide(shapes));
+    this.zip.file(`ppt/slides/_rels/slide${number}.xml.rels`, createRelationships(slideRelationships));
+    this.zip.file(`ppt/notesSlides/notesSlide${number}.xml`, createNotesSlide(notes));
+    this.zip.file(`ppt/notesSlides/_rels/notesSlide${number}.xml.rels`, createRelationships([
+      { id: 'rId1', type: RELATIONSHIP_TYPES.notesMaster, target: '../notesMasters/notesMaster1.xml' },
+      { id: 'rId2', type: RELATIONSHIP_TYPES.slide, target: `../slides/slide${number}.xml` },
+    ]));
+  }
+
+  /**
+   * Build the shapes of a title slide
+   * The subtitle holds the slide's paragraphs, or the author and date from front matter.
+   * @param {Object} slide - Slide from splitSlides()
+   * @returns {Promise<string>} Shape markup
+   */
+  async convertTitleSlide(slide) {
+    const titleRuns = slide.documentTitle
+      ? createRun(slide.documentTitle)
+      : await this.convertInlineNodes(slide.title.children);
+
+    let subtitle = '';
+    for (const node of slide.body) {
+      subtitle += createParagraph(await this.convertInlineNodes(node.children), { align: 'ctr' });
+    }
+    if (!subtitle) {
+      subtitle = [this.frontMatter?.author, this.frontMatter?.date]
+        .filter(Boolean)
+        .map(text => createParagraph(createRun(String(text)), { align: 'ctr' }))
+        .join('');
+    }
+
+    let shapes = createTextShape({
+      id: this.nextShapeId(),
+      name: 'Title',
+      placeholder: { type: 'ctrTitle' },
+      paragraphs: createParagraph(titleRuns, { align: 'ctr' }),
+    });
+    if (subtitle) {
+      shapes += createTextShape({
+        id: this.nextShapeId(),
+        name: 'Subtitle',
+        placeholder: { type: 'subTitle', idx: 1 },
+        paragraphs: subtitle,
+      });
+    }
+    return shapes;
+  }
+
+  /**
+   * Build the shapes of a title and content slide
+   * Text fills the left column when the slide also has a visual; the first visual takes
+   * the right column (or the whole body), later visuals and overflowing text go to the notes.
+   * @param {Object} slide - Slide from splitSlides()
+   * @returns {Promise<string>} Shape markup
+   */
+  async convertContentSlide(slide) {
+    let shapes = '';
+    if (slide.title) {
+      shapes += createTextShape({
+        id: this.nextShapeId(),
+        name: 'Title',
+        placeholder: { type: 'title' },
+        paragraphs: createParagraph(await this.convertInlineNodes(slide.title.children)),
+      });
+    }
+
+    const visualNode = slide.body.find(node => this.isVisualNode(node));
+    const textNodes = slide.body.filter(node => node !== visualNode && !this.isVisualNode(node));
+    const hasText = textNodes.some(node => !(node.type === 'paragraph' && isTocMarker(node)));
+
+    const top = slide.title ? LAYOUT.bodyTop / EMU_PER_INCH : BODY.left;
+    const textFrame = { left: BODY.left, top, width: visualNode ? TEXT_COLUMN_WIDTH : BODY.right - BODY.left };
+    const visualFrame = hasText
+      ? { left: VISUAL_COLUMN_LEFT, top, width: BODY.right - VISUAL_COLUMN_LEFT, height: BODY.bottom - top }
+      : { left: BODY.left, top, width: BODY.right - BODY.left, height: BODY.bottom - top };
+
+    // Text blocks in document order until the line budget is spent
+    const charsPerLine = Math.floor(textFrame.width * CHARS_PER_INCH);
+    const slideRelationships = this.slideRelationships;
+    let paragraphs = '';
+    let lines = 0;
+    let overflowing = false;
+    for (const node of slide.body) {
+      if (node === visualNode) {
+        continue;
+      }
+      if (this.isVisualNode(node)) {
+        this.overflowNotes.push(...(await this.describeVisual(node)));
+        continue;
+      }
+
+      const relationshipCount = this.slideRelationships.length;
+      const items = await this.convertTextBlocks([node], 0);
+      const nodeLines = items.reduce((total, item) => total + estimateLines(item.text, charsPerLine), 0);
+      if (overflowing || (lines > 0 && lines + nodeLines > LINE_BUDGET)) {
+        // Convert again without slide links for the notes
+        overflowing = true;
+        this.slideRelationships.length = relationshipCount;
+        this.slideRelationships = null;
+        const noteItems = await this.convertTextBlocks([node], 0);
+        this.slideRelationships = slideRelationships;
+        this.overflowNotes.push(...noteItems.map(item => item.markup));
+        continue;
+      }
+      lines += nodeLines;
+      paragraphs += items.map(item => item.markup).join('');
+    }
+
+    if (paragraphs) {
+      shapes += createTextShape({
+        id: this.nextShapeId(),
+        name: 'Content',
+        placeholder: { idx: 1 },
+        frame: {
+          x: inchesToEmu(textFrame.left),
+          y: inchesToEmu(textFrame.top),
+          width: inchesToEmu(textFrame.width),
+          height: inchesToEmu(BODY.bottom - textFrame.top),
+        },
+        autofit: true,
+        paragraphs,
+      });
+    }
+
+    if (visualNode) {
+      shapes += await this.convertVisual(visualNode, visualFrame);
+    }
+    return shapes;
+  }
+
+  /**
+   * Check whether a block is placed as a slide visual
+   * @param {Object} node - Block AST node
+   * @returns {boolean} True for diagrams, code, tables, figures and image-only paragraphs
+   */
+  isVisualNode(node) {
+    if (getPluginForNode(node)) {
+      return true;
+    }
+    if (node.type === 'paragraph') {
+      return getImageOnlyChildren(node) !== null;
+    }
+    return node.type === 'code' || node.type === 'table' || node.type === 'figure';
+  }
+
+  /**
+   * Build the shapes of a slide visual
+   * @param {Object} node - Visual block node
+   * @param {Object} frame - Available area { left, top, width, height } in inches
+   * @returns {Promise<string>} Shape markup
+   */
+  async convertVisual(node, frame) {
+    if (node.type === 'figure') {
+      const caption = node.children.find(child => child.type === 'caption');
+      const content = node.children.find(child => child.type !== 'caption');
+      if (!content) {
+        return '';
+      }
+      if (!caption) {
+        return this.convertVisual(content, frame);
+      }
+
+      // Table captions sit above the table, figure captions below the figure
+      const captionAbove = caption.kind === 'table';
+      const contentFrame = {
+        ...frame,
+        top: captionAbove ? frame.top + CAPTION_HEIGHT : frame.top,
+        height: frame.height - CAPTION_HEIGHT,
+      };
+      const captionTop = captionAbove ? frame.top : frame.top + frame.height - CAPTION_HEIGHT;
+      return await this.convertVisual(content, contentFrame)
+        + createTextShape({
+          id: this.nextShapeId(),
+          name: 'Caption',
+          frame: {
+            x: inchesToEmu(frame.left),
+            y: inchesToEmu(captionTop),
+            width: inchesToEmu(frame.width),
+            height: inchesToEmu(CAPTION_HEIGHT),
+          },
+          paragraphs: createParagraph(await this.convertCaptionRuns(caption), { align: 'ctr', size: SMALL_TEXT_SIZE }),
+        });
+    }
+
+    const plugin = getPluginForNode(node);
+    if (plugin) {
+      const renderResult = await renderNodeToCommon(node, this.renderer);
+      this.docxExporter.reportResourceProgress();
+      return this.convertPluginResult(renderResult, plugin.type, frame);
+    }
+
+    switch (node.type) {
+      case 'paragraph': {
+        const [image, ...rest] = getImageOnlyChildren(node);
+        for (const other of rest) {
+          this.overflowNotes.push(...(await this.describeVisual({ type: 'paragraph', children: [other] })));
+        }
+        return this.convertImage(image, frame);
+      }
+
+      case 'code':
+        return this.convertCodeBlock(node, frame);
+
+      case 'table':
+        return this.convertTable(node, frame);
+
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Convert a plugin render result (see BasePlugin.renderToCommon) to a picture
+   * @param {Object|null} renderResult - Unified render result
+   * @param {string} pluginType - Plugin type, used for picture names
+   * @param {Object} frame - Available area in inches
+   * @returns {string} Shape markup
+   */
+  convertPluginResult(renderResult, pluginType, frame) {
+    if (renderResult?.type === 'error') {
+      return this.createTextBox(frame, createParagraph(createRun(renderResult.content.text, { italic: true, color: 'FF0000' })));
+    }
+    if (renderResult?.type !== 'image') {
+      return '';
+    }
+
+    const { data, width, height } = renderResult.content;
+    const size = getDisplaySize(width, height, renderResult.display);
+    const description = renderResult.display.caption || `${pluginType} image`;
+    return this.placePicture(data, 'png', 'image/png', size, frame, description);
+  }
+
+  /**
+   * Convert an image node to a picture
+   * @param {Object} node - Image node ({url, alt}, HTML images may add width/height in pixels)
+   * @param {Object} frame - Available area in inches
+   * @returns {Promise<string>} Shape markup
+   */
+  async convertImage(node, frame) {
+    try {
+      const { buffer, contentType } = await this.docxExporter.fetchImageAsBuffer(node.url);
+      const naturalSize = await this.docxExporter.getImageDimensions(buffer, contentType);
+      const size = applyRequestedImageSize(naturalSize, node);
+
+      let data = buffer;
+      let extension = PICTURE_EXTENSIONS[contentType];
+      let mediaType = contentType;
+      if (!extension) {
+        data = await this.docxExporter.rasterizeImage(buffer, contentType, size);
+        extension = 'png';
+        mediaType = 'image/png';
+      }
+      this.docxExporter.reportResourceProgress();
+
+      return this.placePicture(data, extension, mediaType, size, frame, node.alt || '');
+    } catch (error) {
+      console.warn('Failed to load image:', node.url, error);
+      this.docxExporter.reportResourceProgress();
+      return this.createTextBox(frame, createParagraph(createRun(`[${node.alt || node.url}]`, { italic: true })));
+    }
+  }
+
+  /**
+   * Store a picture and place it centered in the frame
+   * Pictures keep their aspect ratio and grow at most to twice their display size.
+   * @param {Uint8Array} data - Image data
+   * @param {string} extension - File extension
+   * @param {string} mediaType - Image content type
+   * @param {Object} size - Display size {width, height} in pixels
+   * @param {Object} frame - Available area in inches
+   * @param {string} description - Alternative text
+   * @returns {string} Picture markup
+   */
+  placePicture(data, extension, mediaType, size, frame, description) {
+    const path = `media/image${++this.counters.image}.${extension}`;
+    this.zip.file(`ppt/${path}`, data);
+    this.mediaTypes[extension] = mediaType;
+    const relationshipId = this.addSlideRelationship(RELATIONSHIP_TYPES.image, `../${path}`);
+
+    const widthInches = Math.max(size.width, 1) / 96;
+    const heightInches = Math.max(size.height, 1) / 96;
+    const scale = Math.min(frame.width / widthInches, frame.height / heightInches, 2);
+    const width = widthInches * scale;
+    const height = heightInches * scale;
+
+    return createPicture({
+      id: this.nextShapeId(),
+      name: `Picture ${this.counters.image}`,
+      description,
+      relationshipId,
+      frame: {
+        x: inchesToEmu(frame.left + (frame.width - width) / 2),
+        y: inchesToEmu(frame.top + (frame.height - height) / 2),
+        width: inchesToEmu(width),
+        height: inchesToEmu(height),
+      },
+    });
+  }
+
+  /**
+   * Create a text box filling a frame
+   * @param {Object} frame - Area in inches
+   * @param {string} paragraphs - Paragraph markup
+   * @returns {string} Shape markup
+   */
+  createTextBox(frame, paragraphs) {
+    return createTextShape({
+      id: this.nextShapeId(),
+      name: `TextBox ${this.shapeId}`,
+      frame: {
+        x: inchesToEmu(frame.left),
+        y: inchesToEmu(frame.top),
+        width: inchesToEmu(frame.width),
+        height: inchesToEmu(frame.height),
+      },
+      paragraphs,
+    });
+  }
+
+  /**
+   * Convert a code block to a text box with the theme's code colors
+   * The font shrinks to fit the frame; lines that still do not fit are cut
+   * and the full code is added to the notes.
+   * @param {Object} node - Code node
+   * @param {Object} frame - Available area in inches
+   * @returns {string} Shape markup
+   */
+  convertCodeBlock(node, frame) {
+    const code = (node.value ?? '').replace(/\n$/, '');
+    const { codeColors, characterStyles } = this.themeStyles;
+    const codeFont = characterStyles.code.font;
+    const lineTexts = code.split('\n');
+    const longestLine = Math.max(...lineTexts.map(line => line.length), 1);
+
+    // Monospace glyphs are about 0.6em wide and lines take 1.2em
+    const padding = 0.15;
+    const fitWidth = ((frame.width - 2 * padding) * 72) / (0.6 * longestLine);
+    const fitHeight = ((frame.height - 2 * padding) * 72) / (1.2 * lineTexts.length);
+    const size = Math.max(CODE_SIZE.min, Math.min(CODE_SIZE.max, Math.floor(Math.min(fitWidth, fitHeight))));
+    const maxLines = Math.max(1, Math.floor(((frame.height - 2 * padding) * 72) / (1.2 * size)));
+
+    // Split the highlighted segments into lines
+    const lines = [[]];
+    for (const { text, color } of this.docxExporter.getHighlightedSegments(code, node.lang)) {
+      text.split('\n').forEach((part, index) => {
+        if (index > 0) {
+          lines.push([]);
+        }
+        if (part) {
+          lines[lines.length - 1].push(createRun(part, { size, font: codeFont, color: color || codeColors.foreground }));
+        }
+      });
+    }
+
+    let shownLines = lines;
+    if (lines.length > maxLines) {
+      shownLines = lines.slice(0, maxLines - 1);
+      shownLines.push([createRun('…', { size, font: codeFont, color: codeColors.foreground })]);
+      this.overflowNotes.push(...lineTexts.map(line => createParagraph(createRun(line, { font: codeFont }))));
+    }
+
+    const height = Math.min(frame.height, (shownLines.length * 1.2 * size) / 72 + 2 * padding);
+    return createTextShape({
+      id: this.nextShapeId(),
+      name: `Code ${this.shapeId}`,
+      frame: {
+        x: inchesToEmu(frame.left),
+        y: inchesToEmu(frame.top),
+        width: inchesToEmu(frame.width),
+        height: inchesToEmu(height),
+      },
+      fill: codeColors.background,
+      line: 'D0D7DE',
+      inset: inchesToEmu(padding),
+      paragraphs: shownLines.map(runs => createParagraph(runs.join(''), { spaceBefore: 0, size })).join(''),
+    });
+  }
+
+  /**
+   * Convert a table with the theme's borders, header shading and zebra stripes
+   * @param {Object} node - Table node
+   * @param {Object} frame - Available area in inches
+   * @returns {Promise<string>} Table frame markup
+   */
+  async convertTable(node, frame) {
+    const docx = this.docxExporter;
+    const tableStyles = this.themeStyles.tableStyles;
+    const alignments = node.align || [];
+
+    // Directive options, delimiter row widths and `<<`/`^^` merges (see table-layout.js)
+    const {
+      tableRows, rowCount, columnCount, headerRowCount, widths, spans
+    } = getTableLayout(node, cell => docx.extractText(cell));
+    const columnFractions = widths || Array(columnCount).fill(1 / columnCount);
+    const merged = getMergedCells(spans);
+
+    // Rows get smaller text when they would not fit the frame at the normal size
+    const size = Math.max(10, Math.min(SMALL_TEXT_SIZE + 2, Math.floor((frame.height * 72) / (rowCount * 2))));
+    const rowHeight = (size * 2) / 72;
+
+    const rows = [];
+    for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+      const row = tableRows[rowIndex];
+      const isHeaderRow = rowIndex < headerRowCount;
+      const styleRowIndex = isHeaderRow ? 0 : rowIndex - headerRowCount + 1;
+      const cells = [];
+
+      for (let colIndex = 0; colIndex < columnCount; colIndex++) {
+        const cell = row.children[colIndex];
+        const span = cell ? spans[rowIndex][colIndex] : { colSpan: 1, rowSpan: 1 };
+        if (!span) {
+          cells.push(merged[rowIndex][colIndex]);
+          continue;
+        }
+
+        const isLastRow = rowIndex + span.rowSpan === rowCount;
+        const cellStyle = docx.getTableCellStyle(styleRowIndex, colIndex, isHeaderRow, isLastRow);
+        const bold = isHeaderRow && tableStyles.header?.bold;
+        const runs = cell ? await this.convertInlineNodes(cell.children, { size, bold }) : '';
+        const alignment = { center: 'ctr', right: 'r' }[alignments[colIndex]];
+
+        cells.push({
+          paragraphs: createParagraph(runs, { align: alignment, size, spaceBefore: 0 }),
+          fill: cellStyle.shading?.fill,
+          borders: {
+            top: toLine(cellStyle.borders?.top),
+            bottom: toLine(cellStyle.borders?.bottom),
+            left: toLine(cellStyle.borders?.left),
+            right: toLine(cellStyle.borders?.right),
+          },
+          colSpan: span.colSpan,
+          rowSpan: span.rowSpan,
+        });
+      }
+      rows.push(cells);
+    }
+
+    return createTable({
+      id: this.nextShapeId(),
+      name: `Table ${this.shapeId}`,
+      frame: {
+        x: inchesToEmu(frame.left),
+        y: inchesToEmu(frame.top),
+        width: inchesToEmu(frame.width),
+        height: inchesToEmu(rowHeight * rowCount),
+      },
+      columnWidths: columnFractions.map(fraction => inchesToEmu(frame.width * fraction)),
+      rows,
+    });
+  }
+
+  /**
+   * Describe a visual that does not fit on the slide for the speaker notes
+   * @param {Object} node - Visual block node
+   * @returns {Promise<string[]>} Paragraph markup
+   */
+  async describeVisual(node) {
+    this.skipResources(node);
+    const previousRelationships = this.slideRelationships;
+    this.slideRelationships = null;
+    try {
+      const codeFont = this.themeStyles.characterStyles.code.font;
+      if (node.type === 'code' && !getPluginForNode(node)) {
+        return (node.value ?? '').replace(/\n$/, '').split('\n')
+          .map(line => createParagraph(createRun(line, { font: codeFont })));
+      }
+      if (node.type === 'table') {
+        return node.children.map(row => createParagraph(createRun(
+          row.children.map(cell => this.docxExporter.extractText(cell)).join(' | ')
+        )));
+      }
+      if (node.type === 'figure') {
+        const items = [];
+        for (const child of node.children) {
+          items.push(...(child.type === 'caption'
+            ? [createParagraph(await this.convertCaptionRuns(child))]
+            : await this.describeVisual(child)));
+        }
+        return items;
+      }
+      if (node.type === 'paragraph' && getImageOnlyChildren(node)) {
+        return getImageOnlyChildren(node)
+          .map(image => createParagraph(createRun(`[${image.alt || image.url}]`, { italic: true })));
+      }
+      const plugin = getPluginForNode(node);
+      return [createParagraph(createRun(`[${plugin?.type || node.type}]`, { italic: true }))];
+    } finally {
+      this.slideRelationships = previousRelationships;
+    }
+  }
+
+  /**
+   * Convert block nodes to bullet and text paragraphs
+   * @param {Object[]} nodes - Block AST nodes
+   * @param {number} level - Indent level
+   * @returns {Promise<Array<{markup: string, text: string}>>} Paragraph markup with its plain text
+   */
+  async convertTextBlocks(nodes, level) {
+    const items = [];
+    for (const node of nodes) {
+      items.push(...(await this.convertTextBlock(node, level)));
+    }
+    return items;
+  }
+
+  /**
+   * Convert a single block node to paragraphs
+   * @param {Object} node - Block AST node
+   * @param {number} level - Indent level
+   * @returns {Promise<Array<{markup: string, text: string}>>} Paragraph markup with its plain text
+   */
+  async convertTextBlock(node, level) {
+    const docx = this.docxExporter;
+
+    if (getPluginForNode(node) || (node.type === 'paragraph' && getImageOnlyChildren(node))) {
+      return (await this.describeVisual(node)).map(markup => ({ markup, text: '' }));
+    }
+
+    switch (node.type) {
+      case 'paragraph':
+        if (isTocMarker(node)) {
+          return [];
+        }
+        return [{
+          markup: createParagraph(await this.convertInlineNodes(node.children), { level }),
+          text: docx.extractText(node),
+        }];
+
+      case 'heading':
+        return [{
+          markup: createParagraph(await this.convertInlineNodes(node.children, { bold: true }), { level }),
+          text: docx.extractText(node),
+        }];
+
+      case 'list':
+        return this.convertList(node, level);
+
+      case 'blockquote':
+        return this.convertTextBlocks(node.children, level + 1);
+
+      case 'code':
+      case 'table':
+      case 'figure':
+        // Nested in a list or quote: shown as text lines
+        return (await this.describeVisual(node)).map(markup => ({ markup, text: node.value ?? docx.extractText(node) }));
+
+      case 'math':
+        return [{
+          markup: createParagraph(createRun(node.value, { font: this.themeStyles.characterStyles.code.font }), { level }),
+          text: node.value,
+        }];
+
+      case 'html': {
+        const text = (node.value || '').replace(/<[^>]+>/g, '').trim();
+        return text ? [{ markup: createParagraph(createRun(text), { level }), text }] : [];
+      }
+
+      default:
+        // Footnote and link definitions are resolved at their references
+        return [];
+    }
+  }
+
+  /**
+   * Convert a list to bullet or numbered paragraphs
+   * Task items keep their bullet with a checkbox, also inside ordered lists.
+   * @param {Object} node - List node
+   * @param {number} level - Indent level
+   * @returns {Promise<Array<{markup: string, text: string}>>} Paragraph markup with its plain text
+   */
+  async convertList(node, level) {
+    const items = [];
+    const start = node.start ?? 1;
+
+    for (let index = 0; index < node.children.length; index++) {
+      const item = node.children[index];
+      const isTaskItem = item.checked !== null && item.checked !== undefined;
+      const bulletOptions = node.ordered && !isTaskItem
+        ? { bullet: 'number', number: start + index, numberFormat: NUMBER_FORMATS[level % NUMBER_FORMATS.length] }
+        : { bullet: 'char' };
+      const checkbox = isTaskItem ? createRun(item.checked ? '▣ ' : '☐ ') : '';
+      let markerPlaced = false;
+
+      for (const child of item.children) {
+        if (child.type === 'paragraph' && !markerPlaced && !getImageOnlyChildren(child)) {
+          markerPlaced = true;
+          items.push({
+            markup: createParagraph(checkbox + await this.convertInlineNodes(child.children), { level, ...bulletOptions }),
+            text: this.docxExporter.extractText(child),
+          });
+          continue;
+        }
+
+        // Keep the item's bullet even when it starts with a nested list, code block, ...
+        if (!markerPlaced) {
+          markerPlaced = true;
+          items.push({ markup: createParagraph(checkbox, { level, ...bulletOptions }), text: '' });
+        }
+        items.push(...(await this.convertTextBlock(child, level + 1)));
+      }
+
+      if (!markerPlaced) {
+        items.push({ markup: createParagraph(checkbox, { level, ...bulletOptions }), text: '' });
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Convert inline nodes to runs
+   * @param {Object[]} nodes - Inline AST nodes
+   * @param {Object} style - Inherited run style (see createRun)
+   * @returns {Promise<string>} Run markup
+   */
+  async convertInlineNodes(nodes, style = {}) {
+    let markup = '';
+    for (const node of nodes) {
+      markup += await this.convertInlineNode(node, style);
+    }
+    return markup;
+  }
+
+  /**
+   * Convert a single inline node
+   * @param {Object} node - Inline AST node
+   * @param {Object} style - Inherited run style
+   * @returns {Promise<string>} Run markup
+   */
+  async convertInlineNode(node, style) {
+    const codeStyle = { ...style, font: this.themeStyles.characterStyles.code.font };
+
+    switch (node.type) {
+      case 'text':
+        return node.value ? createRun(node.value.replace(/\n/g, ' '), style) : '';
+
+      case 'strong':
+        return this.convertInlineNodes(node.children, { ...style, bold: true });
+
+      case 'emphasis':
+        return this.convertInlineNodes(node.children, { ...style, italic: true });
+
+      case 'delete':
+        return this.convertInlineNodes(node.children, { ...style, strike: true });
+
+      case 'inlineCode':
+        return createRun(node.value, codeStyle);
+
+      case 'inlineMath':
+        return createRun(node.value, codeStyle);
+
+      case 'link':
+        return this.convertLink(node.children, node.url || '', style);
+
+      case 'linkReference': {
+        const definition = this.docxExporter.linkDefinitions?.get(node.identifier.toLowerCase());
+        return this.convertLink(node.children, definition?.url || '', style);
+      }
+
+      case 'image':
+        this.skipResources(node);
+        return createRun(`[${node.alt || node.url}]`, { ...style, italic: true });
+
+      case 'footnoteReference':
+        return this.convertFootnoteReference(node, style);
+
+      case 'crossReference':
+        return createRun(node.value, style);
+
+      case 'break':
+        return '<a:br><a:rPr lang="en-US" dirty="0"/></a:br>';
+
+      case 'html': {
+        const htmlValue = node.value?.trim() || '';
+        if (/^<br\s*\/?>$/i.test(htmlValue)) {
+          return '<a:br><a:rPr lang="en-US" dirty="0"/></a:br>';
+        }
+        // For other inline HTML, keep the text (strip tags)
+        const text = htmlValue.replace(/<[^>]+>/g, '');
+        return text ? createRun(text, style) : '';
+      }
+
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Convert a link; slides get clickable external links, notes show the URL after the text
+   * In-document anchors keep their text only.
+   * @param {Object[]} children - Link content nodes
+   * @param {string} url - Link target
+   * @param {Object} style - Inherited run style
+   * @returns {Promise<string>} Run markup
+   */
+  async convertLink(children, url, style) {
+    if (!url || url.startsWith('#')) {
+      return this.convertInlineNodes(children, style);
+    }
+    if (!this.slideRelationships) {
+      return await this.convertInlineNodes(children, style) + createRun(` (${url})`, style);
+    }
+    const linkId = this.addSlideRelationship(RELATIONSHIP_TYPES.hyperlink, url, true);
+    return this.convertInlineNodes(children, { ...style, linkId, color: '0366D6' });
+  }
+
+  /**
+   * Convert a footnote reference to a superscript number; its text goes to the slide notes
+   * Numbers follow the first reference in the deck.
+   * @param {Object} node - Footnote reference node
+   * @param {Object} style - Inherited run style
+   * @returns {string} Run markup
+   */
+  convertFootnoteReference(node, style) {
+    const identifier = node.identifier.toLowerCase();
+    if (!this.docxExporter.footnoteDefinitions?.has(identifier)) {
+      return createRun(`[^${node.label || node.identifier}]`, style);
+    }
+
+    if (!this.footnoteNumbers.has(identifier)) {
+      this.footnoteNumbers.set(identifier, this.footnoteNumbers.size + 1);
+    }
+    if (!this.slideFootnotes.includes(identifier)) {
+      this.slideFootnotes.push(identifier);
+    }
+    return createRun(String(this.footnoteNumbers.get(identifier)), { ...style, superscript: true, linkId: undefined });
+  }
+
+  /**
+   * Convert the footnotes referenced on the current slide to notes paragraphs
+   * Footnotes referenced from a footnote are added as they are found.
+   * @returns {Promise<string>} Paragraph markup
+   */
+  async convertFootnoteNotes() {
+    let markup = '';
+    for (let index = 0; index < this.slideFootnotes.length; index++) {
+      const identifier = this.slideFootnotes[index];
+      const definition = this.docxExporter.footnoteDefinitions.get(identifier);
+      const number = this.footnoteNumbers.get(identifier);
+      const [first, ...rest] = definition.children;
+      const firstRuns = first?.type === 'paragraph' ? await this.convertInlineNodes(first.children, { size: 12 }) : '';
+      markup += createParagraph(createRun(`${number}. `, { size: 12 }) + firstRuns);
+      const remaining = first?.type === 'paragraph' ? rest : definition.children;
+      markup += (await this.convertTextBlocks(remaining, 1)).map(item => item.markup).join('');
+    }
+    return markup;
+  }
+
+  /**
+   * Convert a caption to runs: "Figure 3: text"
+   * @param {Object} node - Caption node (see captions.js)
+   * @returns {Promise<string>} Run markup
+   */
+  async convertCaptionRuns(node) {
+    const content = node.children.filter(child => child.type !== 'captionLabel');
+    const label = createRun(`${node.name} ${node.number}${content.length > 0 ? ': ' : ''}`, { bold: true, size: SMALL_TEXT_SIZE });
+    return label + await this.convertInlineNodes(content, { size: SMALL_TEXT_SIZE, italic: true });
+  }
+}
+
+/**
+ * Get the images of a paragraph that only holds images
+ * @param {Object} node - Paragraph node
+ * @returns {Object[]|null} Image nodes, or null when the paragraph has other content
+ */
+function getImageOnlyChildren(node) {
+  const meaningful = (node.children || []).filter(child => !(child.type === 'text' && !child.value.trim()) && child.type !== 'break');
+  if (meaningful.length === 0 || !meaningful.every(child => child.type === 'image')) {
+    return null;
+  }
+  return meaningful;
+}
+
+/**
+ * Mark the cells covered by merged cells
+ * @param {Array<Array<{rowSpan: number, colSpan: number}|null>>} spans - Spans from computeTableSpans()
+ * @returns {Array<Array<Object|null>>} { hMerge, vMerge } for covered cells, null otherwise
+ */
+function getMergedCells(spans) {
+  const merged = spans.map(row => row.map(() => null));
+  spans.forEach((row, rowIndex) => {
+    row.forEach((span, colIndex) => {
+      if (!span || (span.rowSpan === 1 && span.colSpan === 1)) {
+        return;
+      }
+      for (let rowOffset = 0; rowOffset < span.rowSpan; rowOffset++) {
+        for (let colOffset = 0; colOffset < span.colSpan; colOffset++) {
+          if (rowOffset > 0 || colOffset > 0) {
+            merged[rowIndex + rowOffset][colIndex + colOffset] = { hMerge: colOffset > 0, vMerge: rowOffset > 0 };
+          }
+        }
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * Convert a DOCX border (size in eighths of a point) to a table cell line
+ * @param {Object|undefined} border - { style, size, color }
+ * @returns {Object|null} { width (points), color } or null for no line
+ */
+function toLine(border) {
+  if (!border || border.style === 'none' || !border.size) {
+    return null;
+  }
+  return { width: border.size / 8, color: border.color };
+}
+
+/**
+ * Estimate the number of rendered lines of a paragraph
+ * @param {string} text - Plain paragraph text
+ * @param {number} charsPerLine - Characters that fit on a line
+ * @returns {number} Line count
+ */
+function estimateLines(text, charsPerLine) {
+  return text.split('\n').reduce((total, line) => total + Math.max(1, Math.ceil(line.length / charsPerLine)), 0);
+}
+
+export default PptxExporter;
@@ -0,0 +1,567 @@
+// PPTX package documents
+// Builds the parts of a PresentationML package: content types, relationships,
+// presentation, theme (fonts from the document theme), slide master, layouts,
+// notes master, slides and notes slides.
+
+import { escapeXml } from '../utils/xml.js';
+
+export const PPTX_MIMETYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+/**
+ * Slide size (16:9) and unit conversions in EMU
+ */
+export const EMU_PER_INCH = 914400;
+export const EMU_PER_POINT = 12700;
+export const SLIDE_WIDTH = 12192000;
+export const SLIDE_HEIGHT = 6858000;
+
+const NOTES_WIDTH = 6858000;
+const NOTES_HEIGHT = 9144000;
+
+const NAMESPACES = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" '
+  + 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+
+const RELATIONSHIP_BASE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Relationship types used by the package
+ */
+export const RELATIONSHIP_TYPES = {
+  officeDocument: `${RELATIONSHIP_BASE}/officeDocument`,
+  coreProperties: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+  extendedProperties: `${RELATIONSHIP_BASE}/extended-properties`,
+  slideMaster: `${RELATIONSHIP_BASE}/slideMaster`,
+  slideLayout: `${RELATIONSHIP_BASE}/slideLayout`,
+  slide: `${RELATIONSHIP_BASE}/slide`,
+  notesMaster: `${RELATIONSHIP_BASE}/notesMaster`,
+  notesSlide: `${RELATIONSHIP_BASE}/notesSlide`,
+  theme: `${RELATIONSHIP_BASE}/theme`,
+  presProps: `${RELATIONSHIP_BASE}/presProps`,
+  viewProps: `${RELATIONSHIP_BASE}/viewProps`,
+  tableStyles: `${RELATIONSHIP_BASE}/tableStyles`,
+  image: `${RELATIONSHIP_BASE}/image`,
+  hyperlink: `${RELATIONSHIP_BASE}/hyperlink`,
+};
+
+const CONTENT_TYPE_BASE = 'application/vnd.openxmlformats-officedocument.presentationml';
+
+/**
+ * Layout geometry in EMU, shared by the layouts and the exporter
+ */
+export const LAYOUT = {
+  margin: Math.round(0.5 * EMU_PER_INCH),
+  titleTop: Math.round(0.35 * EMU_PER_INCH),
+  titleHeight: Math.round(1.0 * EMU_PER_INCH),
+  bodyTop: Math.round(1.5 * EMU_PER_INCH),
+  bodyBottom: Math.round(7.0 * EMU_PER_INCH),
+};
+
+/**
+ * Convert inches to EMU
+ * @param {number} value - Length in inches
+ * @returns {number} Length in EMU
+ */
+export function inchesToEmu(value) {
+  return Math.round(value * EMU_PER_INCH);
+}
+
+/**
+ * Get the typefaces of a DOCX font ({ ascii, eastAsia } or a family name)
+ * @param {Object|string} font - Font from the theme styles
+ * @returns {{latin: string, eastAsian: string}} Typefaces
+ */
+function getTypefaces(font) {
+  if (!font) {
+    return { latin: '', eastAsian: '' };
+  }
+  if (typeof font === 'string') {
+    return { latin: font, eastAsian: font };
+  }
+  return { latin: font.ascii || '', eastAsian: font.eastAsia || font.ascii || '' };
+}
+
+/**
+ * Build the font elements of run properties
+ * @param {Object|string} font - Font from the theme styles
+ * @returns {string} `a:latin`, `a:ea` and `a:cs` elements
+ */
+export function createFontElements(font) {
+  const { latin, eastAsian } = getTypefaces(font);
+  return `<a:latin typeface="${escapeXml(latin)}"/><a:ea typeface="${escapeXml(eastAsian)}"/><a:cs typeface="${escapeXml(latin)}"/>`;
+}
+
+/**
+ * Build a text run
+ * @param {string} text - Run text
+ * @param {Object} style - { size (points), bold, italic, strike, superscript, color (hex), font, linkId }
+ * @returns {string} `a:r` markup
+ */
+export function createRun(text, style = {}) {
+  const attributes = [
+    'lang="en-US"',
+    style.size ? `sz="${Math.round(style.size * 100)}"` : '',
+    style.bold ? 'b="1"' : '',
+    style.italic ? 'i="1"' : '',
+    style.linkId ? 'u="sng"' : '',
+    style.strike ? 'strike="sngStrike"' : '',
+    style.superscript ? 'baseline="30000"' : '',
+    'dirty="0"',
+  ].filter(Boolean).join(' ');
+  const fill = style.color ? `<a:solidFill><a:srgbClr val="${escapeXml(style.color)}"/></a:solidFill>` : '';
+  const font = style.font ? createFontElements(style.font) : '';
+  const link = style.linkId ? `<a:hlinkClick r:id="${escapeXml(style.linkId)}"/>` : '';
+  return `<a:r><a:rPr ${attributes}>${fill}${font}${link}</a:rPr><a:t>${escapeXml(text)}</a:t></a:r>`;
+}
+
+/**
+ * Build a paragraph
+ * @param {string} runs - Run markup
+ * @param {Object} options - { level, bullet: 'char'|'number'|null, number, numberFormat, align, spaceBefore (points), size }
+ * @returns {string} `a:p` markup
+ */
+export function createParagraph(runs, options = {}) {
+  const level = options.level || 0;
+  const attributes = [];
+  let bullet = '<a:buNone/>';
+
+  if (options.bullet) {
+    attributes.push(`marL="${inchesToEmu(0.375 * (level + 1))}"`, `indent="${-inchesToEmu(0.3125)}"`);
+    bullet = options.bullet === 'number'
+      ? `<a:buFont typeface="+mj-lt"/><a:buAutoNum type="${options.numberFormat || 'arabicPeriod'}" startAt="${options.number || 1}"/>`
+      : '<a:buFont typeface="Arial"/><a:buChar char="•"/>';
+  } else {
+    attributes.push(`marL="${level > 0 ? inchesToEmu(0.375 * level) : 0}"`, 'indent="0"');
+  }
+  if (level > 0) {
+    attributes.push(`lvl="${Math.min(level, 8)}"`);
+  }
+  if (options.align) {
+    attributes.push(`algn="${options.align}"`);
+  }
+
+  const spacing = options.spaceBefore !== undefined
+    ? `<a:spcBef><a:spcPts val="${Math.round(options.spaceBefore * 100)}"/></a:spcBef>`
+    : '';
+  const endSize = options.size ? ` sz="${Math.round(options.size * 100)}"` : '';
+  return `<a:p><a:pPr ${attributes.join(' ')}>${spacing}${bullet}</a:pPr>${runs}<a:endParaRPr lang="en-US"${endSize} dirty="0"/></a:p>`;
+}
+
+/**
+ * Build a shape with text
+ * @param {Object} shape - { id, name, placeholder: {type, idx}, frame: {x, y, width, height} in EMU,
+ *   fill (hex), line (hex), paragraphs (markup), anchor ('t'|'ctr'), autofit, inset (EMU) }
+ * @returns {string} `p:sp` markup
+ */
+export function createTextShape(shape) {
+  const placeholder = shape.placeholder
+    ? `<p:ph${shape.placeholder.type ? ` type="${shape.placeholder.type}"` : ''}${shape.placeholder.idx !== undefined ? ` idx="${shape.placeholder.idx}"` : ''}/>`
+    : '';
+  const nonVisual = `<p:nvSpPr><p:cNvPr id="${shape.id}" name="${escapeXml(shape.name)}"/>`
+    + (shape.placeholder ? '<p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr>' : '<p:cNvSpPr txBox="1"/>')
+    + `<p:nvPr>${placeholder}</p:nvPr></p:nvSpPr>`;
+
+  let properties = '';
+  if (shape.frame) {
+    const { x, y, width, height } = shape.frame;
+    properties += `<a:xfrm><a:off x="${Math.round(x)}" y="${Math.round(y)}"/><a:ext cx="${Math.round(width)}" cy="${Math.round(height)}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom>`;
+  }
+  if (shape.fill) {
+    properties += `<a:solidFill><a:srgbClr val="${escapeXml(shape.fill)}"/></a:solidFill>`;
+  }
+  if (shape.line) {
+    properties += `<a:ln w="9525"><a:solidFill><a:srgbClr val="${escapeXml(shape.line)}"/></a:solidFill></a:ln>`;
+  }
+
+  const inset = shape.inset !== undefined
+    ? ` lIns="${shape.inset}" tIns="${shape.inset}" rIns="${shape.inset}" bIns="${shape.inset}"`
+    : '';
+  const anchor = shape.anchor ? ` anchor="${shape.anchor}"` : '';
+  const autofit = shape.autofit ? '<a:normAutofit/>' : '';
+  const paragraphs = shape.paragraphs || '<a:p><a:endParaRPr lang="en-US" dirty="0"/></a:p>';
+
+  return `<p:sp>${nonVisual}<p:spPr>${properties}</p:spPr>`
+    + `<p:txBody><a:bodyPr wrap="square"${inset}${anchor}>${autofit}</a:bodyPr><a:lstStyle/>${paragraphs}</p:txBody></p:sp>`;
+}
+
+/**
+ * Build a picture
+ * @param {Object} picture - { id, name, description, relationshipId, frame: {x, y, width, height} in EMU }
+ * @returns {string} `p:pic` markup
+ */
+export function createPicture({ id, name, description, relationshipId, frame }) {
+  const { x, y, width, height } = frame;
+  return `<p:pic><p:nvPicPr><p:cNvPr id="${id}" name="${escapeXml(name)}" descr="${escapeXml(description || '')}"/>`
+    + '<p:cNvPicPr><a:picLocks noChangeAspect="1"/></p:cNvPicPr><p:nvPr/></p:nvPicPr>'
+    + `<p:blipFill><a:blip r:embed="${escapeXml(relationshipId)}"/><a:stretch><a:fillRect/></a:stretch></p:blipFill>`
+    + `<p:spPr><a:xfrm><a:off x="${Math.round(x)}" y="${Math.round(y)}"/><a:ext cx="${Math.round(width)}" cy="${Math.round(height)}"/></a:xfrm>`
+    + '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr></p:pic>';
+}
+
+/**
+ * Build a table frame
+ * @param {Object} table - { id, name, frame: {x, y, width, height} in EMU, columnWidths (EMU), rows }
+ *   rows hold cells { paragraphs, fill, borders: {left, right, top, bottom}, colSpan, rowSpan, hMerge, vMerge }
+ *   with borders { width (points), color (hex) } or null
+ * @returns {string} `p:graphicFrame` markup
+ */
+export function createTable({ id, name, frame, columnWidths, rows }) {
+  const { x, y, width, height } = frame;
+  const rowHeight = Math.round(height / Math.max(rows.length, 1));
+
+  const createLine = (element, border) => (border
+    ? `<a:${element} w="${Math.round(border.width * EMU_PER_POINT)}"><a:solidFill><a:srgbClr val="${escapeXml(border.color)}"/></a:solidFill></a:${element}>`
+    : `<a:${element} w="0"><a:noFill/></a:${element}>`);
+
+  const rowMarkup = rows.map((cells) => {
+    const cellMarkup = cells.map((cell) => {
+      const attributes = [
+        cell.colSpan > 1 ? `gridSpan="${cell.colSpan}"` : '',
+        cell.rowSpan > 1 ? `rowSpan="${cell.rowSpan}"` : '',
+        cell.hMerge ? 'hMerge="1"' : '',
+        cell.vMerge ? 'vMerge="1"' : '',
+      ].filter(Boolean).join(' ');
+      const borders = cell.borders || {};
+      const fill = cell.fill ? `<a:solidFill><a:srgbClr val="${escapeXml(cell.fill)}"/></a:solidFill>` : '<a:noFill/>';
+      const paragraphs = cell.paragraphs || '<a:p><a:endParaRPr lang="en-US" dirty="0"/></a:p>';
+      return `<a:tc${attributes ? ` ${attributes}` : ''}><a:txBody><a:bodyPr/><a:lstStyle/>${paragraphs}</a:txBody>`
+        + `<a:tcPr anchor="ctr">${createLine('lnL', borders.left)}${createLine('lnR', borders.right)}`
+        + `${createLine('lnT', borders.top)}${createLine('lnB', borders.bottom)}${fill}</a:tcPr></a:tc>`;
+    }).join('');
+    return `<a:tr h="${rowHeight}">${cellMarkup}</a:tr>`;
+  }).join('');
+
+  const grid = columnWidths.map(columnWidth => `<a:gridCol w="${Math.round(columnWidth)}"/>`).join('');
+
+  return `<p:graphicFrame><p:nvGraphicFramePr><p:cNvPr id="${id}" name="${escapeXml(name)}"/>`
+    + '<p:cNvGraphicFramePr><a:graphicFrameLocks noGrp="1"/></p:cNvGraphicFramePr><p:nvPr/></p:nvGraphicFramePr>'
+    + `<p:xfrm><a:off x="${Math.round(x)}" y="${Math.round(y)}"/><a:ext cx="${Math.round(width)}" cy="${Math.round(height)}"/></p:xfrm>`
+    + '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/table">'
+    + `<a:tbl><a:tblPr firstRow="1" bandRow="1"/><a:tblGrid>${grid}</a:tblGrid>${rowMarkup}</a:tbl>`
+    + '</a:graphicData></a:graphic></p:graphicFrame>';
+}
+
+/**
+ * Wrap shapes in a shape tree
+ * @param {string} shapes - Shape markup
+ * @returns {string} `p:spTree` markup
+ */
+function createShapeTree(shapes) {
+  return '<p:spTree><p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>'
+    + '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>'
+    + `${shapes}</p:spTree>`;
+}
+
+/**
+ * Build a relationships part
+ * @param {Object[]} relationships - { id, type, target, external }
+ * @returns {string} XML document
+ */
+export function createRelationships(relationships) {
+  const entries = relationships.map(({ id, type, target, external }) => (
+    `<Relationship Id="${escapeXml(id)}" Type="${escapeXml(type)}" Target="${escapeXml(target)}"${external ? ' TargetMode="External"' : ''}/>`
+  ));
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${entries.join('')}</Relationships>
+`;
+}
+
+/**
+ * Build [Content_Types].xml
+ * @param {number} slideCount - Number of slides (each with a notes slide)
+ * @param {Object} mediaTypes - Image content types by file extension
+ * @returns {string} XML document
+ */
+export function createContentTypes(slideCount, mediaTypes = {}) {
+  const defaults = {
+    rels: 'application/vnd.openxmlformats-package.relationships+xml',
+    xml: 'application/xml',
+    ...mediaTypes,
+  };
+  const overrides = [
+    ['/ppt/presentation.xml', `${CONTENT_TYPE_BASE}.presentation.main+xml`],
+    ['/ppt/slideMasters/slideMaster1.xml', `${CONTENT_TYPE_BASE}.slideMaster+xml`],
+    ['/ppt/slideLayouts/slideLayout1.xml', `${CONTENT_TYPE_BASE}.slideLayout+xml`],
+    ['/ppt/slideLayouts/slideLayout2.xml', `${CONTENT_TYPE_BASE}.slideLayout+xml`],
+    ['/ppt/notesMasters/notesMaster1.xml', `${CONTENT_TYPE_BASE}.notesMaster+xml`],
+    ['/ppt/theme/theme1.xml', 'application/vnd.openxmlformats-officedocument.theme+xml'],
+    ['/ppt/theme/theme2.xml', 'application/vnd.openxmlformats-officedocument.theme+xml'],
+    ['/ppt/presProps.xml', `${CONTENT_TYPE_BASE}.presProps+xml`],
+    ['/ppt/viewProps.xml', `${CONTENT_TYPE_BASE}.viewProps+xml`],
+    ['/ppt/tableStyles.xml', `${CONTENT_TYPE_BASE}.tableStyles+xml`],
+    ['/docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml'],
+    ['/docProps/app.xml', 'application/vnd.openxmlformats-officedocument.extended-properties+xml'],
+  ];
+  for (let index = 1; index <= slideCount; index++) {
+    overrides.push([`/ppt/slides/slide${index}.xml`, `${CONTENT_TYPE_BASE}.slide+xml`]);
+    overrides.push([`/ppt/notesSlides/notesSlide${index}.xml`, `${CONTENT_TYPE_BASE}.notesSlide+xml`]);
+  }
+
+  const defaultEntries = Object.entries(defaults)
+    .map(([extension, contentType]) => `<Default Extension="${escapeXml(extension)}" ContentType="${escapeXml(contentType)}"/>`);
+  const overrideEntries = overrides
+    .map(([partName, contentType]) => `<Override PartName="${partName}" ContentType="${contentType}"/>`);
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">${defaultEntries.join('')}${overrideEntries.join('')}</Types>
+`;
+}
+
+/**
+ * Build the package relationships (_rels/.rels)
+ * @returns {string} XML document
+ */
+export function createPackageRelationships() {
+  return createRelationships([
+    { id: 'rId1', type: RELATIONSHIP_TYPES.officeDocument, target: 'ppt/presentation.xml' },
+    { id: 'rId2', type: RELATIONSHIP_TYPES.coreProperties, target: 'docProps/core.xml' },
+    { id: 'rId3', type: RELATIONSHIP_TYPES.extendedProperties, target: 'docProps/app.xml' },
+  ]);
+}
+
+/**
+ * Build the presentation part and its relationships
+ * @param {number} slideCount - Number of slides
+ * @returns {{xml: string, relationships: string}} Presentation part and relationships
+ */
+export function createPresentation(slideCount) {
+  const relationships = [
+    { id: 'rId1', type: RELATIONSHIP_TYPES.slideMaster, target: 'slideMasters/slideMaster1.xml' },
+    { id: 'rId2', type: RELATIONSHIP_TYPES.notesMaster, target: 'notesMasters/notesMaster1.xml' },
+    { id: 'rId3', type: RELATIONSHIP_TYPES.theme, target: 'theme/theme1.xml' },
+    { id: 'rId4', type: RELATIONSHIP_TYPES.presProps, target: 'presProps.xml' },
+    { id: 'rId5', type: RELATIONSHIP_TYPES.viewProps, target: 'viewProps.xml' },
+    { id: 'rId6', type: RELATIONSHIP_TYPES.tableStyles, target: 'tableStyles.xml' },
+  ];
+  const slideIds = [];
+  for (let index = 1; index <= slideCount; index++) {
+    const id = `rId${6 + index}`;
+    relationships.push({ id, type: RELATIONSHIP_TYPES.slide, target: `slides/slide${index}.xml` });
+    slideIds.push(`<p:sldId id="${255 + index}" r:id="${id}"/>`);
+  }
+
+  const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:presentation ${NAMESPACES} saveSubsetFonts="1">`
+    + '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>'
+    + '<p:notesMasterIdLst><p:notesMasterId r:id="rId2"/></p:notesMasterIdLst>'
+    + `<p:sldIdLst>${slideIds.join('')}</p:sldIdLst>`
+    + `<p:sldSz cx="${SLIDE_WIDTH}" cy="${SLIDE_HEIGHT}"/><p:notesSz cx="${NOTES_WIDTH}" cy="${NOTES_HEIGHT}"/>`
+    + '</p:presentation>\n';
+
+  return { xml, relationships: createRelationships(relationships) };
+}
+
+/**
+ * Build a theme part whose font scheme carries the document theme fonts
+ * @param {Object} fonts - { heading, body } fonts from the theme styles
+ * @returns {string} XML document
+ */
+export function createTheme({ heading, body }) {
+  const fontScheme = (element, font) => {
+    const { latin, eastAsian } = getTypefaces(font);
+    return `<a:${element}><a:latin typeface="${escapeXml(latin)}"/><a:ea typeface="${escapeXml(eastAsian)}"/><a:cs typeface=""/></a:${element}>`;
+  };
+  const solid = color => `<a:solidFill><a:srgbClr val="${color}"/></a:solidFill>`;
+  const line = width => `<a:ln w="${width}" cap="flat" cmpd="sng" algn="ctr"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill><a:prstDash val="solid"/></a:ln>`;
+  const colors = [
+    ['dk1', '24292E'], ['lt1', 'FFFFFF'], ['dk2', '44546A'], ['lt2', 'E7E6E6'],
+    ['accent1', '4472C4'], ['accent2', 'ED7D31'], ['accent3', 'A5A5A5'], ['accent4', 'FFC000'],
+    ['accent5', '5B9BD5'], ['accent6', '70AD47'], ['hlink', '0366D6'], ['folHlink', '954F72'],
+  ].map(([name, value]) => `<a:${name}><a:srgbClr val="${value}"/></a:${name}>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="Markdown Viewer">`
+    + '<a:themeElements>'
+    + `<a:clrScheme name="Markdown Viewer">${colors}</a:clrScheme>`
+    + `<a:fontScheme name="Markdown Viewer">${fontScheme('majorFont', heading)}${fontScheme('minorFont', body)}</a:fontScheme>`
+    + '<a:fmtScheme name="Markdown Viewer">'
+    + '<a:fillStyleLst><a:solidFill><a:schemeClr val="phClr"/></a:solidFill>'
+    + `${solid('F2F2F2')}${solid('D9D9D9')}</a:fillStyleLst>`
+    + `<a:lnStyleLst>${line(6350)}${line(12700)}${line(19050)}</a:lnStyleLst>`
+    + '<a:effectStyleLst><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle></a:effectStyleLst>'
+    + '<a:bgFillStyleLst><a:solidFill><a:schemeClr val="phClr"/></a:solidFill>'
+    + `${solid('F2F2F2')}${solid('D9D9D9')}</a:bgFillStyleLst>`
+    + '</a:fmtScheme>'
+    + '</a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>\n';
+}
+
+const COLOR_MAP = '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" '
+  + 'accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>';
+
+const BACKGROUND = '<p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>';
+
+/**
+ * Frames of the title and body placeholders
+ */
+function getPlaceholderFrames() {
+  const width = SLIDE_WIDTH - 2 * LAYOUT.margin;
+  return {
+    title: { x: LAYOUT.margin, y: LAYOUT.titleTop, width, height: LAYOUT.titleHeight },
+    body: { x: LAYOUT.margin, y: LAYOUT.bodyTop, width, height: LAYOUT.bodyBottom - LAYOUT.bodyTop },
+    centerTitle: { x: LAYOUT.margin, y: inchesToEmu(2.2), width, height: inchesToEmu(1.5) },
+    subtitle: { x: LAYOUT.margin, y: inchesToEmu(3.9), width, height: inchesToEmu(1.4) },
+  };
+}
+
+/**
+ * Build the slide master and its relationships
+ * Titles use the theme's major (heading) font and body text its minor (body) font.
+ * @returns {{xml: string, relationships: string}} Slide master part and relationships
+ */
+export function createSlideMaster() {
+  const frames = getPlaceholderFrames();
+  const shapes = createTextShape({ id: 2, name: 'Title Placeholder 1', placeholder: { type: 'title' }, frame: frames.title, anchor: 'b' })
+    + createTextShape({ id: 3, name: 'Text Placeholder 2', placeholder: { type: 'body', idx: 1 }, frame: frames.body });
+
+  const levelStyle = (level, size) => `<a:lvl${level}pPr marL="0" indent="0"><a:spcBef><a:spcPts val="600"/></a:spcBef><a:buNone/>`
+    + `<a:defRPr sz="${size}"><a:solidFill><a:schemeClr val="tx1"/></a:solidFill><a:latin typeface="+mn-lt"/><a:ea typeface="+mn-ea"/><a:cs typeface="+mn-cs"/></a:defRPr></a:lvl${level}pPr>`;
+  const bodyLevels = [1, 2, 3, 4, 5, 6, 7, 8, 9].map(level => levelStyle(level, level === 1 ? 2000 : 1800)).join('');
+
+  const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sldMaster ${NAMESPACES}>`
+    + `<p:cSld>${BACKGROUND}${createShapeTree(shapes)}</p:cSld>${COLOR_MAP}`
+    + '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/><p:sldLayoutId id="2147483650" r:id="rId2"/></p:sldLayoutIdLst>'
+    + '<p:txStyles>'
+    + '<p:titleStyle><a:lvl1pPr algn="l"><a:buNone/><a:defRPr sz="3600" b="1"><a:solidFill><a:schemeClr val="tx1"/></a:solidFill>'
+    + '<a:latin typeface="+mj-lt"/><a:ea typeface="+mj-ea"/><a:cs typeface="+mj-cs"/></a:defRPr></a:lvl1pPr></p:titleStyle>'
+    + `<p:bodyStyle>${bodyLevels}</p:bodyStyle>`
+    + `<p:otherStyle>${levelStyle(1, 1800)}</p:otherStyle>`
+    + '</p:txStyles></p:sldMaster>\n';
+
+  return {
+    xml,
+    relationships: createRelationships([
+      { id: 'rId1', type: RELATIONSHIP_TYPES.slideLayout, target: '../slideLayouts/slideLayout1.xml' },
+      { id: 'rId2', type: RELATIONSHIP_TYPES.slideLayout, target: '../slideLayouts/slideLayout2.xml' },
+      { id: 'rId3', type: RELATIONSHIP_TYPES.theme, target: '../theme/theme1.xml' },
+    ]),
+  };
+}
+
+/**
+ * Build a slide layout and its relationships
+ * @param {string} kind - 'title' (title slide) or 'content' (title and content)
+ * @returns {{xml: string, relationships: string}} Slide layout part and relationships
+ */
+export function createSlideLayout(kind) {
+  const frames = getPlaceholderFrames();
+  const centered = paragraphs => `<a:p><a:pPr algn="ctr"/>${paragraphs}<a:endParaRPr lang="en-US" dirty="0"/></a:p>`;
+  const shapes = kind === 'title'
+    ? createTextShape({ id: 2, name: 'Title 1', placeholder: { type: 'ctrTitle' }, frame: frames.centerTitle, anchor: 'b', paragraphs: centered('') })
+      + createTextShape({ id: 3, name: 'Subtitle 2', placeholder: { type: 'subTitle', idx: 1 }, frame: frames.subtitle, paragraphs: centered('') })
+    : createTextShape({ id: 2, name: 'Title 1', placeholder: { type: 'title' } })
+      + createTextShape({ id: 3, name: 'Content Placeholder 2', placeholder: { idx: 1 } });
+  const type = kind === 'title' ? 'title' : 'obj';
+  const name = kind === 'title' ? 'Title Slide' : 'Title and Content';
+
+  const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sldLayout ${NAMESPACES} type="${type}" preserve="1">`
+    + `<p:cSld name="${name}">${createShapeTree(shapes)}</p:cSld>`
+    + '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>\n';
+
+  return {
+    xml,
+    relationships: createRelationships([
+      { id: 'rId1', type: RELATIONSHIP_TYPES.slideMaster, target: '../slideMasters/slideMaster1.xml' },
+    ]),
+  };
+}
+
+/**
+ * Build the notes master and its relationships
+ * @returns {{xml: string, relationships: string}} Notes master part and relationships
+ */
+export function createNotesMaster() {
+  const slideImage = { x: inchesToEmu(1.0), y: inchesToEmu(0.75), width: inchesToEmu(5.5), height: inchesToEmu(3.09) };
+  const notes = { x: inchesToEmu(0.75), y: inchesToEmu(4.2), width: inchesToEmu(6.0), height: inchesToEmu(5.8) };
+  const shapes = '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image Placeholder 1"/><p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr>'
+    + '<p:nvPr><p:ph type="sldImg" idx="2"/></p:nvPr></p:nvSpPr>'
+    + `<p:spPr><a:xfrm><a:off x="${slideImage.x}" y="${slideImage.y}"/><a:ext cx="${slideImage.width}" cy="${slideImage.height}"/></a:xfrm>`
+    + '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr></p:sp>'
+    + createTextShape({ id: 3, name: 'Notes Placeholder 2', placeholder: { type: 'body', idx: 3 }, frame: notes });
+
+  const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:notesMaster ${NAMESPACES}>`
+    + `<p:cSld>${BACKGROUND}${createShapeTree(shapes)}</p:cSld>${COLOR_MAP}`
+    + '<p:notesStyle><a:lvl1pPr marL="0"><a:defRPr sz="1200"><a:solidFill><a:schemeClr val="tx1"/></a:solidFill>'
+    + '<a:latin typeface="+mn-lt"/><a:ea typeface="+mn-ea"/><a:cs typeface="+mn-cs"/></a:defRPr></a:lvl1pPr></p:notesStyle>'
+    + '</p:notesMaster>\n';
+
+  return {
+    xml,
+    relationships: createRelationships([
+      { id: 'rId1', type: RELATIONSHIP_TYPES.theme, target: '../theme/theme2.xml' },
+    ]),
+  };
+}
+
+/**
+ * Build a slide part
+ * @param {string} shapes - Shape markup
+ * @returns {string} XML document
+ */
+export function createSlide(shapes) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sld ${NAMESPACES}><p:cSld>${createShapeTree(shapes)}</p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>
+`;
+}
+
+/**
+ * Build a notes slide part
+ * @param {string} paragraphs - Notes paragraph markup, empty for none
+ * @returns {string} XML document
+ */
+export function createNotesSlide(paragraphs) {
+  const shapes = '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image Placeholder 1"/><p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr>'
+    + '<p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr><p:spPr/></p:sp>'
+    + createTextShape({ id: 3, name: 'Notes Placeholder 2', placeholder: { type: 'body', idx: 1 }, paragraphs });
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:notes ${NAMESPACES}><p:cSld>${createShapeTree(shapes)}</p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:notes>
+`;
+}
+
+/**
+ * Build presProps.xml, viewProps.xml and tableStyles.xml
+ * @returns {Object} Part XML by path inside `ppt/`
+ */
+export function createPresentationProperties() {
+  const declaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  return {
+    'presProps.xml': `${declaration}<p:presentationPr ${NAMESPACES}/>\n`,
+    'viewProps.xml': `${declaration}<p:viewPr ${NAMESPACES}><p:gridSpacing cx="76200" cy="76200"/></p:viewPr>\n`,
+    'tableStyles.xml': `${declaration}<a:tblStyleLst xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>\n`,
+  };
+}
+
+/**
+ * Build docProps/core.xml
+ * @param {Object} meta - { title, author, subject, description, keywords, created }
+ * @returns {string} XML document
+ */
+export function createCoreProperties(meta) {
+  const optional = (element, value) => (value ? `<${element}>${escapeXml(value)}</${element}>` : '');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" `
+    + 'xmlns:dcterms="http://purl.org/dc/terms/" xmlns:dcmitype="http://purl.org/dc/dcmitype/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+    + `<dc:title>${escapeXml(meta.title)}</dc:title>`
+    + optional('dc:subject', meta.subject)
+    + optional('dc:creator', meta.author)
+    + optional('cp:keywords', (meta.keywords || []).join(', '))
+    + optional('dc:description', meta.description)
+    + '<cp:lastModifiedBy>Markdown Viewer Extension</cp:lastModifiedBy>'
+    + `<dcterms:created xsi:type="dcterms:W3CDTF">${escapeXml(meta.created)}</dcterms:created>`
+    + `<dcterms:modified xsi:type="dcterms:W3CDTF">${escapeXml(meta.created)}</dcterms:modified>`
+    + '</cp:coreProperties>\n';
+}
+
+/**
+ * Build docProps/app.xml
+ * @param {number} slideCount - Number of slides
+ * @returns {string} XML document
+ */
+export function createAppProperties(slideCount) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">`
+    + `<Application>Markdown Viewer Extension</Application><PresentationFormat>Widescreen</PresentationFormat><Slides>${slideCount}</Slides><Notes>${slideCount}</Notes>`
+    + '</Properties>\n';
+}
@@ -4,6 +4,8 @@
  * Abstract base class for diagram plugins.
  * Defines the plugin interface and core rendering logic.
  */
+import { runtimeSendMessage } from '../utils/file-download.js';
+import { parseFenceOptions } from '../utils/fence-options.js';
 
 export class BasePlugin {
   /**
@@ -52,21 +54,42 @@ export class BasePlugin {
     return node.value || null;
   }
 
+  /**
+   * Get the per-block options of an AST node
+   * Fenced blocks take them from their meta string (see fence-options.js).
+   * @param {object} node - AST node
+   * @returns {object} Block options ({} for nodes without options)
+   */
+  getBlockOptions(node) {
+    return node.type === 'code' ? parseFenceOptions(node.meta) : {};
+  }
+
   /**
    * Create async task data for rendering
    * @param {string} content - Extracted content
-   * @returns {object} Task data with code and any extra parameters
+   * @param {object} options - Block options
+   * @returns {object} Task data with code and block options
    */
-  createTaskData(content) {
-    return { code: content };
+  createTaskData(content, options = {}) {
+    return { code: content, options };
   }
 
   /**
    * Get extra rendering parameters
+   * Only options that change the rendered image are passed on, so they are
+   * part of the cache key while display-only options are not.
+   * @param {object} options - Block options
    * @returns {object} Extra parameters for renderer
    */
-  getRenderParams() {
-    return {};
+  getRenderParams(options = {}) {
+    const params = {};
+    if (options.scale) {
+      params.scale = options.scale;
+    }
+    if (options.background) {
+      params.background = options.background;
+    }
+    return params;
   }
 
   /**
@@ -77,6 +100,32 @@ export class BasePlugin {
     return false; // Default: block-level
   }
 
+  /**
+   * Check if the renderer produces SVG before capturing the PNG
+   * Vector diagrams can be downloaded as SVG from the viewer.
+   * @returns {boolean} True if an SVG form is available
+   */
+  hasVectorOutput() {
+    return false; // Default: PNG only
+  }
+
+  /**
+   * Check if the viewer can embed the diagram live instead of rendering an image
+   * @returns {boolean} True for chart types with interactive views
+   */
+  supportsInteractive() {
+    return false; // Default: static image
+  }
+
+  /**
+   * Get the render format shown in the viewer
+   * Vector diagrams stay SVG on screen; PNG is only rendered for exports.
+   * @returns {string} 'svg' or 'png'
+   */
+  getViewerFormat() {
+    return this.hasVectorOutput() ? 'svg' : 'png';
+  }
+
   /**
    * Check if extracted content is a URL that needs fetching
    * @param {string} content - Extracted content
@@ -95,11 +144,48 @@ export class BasePlugin {
     throw new Error('fetchContent not implemented');
   }
 
+  /**
+   * Check if the content references local files that must be loaded before rendering
+   * @param {string} content - Extracted content
+   * @returns {boolean} True if inlineLocalResources() has work to do
+   */
+  hasLocalResources(content) {
+    return false; // Default: self-contained
+  }
+
+  /**
+   * Load local files referenced by the content into it
+   * The renderer runs in the offscreen document, which can resolve neither
+   * paths relative to the markdown file nor file:// URLs.
+   * @param {string} content - Extracted content
+   * @returns {Promise<string>} Self-contained content
+   */
+  async inlineLocalResources(content) {
+    return content;
+  }
+
+  /**
+   * Read a text file through the background script
+   * @param {string} url - Absolute file:// or http(s):// URL
+   * @returns {Promise<string>} File content
+   */
+  async readLocalFile(url) {
+    const response = await runtimeSendMessage({
+      type: 'READ_LOCAL_FILE',
+      filePath: url
+    });
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from background script');
+    }
+    return response.content;
+  }
+
   /**
    * Render content to unified intermediate format
    * This is the core rendering method that returns a format-agnostic result
    * @param {object} renderer - Renderer instance
    * @param {string} content - Content to render
+   * @param {object} options - Block options
    * @returns {Promise<object>} Unified render result
    * Format:
    * {
@@ -113,11 +199,13 @@ export class BasePlugin {
    *   },
    *   display: {
    *     inline: boolean,      // inline vs block display
-   *     alignment: string     // 'left' | 'center' | 'right'
+   *     alignment: string,    // 'left' | 'center' | 'right'
+   *     width: number,        // for type='image': target display width (optional)
+   *     caption: string       // for type='image': image description (optional)
    *   }
    * }
    */
-  async renderToCommon(renderer, content) {
+  async renderToCommon(renderer, content, options = {}) {
     const inline = this.isInline();
     
     // No renderer available
@@ -135,7 +223,7 @@ export class BasePlugin {
     }
 
     try {
-      const extraParams = this.getRenderParams();
+      const extraParams = this.getRenderParams(options);
       const pngResult = await renderer.render(this.type, content, extraParams);
 
       // Empty content
@@ -170,7 +258,9 @@ export class BasePlugin {
         },
         display: {
           inline: inline,
-          alignment: inline ? 'left' : 'center'
+          alignment: inline ? 'left' : (options.align || 'center'),
+          width: options.width,
+          caption: options.caption
         }
       };
     } catch (error) {
@@ -0,0 +1,29 @@
+/**
+ * Graphviz Plugin
+ * 
+ * Handles Graphviz DOT diagram processing in content script and DOCX export
+ */
+import { BasePlugin } from './base-plugin.js';
+
+export class GraphvizPlugin extends BasePlugin {
+  constructor() {
+    super('graphviz');
+  }
+
+  /**
+   * Graphviz lays out DOT as SVG
+   */
+  hasVectorOutput() {
+    return true;
+  }
+
+  /**
+   * Override extractContent to support both 'dot' and 'graphviz'
+   */
+  extractContent(node) {
+    if (node.type === 'code' && (node.lang === 'dot' || node.lang === 'graphviz')) {
+      return node.value || null;
+    }
+    return null;
+  }
+}
@@ -2,6 +2,7 @@
  * HTML Plugin
  * 
  * Handles HTML code block processing in content script and DOCX export
+ * (DOCX export only screenshots markup the native HTML converter cannot represent)
  */
 import { BasePlugin } from './base-plugin.js';
 import { sanitizeAndCheck } from '../utils/html-sanitizer.js';
@@ -14,6 +14,7 @@ import { VegaLitePlugin } from './vegalite-plugin.js';
 import { VegaPlugin } from './vega-plugin.js';
 import { HtmlPlugin } from './html-plugin.js';
 import { SvgPlugin } from './svg-plugin.js';
+import { GraphvizPlugin } from './graphviz-plugin.js';
 import { replacePlaceholderWithImage } from './plugin-html-utils.js';
 import { createErrorHTML } from './plugin-content-utils.js';
 
@@ -22,6 +23,7 @@ import { createErrorHTML } from './plugin-content-utils.js';
 export const plugins = [
   new HtmlPlugin(),
   new MermaidPlugin(),
+  new GraphvizPlugin(),
   new VegaLitePlugin(),
   new VegaPlugin(),
   new SvgPlugin()
@@ -36,9 +38,12 @@ export const plugins = [
  * @param {Function} translate - Translation function
  * @param {Function} escapeHtml - HTML escape function
  * @param {Function} visit - unist-util-visit function
+ * @param {object} options - Viewer options
+ * @param {Function} [options.embedInteractive] - Embeds a live chart for a placeholder id, plugin and
+ *   source; used instead of an image for plugins that support interactive views
  * @returns {object} The processor (for chaining)
  */
-export function registerRemarkPlugins(processor, renderer, asyncTask, translate, escapeHtml, visit) {
+export function registerRemarkPlugins(processor, renderer, asyncTask, translate, escapeHtml, visit, options = {}) {
   // Create a unified plugin that processes all plugins in a single AST traversal
   // This ensures tasks are created in document order, not grouped by plugin type
   processor.use(function unifiedPluginProcessor() {
@@ -59,17 +64,28 @@ export function registerRemarkPlugins(processor, renderer, asyncTask, translate,
             const content = plugin.extractContent(node);
             if (!content) continue;
 
+            // `render=code` keeps the block as highlighted source
+            const blockOptions = plugin.getBlockOptions(node);
+            if (blockOptions.renderAsCode) break;
+
             // This plugin can handle this node, create async task
-            const initialStatus = plugin.isUrl(content) ? 'fetching' : 'ready';
+            const isUrl = plugin.isUrl(content);
+            const hasLocalResources = !isUrl && plugin.hasLocalResources(content);
+            const initialStatus = isUrl || hasLocalResources ? 'fetching' : 'ready';
 
             const result = asyncTask(
               async (data) => {
-                const { id, code } = data;
+                const { id, code, options: renderOptions } = data;
                 try {
-                  const extraParams = plugin.getRenderParams();
-                  const pngResult = await renderer.render(plugin.type, code, extraParams);
+                  if (options.embedInteractive && plugin.supportsInteractive()) {
+                    await options.embedInteractive(id, plugin, code);
+                    return;
+                  }
+
+                  const extraParams = plugin.getRenderParams(renderOptions);
+                  const pngResult = await renderer.render(plugin.type, code, extraParams, plugin.getViewerFormat());
                   if (pngResult) {
-                    replacePlaceholderWithImage(id, pngResult, plugin.type, plugin.isInline());
+                    replacePlaceholderWithImage(id, pngResult, plugin.type, plugin.isInline(), document, renderOptions);
                   } else {
                     const placeholder = document.getElementById(id);
                     if (placeholder) {
@@ -86,14 +102,14 @@ export function registerRemarkPlugins(processor, renderer, asyncTask, translate,
                   }
                 }
               },
-              plugin.createTaskData(content),
+              plugin.createTaskData(content, blockOptions),
               plugin,
               translate,
               initialStatus
             );
 
             // For URLs, start fetching immediately
-            if (plugin.isUrl(content)) {
+            if (isUrl) {
               plugin.fetchContent(content)
                 .then(fetchedContent => {
                   result.task.data.code = fetchedContent;
@@ -104,6 +120,19 @@ export function registerRemarkPlugins(processor, renderer, asyncTask, translate,
                 });
             }
 
+            // Load referenced local files (e.g. chart data); search and copy keep the written source
+            if (hasLocalResources) {
+              result.task.data.source = content;
+              plugin.inlineLocalResources(content)
+                .then(inlinedContent => {
+                  result.task.data.code = inlinedContent;
+                  result.task.setReady();
+                })
+                .catch(error => {
+                  result.task.setError(error);
+                });
+            }
+
             parent.children[index] = result.placeholder;
             
             // Stop checking other plugins once we found a match
@@ -135,7 +164,8 @@ export function getPluginForNode(node) {
   for (const plugin of plugins) {
     // Let each plugin decide if it can handle this node
     if (plugin.extractContent(node) !== null) {
-      return plugin;
+      // Blocks marked `render=code` are exported as code
+      return plugin.getBlockOptions(node).renderAsCode ? null : plugin;
     }
   }
   
@@ -150,6 +180,36 @@ export function getPluginTypes() {
   return plugins.map(p => p.type);
 }
 
+/**
+ * Render an AST node with the plugin that handles it
+ * Shared by the document exporters, which turn the unified result into their own format.
+ *
+ * @param {object} node - AST node to render
+ * @param {object} renderer - Renderer instance for generating images
+ * @returns {Promise<object|null>} renderToCommon() result, or null if no plugin handles this node
+ */
+export async function renderNodeToCommon(node, renderer) {
+  const plugin = getPluginForNode(node);
+  if (!plugin) {
+    return null;
+  }
+
+  // Extract content from node
+  let content = plugin.extractContent(node);
+  if (!content) {
+    return null;
+  }
+
+  // Handle URL fetching if needed
+  if (plugin.isUrl && plugin.isUrl(content)) {
+    content = await plugin.fetchContent(content);
+  } else if (plugin.hasLocalResources(content)) {
+    content = await plugin.inlineLocalResources(content);
+  }
+
+  return plugin.renderToCommon(renderer, content, plugin.getBlockOptions(node));
+}
+
 /**
  * Convert AST node to DOCX element using appropriate plugin
  * High-level wrapper that encapsulates plugin lookup, content extraction, and conversion
@@ -170,22 +230,19 @@ export async function convertNodeToDOCX(node, renderer, docxHelpers, progressCal
     return null;
   }
 
-  // Extract content from node
-  let content = plugin.extractContent(node);
-  if (!content) {
+  // Render to unified format
+  const renderResult = await renderNodeToCommon(node, renderer);
+  if (!renderResult) {
     return null;
   }
-
-  // Handle URL fetching if needed
-  if (plugin.isUrl && plugin.isUrl(content)) {
-    content = await plugin.fetchContent(content);
-  }
-
-  // Render to unified format
-  const renderResult = await plugin.renderToCommon(renderer, content);
   
   // Convert to DOCX
-  const result = convertPluginResultToDOCX(renderResult, plugin.type);
+  const result = convertPluginResultToDOCX(
+    renderResult,
+    plugin.type,
+    docxHelpers.imageBounds,
+    docxHelpers.containerIndent || 0
+  );
 
   // Report progress if callback provided
   if (progressCallback) {
@@ -9,4 +9,11 @@ export class MermaidPlugin extends BasePlugin {
   constructor() {
     super('mermaid');
   }
+
+  /**
+   * Mermaid renders to SVG before the PNG capture
+   */
+  hasVectorOutput() {
+    return true;
+  }
 }
@@ -66,20 +66,26 @@ export function createRemarkPlugin(plugin, renderer, asyncTask, translate, escap
           const content = plugin.extractContent(node);
           if (!content) return;
 
-          // Determine initial status: URLs need fetching
-          const initialStatus = plugin.isUrl(content) ? 'fetching' : 'ready';
+          // `render=code` keeps the block as highlighted source
+          const blockOptions = plugin.getBlockOptions(node);
+          if (blockOptions.renderAsCode) return;
+
+          // Determine initial status: URLs and referenced local files need fetching
+          const isUrl = plugin.isUrl(content);
+          const hasLocalResources = !isUrl && plugin.hasLocalResources(content);
+          const initialStatus = isUrl || hasLocalResources ? 'fetching' : 'ready';
 
           const result = asyncTask(
             async (data) => {
-              const { id, code } = data;
+              const { id, code, options } = data;
               try {
-                const extraParams = plugin.getRenderParams();
-                const pngResult = await renderer.render(plugin.type, code, extraParams);
+                const extraParams = plugin.getRenderParams(options);
+                const pngResult = await renderer.render(plugin.type, code, extraParams, plugin.getViewerFormat());
                 // If renderer returns null (e.g., empty content), skip rendering
                 if (pngResult) {
                   // Dynamically import HTML utils to replace placeholder
                   const { replacePlaceholderWithImage } = await import('./plugin-html-utils.js');
-                  replacePlaceholderWithImage(id, pngResult, plugin.type, plugin.isInline());
+                  replacePlaceholderWithImage(id, pngResult, plugin.type, plugin.isInline(), document, options);
                 } else {
                   // Remove placeholder element if content is empty
                   const placeholder = document.getElementById(id);
@@ -98,14 +104,14 @@ export function createRemarkPlugin(plugin, renderer, asyncTask, translate, escap
                 }
               }
             },
-            plugin.createTaskData(content),
+            plugin.createTaskData(content, blockOptions),
             plugin,
             translate,
             initialStatus
           );
 
           // For URLs, start fetching immediately
-          if (plugin.isUrl(content)) {
+          if (isUrl) {
             plugin.fetchContent(content)
               .then(fetchedContent => {
                 result.task.data.code = fetchedContent;
@@ -116,6 +122,19 @@ export function createRemarkPlugin(plugin, renderer, asyncTask, translate, escap
               });
           }
 
+          // Inline referenced local files, keeping the written source
+          if (hasLocalResources) {
+            result.task.data.source = content;
+            plugin.inlineLocalResources(content)
+              .then(inlinedContent => {
+                result.task.data.code = inlinedContent;
+                result.task.setReady();
+              })
+              .catch(error => {
+                result.task.setError(error);
+              });
+          }
+
           parent.children[index] = result.placeholder;
         });
       }
@@ -2,10 +2,25 @@
  * Plugin HTML Utilities
  * Converts unified plugin render results to HTML
  */
+import { sanitizeSvg } from '../utils/svg-sanitizer.js';
+import { getDisplaySize } from '../utils/fence-options.js';
+
+/**
+ * Escape text for an HTML attribute value
+ * @param {string} value - Attribute text
+ * @returns {string} Escaped text
+ */
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
 
 /**
  * Convert unified plugin render result to HTML string
- * @param {string} id - Placeholder element ID
+ * @param {string} id - Placeholder element ID (kept on the rendered element)
  * @param {object} renderResult - Unified render result from plugin.renderToCommon()
  * @param {string} pluginType - Plugin type for alt text
  * @returns {string} HTML string
@@ -19,19 +34,39 @@ export function convertPluginResultToHTML(id, renderResult, pluginType = 'diagra
     return `<pre style="background: #fee; border-left: 4px solid #f00; padding: 10px; font-size: 12px;">${renderResult.content.text}</pre>`;
   }
   
+  const { inline, alignment = 'center', caption, background } = renderResult.display;
+  const altText = escapeAttribute(caption || `${pluginType} diagram`);
+
   if (renderResult.type === 'image') {
-    const { base64, width } = renderResult.content;
-    const { inline } = renderResult.display;
-    const displayWidth = Math.round(width / 4);
+    const { base64, width, height } = renderResult.content;
+    const { width: displayWidth } = getDisplaySize(width, height, renderResult.display);
     
     if (inline) {
-      return `<span class="diagram-inline" style="display: inline-block;">
-        <img src="data:image/png;base64,${base64}" alt="${pluginType} diagram" width="${displayWidth}px" style="vertical-align: middle;" />
+      return `<span id="${id}" class="diagram-inline" style="display: inline-block;">
+        <img src="data:image/png;base64,${base64}" alt="${altText}" width="${displayWidth}px" style="vertical-align: middle;" />
       </span>`;
     }
     
-    return `<div class="diagram-block" style="text-align: center; margin: 20px 0;">
-      <img src="data:image/png;base64,${base64}" alt="${pluginType} diagram" width="${displayWidth}px" />
+    return `<div id="${id}" class="diagram-block" style="text-align: ${alignment}; margin: 20px 0;">
+      <img src="data:image/png;base64,${base64}" alt="${altText}" width="${displayWidth}px" />
+    </div>`;
+  }
+
+  if (renderResult.type === 'svg') {
+    const { svg, width, height } = renderResult.content;
+    const markup = sanitizeSvg(svg, {
+      idPrefix: id,
+      ...getDisplaySize(width, height, renderResult.display),
+      background,
+      userContent: pluginType === 'svg'
+    });
+
+    if (inline) {
+      return `<span id="${id}" class="diagram-inline diagram-vector" role="img" aria-label="${altText}" style="display: inline-block; vertical-align: middle;">${markup}</span>`;
+    }
+
+    return `<div id="${id}" class="diagram-block diagram-vector" role="img" aria-label="${altText}" style="text-align: ${alignment}; margin: 20px 0;">
+      <div class="diagram-viewport">${markup}</div>
     </div>`;
   }
   
@@ -40,24 +75,33 @@ export function convertPluginResultToHTML(id, renderResult, pluginType = 'diagra
 
 /**
  * Replace placeholder with rendered content in DOM
+ * Results with an SVG form are inserted as vector graphics, others as PNG images.
  * @param {string} id - Placeholder element ID
- * @param {object} pngResult - Render result with base64, width, height
+ * @param {object} pngResult - Render result with base64 and/or svg, width, height
  * @param {string} pluginType - Plugin type
  * @param {boolean} isInline - Whether to render inline or block
+ * @param {Document|Element} root - Node to search for the placeholder (default: document)
+ * @param {object} options - Block options (width, align, caption, background)
  */
-export function replacePlaceholderWithImage(id, pngResult, pluginType, isInline) {
-  const placeholder = document.getElementById(id);
+export function replacePlaceholderWithImage(id, pngResult, pluginType, isInline, root = document, options = {}) {
+  const placeholder = root.querySelector(`#${id}`);
   if (placeholder) {
     // Convert pngResult to unified format
     const renderResult = {
-      type: 'image',
+      type: pngResult.svg ? 'svg' : 'image',
       content: {
         base64: pngResult.base64,
+        svg: pngResult.svg,
         width: pngResult.width,
         height: pngResult.height
       },
       display: {
-        inline: isInline
+        inline: isInline,
+        alignment: options.align,
+        width: options.width,
+        caption: options.caption,
+        // SVG has no painted background; PNG renders include it
+        background: options.background
       }
     };
     placeholder.outerHTML = convertPluginResultToHTML(id, renderResult, pluginType);
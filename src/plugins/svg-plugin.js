@@ -11,6 +11,13 @@ export class SvgPlugin extends BasePlugin {
     this._currentNodeType = null; // Track current node type being processed
   }
 
+  /**
+   * The source is already SVG
+   */
+  hasVectorOutput() {
+    return true;
+  }
+
   /**
    * Extract content from AST node
    * Handles both SVG code blocks and SVG image files
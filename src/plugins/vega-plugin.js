@@ -1,5 +1,6 @@
 // Vega Plugin using BasePlugin architecture
 import { BasePlugin } from './base-plugin.js';
+import { hasLocalData, inlineLocalData } from '../utils/vega-data.js';
 
 /**
  * Vega Plugin implementation
@@ -8,4 +9,32 @@ export class VegaPlugin extends BasePlugin {
   constructor() {
     super('vega');
   }
+
+  /**
+   * Vega views export SVG as well as the canvas PNG
+   */
+  hasVectorOutput() {
+    return true;
+  }
+
+  /**
+   * Vega charts can be embedded live in the viewer
+   */
+  supportsInteractive() {
+    return true;
+  }
+
+  /**
+   * Data files referenced by relative or file:// URLs
+   */
+  hasLocalResources(content) {
+    return hasLocalData(content);
+  }
+
+  /**
+   * Inline data files, resolved relative to the markdown document
+   */
+  async inlineLocalResources(content) {
+    return inlineLocalData(content, window.location.href, url => this.readLocalFile(url));
+  }
 }
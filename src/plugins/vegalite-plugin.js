@@ -1,5 +1,6 @@
 // Vega-Lite Plugin using BasePlugin architecture
 import { BasePlugin } from './base-plugin.js';
+import { hasLocalData, inlineLocalData } from '../utils/vega-data.js';
 
 /**
  * Vega-Lite Plugin implementation
@@ -8,6 +9,34 @@ export class VegaLitePlugin extends BasePlugin {
   constructor() {
     super('vega-lite');
   }
+
+  /**
+   * Vega-Lite views export SVG as well as the canvas PNG
+   */
+  hasVectorOutput() {
+    return true;
+  }
+
+  /**
+   * Vega-Lite charts can be embedded live in the viewer
+   */
+  supportsInteractive() {
+    return true;
+  }
+
+  /**
+   * Data files referenced by relative or file:// URLs
+   */
+  hasLocalResources(content) {
+    return hasLocalData(content);
+  }
+
+  /**
+   * Inline data files, resolved relative to the markdown document
+   */
+  async inlineLocalResources(content) {
+    return inlineLocalData(content, window.location.href, url => this.readLocalFile(url));
+  }
   
   /**
    * Override extractContent to support both 'vega-lite' and 'vegalite'
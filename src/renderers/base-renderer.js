@@ -49,7 +49,10 @@ export class BaseRenderer {
    * @param {string|object} input - Input data for rendering
    * @param {object} themeConfig - Theme configuration
    * @param {object} extraParams - Additional type-specific parameters
-   * @returns {Promise<{base64: string, width: number, height: number}>}
+   *   `outputFormat: 'svg'` asks renderers with a vector stage to skip the PNG capture (see renderSvgOnly);
+   *   `scale` and `background` come from the block's fence options
+   * @returns {Promise<{base64: string, width: number, height: number, svg?: string}>}
+   *   Renderers with a vector stage also return the SVG the PNG was captured from
    */
   async render(input, themeConfig, extraParams = {}) {
     throw new Error('render() must be implemented by subclass');
@@ -76,17 +79,74 @@ export class BaseRenderer {
     return input;
   }
 
+  /**
+   * Get the intrinsic size of a rendered SVG element from its viewBox or size attributes
+   * @param {SVGElement} svgElement - SVG element
+   * @returns {{width: number, height: number}} Size in CSS pixels
+   */
+  getSvgSize(svgElement) {
+    const viewBox = svgElement.getAttribute('viewBox');
+    if (viewBox) {
+      const parts = viewBox.trim().split(/[\s,]+/);
+      return {
+        width: Math.ceil(parseFloat(parts[2])),
+        height: Math.ceil(parseFloat(parts[3]))
+      };
+    }
+    return {
+      width: Math.ceil(parseFloat(svgElement.getAttribute('width')) || 800),
+      height: Math.ceil(parseFloat(svgElement.getAttribute('height')) || 600)
+    };
+  }
+
+  /**
+   * Finish an SVG-only render (`outputFormat: 'svg'`) before the PNG capture
+   * The viewer shows the SVG itself; only exports need the PNG capture. The result
+   * size matches the PNG the same diagram would produce, so both forms display alike.
+   * @param {string|Function} svg - SVG markup, or an async callback producing it
+   * @param {object} themeConfig - Theme configuration
+   * @param {object} extraParams - Extra parameters (output format, block scale)
+   * @param {SVGElement} svgElement - Rendered SVG to measure; the markup is measured when omitted
+   * @returns {Promise<{svg: string, width: number, height: number}|null>}
+   *   SVG result, or null when the caller has to capture the PNG
+   */
+  async renderSvgOnly(svg, themeConfig, extraParams = {}, svgElement = null) {
+    if (extraParams.outputFormat !== 'svg') {
+      return null;
+    }
+
+    const container = this.getContainer();
+    const markup = typeof svg === 'function' ? await svg() : svg;
+    if (!svgElement) {
+      container.innerHTML = markup;
+      svgElement = container.querySelector('svg');
+    }
+
+    const size = this.getSvgSize(svgElement);
+    const scale = this.calculateCanvasScale(themeConfig, extraParams);
+    container.innerHTML = '';
+    container.style.cssText = 'display: block; background: transparent;';
+
+    return {
+      svg: markup,
+      width: Math.round(size.width * scale),
+      height: Math.round(size.height * scale)
+    };
+  }
+
   /**
    * Calculate scale for html2canvas rendering
    * This is used by renderers that use html2canvas directly (Mermaid, HTML)
    * PNG size will be divided by 4 in DOCX, so we multiply by 4 here
-   * Formula: (14/16) * (themeFontSize/12) * 4
+   * Formula: (14/16) * (themeFontSize/12) * 4 * blockScale
    * @param {object} themeConfig - Theme configuration
+   * @param {object} extraParams - Extra parameters (`scale` of the block, default 1)
    * @returns {number} Scale factor for html2canvas
    */
-  calculateCanvasScale(themeConfig) {
+  calculateCanvasScale(themeConfig, extraParams = {}) {
     const baseFontSize = 12;
     const themeFontSize = themeConfig?.fontSize || baseFontSize;
-    return (14.0 / 16.0) * (themeFontSize / baseFontSize) * 4.0;
+    const blockScale = extraParams.scale || 1;
+    return (14.0 / 16.0) * (themeFontSize / baseFontSize) * 4.0 * blockScale;
   }
 }
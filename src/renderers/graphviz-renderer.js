@@ -0,0 +1,104 @@
+/**
+ * Graphviz Renderer
+ *
+ * Lays out Graphviz DOT diagrams with the WebAssembly build of Graphviz and
+ * rasterizes the resulting SVG through the SVG renderer
+ */
+import { SvgRenderer } from './svg-renderer.js';
+import { instance } from '@viz-js/viz';
+
+// Default line and text color on dark pages (graphs that set their own colors keep them)
+const DARK_MODE_COLOR = '#d4d7dc';
+
+export class GraphvizRenderer extends SvgRenderer {
+  constructor() {
+    super('graphviz');
+    this.viz = null;
+  }
+
+  /**
+   * Load the Graphviz WebAssembly module
+   * The module is bundled with the library, so layout works without network access.
+   * @param {object} themeConfig - Theme configuration
+   * @returns {Promise<void>}
+   */
+  async initialize(themeConfig = null) {
+    this.viz = await instance();
+    this._initialized = true;
+  }
+
+  /**
+   * Validate DOT input
+   */
+  validateInput(input) {
+    if (!input || typeof input !== 'string' || input.trim() === '') {
+      throw new Error('Empty graphviz input provided');
+    }
+    return true;
+  }
+
+  /**
+   * Build Graphviz default attributes from the theme
+   * These only apply where the DOT source does not set the attribute itself.
+   * @param {object} themeConfig - Theme configuration
+   * @returns {object} Viz render options
+   */
+  getRenderOptions(themeConfig) {
+    const graphAttributes = { bgcolor: 'transparent' };
+    const nodeAttributes = {};
+    const edgeAttributes = {};
+
+    // Graphviz takes a single font name, not a CSS font list
+    const fontName = themeConfig?.fontFamily
+      ? themeConfig.fontFamily.split(',')[0].trim().replace(/^['"]|['"]$/g, '')
+      : null;
+    if (fontName) {
+      graphAttributes.fontname = fontName;
+      nodeAttributes.fontname = fontName;
+      edgeAttributes.fontname = fontName;
+    }
+
+    if (themeConfig?.colorMode === 'dark') {
+      graphAttributes.fontcolor = DARK_MODE_COLOR;
+      graphAttributes.color = DARK_MODE_COLOR;
+      nodeAttributes.color = DARK_MODE_COLOR;
+      nodeAttributes.fontcolor = DARK_MODE_COLOR;
+      edgeAttributes.color = DARK_MODE_COLOR;
+      edgeAttributes.fontcolor = DARK_MODE_COLOR;
+    }
+
+    return { format: 'svg', graphAttributes, nodeAttributes, edgeAttributes };
+  }
+
+  /**
+   * Lay out DOT source as SVG, then convert the SVG to PNG
+   * @param {string} code - Graphviz DOT source
+   * @param {object} themeConfig - Theme configuration
+   * @param {object} extraParams - Extra parameters
+   * @returns {Promise<{base64: string, width: number, height: number, svg: string}>}
+   */
+  async render(code, themeConfig, extraParams = {}) {
+    // Ensure renderer is initialized
+    if (!this._initialized) {
+      await this.initialize(themeConfig);
+    }
+
+    this.validateInput(code);
+
+    const result = this.viz.render(code, this.getRenderOptions(themeConfig));
+    if (result.status !== 'success') {
+      const messages = result.errors
+        .filter(error => error.level !== 'warning')
+        .map(error => error.message.trim());
+      throw new Error(messages.join('; ') || 'Graphviz layout failed');
+    }
+
+    // Drop the XML prolog and size the SVG in viewBox units (Graphviz uses points)
+    // so it matches the capture area the SVG renderer derives from the viewBox
+    const svg = result.output
+      .slice(result.output.indexOf('<svg'))
+      .replace(/^<svg[^>]*>/, tag => tag.replace(/(width|height)="([\d.]+)pt"/g, '$1="$2"'));
+
+    return super.render(svg, themeConfig, extraParams);
+  }
+}
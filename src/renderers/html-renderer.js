@@ -51,7 +51,10 @@ export class HtmlRenderer extends BaseRenderer {
     // Force width if provided, otherwise auto
     const widthStyle = normalizedTargetWidth ? `${normalizedTargetWidth}px` : 'auto';
 
-    container.style.cssText = `display: inline-block; position: relative; background: transparent; padding: 0; margin: 0; width: ${widthStyle}; font-family: ${fontFamily};`;
+    // Dark pages need light text; light renders keep the default text color
+    const colorStyle = themeConfig?.colorMode === 'dark' ? ' color: #d4d7dc;' : '';
+
+    container.style.cssText = `display: inline-block; position: relative; background: transparent; padding: 0; margin: 0; width: ${widthStyle}; font-family: ${fontFamily};${colorStyle}`;
 
     // Wrap sanitized HTML in markdown-body container for proper styling
     container.innerHTML = `<div class="markdown-body">${sanitizedHtml}</div>`;
@@ -8,10 +8,12 @@ import { MermaidRenderer } from './mermaid-renderer.js';
 import { VegaRenderer } from './vega-renderer.js';
 import { HtmlRenderer } from './html-renderer.js';
 import { SvgRenderer } from './svg-renderer.js';
+import { GraphvizRenderer } from './graphviz-renderer.js';
 
 // Export renderer instances array
 export const renderers = [
   new MermaidRenderer(),
+  new GraphvizRenderer(),
   new VegaRenderer('vega-lite'),
   new VegaRenderer('vega'),
   new HtmlRenderer(),
@@ -30,14 +30,28 @@ export class MermaidRenderer extends BaseRenderer {
   applyThemeConfig(themeConfig = null) {
     // Use theme font or fallback to default
     const fontFamily = themeConfig?.fontFamily || "'SimSun', 'Times New Roman', Times, serif";
+    const isDark = themeConfig?.colorMode === 'dark';
+    // The document theme's palette applies to light diagrams
+    const palette = isDark ? null : themeConfig?.diagramPalette;
+
+    let theme = 'default';
+    if (isDark) {
+      // Mermaid's own dark palette keeps lines and labels readable on dark pages
+      theme = 'dark';
+    } else if (palette) {
+      // Only the base theme derives all colors from the given variables
+      theme = 'base';
+    }
     
     mermaid.initialize({
       startOnLoad: false,
+      theme,
       securityLevel: 'loose',
       lineHeight: 1.6,
       themeVariables: {
         fontFamily: fontFamily,
-        background: 'transparent'
+        background: 'transparent',
+        ...this.getPaletteVariables(palette)
       },
       flowchart: {
         htmlLabels: true,
@@ -46,12 +60,37 @@ export class MermaidRenderer extends BaseRenderer {
     });
   }
 
+  /**
+   * Map a theme diagram palette to mermaid theme variables
+   * Shapes are filled with the node background and outlined in the primary color.
+   * @param {object|null} palette - Diagram palette from the theme config
+   * @returns {object} Theme variables for the palette entries that are set
+   */
+  getPaletteVariables(palette) {
+    if (!palette) {
+      return {};
+    }
+
+    const variables = {
+      primaryColor: palette.nodeBackground,
+      mainBkg: palette.nodeBackground,
+      primaryBorderColor: palette.primaryColor,
+      nodeBorder: palette.primaryColor,
+      secondaryColor: palette.secondaryColor,
+      lineColor: palette.lineColor,
+      fontSize: palette.fontSize ? `${palette.fontSize}px` : undefined
+    };
+
+    // Unset variables must be left out, or mermaid derives colors from undefined
+    return Object.fromEntries(Object.entries(variables).filter(([, value]) => value !== undefined));
+  }
+
   /**
    * Override render to use direct DOM capture instead of SVG pipeline
    * @param {string} code - Mermaid diagram code
    * @param {object} themeConfig - Theme configuration
    * @param {object} extraParams - Extra parameters
-   * @returns {Promise<{base64: string, width: number, height: number}>}
+   * @returns {Promise<{base64: string, width: number, height: number, svg: string}>}
    */
   async render(code, themeConfig, extraParams = {}) {
     // Ensure renderer is initialized
@@ -86,6 +125,11 @@ export class MermaidRenderer extends BaseRenderer {
     
     // Add padding to prevent text clipping
     const svgElement = container.querySelector('svg');
+
+    const svgResult = await this.renderSvgOnly(svg, themeConfig, extraParams, svgElement);
+    if (svgResult) {
+      return svgResult;
+    }
     
     // Fix foreignObject overflow to prevent text clipping
     const foreignObjects = svgElement.querySelectorAll('foreignObject');
@@ -110,24 +154,14 @@ export class MermaidRenderer extends BaseRenderer {
     await new Promise(resolve => setTimeout(resolve, 50));
     
     // Get SVG dimensions from viewBox or attributes (not getBoundingClientRect which may be affected by CSS)
-    const viewBox = svgElement.getAttribute('viewBox');
-    let captureWidth, captureHeight;
-    
-    if (viewBox) {
-      const parts = viewBox.split(/\s+/);
-      captureWidth = Math.ceil(parseFloat(parts[2]));
-      captureHeight = Math.ceil(parseFloat(parts[3]));
-    } else {
-      captureWidth = Math.ceil(parseFloat(svgElement.getAttribute('width')) || 800);
-      captureHeight = Math.ceil(parseFloat(svgElement.getAttribute('height')) || 600);
-    }
+    const { width: captureWidth, height: captureHeight } = this.getSvgSize(svgElement);
     
     // Set container size to match SVG intrinsic size
     container.style.width = `${captureWidth}px`;
     container.style.height = `${captureHeight}px`;
     
     // Calculate scale
-    const scale = this.calculateCanvasScale(themeConfig);
+    const scale = this.calculateCanvasScale(themeConfig, extraParams);
     
     // Capture using html2canvas
     if (typeof html2canvas === 'undefined') {
@@ -135,7 +169,7 @@ export class MermaidRenderer extends BaseRenderer {
     }
     
     const canvas = await html2canvas(container, {
-      backgroundColor: null,
+      backgroundColor: extraParams.background || null,
       scale: scale,
       logging: false,
       useCORS: true,
@@ -169,7 +203,8 @@ export class MermaidRenderer extends BaseRenderer {
     return {
       base64: base64Data,
       width: canvas.width,
-      height: canvas.height
+      height: canvas.height,
+      svg
     };
   }
 }
@@ -6,8 +6,11 @@
 import { BaseRenderer } from './base-renderer.js';
 
 export class SvgRenderer extends BaseRenderer {
-  constructor() {
-    super('svg');
+  /**
+   * @param {string} type - Render type identifier (subclasses that produce SVG pass their own)
+   */
+  constructor(type = 'svg') {
+    super(type);
   }
 
   /**
@@ -28,7 +31,7 @@ export class SvgRenderer extends BaseRenderer {
    * @param {string} svg - SVG content
    * @param {object} themeConfig - Theme configuration
    * @param {object} extraParams - Extra parameters
-   * @returns {Promise<{base64: string, width: number, height: number}>}
+   * @returns {Promise<{base64: string, width: number, height: number, svg: string}>}
    */
   async render(svg, themeConfig, extraParams = {}) {
     // Validate input
@@ -43,6 +46,14 @@ export class SvgRenderer extends BaseRenderer {
       throw new Error('No SVG element found in rendered output');
     }
 
+    // Get SVG dimensions from viewBox or attributes
+    const { width: captureWidth, height: captureHeight } = this.getSvgSize(svgEl);
+
+    const svgResult = await this.renderSvgOnly(svg, themeConfig, extraParams, svgEl);
+    if (svgResult) {
+      return svgResult;
+    }
+
     // Wait for layout completion
     container.offsetHeight;
     svgEl.getBoundingClientRect();
@@ -58,25 +69,12 @@ export class SvgRenderer extends BaseRenderer {
     svgEl.getBoundingClientRect();
     await new Promise(resolve => setTimeout(resolve, 50));
 
-    // Get SVG dimensions from viewBox or attributes
-    const viewBox = svgEl.getAttribute('viewBox');
-    let captureWidth, captureHeight;
-
-    if (viewBox) {
-      const parts = viewBox.split(/\s+/);
-      captureWidth = Math.ceil(parseFloat(parts[2]));
-      captureHeight = Math.ceil(parseFloat(parts[3]));
-    } else {
-      captureWidth = Math.ceil(parseFloat(svgEl.getAttribute('width')) || 800);
-      captureHeight = Math.ceil(parseFloat(svgEl.getAttribute('height')) || 600);
-    }
-
     // Set container size to match SVG intrinsic size
     container.style.width = `${captureWidth}px`;
     container.style.height = `${captureHeight}px`;
 
     // Calculate scale
-    const scale = this.calculateCanvasScale(themeConfig);
+    const scale = this.calculateCanvasScale(themeConfig, extraParams);
 
     // Capture using html2canvas
     if (typeof html2canvas === 'undefined') {
@@ -84,7 +82,7 @@ export class SvgRenderer extends BaseRenderer {
     }
 
     const canvas = await html2canvas(container, {
-      backgroundColor: null,
+      backgroundColor: extraParams.background || null,
       scale: scale,
       logging: false,
       useCORS: true,
@@ -118,7 +116,8 @@ export class SvgRenderer extends BaseRenderer {
     return {
       base64: base64Data,
       width: canvas.width,
-      height: canvas.height
+      height: canvas.height,
+      svg
     };
   }
 }
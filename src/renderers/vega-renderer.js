@@ -3,6 +3,19 @@ import { BaseRenderer } from './base-renderer.js';
 import embed from 'vega-embed';
 import { expressionInterpreter } from 'vega-interpreter';
 
+// Text, axis and grid colors readable on dark pages
+const DARK_COLORS = {
+  text: '#d4d7dc',
+  domain: '#8b949e',
+  grid: '#3d434b'
+};
+
+// Vega's default category scheme; a theme palette replaces its first two colors
+const CATEGORY_COLORS = [
+  '#4c78a8', '#f58518', '#e45756', '#72b7b2', '#54a24b',
+  '#eeca3b', '#b279a2', '#ff9da6', '#9d755d', '#bab0ac'
+];
+
 /**
  * Vega/Vega-Lite Renderer implementation
  * Handles both Vega and Vega-Lite specifications
@@ -118,32 +131,55 @@ export class VegaRenderer extends BaseRenderer {
   }
 
   /**
-   * Override render to use direct Canvas rendering instead of SVG pipeline
-   * @param {object} vegaSpec - Vega/Vega-Lite specification
-   * @param {object} themeConfig - Theme configuration
-   * @param {object} extraParams - Extra parameters
-   * @returns {Promise<{base64: string, width: number, height: number}>}
+   * Switch text, axis and legend colors of an embed config to the dark palette
+   * @param {object} config - Vega config passed to vega-embed
    */
-  async render(vegaSpec, themeConfig, extraParams = {}) {
-    // Ensure renderer is initialized
-    if (!this._initialized) {
-      await this.initialize(themeConfig);
+  applyDarkColors(config) {
+    Object.assign(config.axis, {
+      labelColor: DARK_COLORS.text,
+      titleColor: DARK_COLORS.text,
+      domainColor: DARK_COLORS.domain,
+      tickColor: DARK_COLORS.domain,
+      gridColor: DARK_COLORS.grid
+    });
+    Object.assign(config.legend, {
+      labelColor: DARK_COLORS.text,
+      titleColor: DARK_COLORS.text
+    });
+    config.title = { color: DARK_COLORS.text };
+    config.header = { labelColor: DARK_COLORS.text, titleColor: DARK_COLORS.text };
+    config.text = { color: DARK_COLORS.text };
+  }
+
+  /**
+   * Apply the document theme's diagram palette to an embed config
+   * @param {object} config - Vega config passed to vega-embed
+   * @param {object} palette - Diagram palette from the theme config
+   */
+  applyPalette(config, palette) {
+    if (palette.primaryColor) {
+      const category = [palette.primaryColor, palette.secondaryColor || CATEGORY_COLORS[1]];
+      config.range = { category: [...category, ...CATEGORY_COLORS.slice(2)] };
+      config.mark.color = palette.primaryColor;
     }
-    
-    // Validate input
-    this.validateInput(vegaSpec);
-    
-    // Preprocess input
-    const processedSpec = this.preprocessInput(vegaSpec, extraParams);
-    
+    if (palette.lineColor) {
+      Object.assign(config.axis, { domainColor: palette.lineColor, tickColor: palette.lineColor });
+    }
+    if (palette.fontSize) {
+      for (const part of [config.axis, config.legend]) {
+        Object.assign(part, { labelFontSize: palette.fontSize, titleFontSize: palette.fontSize + 1 });
+      }
+    }
+  }
+
+  /**
+   * Build vega-embed options for the theme
+   * @param {object} themeConfig - Theme configuration
+   * @returns {object} Embed options (canvas renderer, no actions)
+   */
+  getEmbedOptions(themeConfig) {
     // Get font family from theme config
     const fontFamily = themeConfig?.fontFamily || "'SimSun', 'Times New Roman', Times, serif";
-    
-    // Use shared container (safe because processAsyncTasks ensures serial execution)
-    const container = this.getContainer();
-    
-    container.innerHTML = '';
-    container.style.cssText = 'display: inline-block; background: transparent; padding: 0; margin: 0;';
 
     // Prepare embed options with canvas renderer for direct rendering
     const embedOptions = {
@@ -173,11 +209,77 @@ export class VegaRenderer extends BaseRenderer {
       }
     };
 
+    if (themeConfig?.colorMode === 'dark') {
+      this.applyDarkColors(embedOptions.config);
+    } else if (themeConfig?.diagramPalette) {
+      this.applyPalette(embedOptions.config, themeConfig.diagramPalette);
+    }
+
+    return embedOptions;
+  }
+
+  /**
+   * Embed a live chart into a page element (tooltips, selections and zoom keep working)
+   * Runs in the viewer rather than the offscreen document; the expression
+   * interpreter keeps it within the extension's no-eval CSP.
+   * @param {HTMLElement} element - Element to embed the chart into
+   * @param {string|object} vegaSpec - Vega/Vega-Lite specification
+   * @param {object} themeConfig - Theme configuration
+   * @param {object} options - Extra vega-embed options (actions, i18n, downloadFileName, ...)
+   * @returns {Promise<object>} vega-embed result; call `result.finalize()` when the element is removed
+   */
+  async embedInteractive(element, vegaSpec, themeConfig, options = {}) {
+    this.validateInput(vegaSpec);
+    const processedSpec = this.preprocessInput(vegaSpec, {});
+
+    return embed(element, processedSpec, {
+      ...this.getEmbedOptions(themeConfig),
+      // SVG stays sharp at any viewer zoom level
+      renderer: 'svg',
+      ...options
+    });
+  }
+
+  /**
+   * Override render to use direct Canvas rendering instead of SVG pipeline
+   * @param {object} vegaSpec - Vega/Vega-Lite specification
+   * @param {object} themeConfig - Theme configuration
+   * @param {object} extraParams - Extra parameters
+   * @returns {Promise<{base64: string, width: number, height: number, svg: string}>}
+   */
+  async render(vegaSpec, themeConfig, extraParams = {}) {
+    // Ensure renderer is initialized
+    if (!this._initialized) {
+      await this.initialize(themeConfig);
+    }
+    
+    // Validate input
+    this.validateInput(vegaSpec);
+    
+    // Preprocess input
+    const processedSpec = this.preprocessInput(vegaSpec, extraParams);
+    
+    // Use shared container (safe because processAsyncTasks ensures serial execution)
+    const container = this.getContainer();
+    
+    container.innerHTML = '';
+    container.style.cssText = 'display: inline-block; background: transparent; padding: 0; margin: 0;';
+
+    const embedOptions = this.getEmbedOptions(themeConfig);
+    if (extraParams.background) {
+      embedOptions.config.background = extraParams.background;
+    }
+
     // Render the spec using vega-embed
     const result = await embed(container, processedSpec, embedOptions);
+
+    const svgResult = await this.renderSvgOnly(() => result.view.toSVG(), themeConfig, extraParams);
+    if (svgResult) {
+      return svgResult;
+    }
     
     // Calculate scale for final output
-    const scale = this.calculateCanvasScale(themeConfig);
+    const scale = this.calculateCanvasScale(themeConfig, extraParams);
     
     // Get Canvas directly from the view object
     // toCanvas() returns a Promise<HTMLCanvasElement>
@@ -192,13 +294,17 @@ export class VegaRenderer extends BaseRenderer {
     const pngDataUrl = sourceCanvas.toDataURL('image/png', 1.0);
     const base64Data = pngDataUrl.replace(/^data:image\/png;base64,/, '');
 
+    // Vector form of the same view for SVG downloads
+    const svg = await result.view.toSVG();
+
     // Cleanup
     container.innerHTML = '';
 
     return {
       base64: base64Data,
       width: sourceCanvas.width,
-      height: sourceCanvas.height
+      height: sourceCanvas.height,
+      svg
     };
   }
 
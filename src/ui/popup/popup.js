@@ -134,9 +134,19 @@ class PopupManager {
     this.currentTab = 'history';
     this.themes = [];
     this.currentTheme = 'default';
+    this.currentColorMode = 'auto';
     this.settings = {
       maxCacheItems: 1000,
-      preferredLocale: DEFAULT_SETTING_LOCALE
+      preferredLocale: DEFAULT_SETTING_LOCALE,
+      docxIncludeToc: false,
+      docxPaperSize: 'a4',
+      docxOrientation: 'portrait',
+      docxMargins: 'normal',
+      docxHeader: '',
+      docxFooter: '',
+      latexCodePackage: 'listings',
+      latexSectionNumbering: '',
+      interactiveCharts: false
     };
 
     this.init();
@@ -688,9 +698,10 @@ class PopupManager {
         this.settings = { ...this.settings, ...result.markdownViewerSettings };
       }
 
-      // Load selected theme
-      const themeResult = await chrome.storage.sync.get(['selectedTheme']);
+      // Load selected theme and color mode
+      const themeResult = await chrome.storage.sync.get(['selectedTheme', 'colorMode']);
       this.currentTheme = themeResult.selectedTheme || 'default';
+      this.currentColorMode = themeResult.colorMode || 'auto';
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
@@ -733,11 +744,72 @@ class PopupManager {
       }
     }
 
+    // Export and viewer options apply immediately, like the language selector
+    this.bindExportSetting('docx-include-toc', 'docxIncludeToc');
+    this.bindExportSetting('docx-paper-size', 'docxPaperSize');
+    this.bindExportSetting('docx-orientation', 'docxOrientation');
+    this.bindExportSetting('docx-margins', 'docxMargins');
+    this.bindExportSetting('docx-header', 'docxHeader');
+    this.bindExportSetting('docx-footer', 'docxFooter');
+    this.bindExportSetting('latex-code-package', 'latexCodePackage');
+    this.bindExportSetting('latex-section-numbering', 'latexSectionNumbering');
+    this.bindExportSetting('interactive-charts', 'interactiveCharts');
+
+    const colorModeSelect = document.getElementById('color-mode');
+    if (colorModeSelect) {
+      colorModeSelect.value = this.currentColorMode;
+
+      // Add change listener only once
+      if (!colorModeSelect.dataset.listenerAdded) {
+        colorModeSelect.dataset.listenerAdded = 'true';
+        colorModeSelect.addEventListener('change', (event) => {
+          this.switchColorMode(event.target.value);
+        });
+      }
+    }
+
     // Load themes
     // Load themes
     this.loadThemes();
   }
 
+  /**
+   * Show an export or viewer setting in its form control and save it when changed
+   * @param {string} elementId - Form control id
+   * @param {string} settingKey - Key in markdownViewerSettings
+   */
+  bindExportSetting(elementId, settingKey) {
+    const element = document.getElementById(elementId);
+    if (!element) {
+      return;
+    }
+
+    const isCheckbox = element.type === 'checkbox';
+    if (isCheckbox) {
+      element.checked = Boolean(this.settings[settingKey]);
+    } else {
+      element.value = this.settings[settingKey] ?? '';
+    }
+
+    // Add change listener only once
+    if (element.dataset.listenerAdded) {
+      return;
+    }
+    element.dataset.listenerAdded = 'true';
+    element.addEventListener('change', async (event) => {
+      try {
+        this.settings[settingKey] = isCheckbox ? event.target.checked : event.target.value;
+        await chrome.storage.local.set({
+          markdownViewerSettings: this.settings
+        });
+        this.showMessage(translate('settings_save_success'), 'success');
+      } catch (error) {
+        console.error('Failed to save export settings:', error);
+        this.showMessage(translate('settings_save_failed'), 'error');
+      }
+    });
+  }
+
   async loadThemes() {
     try {
 
@@ -864,6 +936,30 @@ class PopupManager {
     }
   }
 
+  async switchColorMode(colorMode) {
+    try {
+      // Color mode is stored next to the theme so it follows the user across devices
+      await chrome.storage.sync.set({ colorMode });
+      this.currentColorMode = colorMode;
+
+      // Open documents switch colors without reloading
+      const tabs = await chrome.tabs.query({});
+      tabs.forEach(tab => {
+        chrome.tabs.sendMessage(tab.id, {
+          type: 'colorModeChanged',
+          colorMode
+        }).catch(() => {
+          // Ignore errors for non-markdown tabs
+        });
+      });
+
+      this.showMessage(translate('settings_save_success'), 'success');
+    } catch (error) {
+      console.error('Failed to switch color mode:', error);
+      this.showMessage(translate('settings_save_failed'), 'error');
+    }
+  }
+
   async saveSettings() {
     try {
       const maxCacheItemsEl = document.getElementById('max-cache-items');
@@ -908,7 +1004,16 @@ class PopupManager {
     try {
       this.settings = {
         maxCacheItems: 1000,
-        preferredLocale: DEFAULT_SETTING_LOCALE
+        preferredLocale: DEFAULT_SETTING_LOCALE,
+        docxIncludeToc: false,
+        docxPaperSize: 'a4',
+        docxOrientation: 'portrait',
+        docxMargins: 'normal',
+        docxHeader: '',
+        docxFooter: '',
+        latexCodePackage: 'listings',
+        latexSectionNumbering: '',
+        interactiveCharts: false
       };
 
       await chrome.storage.local.set({
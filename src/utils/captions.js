@@ -0,0 +1,302 @@
+/**
+ * Caption Utilities
+ *
+ * Numbered figure and table captions with cross-references, shared by the
+ * viewer and the DOCX exporter:
+ * - a standalone image with a title or a `{#fig:id}` attribute becomes a figure,
+ *   captioned with its title (or alt text): `![Topology](topology.png "Deployment topology"){#fig:topology}`
+ * - a fenced block with caption meta becomes a figure:
+ *   ```` ```mermaid {#fig:flow caption="Request flow"} ````
+ * - a `Table: Caption {#tbl:id}` paragraph right before or after a table captions it
+ * - `[@fig:id]` and `[@tbl:id]` resolve to "Figure 3" / "Table 2" links
+ *
+ * Captioned nodes are wrapped in `figure` nodes whose first or last child is a
+ * `caption` node; references become `crossReference` nodes. All of them carry
+ * hast data, so remark-rehype renders them without extra handlers.
+ */
+import { visit } from 'unist-util-visit';
+
+const ID_PREFIXES = {
+  figure: 'fig:',
+  table: 'tbl:',
+};
+
+const TABLE_CAPTION_REGEX = /^Table:\s*/i;
+const TRAILING_ATTRIBUTES_REGEX = /\s*(\{[^{}]*\})\s*$/;
+const CROSS_REFERENCE_REGEX = /\[@((?:fig|tbl):[^\s\]]+)\]/g;
+
+/**
+ * Parse caption attributes from a fence meta string or an attribute block
+ * Accepts `#fig:id`, `id=fig:id` and `caption="Text"`, with or without braces.
+ * @param {string} text - Meta string, e.g. `{#fig:flow caption="Request flow"}`
+ * @param {boolean} requireBraces - Only accept a `{...}` block (used after images and captions)
+ * @returns {{id: string|null, caption: string|null}|null} Attributes, or null if there are none
+ */
+export function parseCaptionAttributes(text, requireBraces = false) {
+  let value = String(text || '').trim();
+  const braced = value.startsWith('{') && value.endsWith('}');
+  if (requireBraces && !braced) {
+    return null;
+  }
+  if (braced) {
+    value = value.slice(1, -1);
+  }
+
+  let id = null;
+  let caption = null;
+  const tokenRegex = /#([^\s"']+)|([\w-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))/g;
+  for (const match of value.matchAll(tokenRegex)) {
+    if (match[1]) {
+      id = match[1];
+      continue;
+    }
+    const attributeValue = match[3] ?? match[4] ?? match[5];
+    if (match[2] === 'id') {
+      id = attributeValue;
+    } else if (match[2] === 'caption') {
+      caption = attributeValue;
+    }
+  }
+
+  if (id === null && caption === null) {
+    return null;
+  }
+  return { id, caption };
+}
+
+/**
+ * Get the HTML anchor of a figure or table identifier
+ * @param {string} identifier - Identifier such as `fig:topology`
+ * @returns {string} Element id such as `fig-topology`
+ */
+export function getCaptionAnchor(identifier) {
+  return identifier.replace(':', '-');
+}
+
+/**
+ * Remark plugin: number captioned figures and tables and resolve cross-references
+ * @param {Object} options - { figureLabel, tableLabel } caption label words
+ */
+export function remarkCaptions(options = {}) {
+  const labels = {
+    figure: options.figureLabel || 'Figure',
+    table: options.tableLabel || 'Table',
+  };
+
+  return (tree) => {
+    const counters = { figure: 0, table: 0 };
+    const references = new Map();
+
+    const createFigure = (kind, content, attributes, captionChildren) => {
+      const number = ++counters[kind];
+      const id = attributes?.id;
+      // Only the first element with an identifier gets it
+      const identifier = id && id.startsWith(ID_PREFIXES[kind]) && !references.has(id) ? id : null;
+      const label = `${labels[kind]} ${number}`;
+      if (identifier) {
+        references.set(identifier, { kind, label });
+      }
+
+      const caption = {
+        type: 'caption',
+        kind,
+        name: labels[kind],
+        number,
+        identifier,
+        children: [
+          {
+            type: 'captionLabel',
+            value: label,
+            data: {
+              hName: 'span',
+              hProperties: { className: ['caption-label'] },
+              hChildren: [{ type: 'text', value: captionChildren.length > 0 ? `${label}: ` : label }],
+            },
+          },
+          ...captionChildren,
+        ],
+        data: { hName: 'figcaption' },
+      };
+
+      const hProperties = { className: kind === 'table' ? ['figure', 'table-figure'] : ['figure'] };
+      if (identifier) {
+        hProperties.id = getCaptionAnchor(identifier);
+      }
+
+      return {
+        type: 'figure',
+        kind,
+        identifier,
+        children: kind === 'table' ? [caption, content] : [content, caption],
+        data: { hName: 'figure', hProperties },
+      };
+    };
+
+    // Number figures and tables in document order
+    const transformChildren = (parent) => {
+      const children = parent.children;
+      const result = [];
+
+      for (let index = 0; index < children.length; index++) {
+        const node = children[index];
+
+        if (node.type === 'table') {
+          // Caption paragraph right before the table (a table directive may sit in between)
+          const directiveOffset = result[result.length - 1]?.type === 'html' ? 1 : 0;
+          const before = result[result.length - 1 - directiveOffset];
+          const after = children[index + 1];
+          let caption = getTableCaption(before);
+          if (caption) {
+            result.splice(result.length - 1 - directiveOffset, 1);
+          } else if (!isBeforeTable(children, index + 2)) {
+            // A caption followed by another table belongs to that table
+            caption = getTableCaption(after);
+            if (caption) {
+              index++;
+            }
+          }
+          result.push(caption ? createFigure('table', node, caption.attributes, caption.children) : node);
+          continue;
+        }
+
+        if (node.type === 'paragraph') {
+          const figure = getImageFigure(node);
+          result.push(figure ? createFigure('figure', figure.paragraph, figure.attributes, figure.children) : node);
+          continue;
+        }
+
+        if (node.type === 'code') {
+          const attributes = parseCaptionAttributes(node.meta);
+          const isFigure = attributes && (attributes.caption || attributes.id?.startsWith(ID_PREFIXES.figure));
+          const captionChildren = attributes?.caption ? [{ type: 'text', value: attributes.caption }] : [];
+          result.push(isFigure ? createFigure('figure', node, attributes, captionChildren) : node);
+          continue;
+        }
+
+        if (node.children && node.type !== 'heading') {
+          transformChildren(node);
+        }
+        result.push(node);
+      }
+
+      parent.children = result;
+    };
+
+    transformChildren(tree);
+
+    // Replace [@fig:id] / [@tbl:id] with links to the numbered element
+    visit(tree, 'text', (node, index, parent) => {
+      if (!parent || !node.value.includes('[@')) {
+        return;
+      }
+
+      const parts = [];
+      let lastIndex = 0;
+      for (const match of node.value.matchAll(CROSS_REFERENCE_REGEX)) {
+        const reference = references.get(match[1]);
+        if (!reference) {
+          continue;
+        }
+        if (match.index > lastIndex) {
+          parts.push({ type: 'text', value: node.value.slice(lastIndex, match.index) });
+        }
+        parts.push({
+          type: 'crossReference',
+          kind: reference.kind,
+          identifier: match[1],
+          value: reference.label,
+          data: {
+            hName: 'a',
+            hProperties: { href: `#${getCaptionAnchor(match[1])}`, className: ['cross-reference'] },
+            hChildren: [{ type: 'text', value: reference.label }],
+          },
+        });
+        lastIndex = match.index + match[0].length;
+      }
+
+      if (parts.length === 0) {
+        return;
+      }
+      if (lastIndex < node.value.length) {
+        parts.push({ type: 'text', value: node.value.slice(lastIndex) });
+      }
+      parent.children.splice(index, 1, ...parts);
+      return index + parts.length;
+    });
+  };
+}
+
+/**
+ * Get the figure parts of a paragraph holding a single captioned image
+ * @param {Object} paragraph - mdast paragraph
+ * @returns {Object|null} { paragraph, attributes, children } or null if not a figure
+ */
+function getImageFigure(paragraph) {
+  const content = paragraph.children.filter(child =>
+    child.type !== 'break' && !(child.type === 'text' && !child.value.trim())
+  );
+  const [image, attributeNode] = content;
+  if (image?.type !== 'image' || content.length > 2) {
+    return null;
+  }
+
+  let attributes = null;
+  if (attributeNode) {
+    attributes = attributeNode.type === 'text' ? parseCaptionAttributes(attributeNode.value, true) : null;
+    if (!attributes) {
+      return null;
+    }
+  }
+  if (!image.title && !attributes) {
+    return null;
+  }
+
+  const captionText = attributes?.caption || image.title || image.alt || '';
+  return {
+    paragraph: { ...paragraph, children: [image] },
+    attributes,
+    children: captionText ? [{ type: 'text', value: captionText }] : [],
+  };
+}
+
+/**
+ * Check whether a table starts at a position, possibly after a table directive
+ * @param {Array} children - Sibling nodes
+ * @param {number} index - Position to check
+ * @returns {boolean} True if a table follows
+ */
+function isBeforeTable(children, index) {
+  const node = children[index]?.type === 'html' ? children[index + 1] : children[index];
+  return node?.type === 'table';
+}
+
+/**
+ * Get the caption of a `Table: ...` paragraph
+ * @param {Object|undefined} node - Sibling of a table
+ * @returns {Object|null} { attributes, children } or null if the node is not a table caption
+ */
+function getTableCaption(node) {
+  const first = node?.type === 'paragraph' ? node.children[0] : null;
+  if (first?.type !== 'text' || !TABLE_CAPTION_REGEX.test(first.value)) {
+    return null;
+  }
+
+  const children = node.children.map(child => ({ ...child }));
+  children[0].value = children[0].value.replace(TABLE_CAPTION_REGEX, '');
+
+  // Trailing {#tbl:id} attribute block
+  let attributes = null;
+  const last = children[children.length - 1];
+  const match = last.type === 'text' ? last.value.match(TRAILING_ATTRIBUTES_REGEX) : null;
+  if (match) {
+    attributes = parseCaptionAttributes(match[1], true);
+    if (attributes) {
+      last.value = last.value.slice(0, match.index);
+    }
+  }
+
+  return {
+    attributes,
+    children: children.filter(child => child.type !== 'text' || child.value !== ''),
+  };
+}
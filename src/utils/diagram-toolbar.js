@@ -0,0 +1,259 @@
+/**
+ * Diagram Toolbar
+ *
+ * Hover toolbar for rendered diagrams: copy the image, download it as PNG or
+ * SVG (for diagrams with a vector form), and copy the diagram source.
+ * One toolbar element outside the document content moves to the hovered
+ * diagram, so exports and printing never include it.
+ */
+
+import { downloadBlob } from './file-download.js';
+
+const DIAGRAM_SELECTOR = '.diagram-block';
+// Live charts bring their own action menu
+const INTERACTIVE_CLASS = 'diagram-interactive';
+const FEEDBACK_DURATION = 1500;
+const TOOLBAR_OFFSET = 4;
+
+const ACTIONS = [
+  {
+    action: 'copy-image',
+    titleKey: 'diagram_toolbar_copy_image',
+    fallbackTitle: 'Copy image',
+    icon: '<rect x="6" y="6" width="10" height="10" rx="1"/><path d="M4 13V4h9"/>',
+  },
+  {
+    action: 'download-png',
+    titleKey: 'diagram_toolbar_download_png',
+    fallbackTitle: 'Download PNG',
+    icon: '<path d="M10 3v9m0 0l-3-3m3 3l3-3M4 16h12"/>',
+  },
+  {
+    action: 'download-svg',
+    titleKey: 'diagram_toolbar_download_svg',
+    fallbackTitle: 'Download SVG',
+    icon: '<path d="M4 3h8l4 4v10H4z"/><path d="M7 12l2 2 4-4"/>',
+    vectorOnly: true,
+  },
+  {
+    action: 'copy-source',
+    titleKey: 'diagram_toolbar_copy_source',
+    fallbackTitle: 'Copy source',
+    icon: '<path d="M7 6l-4 4 4 4M13 6l4 4-4 4"/>',
+  },
+];
+
+/**
+ * Decode a base64 data URL to a Blob
+ * @param {string} dataUrl - `data:<type>;base64,<data>` URL
+ * @returns {Blob} Decoded content
+ */
+export function dataUrlToBlob(dataUrl) {
+  const [header, data = ''] = dataUrl.split(',');
+  const mimeType = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream';
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Make SVG markup usable as a standalone file
+ * @param {string} svg - SVG markup from a renderer
+ * @returns {string} SVG document
+ */
+export function createSvgDocument(svg) {
+  const markup = svg.slice(svg.indexOf('<svg'));
+  const withNamespace = /^<svg[^>]*\sxmlns=/.test(markup)
+    ? markup
+    : markup.replace(/^<svg/, '<svg xmlns="http://www.w3.org/2000/svg"');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${withNamespace}`;
+}
+
+export class DiagramToolbar {
+  /**
+   * @param {Object} options - Toolbar options
+   * @param {Function} options.getRoot - Returns the element containing the rendered document
+   * @param {Function} options.getDiagram - Returns { type, source, hasVector } for a diagram element id, or null
+   * @param {Function} options.renderPng - Returns a Promise of the base64 PNG for a diagram element id
+   * @param {Function} options.renderSvg - Returns a Promise of the SVG markup for a diagram element id
+   * @param {Function} options.getFilename - Returns a download filename for a name suffix and extension
+   * @param {Function} options.translate - Translation function
+   */
+  constructor({ getRoot, getDiagram, renderPng, renderSvg, getFilename, translate }) {
+    this.getRoot = getRoot;
+    this.getDiagram = getDiagram;
+    this.renderPng = renderPng;
+    this.renderSvg = renderSvg;
+    this.getFilename = getFilename;
+    this.translate = translate;
+    this.element = null;
+    this.target = null;
+  }
+
+  /**
+   * Create the toolbar element and start following the pointer
+   */
+  attach() {
+    const element = document.createElement('div');
+    element.className = 'diagram-toolbar hidden';
+    element.setAttribute('role', 'toolbar');
+
+    for (const { action, titleKey, fallbackTitle, icon } of ACTIONS) {
+      const title = this.translate(titleKey) || fallbackTitle;
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'diagram-toolbar-btn';
+      button.dataset.action = action;
+      button.title = title;
+      button.setAttribute('aria-label', title);
+      button.innerHTML = `<svg width="16" height="16" viewBox="0 0 20 20">${icon}</svg>`;
+      element.appendChild(button);
+    }
+
+    element.addEventListener('click', (event) => {
+      const button = event.target.closest('.diagram-toolbar-btn');
+      if (button && this.target) {
+        this.runAction(button.dataset.action, button);
+      }
+    });
+
+    document.addEventListener('mouseover', (event) => this.handleMouseOver(event));
+    document.body.appendChild(element);
+    this.element = element;
+  }
+
+  /**
+   * Show the toolbar over the hovered diagram, hide it elsewhere
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleMouseOver(event) {
+    if (this.element.contains(event.target)) {
+      return;
+    }
+
+    const block = event.target.closest?.(DIAGRAM_SELECTOR);
+    const root = this.getRoot();
+    const isStatic = block && !block.classList.contains(INTERACTIVE_CLASS);
+    if (isStatic && root?.contains(block) && this.getDiagram(block.id)) {
+      if (block !== this.target || this.element.classList.contains('hidden')) {
+        this.show(block);
+      }
+      return;
+    }
+
+    this.hide();
+  }
+
+  /**
+   * Place the toolbar at the top right corner of a diagram image
+   * @param {HTMLElement} block - Diagram element
+   */
+  show(block) {
+    const diagram = this.getDiagram(block.id);
+    this.target = block;
+
+    ACTIONS.forEach(({ action, vectorOnly }) => {
+      const button = this.element.querySelector(`[data-action="${action}"]`);
+      button.hidden = Boolean(vectorOnly && !diagram.hasVector);
+    });
+
+    this.element.classList.remove('hidden');
+
+    const rect = (block.querySelector('img, .diagram-viewport') || block).getBoundingClientRect();
+    const left = Math.max(rect.left, rect.right - this.element.offsetWidth - TOOLBAR_OFFSET);
+    this.element.style.top = `${rect.top + window.scrollY + TOOLBAR_OFFSET}px`;
+    this.element.style.left = `${left + window.scrollX}px`;
+  }
+
+  /**
+   * Hide the toolbar
+   */
+  hide() {
+    if (this.element && !this.element.classList.contains('hidden')) {
+      this.element.classList.add('hidden');
+    }
+    this.target = null;
+  }
+
+  /**
+   * Run a toolbar action on the current diagram
+   * @param {string} action - Action name
+   * @param {HTMLButtonElement} button - Clicked button (shows success feedback)
+   */
+  async runAction(action, button) {
+    const block = this.target;
+    const diagram = this.getDiagram(block.id);
+    if (!diagram) {
+      return;
+    }
+
+    try {
+      switch (action) {
+        case 'copy-image':
+          // A pending blob keeps the click's user activation while the PNG renders
+          await navigator.clipboard.write([
+            new ClipboardItem({ 'image/png': this.getImageBlob(block) })
+          ]);
+          break;
+
+        case 'download-png':
+          await downloadBlob(await this.getImageBlob(block), this.getDiagramFilename(block, diagram, 'png'), 'image/png');
+          break;
+
+        case 'download-svg': {
+          const svg = await this.renderSvg(block.id);
+          if (!svg) {
+            throw new Error(`${diagram.type} has no SVG form`);
+          }
+          const blob = new Blob([createSvgDocument(svg)], { type: 'image/svg+xml' });
+          await downloadBlob(blob, this.getDiagramFilename(block, diagram, 'svg'), 'image/svg+xml');
+          break;
+        }
+
+        case 'copy-source':
+          await navigator.clipboard.writeText(diagram.source);
+          break;
+
+        default:
+          return;
+      }
+
+      button.classList.add('done');
+      setTimeout(() => button.classList.remove('done'), FEEDBACK_DURATION);
+    } catch (error) {
+      console.error('Diagram action failed:', error);
+      const detail = error?.message || '';
+      alert(this.translate('diagram_toolbar_failed', [detail]) || `Diagram action failed: ${detail}`);
+    }
+  }
+
+  /**
+   * Get the PNG of a diagram
+   * Vector diagrams are shown as SVG, so their PNG is rendered on demand.
+   * @param {HTMLElement} block - Diagram element
+   * @returns {Promise<Blob>} PNG image
+   */
+  async getImageBlob(block) {
+    const base64 = await this.renderPng(block.id);
+    if (!base64) {
+      throw new Error('Diagram image is not available');
+    }
+    return dataUrlToBlob(`data:image/png;base64,${base64}`);
+  }
+
+  /**
+   * Build a download filename such as `notes-mermaid-2.png`
+   * @param {HTMLElement} block - Diagram element
+   * @param {Object} diagram - Diagram info
+   * @param {string} extension - File extension
+   * @returns {string} Filename
+   */
+  getDiagramFilename(block, diagram, extension) {
+    const blocks = Array.from(this.getRoot().querySelectorAll(DIAGRAM_SELECTOR));
+    const index = blocks.indexOf(block) + 1;
+    return this.getFilename(`${diagram.type}-${index}`, extension);
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * Diagram Zoom
+ *
+ * Zoom and pan for vector diagrams in the viewer: Ctrl/Cmd + wheel (or a
+ * trackpad pinch) zooms around the pointer, dragging pans a zoomed diagram,
+ * and a double click resets it. The diagram keeps its place in the document;
+ * only its SVG is transformed inside a clipping viewport.
+ */
+
+const VIEWPORT_SELECTOR = '.diagram-vector .diagram-viewport';
+const ZOOMED_CLASS = 'zoomed';
+const PANNING_CLASS = 'panning';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 8;
+// Wheel delta to zoom factor: 100px of wheel movement zooms by about 16%
+const WHEEL_ZOOM_RATE = 0.0015;
+
+/**
+ * Keep a view inside its viewport
+ * The scale stays within the zoom limits and the diagram always covers the viewport.
+ * @param {{scale: number, x: number, y: number}} view - Scale and translation in CSS pixels
+ * @param {{width: number, height: number}} size - Viewport size
+ * @returns {{scale: number, x: number, y: number}} Clamped view
+ */
+export function clampView(view, size) {
+  const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, view.scale));
+  const clamp = (value, length) => Math.min(0, Math.max(length * (1 - scale), value));
+  return {
+    scale,
+    x: clamp(view.x, size.width),
+    y: clamp(view.y, size.height)
+  };
+}
+
+/**
+ * Zoom a view by a factor, keeping the diagram point under the pointer in place
+ * @param {{scale: number, x: number, y: number}} view - Current view
+ * @param {number} factor - Zoom factor (> 1 zooms in)
+ * @param {{x: number, y: number}} point - Pointer position in the viewport
+ * @param {{width: number, height: number}} size - Viewport size
+ * @returns {{scale: number, x: number, y: number}} New view
+ */
+export function zoomView(view, factor, point, size) {
+  const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, view.scale * factor));
+  const ratio = scale / view.scale;
+  return clampView({
+    scale,
+    x: point.x - (point.x - view.x) * ratio,
+    y: point.y - (point.y - view.y) * ratio
+  }, size);
+}
+
+/**
+ * Remove zoom state from a copy of the document (used by exporters)
+ * @param {Element} root - Cloned content element
+ */
+export function resetDiagramZoom(root) {
+  root.querySelectorAll(`.diagram-viewport.${ZOOMED_CLASS}`).forEach((viewport) => {
+    viewport.classList.remove(ZOOMED_CLASS, PANNING_CLASS);
+    viewport.querySelector('svg')?.style.removeProperty('transform');
+  });
+}
+
+export class DiagramZoom {
+  /**
+   * @param {Object} options - Zoom options
+   * @param {Function} options.getRoot - Returns the element containing the rendered document
+   */
+  constructor({ getRoot }) {
+    this.getRoot = getRoot;
+    this.views = new WeakMap();
+    this.drag = null;
+  }
+
+  /**
+   * Start handling zoom and pan gestures on diagrams
+   */
+  attach() {
+    // Not passive: Ctrl + wheel over a diagram must not zoom the whole page
+    document.addEventListener('wheel', (event) => this.handleWheel(event), { passive: false });
+    document.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+    document.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+    document.addEventListener('pointerup', (event) => this.handlePointerUp(event));
+    document.addEventListener('pointercancel', (event) => this.handlePointerUp(event));
+    document.addEventListener('dblclick', (event) => {
+      const viewport = this.getViewport(event.target);
+      if (viewport && this.getView(viewport).scale !== 1) {
+        this.apply(viewport, { scale: 1, x: 0, y: 0 });
+      }
+    });
+  }
+
+  /**
+   * Find the diagram viewport of an event target
+   * @param {EventTarget} target - Event target
+   * @returns {HTMLElement|null} Viewport element inside the document
+   */
+  getViewport(target) {
+    const viewport = target?.closest?.(VIEWPORT_SELECTOR);
+    return viewport && this.getRoot()?.contains(viewport) ? viewport : null;
+  }
+
+  /**
+   * Get the current view of a viewport
+   * @param {HTMLElement} viewport - Viewport element
+   * @returns {{scale: number, x: number, y: number}} View
+   */
+  getView(viewport) {
+    return this.views.get(viewport) || { scale: 1, x: 0, y: 0 };
+  }
+
+  /**
+   * Get the viewport size and the ratio of rendered to layout pixels
+   * The viewer zooms its content with CSS zoom, so pointer distances are scaled.
+   * @param {HTMLElement} viewport - Viewport element
+   * @returns {{rect: DOMRect, ratio: number, size: {width: number, height: number}}}
+   */
+  measure(viewport) {
+    const rect = viewport.getBoundingClientRect();
+    const width = viewport.offsetWidth;
+    return {
+      rect,
+      ratio: width > 0 ? rect.width / width : 1,
+      size: { width, height: viewport.offsetHeight }
+    };
+  }
+
+  /**
+   * Apply a view to a viewport's SVG
+   * @param {HTMLElement} viewport - Viewport element
+   * @param {{scale: number, x: number, y: number}} view - View to show
+   */
+  apply(viewport, view) {
+    const svg = viewport.querySelector('svg');
+    if (!svg) {
+      return;
+    }
+
+    const zoomed = view.scale > 1;
+    this.views.set(viewport, view);
+    svg.style.transform = zoomed ? `translate(${view.x}px, ${view.y}px) scale(${view.scale})` : '';
+    viewport.classList.toggle(ZOOMED_CLASS, zoomed);
+  }
+
+  /**
+   * Zoom around the pointer on Ctrl/Cmd + wheel
+   * @param {WheelEvent} event - Wheel event
+   */
+  handleWheel(event) {
+    if (!event.ctrlKey && !event.metaKey) {
+      return;
+    }
+    const viewport = this.getViewport(event.target);
+    if (!viewport) {
+      return;
+    }
+
+    event.preventDefault();
+    const { rect, ratio, size } = this.measure(viewport);
+    const point = {
+      x: (event.clientX - rect.left) / ratio,
+      y: (event.clientY - rect.top) / ratio
+    };
+    const factor = Math.exp(-event.deltaY * WHEEL_ZOOM_RATE);
+    this.apply(viewport, zoomView(this.getView(viewport), factor, point, size));
+  }
+
+  /**
+   * Start panning a zoomed diagram
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerDown(event) {
+    const viewport = event.button === 0 ? this.getViewport(event.target) : null;
+    if (!viewport || this.getView(viewport).scale === 1) {
+      return;
+    }
+
+    event.preventDefault();
+    viewport.setPointerCapture?.(event.pointerId);
+    viewport.classList.add(PANNING_CLASS);
+    this.drag = {
+      viewport,
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      view: this.getView(viewport),
+      ...this.measure(viewport)
+    };
+  }
+
+  /**
+   * Pan while dragging
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerMove(event) {
+    const drag = this.drag;
+    if (!drag || event.pointerId !== drag.pointerId) {
+      return;
+    }
+
+    this.apply(drag.viewport, clampView({
+      scale: drag.view.scale,
+      x: drag.view.x + (event.clientX - drag.startX) / drag.ratio,
+      y: drag.view.y + (event.clientY - drag.startY) / drag.ratio
+    }, drag.size));
+  }
+
+  /**
+   * Stop panning
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerUp(event) {
+    if (!this.drag || event.pointerId !== this.drag.pointerId) {
+      return;
+    }
+    this.drag.viewport.classList.remove(PANNING_CLASS);
+    this.drag = null;
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * Document Search
+ *
+ * Finds text in the rendered document, highlights all matches and navigates
+ * between them. Rendered diagrams (images or inline SVG) are matched by their source code
+ * (mermaid, vega, svg, ...), so a search can jump to the diagram it belongs to.
+ */
+
+const HIGHLIGHT_CLASS = 'search-highlight';
+const CURRENT_CLASS = 'search-highlight-current';
+const DIAGRAM_MATCH_CLASS = 'search-diagram-match';
+
+// Text that is not visible as document text (KaTeX MathML duplicate, screen reader labels);
+// labels inside vector diagrams are matched through the diagram source instead
+const SKIPPED_CONTENT_SELECTOR = 'script, style, .katex-mathml, .sr-only, .async-placeholder, .diagram-vector, .diagram-interactive';
+
+/**
+ * Build the search pattern for a query
+ * @param {string} query - Search text or regular expression source
+ * @param {Object} options - { caseSensitive, regex }
+ * @returns {RegExp|null} Global pattern, or null for an empty query
+ * @throws {SyntaxError} If regex mode is on and the query is not a valid expression
+ */
+export function buildSearchPattern(query, { caseSensitive = false, regex = false } = {}) {
+  if (!query) {
+    return null;
+  }
+
+  const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Find all non-empty matches of a pattern in a text
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @returns {Array<{start: number, end: number}>} Match ranges
+ */
+export function findTextRanges(text, pattern) {
+  const ranges = [];
+  pattern.lastIndex = 0;
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      // Skip empty matches (e.g. /a*/) without looping forever
+      pattern.lastIndex++;
+      continue;
+    }
+    ranges.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return ranges;
+}
+
+/**
+ * Strip search highlighting from a copy of the document (used by exporters)
+ * @param {Element} root - Cloned content element
+ */
+export function removeSearchHighlights(root) {
+  root.querySelectorAll(`mark.${HIGHLIGHT_CLASS}`).forEach((mark) => {
+    mark.replaceWith(...mark.childNodes);
+  });
+  root.querySelectorAll(`.${DIAGRAM_MATCH_CLASS}`).forEach((element) => {
+    element.classList.remove(DIAGRAM_MATCH_CLASS, CURRENT_CLASS);
+  });
+  root.normalize();
+}
+
+export class DocumentSearch {
+  /**
+   * @param {Object} options - Search options
+   * @param {Function} options.getRoot - Returns the element containing the rendered document
+   * @param {Function} [options.getDiagrams] - Returns [{element, source}] for rendered diagrams
+   */
+  constructor({ getRoot, getDiagrams = () => [] }) {
+    this.getRoot = getRoot;
+    this.getDiagrams = getDiagrams;
+    this.query = '';
+    this.options = { caseSensitive: false, regex: false };
+    this.matches = [];
+    this.currentIndex = -1;
+  }
+
+  /**
+   * Search the document and highlight all matches
+   * The first match at or after the current viewport becomes current.
+   * @param {string} query - Search text
+   * @param {Object} options - { caseSensitive, regex }
+   * @returns {{total: number, current: number, error: string|null}} Search state
+   */
+  search(query, options = {}) {
+    this.query = query;
+    this.options = { ...this.options, ...options };
+    this.clearHighlights();
+
+    let pattern;
+    try {
+      pattern = buildSearchPattern(query, this.options);
+    } catch (error) {
+      return { ...this.getState(), error: error.message };
+    }
+
+    const root = this.getRoot();
+    if (!pattern || !root) {
+      return this.getState();
+    }
+
+    this.highlightText(root, pattern);
+    this.markDiagrams(pattern);
+
+    // Keep matches in document order so navigation follows reading order
+    this.matches.sort((a, b) => (
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    ));
+
+    if (this.matches.length > 0) {
+      const firstVisible = this.matches.findIndex(element => element.getBoundingClientRect().bottom >= 0);
+      this.setCurrent(firstVisible === -1 ? 0 : firstVisible);
+    }
+
+    return this.getState();
+  }
+
+  /**
+   * Re-run the current search after the document was re-rendered
+   * @returns {{total: number, current: number, error: string|null}} Search state
+   */
+  refresh() {
+    if (!this.query) {
+      return this.getState();
+    }
+    return this.search(this.query, this.options);
+  }
+
+  /**
+   * Move to the next match (wraps around)
+   * @returns {{total: number, current: number, error: null}} Search state
+   */
+  next() {
+    if (this.matches.length > 0) {
+      this.setCurrent((this.currentIndex + 1) % this.matches.length);
+    }
+    return this.getState();
+  }
+
+  /**
+   * Move to the previous match (wraps around)
+   * @returns {{total: number, current: number, error: null}} Search state
+   */
+  previous() {
+    if (this.matches.length > 0) {
+      this.setCurrent((this.currentIndex - 1 + this.matches.length) % this.matches.length);
+    }
+    return this.getState();
+  }
+
+  /**
+   * Remove all highlights and forget the query
+   */
+  clear() {
+    this.query = '';
+    this.clearHighlights();
+  }
+
+  /**
+   * Get current search state
+   * @returns {{total: number, current: number, error: null}} 1-based current index, 0 if none
+   */
+  getState() {
+    return {
+      total: this.matches.length,
+      current: this.currentIndex + 1,
+      error: null
+    };
+  }
+
+  /**
+   * Wrap text matches in <mark> elements
+   * @param {Element} root - Document root
+   * @param {RegExp} pattern - Global pattern
+   */
+  highlightText(root, pattern) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => (
+        node.parentElement?.closest(SKIPPED_CONTENT_SELECTOR)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT
+      )
+    });
+
+    const textNodes = [];
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+
+    for (const textNode of textNodes) {
+      const ranges = findTextRanges(textNode.nodeValue, pattern);
+      if (ranges.length === 0) {
+        continue;
+      }
+
+      // Split from the end so earlier offsets stay valid
+      for (let i = ranges.length - 1; i >= 0; i--) {
+        const { start, end } = ranges[i];
+        const matchNode = textNode.splitText(start);
+        matchNode.splitText(end - start);
+
+        const mark = document.createElement('mark');
+        mark.className = HIGHLIGHT_CLASS;
+        matchNode.parentNode.replaceChild(mark, matchNode);
+        mark.appendChild(matchNode);
+        this.matches.push(mark);
+      }
+    }
+  }
+
+  /**
+   * Mark rendered diagrams whose source matches
+   * @param {RegExp} pattern - Global pattern
+   */
+  markDiagrams(pattern) {
+    for (const { element, source } of this.getDiagrams()) {
+      if (!element || typeof source !== 'string') {
+        continue;
+      }
+      if (findTextRanges(source, pattern).length > 0) {
+        element.classList.add(DIAGRAM_MATCH_CLASS);
+        this.matches.push(element);
+      }
+    }
+  }
+
+  /**
+   * Make a match current and scroll it into view
+   * @param {number} index - Match index
+   */
+  setCurrent(index) {
+    const previous = this.matches[this.currentIndex];
+    if (previous) {
+      previous.classList.remove(CURRENT_CLASS);
+    }
+
+    this.currentIndex = index;
+    const current = this.matches[index];
+    if (current) {
+      current.classList.add(CURRENT_CLASS);
+      current.scrollIntoView({ block: 'center', inline: 'nearest' });
+    }
+  }
+
+  /**
+   * Remove highlight marks and diagram markers
+   */
+  clearHighlights() {
+    const parents = new Set();
+
+    for (const element of this.matches) {
+      if (element.classList.contains(HIGHLIGHT_CLASS)) {
+        const parent = element.parentNode;
+        if (parent) {
+          parent.replaceChild(element.firstChild, element);
+          parents.add(parent);
+        }
+      } else {
+        element.classList.remove(DIAGRAM_MATCH_CLASS, CURRENT_CLASS);
+      }
+    }
+
+    // Merge split text nodes back together
+    parents.forEach(parent => parent.normalize());
+
+    this.matches = [];
+    this.currentIndex = -1;
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * Export Settings
+ *
+ * Reads export preferences (TOC, page setup, ...) and viewer preferences
+ * (interactive charts) saved from the popup settings tab.
+ */
+
+/**
+ * Load export preferences from chrome.storage.local
+ * @returns {Promise<Object>} Settings object (empty if unavailable)
+ */
+export async function loadExportSettings() {
+  try {
+    const result = await chrome.storage.local.get(['markdownViewerSettings']);
+    return result.markdownViewerSettings || {};
+  } catch (error) {
+    console.warn('Failed to load export settings:', error);
+    return {};
+  }
+}
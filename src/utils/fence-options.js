@@ -0,0 +1,103 @@
+/**
+ * Fence Options
+ *
+ * Per-block render options from the meta string of a fenced diagram block:
+ *   ```` ```mermaid width=600 align=left scale=2 background=#ffffff caption="Request flow" ````
+ * - `width`: display width in CSS pixels (the height follows the aspect ratio)
+ * - `align`: `left`, `center` or `right`
+ * - `scale`: render resolution and size multiplier (0.25 to 4)
+ * - `background`: CSS color painted behind the diagram
+ * - `caption`: diagram description (numbering is done by the caption plugin)
+ * - `render=code`: show the block as highlighted source instead of a diagram
+ * Invalid values are ignored, so a typo never breaks the diagram itself.
+ */
+
+const ALIGNMENTS = new Set(['left', 'center', 'right']);
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 4;
+const MAX_WIDTH = 4000;
+
+// Hex, named and rgb()/hsl() colors; anything else could escape a style attribute
+const COLOR_REGEX = /^(#[\da-f]{3,8}|[a-z]+|(?:rgb|hsl)a?\([\d\s.,%/]+\))$/i;
+
+/**
+ * Parse render options from a fence meta string
+ * Braces are optional, so `{#fig:flow width=600}` works alongside caption attributes.
+ * @param {string|null} meta - Meta string of a code node
+ * @returns {{width?: number, align?: string, scale?: number, background?: string,
+ *   caption?: string, renderAsCode?: boolean}} Valid options
+ */
+export function parseFenceOptions(meta) {
+  let value = String(meta || '').trim();
+  if (value.startsWith('{') && value.endsWith('}')) {
+    value = value.slice(1, -1);
+  }
+
+  const options = {};
+  const tokenRegex = /([\w-]+)=(?:"([^"]*)"|'([^']*)'|([^\s}]+))/g;
+  for (const match of value.matchAll(tokenRegex)) {
+    const name = match[1].toLowerCase();
+    const attributeValue = (match[2] ?? match[3] ?? match[4]).trim();
+
+    switch (name) {
+      case 'width': {
+        const width = Number(attributeValue.replace(/px$/i, ''));
+        if (width > 0 && width <= MAX_WIDTH) {
+          options.width = Math.round(width);
+        }
+        break;
+      }
+      case 'align':
+        if (ALIGNMENTS.has(attributeValue.toLowerCase())) {
+          options.align = attributeValue.toLowerCase();
+        }
+        break;
+      case 'scale': {
+        const scale = Number(attributeValue);
+        if (scale >= MIN_SCALE && scale <= MAX_SCALE) {
+          options.scale = scale;
+        }
+        break;
+      }
+      case 'background':
+        if (COLOR_REGEX.test(attributeValue)) {
+          options.background = attributeValue;
+        }
+        break;
+      case 'caption':
+        if (attributeValue) {
+          options.caption = attributeValue;
+        }
+        break;
+      case 'render':
+        if (attributeValue.toLowerCase() === 'code') {
+          options.renderAsCode = true;
+        }
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Get the display size of a rendered diagram
+ * Renders are 4x the display size; a target width keeps the aspect ratio.
+ * @param {number} width - Rendered width in pixels
+ * @param {number} height - Rendered height in pixels
+ * @param {Object} options - Block options
+ * @param {number} [options.width] - Target display width
+ * @returns {{width: number, height: number}} Display size in CSS pixels
+ */
+export function getDisplaySize(width, height, options = {}) {
+  if (options.width && width > 0) {
+    return {
+      width: options.width,
+      height: Math.round(height * options.width / width)
+    };
+  }
+  return {
+    width: Math.round(width / 4),
+    height: Math.round(height / 4)
+  };
+}
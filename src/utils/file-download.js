@@ -0,0 +1,115 @@
+/**
+ * File Download
+ *
+ * Shared download helper for exporters. Content scripts cannot call
+ * chrome.downloads directly, so the file is uploaded to the background
+ * script in chunks and downloaded from there. Falls back to an <a download>
+ * link if the background path fails.
+ */
+
+import { uploadInChunks, abortUpload } from './upload-manager.js';
+
+/**
+ * Wrapper for chrome.runtime.sendMessage with Promise interface
+ * @param {Object} message - Message payload
+ * @returns {Promise<any>} - Response from background script
+ */
+export function runtimeSendMessage(message) {
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(response);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Convert byte array chunk to base64 without exceeding call stack limits
+ * @param {Uint8Array} bytes - Binary chunk
+ * @returns {string} Base64 encoded chunk
+ */
+export function encodeBytesToBase64(bytes) {
+  let binary = '';
+  const sliceSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += sliceSize) {
+    const slice = bytes.subarray(i, Math.min(i + sliceSize, bytes.length));
+    binary += String.fromCharCode.apply(null, slice);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Fallback download method using <a> element
+ * @param {Blob} blob - File content
+ * @param {string} filename - Download filename
+ */
+export function fallbackDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+
+  document.body.appendChild(a);
+  a.click();
+
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+}
+
+/**
+ * Download blob as file through the background script
+ * @param {Blob} blob - File content
+ * @param {string} filename - Download filename
+ * @param {string} mimeType - MIME type used for the download data URL
+ */
+export async function downloadBlob(blob, filename, mimeType = blob.type || 'application/octet-stream') {
+  let token = null;
+  try {
+    const arrayBuffer = await blob.arrayBuffer();
+    const bytes = new Uint8Array(arrayBuffer);
+
+    const uploadResult = await uploadInChunks({
+      sendMessage: runtimeSendMessage,
+      purpose: 'docx-download',
+      encoding: 'base64',
+      totalSize: bytes.length,
+      metadata: {
+        filename,
+        mimeType
+      },
+      getChunk: (offset, size) => {
+        const end = Math.min(offset + size, bytes.length);
+        const chunkBytes = bytes.subarray(offset, end);
+        return encodeBytesToBase64(chunkBytes);
+      }
+    });
+
+    token = uploadResult.token;
+
+    // The finalize handler is generic: it downloads using the filename/mimeType metadata
+    const finalizeResponse = await runtimeSendMessage({
+      type: 'DOCX_DOWNLOAD_FINALIZE',
+      token
+    });
+
+    if (!finalizeResponse || !finalizeResponse.success) {
+      throw new Error(finalizeResponse?.error || 'Download finalize failed');
+    }
+  } catch (error) {
+    console.error('Download failed:', error);
+    if (token) {
+      abortUpload(runtimeSendMessage, token);
+    }
+    fallbackDownload(blob, filename);
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * File Watcher
+ *
+ * Polls a document source and reports when its content changes.
+ * Content scripts cannot watch the file system, so local files are re-read
+ * periodically (through the background READ_LOCAL_FILE handler) and compared
+ * by hash.
+ */
+
+const DEFAULT_POLL_INTERVAL = 1000;
+
+/**
+ * Normalize line endings so hashes match the text Chrome exposes in the page
+ * (the HTML parser turns CRLF and CR into LF).
+ * @param {string} text - Raw file content
+ * @returns {string} Normalized content
+ */
+export function normalizeLineEndings(text) {
+  return text.replace(/\r\n?/g, '\n');
+}
+
+export class FileWatcher {
+  /**
+   * @param {Object} options - Watcher options
+   * @param {Function} options.readFile - Async function returning the current file content
+   * @param {Function} options.hash - Async function returning a hash for a content string
+   * @param {Function} options.onChange - Async callback receiving the changed content
+   * @param {number} [options.interval=1000] - Poll interval in milliseconds
+   * @param {Function} [options.isPaused] - Returns true to skip a poll (e.g. hidden tab)
+   */
+  constructor({ readFile, hash, onChange, interval = DEFAULT_POLL_INTERVAL, isPaused = () => false }) {
+    this.readFile = readFile;
+    this.hash = hash;
+    this.onChange = onChange;
+    this.interval = interval;
+    this.isPaused = isPaused;
+    this.lastHash = null;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling
+   * @param {string} initialContent - Content currently displayed
+   */
+  async start(initialContent) {
+    this.stop();
+    this.lastHash = await this.hash(normalizeLineEndings(initialContent));
+    this.timer = setInterval(() => this.poll(), this.interval);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Read the file once and notify if its content changed
+   * Overlapping polls are skipped, so a slow re-render never queues up reads.
+   * @returns {Promise<boolean>} True if a change was reported
+   */
+  async poll() {
+    if (this.polling || this.isPaused()) {
+      return false;
+    }
+
+    this.polling = true;
+    try {
+      const content = normalizeLineEndings(await this.readFile());
+      const contentHash = await this.hash(content);
+      if (contentHash === this.lastHash) {
+        return false;
+      }
+
+      this.lastHash = contentHash;
+      await this.onChange(content);
+      return true;
+    } catch (error) {
+      // File may be mid-save or temporarily unreadable; try again on the next poll
+      console.warn('[FileWatcher] Poll failed:', error);
+      return false;
+    } finally {
+      this.polling = false;
+    }
+  }
+}
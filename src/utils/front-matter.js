@@ -0,0 +1,152 @@
+/**
+ * Front Matter Utilities
+ *
+ * Shared helpers for YAML front matter blocks (`---` ... `---` at the top of a file).
+ * Used by both the viewer pipeline and the DOCX exporter so that both produce
+ * the same metadata object.
+ */
+
+import remarkFrontmatter from 'remark-frontmatter';
+import { parse as parseYaml } from 'yaml';
+
+/**
+ * Convert a YAML value to a trimmed string
+ * @param {*} value - Raw YAML value
+ * @returns {string} String value or empty string
+ */
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? '' : value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'object') {
+    // Support `author: { name: ... }` style entries
+    return toText(value.name);
+  }
+  return String(value).trim();
+}
+
+/**
+ * Convert a YAML value to a list of non-empty strings
+ * @param {*} value - String (comma separated) or array
+ * @returns {string[]} List of entries
+ */
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value.map(toText).filter(Boolean);
+  }
+  const text = toText(value);
+  return text ? text.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Parse a YAML front matter body into a normalized metadata object
+ * @param {string} yamlText - YAML source without the `---` fences
+ * @returns {Object} Metadata with title, author, date, subject, keywords, description and raw data
+ */
+export function parseFrontMatter(yamlText) {
+  let data = {};
+
+  try {
+    const parsed = parseYaml(yamlText || '');
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      data = parsed;
+    }
+  } catch (error) {
+    console.warn('Failed to parse front matter:', error);
+  }
+
+  return {
+    title: toText(data.title),
+    author: toList(data.author || data.authors).join(', '),
+    date: toText(data.date),
+    subject: toText(data.subject),
+    keywords: toList(data.keywords || data.tags),
+    description: toText(data.description || data.abstract),
+    data
+  };
+}
+
+/**
+ * Remark plugin: enable front matter syntax and move the YAML block out of the tree.
+ * The parsed metadata is stored on `file.data.frontMatter` and on `tree.data.frontMatter`,
+ * so callers using either `process()` or `parse()` + `runSync()` can read it.
+ */
+export function remarkFrontMatterMetadata() {
+  remarkFrontmatter.call(this, ['yaml']);
+
+  return (tree, file) => {
+    const index = tree.children.findIndex(node => node.type === 'yaml');
+    if (index === -1) {
+      return;
+    }
+
+    const [node] = tree.children.splice(index, 1);
+    const frontMatter = parseFrontMatter(node.value);
+
+    tree.data = { ...(tree.data || {}), frontMatter };
+    if (file) {
+      file.data.frontMatter = frontMatter;
+    }
+  };
+}
+
+/**
+ * Check whether metadata has anything worth showing
+ * @param {Object|null} frontMatter - Metadata from parseFrontMatter()
+ * @returns {boolean} True if at least one display field is set
+ */
+export function hasFrontMatterContent(frontMatter) {
+  if (!frontMatter) {
+    return false;
+  }
+  return Boolean(frontMatter.title || frontMatter.author || frontMatter.date ||
+    frontMatter.subject || frontMatter.description || frontMatter.keywords.length > 0);
+}
+
+/**
+ * Render the viewer title block for front matter metadata
+ * @param {Object|null} frontMatter - Metadata from parseFrontMatter()
+ * @param {Function} escapeHtml - HTML escape function
+ * @returns {string} Title block HTML, or empty string when there is nothing to show
+ */
+export function renderFrontMatterBlock(frontMatter, escapeHtml) {
+  if (!hasFrontMatterContent(frontMatter)) {
+    return '';
+  }
+
+  let html = '<header class="front-matter">';
+
+  if (frontMatter.title) {
+    html += `<div class="front-matter-title">${escapeHtml(frontMatter.title)}</div>`;
+  }
+  if (frontMatter.subject) {
+    html += `<div class="front-matter-subject">${escapeHtml(frontMatter.subject)}</div>`;
+  }
+
+  const meta = [];
+  if (frontMatter.author) {
+    meta.push(`<span class="front-matter-author">${escapeHtml(frontMatter.author)}</span>`);
+  }
+  if (frontMatter.date) {
+    meta.push(`<span class="front-matter-date">${escapeHtml(frontMatter.date)}</span>`);
+  }
+  if (meta.length > 0) {
+    html += `<div class="front-matter-meta">${meta.join('')}</div>`;
+  }
+
+  if (frontMatter.description) {
+    html += `<div class="front-matter-description">${escapeHtml(frontMatter.description)}</div>`;
+  }
+  if (frontMatter.keywords.length > 0) {
+    const tags = frontMatter.keywords
+      .map(keyword => `<span class="front-matter-keyword">${escapeHtml(keyword)}</span>`)
+      .join('');
+    html += `<div class="front-matter-keywords">${tags}</div>`;
+  }
+
+  html += '</header>';
+  return html;
+}
@@ -0,0 +1,95 @@
+/**
+ * Interactive Charts
+ *
+ * Embeds vega and vega-lite blocks live in the viewer, so tooltips,
+ * selections and zoom defined in the spec keep working. The chart's own
+ * action menu exports PNG/SVG and shows the source. Exporters still use the
+ * static render from the offscreen document.
+ */
+import { VegaRenderer } from '../renderers/vega-renderer.js';
+
+export const INTERACTIVE_CHART_CLASS = 'diagram-interactive';
+
+// Resolution of PNGs saved from the chart's action menu
+const PNG_SCALE_FACTOR = 2;
+
+export class InteractiveCharts {
+  /**
+   * @param {Object} options - Chart options
+   * @param {Function} options.translate - Translation function
+   */
+  constructor({ translate }) {
+    this.translate = translate;
+    this.renderers = new Map();
+    this.results = [];
+  }
+
+  /**
+   * Get the renderer of a chart type
+   * @param {string} type - 'vega' or 'vega-lite'
+   * @returns {VegaRenderer} Renderer
+   */
+  getRenderer(type) {
+    if (!this.renderers.has(type)) {
+      this.renderers.set(type, new VegaRenderer(type));
+    }
+    return this.renderers.get(type);
+  }
+
+  /**
+   * Replace a placeholder with a live chart
+   * @param {HTMLElement} placeholder - Placeholder element (its id moves to the chart)
+   * @param {string} type - 'vega' or 'vega-lite'
+   * @param {string} spec - Chart specification
+   * @param {Object} themeConfig - Theme configuration of the viewer
+   * @param {string} downloadFileName - Base name of files saved from the action menu
+   */
+  async embed(placeholder, type, spec, themeConfig, downloadFileName) {
+    const block = document.createElement('div');
+    block.id = placeholder.id;
+    block.className = `diagram-block ${INTERACTIVE_CHART_CLASS}`;
+    // vega-embed sizes this element to the chart and anchors its action menu to it
+    const chartElement = document.createElement('div');
+    block.appendChild(chartElement);
+    placeholder.replaceWith(block);
+
+    const result = await this.getRenderer(type).embedInteractive(chartElement, spec, themeConfig, {
+      actions: { export: { png: true, svg: true }, source: true, compiled: false, editor: false },
+      downloadFileName,
+      scaleFactor: { png: PNG_SCALE_FACTOR },
+      i18n: this.getActionLabels()
+    });
+    this.results.push(result);
+  }
+
+  /**
+   * Get localized labels of the chart action menu
+   * @returns {Object} vega-embed i18n labels
+   */
+  getActionLabels() {
+    const labels = {
+      CLICK_TO_VIEW_ACTIONS: ['interactive_chart_actions', 'Click to view actions'],
+      PNG_ACTION: ['interactive_chart_save_png', 'Save as PNG'],
+      SVG_ACTION: ['interactive_chart_save_svg', 'Save as SVG'],
+      SOURCE_ACTION: ['interactive_chart_view_source', 'View Source'],
+    };
+    return Object.fromEntries(Object.entries(labels).map(([name, [key, fallback]]) => [
+      name,
+      this.translate(key) || fallback
+    ]));
+  }
+
+  /**
+   * Stop the views of all embedded charts (before the document is re-rendered)
+   */
+  finalizeAll() {
+    for (const result of this.results) {
+      try {
+        result.finalize();
+      } catch (error) {
+        // The view may already be gone
+      }
+    }
+    this.results = [];
+  }
+}
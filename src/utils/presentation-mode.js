@@ -0,0 +1,647 @@
+/**
+ * Presentation Mode
+ *
+ * Shows the rendered document as full-window slides: a thematic break or a
+ * heading up to level 2 starts a new slide, and content after a `Note:`
+ * paragraph goes to the speaker notes window. The rendered nodes are moved
+ * into slide frames inside the content element and moved back on exit, so
+ * diagram placeholders still being rendered fill in on their slide.
+ */
+
+import { isNotesMarkerText, removeNotesMarker, SLIDE_HEADING_MAX_DEPTH } from './slide-outline.js';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+const PRESENTING_CLASS = 'presenting';
+const OVERVIEW_CLASS = 'overview';
+const CURRENT_CLASS = 'current';
+const NOTES_CLASS = 'presentation-notes';
+const NOTES_WINDOW_NAME = 'markdown-viewer-speaker-notes';
+
+// Slides are laid out at this size and scaled to the window
+const SLIDE_WIDTH = 960;
+const SLIDE_HEIGHT = 540;
+
+const CONTROLS = [
+  {
+    action: 'previous',
+    titleKey: 'presentation_previous_title',
+    fallbackTitle: 'Previous slide',
+    icon: '<path d="M12 5l-5 5 5 5"/>',
+  },
+  { action: 'counter' },
+  {
+    action: 'next',
+    titleKey: 'presentation_next_title',
+    fallbackTitle: 'Next slide',
+    icon: '<path d="M8 5l5 5-5 5"/>',
+  },
+  {
+    action: 'overview',
+    titleKey: 'presentation_overview_title',
+    fallbackTitle: 'Slide overview (O)',
+    icon: '<rect x="3" y="3" width="6" height="6"/><rect x="11" y="3" width="6" height="6"/><rect x="3" y="11" width="6" height="6"/><rect x="11" y="11" width="6" height="6"/>',
+  },
+  {
+    action: 'notes',
+    titleKey: 'presentation_notes_title',
+    fallbackTitle: 'Speaker notes (S)',
+    icon: '<path d="M5 3h10v14H5z"/><path d="M8 7h4M8 10h4M8 13h2"/>',
+  },
+  {
+    action: 'fullscreen',
+    titleKey: 'presentation_fullscreen_title',
+    fallbackTitle: 'Full screen (F)',
+    icon: '<path d="M3 8V3h5M12 3h5v5M17 12v5h-5M8 17H3v-5"/>',
+  },
+  {
+    action: 'exit',
+    titleKey: 'presentation_exit_title',
+    fallbackTitle: 'Exit presentation (Esc)',
+    icon: '<path d="M5 5l10 10M15 5L5 15"/>',
+  },
+];
+
+// Keyboard shortcuts while presenting
+const KEY_ACTIONS = {
+  ArrowRight: 'next',
+  ArrowDown: 'next',
+  PageDown: 'next',
+  ' ': 'next',
+  ArrowLeft: 'previous',
+  ArrowUp: 'previous',
+  PageUp: 'previous',
+  Backspace: 'previous',
+  Home: 'first',
+  End: 'last',
+  Enter: 'select',
+  Escape: 'exit',
+  o: 'overview',
+  s: 'notes',
+  f: 'fullscreen',
+};
+
+const NOTES_WINDOW_STYLE = `
+  body { margin: 0; padding: 16px 20px; font: 18px/1.5 system-ui, sans-serif; color: #24292e; background: #fff; }
+  header { display: flex; justify-content: space-between; font-size: 14px; color: #57606a; border-bottom: 1px solid #d0d7de; padding-bottom: 8px; }
+  img, svg { max-width: 100%; height: auto; }
+  pre { white-space: pre-wrap; }
+  .empty { color: #8c959f; font-style: italic; }
+  .next { margin-top: 24px; font-size: 14px; color: #57606a; }
+`;
+
+/**
+ * Check whether a node is a heading that starts a slide
+ * @param {Node} node - Top-level content node
+ * @returns {boolean} True for H1 up to the slide heading level
+ */
+function isSlideHeadingElement(node) {
+  const match = node.nodeType === ELEMENT_NODE && /^H([1-6])$/.exec(node.tagName);
+  return Boolean(match) && Number(match[1]) <= SLIDE_HEADING_MAX_DEPTH;
+}
+
+/**
+ * Check whether nodes show anything on a slide
+ * @param {Node[]} nodes - Slide nodes
+ * @returns {boolean} True if an element other than a slide break or non-blank text is present
+ */
+function hasVisibleContent(nodes) {
+  return nodes.some(node => (node.nodeType === ELEMENT_NODE && node.tagName !== 'HR')
+    || (node.nodeType === TEXT_NODE && node.textContent.trim() !== ''));
+}
+
+/**
+ * Split the top-level nodes of the rendered document into slides
+ * Every node is kept, in document order, so the document can be put back:
+ * slide breaks stay at the start of their slide (hidden), and the footnotes
+ * section joins the notes of the last slide.
+ * @param {Node[]} nodes - Child nodes of the content element
+ * @returns {Array<{nodes: Node[], notes: Node[]}>} Slide content and speaker notes
+ */
+export function splitSlideNodes(nodes) {
+  const slides = [];
+  let current = null;
+  let inNotes = false;
+
+  const startSlide = () => {
+    current = { nodes: [], notes: [] };
+    slides.push(current);
+    inNotes = false;
+  };
+
+  for (const node of nodes) {
+    const isElement = node.nodeType === ELEMENT_NODE;
+
+    if (isElement && (node.tagName === 'HR' || isSlideHeadingElement(node))) {
+      startSlide();
+      current.nodes.push(node);
+      continue;
+    }
+
+    if (!current) {
+      startSlide();
+    }
+
+    if (isElement && node.tagName === 'SECTION' && node.hasAttribute('data-footnotes')) {
+      current.notes.push(node);
+      continue;
+    }
+
+    if (!inNotes && isElement && node.tagName === 'P' && isNotesMarkerText(node.textContent)) {
+      inNotes = true;
+    }
+    (inNotes ? current.notes : current.nodes).push(node);
+  }
+
+  // Slides without content (e.g. a break right before a heading) join the next slide
+  const result = [];
+  let pending = [];
+  for (const slide of slides) {
+    if (!hasVisibleContent(slide.nodes) && slide.notes.length === 0) {
+      pending.push(...slide.nodes);
+      continue;
+    }
+    result.push({ nodes: [...pending, ...slide.nodes], notes: slide.notes });
+    pending = [];
+  }
+  if (pending.length > 0 && result.length > 0) {
+    result[result.length - 1].notes.push(...pending);
+  }
+  return result;
+}
+
+export class PresentationMode {
+  /**
+   * @param {Object} options - Presentation options
+   * @param {Function} options.getRoot - Returns the element containing the rendered document
+   * @param {Function} options.translate - Translation function
+   * @param {Function} options.onStateChange - Receives { presentationMode, presentationSlide } to persist
+   */
+  constructor({ getRoot, translate, onStateChange }) {
+    this.getRoot = getRoot;
+    this.translate = translate;
+    this.onStateChange = onStateChange;
+    this.controls = null;
+    this.deck = null;
+    this.frames = [];
+    this.index = 0;
+    this.scrollPosition = 0;
+    this.notesWindow = null;
+  }
+
+  /**
+   * Create the slide controls and start listening for keys and resizes
+   */
+  attach() {
+    const controls = document.createElement('div');
+    controls.className = 'presentation-controls hidden';
+    controls.setAttribute('role', 'toolbar');
+
+    for (const { action, titleKey, fallbackTitle, icon } of CONTROLS) {
+      if (action === 'counter') {
+        const counter = document.createElement('span');
+        counter.className = 'presentation-counter';
+        counter.setAttribute('aria-live', 'polite');
+        controls.appendChild(counter);
+        continue;
+      }
+
+      const title = this.translate(titleKey) || fallbackTitle;
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'toolbar-btn';
+      button.dataset.action = action;
+      button.title = title;
+      button.setAttribute('aria-label', title);
+      button.innerHTML = `<svg width="20" height="20" viewBox="0 0 20 20" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${icon}</svg>`;
+      controls.appendChild(button);
+    }
+
+    controls.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action]');
+      if (button) {
+        this.runAction(button.dataset.action);
+      }
+    });
+
+    document.body.appendChild(controls);
+    this.controls = controls;
+
+    document.addEventListener('keydown', (event) => this.handleKeydown(event));
+    window.addEventListener('resize', () => this.updateScale());
+  }
+
+  /**
+   * Check whether the document is shown as slides
+   * @returns {boolean} True while presenting
+   */
+  isActive() {
+    return this.deck !== null;
+  }
+
+  /**
+   * Show the document as slides
+   * @param {number} [index] - Slide to show; defaults to the slide at the reading position
+   * @param {boolean} saveState - Whether to save state to storage
+   */
+  enter(index, saveState = true) {
+    if (this.isActive()) {
+      return;
+    }
+
+    const root = this.getRoot();
+    if (!root) {
+      return;
+    }
+
+    // Start at the first block visible below the toolbar
+    const anchor = index === undefined
+      ? Array.from(root.children).find(element => element.getBoundingClientRect().bottom > 50)
+      : null;
+
+    this.scrollPosition = window.scrollY || window.pageYOffset || 0;
+    if (!this.build(root)) {
+      return;
+    }
+
+    document.body.classList.add(PRESENTING_CLASS);
+    this.controls.classList.remove('hidden');
+
+    const anchorIndex = anchor ? this.frames.findIndex(frame => frame.contains(anchor)) : -1;
+    this.go(anchorIndex >= 0 ? anchorIndex : (index || 0), saveState);
+  }
+
+  /**
+   * Put the document back and leave presentation mode
+   * @param {boolean} saveState - Whether to save state to storage
+   */
+  exit(saveState = true) {
+    if (!this.isActive()) {
+      return;
+    }
+
+    const root = this.getRoot();
+    if (root && this.deck.parentNode === root) {
+      const nodes = [];
+      for (const frame of this.frames) {
+        for (const child of Array.from(frame.firstChild.childNodes)) {
+          if (child.classList?.contains(NOTES_CLASS)) {
+            nodes.push(...child.childNodes);
+          } else {
+            nodes.push(child);
+          }
+        }
+      }
+      root.replaceChildren(...nodes);
+      root.style.removeProperty('--presentation-scale');
+    }
+
+    this.deck = null;
+    this.frames = [];
+    document.body.classList.remove(PRESENTING_CLASS);
+    this.controls.classList.add('hidden');
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+    }
+    if (this.notesWindow && !this.notesWindow.closed) {
+      this.notesWindow.close();
+    }
+    this.notesWindow = null;
+    window.scrollTo(0, this.scrollPosition);
+
+    if (saveState) {
+      this.onStateChange({ presentationMode: false });
+    }
+  }
+
+  /**
+   * Enter or leave presentation mode
+   */
+  toggle() {
+    if (this.isActive()) {
+      this.exit();
+    } else {
+      this.enter();
+    }
+  }
+
+  /**
+   * Split the document again after its content was re-rendered (live reload)
+   * The current slide is kept when it still exists.
+   */
+  refresh() {
+    if (!this.isActive()) {
+      return;
+    }
+
+    const root = this.getRoot();
+    if (!root || this.deck.parentNode === root) {
+      return;
+    }
+
+    const overview = this.deck.classList.contains(OVERVIEW_CLASS);
+    if (!this.build(root)) {
+      // Nothing left to present; the new content already sits in the root
+      this.exit();
+      return;
+    }
+    this.deck.classList.toggle(OVERVIEW_CLASS, overview);
+    this.go(Math.min(this.index, this.frames.length - 1), false);
+  }
+
+  /**
+   * Move the content nodes into slide frames
+   * @param {Element} root - Content element
+   * @returns {boolean} False when the document has no slide content
+   */
+  build(root) {
+    const slides = splitSlideNodes(Array.from(root.childNodes));
+    if (slides.length === 0) {
+      return false;
+    }
+
+    const deck = document.createElement('div');
+    deck.className = 'presentation-deck';
+    this.frames = slides.map((slide, index) => {
+      const section = document.createElement('section');
+      section.className = 'presentation-slide';
+      section.append(...slide.nodes);
+      if (slide.notes.length > 0) {
+        const notes = document.createElement('div');
+        notes.className = NOTES_CLASS;
+        notes.append(...slide.notes);
+        section.appendChild(notes);
+      }
+
+      const frame = document.createElement('div');
+      frame.className = 'presentation-frame';
+      frame.dataset.index = String(index);
+      frame.appendChild(section);
+      return frame;
+    });
+    deck.append(...this.frames);
+
+    // Picking a slide in the overview shows it
+    deck.addEventListener('click', (event) => {
+      const frame = deck.classList.contains(OVERVIEW_CLASS) && event.target.closest('.presentation-frame');
+      if (frame) {
+        this.go(Number(frame.dataset.index));
+        this.toggleOverview(false);
+      }
+    });
+
+    root.replaceChildren(deck);
+    this.deck = deck;
+    return true;
+  }
+
+  /**
+   * Show a slide
+   * @param {number} index - Slide index
+   * @param {boolean} saveState - Whether to save state to storage
+   */
+  go(index, saveState = true) {
+    if (!this.isActive()) {
+      return;
+    }
+
+    this.index = Math.max(0, Math.min(this.frames.length - 1, index));
+    this.frames.forEach((frame, frameIndex) => {
+      frame.classList.toggle(CURRENT_CLASS, frameIndex === this.index);
+    });
+    this.frames[this.index].firstChild.scrollTop = 0;
+
+    const counter = this.controls.querySelector('.presentation-counter');
+    counter.textContent = `${this.index + 1} / ${this.frames.length}`;
+
+    if (this.deck.classList.contains(OVERVIEW_CLASS)) {
+      this.frames[this.index].scrollIntoView({ block: 'nearest' });
+    }
+    this.updateScale();
+    this.updateNotesWindow();
+
+    if (saveState) {
+      this.onStateChange({ presentationMode: true, presentationSlide: this.index });
+    }
+  }
+
+  /**
+   * Scale the slide size to the space above the controls
+   */
+  updateScale() {
+    if (!this.isActive()) {
+      return;
+    }
+    const scale = Math.min(this.deck.clientWidth / SLIDE_WIDTH, this.deck.clientHeight / SLIDE_HEIGHT);
+    this.getRoot()?.style.setProperty('--presentation-scale', String(scale > 0 ? scale : 1));
+  }
+
+  /**
+   * Show or hide the slide overview grid
+   * @param {boolean} [visible] - Target state; toggles when omitted
+   */
+  toggleOverview(visible) {
+    if (!this.isActive()) {
+      return;
+    }
+    const show = visible ?? !this.deck.classList.contains(OVERVIEW_CLASS);
+    this.deck.classList.toggle(OVERVIEW_CLASS, show);
+    if (show) {
+      this.frames[this.index].scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Switch the browser's full screen mode
+   */
+  toggleFullscreen() {
+    const request = document.fullscreenElement
+      ? document.exitFullscreen()
+      : document.documentElement.requestFullscreen();
+    request.catch((error) => {
+      console.warn('Full screen request failed:', error);
+    });
+  }
+
+  /**
+   * Run a control button or keyboard action
+   * @param {string} action - Action name
+   */
+  runAction(action) {
+    const overview = this.deck?.classList.contains(OVERVIEW_CLASS);
+
+    switch (action) {
+      case 'next':
+        this.go(this.index + 1);
+        break;
+      case 'previous':
+        this.go(this.index - 1);
+        break;
+      case 'first':
+        this.go(0);
+        break;
+      case 'last':
+        this.go(this.frames.length - 1);
+        break;
+      case 'select':
+        if (overview) {
+          this.toggleOverview(false);
+        } else {
+          this.go(this.index + 1);
+        }
+        break;
+      case 'overview':
+        this.toggleOverview();
+        break;
+      case 'notes':
+        this.openNotesWindow();
+        break;
+      case 'fullscreen':
+        this.toggleFullscreen();
+        break;
+      case 'exit':
+        if (overview) {
+          this.toggleOverview(false);
+        } else {
+          this.exit();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Handle presentation keys, also when pressed in the speaker notes window
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeydown(event) {
+    if (!this.isActive() || event.ctrlKey || event.metaKey || event.altKey) {
+      return;
+    }
+    if (event.target?.closest?.('input, textarea, select, [contenteditable="true"]')) {
+      return;
+    }
+
+    const action = KEY_ACTIONS[event.key.length === 1 ? event.key.toLowerCase() : event.key];
+    if (!action) {
+      return;
+    }
+    // Space and Enter on a focused control button press the button instead
+    if ((event.key === ' ' || event.key === 'Enter') && event.target?.closest?.('button')) {
+      return;
+    }
+
+    event.preventDefault();
+    this.runAction(action);
+  }
+
+  /**
+   * Open the speaker notes window, or focus it when it is open
+   */
+  openNotesWindow() {
+    if (this.notesWindow && !this.notesWindow.closed) {
+      this.notesWindow.focus();
+      return;
+    }
+
+    const notesWindow = window.open('', NOTES_WINDOW_NAME, 'popup,width=560,height=640');
+    if (!notesWindow) {
+      return;
+    }
+
+    const notesDocument = notesWindow.document;
+    notesDocument.title = this.translate('presentation_notes_window_title') || 'Speaker notes';
+    const style = notesDocument.createElement('style');
+    style.textContent = NOTES_WINDOW_STYLE;
+    notesDocument.head.replaceChildren(style);
+    notesDocument.body.replaceChildren();
+    notesDocument.addEventListener('keydown', (event) => this.handleKeydown(event));
+
+    this.notesWindow = notesWindow;
+    this.updateNotesWindow();
+  }
+
+  /**
+   * Show the notes of the current slide in the speaker notes window
+   */
+  updateNotesWindow() {
+    if (!this.notesWindow || this.notesWindow.closed) {
+      return;
+    }
+
+    const notesDocument = this.notesWindow.document;
+    const header = notesDocument.createElement('header');
+    const counter = notesDocument.createElement('span');
+    counter.textContent = `${this.index + 1} / ${this.frames.length}`;
+    const title = notesDocument.createElement('span');
+    title.textContent = this.getSlideTitle(this.index);
+    header.append(title, counter);
+
+    const notes = notesDocument.createElement('main');
+    const source = this.frames[this.index].querySelector(`.${NOTES_CLASS}`);
+    for (const node of source ? Array.from(source.childNodes) : []) {
+      const copy = this.copyNoteNode(notesDocument, node);
+      if (copy) {
+        notes.appendChild(copy);
+      }
+    }
+    if (!notes.textContent.trim() && !notes.querySelector('img, svg')) {
+      const empty = notesDocument.createElement('p');
+      empty.className = 'empty';
+      empty.textContent = this.translate('presentation_no_notes') || 'No notes for this slide';
+      notes.replaceChildren(empty);
+    }
+
+    notesDocument.body.replaceChildren(header, notes);
+
+    const nextTitle = this.index + 1 < this.frames.length ? this.getSlideTitle(this.index + 1) : '';
+    if (nextTitle) {
+      const next = notesDocument.createElement('p');
+      next.className = 'next';
+      next.textContent = `${this.translate('presentation_next_title') || 'Next slide'}: ${nextTitle}`;
+      notesDocument.body.appendChild(next);
+    }
+  }
+
+  /**
+   * Copy a notes node into the notes window, without ids and the `Note:` marker
+   * @param {Document} notesDocument - Notes window document
+   * @param {Node} node - Notes node
+   * @returns {Node|null} Copy, or null for a marker paragraph without further text
+   */
+  copyNoteNode(notesDocument, node) {
+    const copy = notesDocument.importNode(node, true);
+    if (copy.nodeType !== ELEMENT_NODE) {
+      return copy;
+    }
+
+    copy.removeAttribute('id');
+    copy.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+
+    if (copy.tagName === 'P' && isNotesMarkerText(copy.textContent)) {
+      let text = copy.firstChild;
+      while (text && text.nodeType === ELEMENT_NODE) {
+        text = text.firstChild;
+      }
+      if (text?.nodeType === TEXT_NODE) {
+        text.nodeValue = removeNotesMarker(text.nodeValue);
+      }
+      if (!copy.textContent.trim() && !copy.querySelector('img, svg')) {
+        return null;
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Get the title of a slide for the notes window
+   * @param {number} index - Slide index
+   * @returns {string} Text of the slide's first heading, empty when it has none
+   */
+  getSlideTitle(index) {
+    const heading = this.frames[index]?.querySelector('.presentation-slide > h1, .presentation-slide > h2, .presentation-slide > h3');
+    return heading ? heading.textContent.trim() : '';
+  }
+}
@@ -30,6 +30,8 @@ class ExtensionRenderer {
    * @param {Object} themeConfig - Theme configuration object
    * @param {string} themeConfig.fontFamily - Font family for text rendering
    * @param {number} themeConfig.fontSize - Font size in pt for scaling calculations
+   * @param {string} [themeConfig.colorMode] - 'light' or 'dark' diagram colors
+   * @param {Object} [themeConfig.diagramPalette] - Theme diagram colors and font size (light mode)
    */
   async setThemeConfig(themeConfig) {
     // Store theme config for cache key generation
@@ -81,23 +83,67 @@ class ExtensionRenderer {
     }
   }
 
+  /**
+   * Generate the cache key for a render request
+   * @param {string|object} input - Input data for rendering
+   * @param {object} extraParams - Additional parameters
+   * @param {string} cacheType - Cache type identifier
+   * @returns {Promise<string>} Cache key
+   */
+  async _getCacheKey(input, extraParams, cacheType) {
+    const inputString = typeof input === 'string' ? input : JSON.stringify(input);
+    // Dark renders get their own entries; light keys stay as they were before color modes
+    const modeKey = this.themeConfig?.colorMode === 'dark' ? '_mode:dark' : '';
+    // Themed diagram colors get their own entries as well
+    const palette = this.themeConfig?.diagramPalette;
+    const paletteKey = palette ? `_palette:${JSON.stringify(palette)}` : '';
+    const contentKey = inputString + JSON.stringify(extraParams) + modeKey + paletteKey;
+    return this.cache.generateKey(contentKey, cacheType, this.themeConfig);
+  }
+
+  /**
+   * Get a view of this renderer that always renders in the given color mode
+   * Shares cache and offscreen document; used by exporters that must stay light.
+   * @param {string} colorMode - 'light' or 'dark'
+   * @returns {ExtensionRenderer} Renderer view
+   */
+  forColorMode(colorMode) {
+    const base = this;
+    return Object.create(this, {
+      themeConfig: {
+        get: () => base.themeConfig && { ...base.themeConfig, colorMode }
+      }
+    });
+  }
+
+  /**
+   * Check whether a render result contains the requested output format
+   * @param {object|null} result - Render result
+   * @param {string} format - 'png' or 'svg'
+   * @returns {boolean} True if the result has that form
+   */
+  _hasFormat(result, format) {
+    return Boolean(format === 'svg' ? result?.svg : result?.base64);
+  }
+
   /**
    * Unified diagram rendering method
+   * PNG and SVG results of the same diagram share one cache entry, which keeps
+   * every form rendered so far.
    * @param {string} renderType - Type of diagram (mermaid, vega, etc.)
    * @param {string|object} input - Input data for rendering
    * @param {object} extraParams - Additional parameters
    * @param {string} cacheType - Cache type identifier
-   * @returns {Promise<object>} Render result with base64, width, height
+   * @param {string} format - 'png' for rasterized output, 'svg' for the vector form only
+   * @returns {Promise<object>} Render result with width, height and base64 (png) or svg (svg)
    */
-  async _renderDiagram(renderType, input, extraParams = {}, cacheType) {
+  async _renderDiagram(renderType, input, extraParams = {}, cacheType, format = 'png') {
     // Generate cache key
-    const inputString = typeof input === 'string' ? input : JSON.stringify(input);
-    const contentKey = inputString + JSON.stringify(extraParams);
-    const cacheKey = await this.cache.generateKey(contentKey, cacheType, this.themeConfig);
+    const cacheKey = await this._getCacheKey(input, extraParams, cacheType);
 
-    // Check cache first
+    // Check cache first (entries may hold only the other form)
     const cached = await this.cache.get(cacheKey);
-    if (cached) {
+    if (this._hasFormat(cached, format)) {
       return cached;
     }
 
@@ -107,7 +153,7 @@ class ExtensionRenderer {
       renderType,
       input,
       themeConfig: this.themeConfig,
-      extraParams
+      extraParams: format === 'svg' ? { ...extraParams, outputFormat: 'svg' } : extraParams
     };
     const response = await this._sendMessage(message);
 
@@ -115,14 +161,15 @@ class ExtensionRenderer {
       throw new Error(response.error);
     }
 
-    // Cache the complete response (base64 + dimensions)
+    // Cache the complete response (base64 and/or svg + dimensions) next to the cached form
+    const result = cached ? { ...cached, ...response } : response;
     try {
-      await this.cache.set(cacheKey, response, cacheType);
+      await this.cache.set(cacheKey, result, cacheType);
     } catch (error) {
       // Ignore cache errors
     }
 
-    return response;
+    return result;
   }
 
   /**
@@ -130,13 +177,41 @@ class ExtensionRenderer {
    * @param {string} type - Renderer type (mermaid, vega, vega-lite, html, svg, etc.)
    * @param {string|object} input - Input data for rendering
    * @param {object} extraParams - Additional parameters
-   * @returns {Promise<object>} Render result with base64, width, height
+   * @param {string} format - 'png' (default) or 'svg' for renderers with a vector stage
+   * @returns {Promise<object>} Render result with base64 or svg, width, height
    */
-  async render(type, input, extraParams = {}) {
+  async render(type, input, extraParams = {}, format = 'png') {
     // Generate cache type identifier
     const cacheType = `${type.toUpperCase()}_PNG`;
     
-    return this._renderDiagram(type, input, extraParams, cacheType);
+    return this._renderDiagram(type, input, extraParams, cacheType, format);
+  }
+
+  /**
+   * Get the SVG form of a diagram
+   * @param {string} type - Renderer type with a vector stage (mermaid, vega, vega-lite, svg, graphviz)
+   * @param {string|object} input - Input data for rendering
+   * @param {object} extraParams - Additional parameters
+   * @returns {Promise<string|null>} SVG markup, or null if the renderer has no vector form
+   */
+  async renderSvg(type, input, extraParams = {}) {
+    const result = await this.render(type, input, extraParams, 'svg');
+    return result.svg || null;
+  }
+
+  /**
+   * Look up a previous render result without rendering
+   * @param {string} type - Renderer type (mermaid, vega, vega-lite, html, svg, etc.)
+   * @param {string|object} input - Input data for rendering
+   * @param {object} extraParams - Additional parameters
+   * @param {string} format - Form the result must contain ('png' or 'svg')
+   * @returns {Promise<object|null>} Cached render result, or null if not cached
+   */
+  async getCached(type, input, extraParams = {}, format = 'png') {
+    const cacheType = `${type.toUpperCase()}_PNG`;
+    const cacheKey = await this._getCacheKey(input, extraParams, cacheType);
+    const cached = await this.cache.get(cacheKey);
+    return this._hasFormat(cached, format) ? cached : null;
   }
 
   /**
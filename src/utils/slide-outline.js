@@ -0,0 +1,109 @@
+/**
+ * Slide Outline Utilities
+ *
+ * Splits a document into slides the way presentation tools read markdown:
+ * a thematic break (`---`) or a heading up to level 2 starts a new slide, and
+ * the heading becomes the slide title. Everything after a paragraph starting
+ * with `Note:` (or `Notes:`) belongs to the speaker notes of that slide.
+ */
+
+const NOTES_MARKER_REGEX = /^\s*notes?:\s*/i;
+
+/**
+ * Deepest heading level that starts a new slide
+ */
+export const SLIDE_HEADING_MAX_DEPTH = 2;
+
+// Definitions are resolved at their references and never form slide content
+const SKIPPED_NODE_TYPES = new Set(['definition', 'footnoteDefinition', 'yaml']);
+
+/**
+ * Check whether text starts with a speaker notes marker
+ * @param {string} text - Paragraph text
+ * @returns {boolean} True for `Note:` / `Notes:` paragraphs
+ */
+export function isNotesMarkerText(text) {
+  return NOTES_MARKER_REGEX.test(text || '');
+}
+
+/**
+ * Remove a leading speaker notes marker from text
+ * @param {string} text - Paragraph text
+ * @returns {string} Text after the marker
+ */
+export function removeNotesMarker(text) {
+  return text.replace(NOTES_MARKER_REGEX, '');
+}
+
+/**
+ * Check whether a heading starts a new slide
+ * @param {Object} node - mdast node
+ * @returns {boolean} True for headings up to level 2
+ */
+export function isSlideHeading(node) {
+  return node.type === 'heading' && node.depth <= SLIDE_HEADING_MAX_DEPTH;
+}
+
+/**
+ * Remove the notes marker from a paragraph
+ * @param {Object} node - Paragraph starting with a text node that holds the marker
+ * @returns {Object|null} Paragraph with the remaining content, or null if only the marker was present
+ */
+function stripNotesMarker(node) {
+  const [first, ...rest] = node.children;
+  const remainder = removeNotesMarker(first.value);
+  const children = remainder ? [{ ...first, value: remainder }, ...rest] : rest;
+  return children.length > 0 ? { ...node, children } : null;
+}
+
+/**
+ * Split top-level mdast nodes into slides
+ * @param {Object[]} nodes - Children of the document root
+ * @returns {Array<{title: Object|null, body: Object[], notes: Object[]}>} Slides with
+ *   their title heading, slide content and speaker notes content, empty slides removed
+ */
+export function splitSlides(nodes) {
+  const slides = [];
+  let current = null;
+  let inNotes = false;
+
+  const startSlide = (title = null) => {
+    current = { title, body: [], notes: [] };
+    slides.push(current);
+    inNotes = false;
+  };
+
+  for (const node of nodes) {
+    if (SKIPPED_NODE_TYPES.has(node.type)) {
+      continue;
+    }
+
+    if (node.type === 'thematicBreak') {
+      startSlide();
+      continue;
+    }
+
+    if (isSlideHeading(node)) {
+      startSlide(node);
+      continue;
+    }
+
+    if (!current) {
+      startSlide();
+    }
+
+    const firstChild = node.type === 'paragraph' ? node.children[0] : null;
+    if (!inNotes && firstChild?.type === 'text' && isNotesMarkerText(firstChild.value)) {
+      inNotes = true;
+      const remainder = stripNotesMarker(node);
+      if (remainder) {
+        current.notes.push(remainder);
+      }
+      continue;
+    }
+
+    (inNotes ? current.notes : current.body).push(node);
+  }
+
+  return slides.filter(slide => slide.title || slide.body.length > 0 || slide.notes.length > 0);
+}
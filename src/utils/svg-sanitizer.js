@@ -0,0 +1,176 @@
+/**
+ * SVG Sanitizer
+ *
+ * Prepares renderer SVG for direct insertion into the viewer: keeps only
+ * known SVG elements and safe URLs, and prefixes element ids so several
+ * diagrams on one page (or the same cached diagram twice) cannot resolve each
+ * other's markers, gradients, clip paths or scoped styles.
+ */
+
+// Compared lower-cased: HTML elements report an upper-case tagName, SVG elements keep their own case
+const SVG_TAGS = new Set([
+  'svg', 'g', 'defs', 'symbol', 'use', 'switch', 'view', 'title', 'desc', 'style', 'a',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textpath', 'image',
+  'clippath', 'mask', 'pattern', 'marker', 'lineargradient', 'radialgradient', 'stop',
+  'filter', 'feblend', 'fecolormatrix', 'fecomponenttransfer', 'fecomposite', 'feconvolvematrix',
+  'fediffuselighting', 'fedisplacementmap', 'fedistantlight', 'fedropshadow', 'feflood',
+  'fefunca', 'fefuncb', 'fefuncg', 'fefuncr', 'fegaussianblur', 'feimage', 'femerge',
+  'femergenode', 'femorphology', 'feoffset', 'fepointlight', 'fespecularlighting',
+  'fespotlight', 'fetile', 'feturbulence'
+]);
+
+// Renderer labels (Mermaid htmlLabels) are HTML inside <foreignObject>
+const LABEL_TAGS = new Set([
+  'foreignobject', 'div', 'span', 'p', 'br', 'b', 'strong', 'i', 'em', 'u', 's', 'code',
+  'sub', 'sup', 'small', 'label', 'ul', 'ol', 'li', 'hr',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td'
+]);
+
+const URL_ATTRIBUTES = new Set(['href', 'xlink:href', 'src', 'action', 'formaction']);
+const ID_LIST_ATTRIBUTES = new Set(['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns']);
+
+const SAFE_URL = /^(#|https?:|data:image\/(png|jpeg|gif)[;,])/i;
+
+/**
+ * Check whether an element may stay in the SVG
+ * @param {string} tagName - Element tag name
+ * @param {boolean} allowLabels - Keep <foreignObject> HTML labels (renderer output only)
+ * @returns {boolean} True for allowed elements
+ */
+export function isAllowedElement(tagName, allowLabels) {
+  const name = tagName.toLowerCase();
+  return SVG_TAGS.has(name) || (allowLabels && LABEL_TAGS.has(name));
+}
+
+/**
+ * Check a link or image URL against the allowlist
+ * Browsers ignore control characters and whitespace inside the scheme
+ * (`jav&#x09;ascript:`), so they are removed before the check.
+ * @param {string} value - Decoded attribute value
+ * @returns {boolean} True for `#fragment`, http(s) and PNG/JPEG/GIF data URLs
+ */
+export function isSafeUrl(value) {
+  return SAFE_URL.test(String(value).replace(/[\u0000-\u0020\u007f-\u009f]/g, ''));
+}
+
+/**
+ * Check that CSS text references nothing outside the SVG
+ * CSS escapes are decoded first so `u\72l(` cannot hide a URL.
+ * @param {string} text - Style sheet, style attribute or presentation attribute value
+ * @returns {boolean} False if the CSS imports style sheets or loads non-fragment URLs
+ */
+export function isSafeStyle(text) {
+  const css = String(text)
+    .replace(/\\([0-9a-f]{1,6})\s?/gi, (match, hex) => {
+      const code = parseInt(hex, 16);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\ufffd';
+    })
+    .replace(/\\(.)/g, '$1');
+  return !/@import|url\(\s*(?!['"]?\s*#)/i.test(css);
+}
+
+/**
+ * Rewrite `#id` references in CSS text or attribute values
+ * Only ids defined in the SVG are rewritten, so colors such as `#fff` stay intact.
+ * @param {string} text - Style sheet, style attribute or `url(#id)` value
+ * @param {Map<string, string>} ids - Original id to prefixed id
+ * @returns {string} Text with rewritten references
+ */
+export function rewriteIdReferences(text, ids) {
+  return text.replace(/#([\w-]+)/g, (match, id) => (ids.has(id) ? `#${ids.get(id)}` : match));
+}
+
+/**
+ * Sanitize SVG markup for inline display
+ * @param {string} svg - SVG markup from a renderer
+ * @param {Object} options - Display options
+ * @param {string} options.idPrefix - Prefix for element ids (unique per diagram element)
+ * @param {number} options.width - Display width in CSS pixels
+ * @param {number} options.height - Display height in CSS pixels
+ * @param {string} [options.background] - CSS color painted behind the diagram
+ * @param {boolean} [options.userContent] - SVG written by the user (SvgPlugin) rather than
+ *   produced by a renderer: <foreignObject> and style sheets are dropped, since their
+ *   rules would apply to the whole viewer page
+ * @returns {string} Sanitized SVG markup, or an empty string if the markup has no SVG
+ */
+export function sanitizeSvg(svg, { idPrefix, width, height, background, userContent = false }) {
+  const template = document.createElement('template');
+  template.innerHTML = String(svg || '');
+  const svgElement = template.content.querySelector('svg');
+  if (!svgElement) {
+    return '';
+  }
+
+  const elements = [svgElement, ...svgElement.querySelectorAll('*')];
+
+  // Known elements and safe references only
+  for (const element of elements) {
+    const isStyleSheet = element.tagName.toLowerCase() === 'style';
+    if (!isAllowedElement(element.tagName, !userContent) ||
+        (isStyleSheet && (userContent || !isSafeStyle(element.textContent)))) {
+      element.remove();
+      continue;
+    }
+    for (const attr of Array.from(element.attributes)) {
+      const name = attr.name.toLowerCase();
+      const isUnsafe = name.startsWith('on') ||
+        (URL_ATTRIBUTES.has(name) && !isSafeUrl(attr.value)) ||
+        ((name === 'style' || attr.value.includes('url(')) && !isSafeStyle(attr.value));
+      if (isUnsafe) {
+        element.removeAttribute(attr.name);
+      }
+    }
+  }
+
+  // Unique ids
+  const ids = new Map();
+  svgElement.querySelectorAll('[id]').forEach((element) => {
+    const prefixed = `${idPrefix}-${element.id}`;
+    ids.set(element.id, prefixed);
+    element.id = prefixed;
+  });
+  if (svgElement.id) {
+    const prefixed = `${idPrefix}-${svgElement.id}`;
+    ids.set(svgElement.id, prefixed);
+    svgElement.id = prefixed;
+  }
+
+  if (ids.size > 0) {
+    svgElement.querySelectorAll('style').forEach((style) => {
+      style.textContent = rewriteIdReferences(style.textContent, ids);
+    });
+    [svgElement, ...svgElement.querySelectorAll('*')].forEach((element) => {
+      for (const attr of Array.from(element.attributes)) {
+        const name = attr.name.toLowerCase();
+        if (name === 'href' || name === 'xlink:href') {
+          const target = attr.value.startsWith('#') ? ids.get(attr.value.slice(1)) : null;
+          if (target) {
+            attr.value = `#${target}`;
+          }
+        } else if (ID_LIST_ATTRIBUTES.has(name)) {
+          attr.value = attr.value.split(/\s+/).map(id => ids.get(id) || id).join(' ');
+        } else if (attr.value.includes('url(#') || name === 'style') {
+          attr.value = rewriteIdReferences(attr.value, ids);
+        }
+      }
+    });
+  }
+
+  // Display size matches the PNG the diagram would otherwise show as
+  if (!svgElement.hasAttribute('viewBox')) {
+    const intrinsicWidth = parseFloat(svgElement.getAttribute('width'));
+    const intrinsicHeight = parseFloat(svgElement.getAttribute('height'));
+    if (intrinsicWidth > 0 && intrinsicHeight > 0) {
+      svgElement.setAttribute('viewBox', `0 0 ${intrinsicWidth} ${intrinsicHeight}`);
+    }
+  }
+  svgElement.setAttribute('width', String(width));
+  svgElement.setAttribute('height', String(height));
+  svgElement.style.removeProperty('max-width');
+  if (background) {
+    svgElement.style.backgroundColor = background;
+  }
+
+  return svgElement.outerHTML;
+}
@@ -0,0 +1,333 @@
+/**
+ * Table Layout Utilities
+ *
+ * Table extensions shared by the viewer and the DOCX exporter:
+ * - a cell containing only `<<` merges into the cell to its left,
+ *   a cell containing only `^^` merges into the cell above
+ * - a `<!-- table: ... -->` comment right before a table sets column widths,
+ *   header rows, header repetition and page orientation, e.g.
+ *   `<!-- table: widths=2,1,1 header=2 repeat-header=false orientation=landscape -->`
+ * - wide pipe tables take proportional column widths from their delimiter row
+ */
+import { visit } from 'unist-util-visit';
+
+export const MERGE_LEFT_MARKER = '<<';
+export const MERGE_UP_MARKER = '^^';
+
+// Delimiter rows longer than this describe relative column widths (as in pandoc pipe tables)
+const DELIMITER_WIDTH_THRESHOLD = 72;
+
+const TABLE_DIRECTIVE_REGEX = /^<!--\s*table\s*:([\s\S]*?)-->$/i;
+
+/**
+ * Parse a table directive comment
+ * @param {string} html - Raw HTML node value
+ * @returns {Object|null} { widths, headerRows, repeatHeader, orientation }, or null if not a directive
+ */
+export function parseTableDirective(html) {
+  const match = String(html || '').trim().match(TABLE_DIRECTIVE_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  const options = {
+    widths: null,
+    headerRows: null,
+    repeatHeader: true,
+    orientation: null,
+  };
+
+  for (const token of match[1].split(/[\s;]+/)) {
+    const [key, value = ''] = token.split('=');
+    switch (key.toLowerCase()) {
+      case 'widths': {
+        const widths = value.split(',').map(width => parseFloat(width));
+        if (widths.length > 0 && widths.every(width => width > 0)) {
+          options.widths = widths;
+        }
+        break;
+      }
+      case 'header': {
+        const headerRows = parseInt(value, 10);
+        if (headerRows >= 0) {
+          options.headerRows = headerRows;
+        }
+        break;
+      }
+      case 'repeat-header':
+        options.repeatHeader = !/^(?:false|no|off|0)$/i.test(value);
+        break;
+      case 'orientation':
+        if (value === 'landscape' || value === 'portrait') {
+          options.orientation = value;
+        }
+        break;
+      case 'landscape':
+        options.orientation = 'landscape';
+        break;
+      default:
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Read relative column widths from a pipe table delimiter row
+ * Only long delimiter rows count; short ones are just formatting.
+ * @param {string} line - Delimiter row, e.g. `|:------|--:|`
+ * @returns {number[]|null} Dash counts per column, or null without width information
+ */
+export function getDelimiterColumnWidths(line) {
+  const row = String(line || '').trim();
+  if (row.length <= DELIMITER_WIDTH_THRESHOLD || !/^\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?$/.test(row)) {
+    return null;
+  }
+
+  return row
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split('|')
+    .map(cell => cell.trim().length);
+}
+
+/**
+ * Scale relative widths to fractions of the table width
+ * @param {number[]|null} widths - Relative widths
+ * @param {number} columnCount - Number of table columns
+ * @returns {number[]|null} Fractions summing to 1, or null if the widths do not match the columns
+ */
+export function normalizeColumnWidths(widths, columnCount) {
+  if (!widths || widths.length !== columnCount) {
+    return null;
+  }
+  const total = widths.reduce((sum, width) => sum + width, 0);
+  return total > 0 ? widths.map(width => width / total) : null;
+}
+
+/**
+ * Get the merge marker of a cell's text
+ * @param {string} text - Cell text
+ * @returns {string|null} 'left', 'up' or null
+ */
+export function getMergeMarker(text) {
+  const value = String(text ?? '').trim();
+  if (value === MERGE_LEFT_MARKER) {
+    return 'left';
+  }
+  if (value === MERGE_UP_MARKER) {
+    return 'up';
+  }
+  return null;
+}
+
+/**
+ * Resolve merge markers to cell spans
+ * Merges that would not form a rectangle are ignored, and `^^` never merges
+ * a body cell into the header.
+ * @param {Array<Array<string|null>>} markers - Marker per row and column ('left', 'up' or null)
+ * @param {number} headerRowCount - Number of header rows
+ * @returns {Array<Array<{rowSpan: number, colSpan: number}|null>>} Span of each origin cell, null for merged-away cells
+ */
+export function computeTableSpans(markers, headerRowCount = 1) {
+  // Origin cell [row, col] that each cell belongs to
+  const owners = markers.map(row => row.map(() => null));
+
+  markers.forEach((row, rowIndex) => {
+    row.forEach((marker, colIndex) => {
+      const crossesHeader = rowIndex === headerRowCount && headerRowCount > 0;
+      if (marker === 'left' && colIndex > 0 && owners[rowIndex][colIndex - 1]) {
+        owners[rowIndex][colIndex] = owners[rowIndex][colIndex - 1];
+      } else if (marker === 'up' && rowIndex > 0 && !crossesHeader && owners[rowIndex - 1][colIndex]) {
+        owners[rowIndex][colIndex] = owners[rowIndex - 1][colIndex];
+      } else {
+        owners[rowIndex][colIndex] = [rowIndex, colIndex];
+      }
+    });
+  });
+
+  // Collect the cells of each merged region
+  const regions = new Map();
+  owners.forEach((row, rowIndex) => {
+    row.forEach((owner, colIndex) => {
+      if (!regions.has(owner)) {
+        regions.set(owner, []);
+      }
+      regions.get(owner).push([rowIndex, colIndex]);
+    });
+  });
+
+  const spans = markers.map(row => row.map(() => ({ rowSpan: 1, colSpan: 1 })));
+
+  for (const [[originRow, originCol], cells] of regions) {
+    if (cells.length === 1) {
+      continue;
+    }
+
+    const lastRow = Math.max(...cells.map(([rowIndex]) => rowIndex));
+    const lastCol = Math.max(...cells.map(([, colIndex]) => colIndex));
+    const rowSpan = lastRow - originRow + 1;
+    const colSpan = lastCol - originCol + 1;
+
+    // L-shaped regions cannot be merged; their markers stay as text
+    if (cells.length !== rowSpan * colSpan) {
+      continue;
+    }
+
+    spans[originRow][originCol] = { rowSpan, colSpan };
+    for (const [rowIndex, colIndex] of cells) {
+      if (rowIndex !== originRow || colIndex !== originCol) {
+        spans[rowIndex][colIndex] = null;
+      }
+    }
+  }
+
+  return spans;
+}
+
+/**
+ * Get the layout of a table node for export
+ * Combines the directive options and delimiter row widths attached by
+ * remarkTableLayout with the spans of `<<` and `^^` merge markers.
+ * @param {Object} node - Table AST node
+ * @param {Function} extractText - Returns the plain text of a table cell node
+ * @returns {{tableRows: Array, rowCount: number, columnCount: number, layout: Object, headerRowCount: number,
+ *   repeatHeader: boolean, widths: number[]|null, spans: Array}} Rows, counts, options, column fractions and spans
+ */
+export function getTableLayout(node, extractText) {
+  const tableRows = node.children.filter(row => row.type === 'tableRow');
+  const rowCount = tableRows.length;
+  const columnCount = Math.max((node.align || []).length, ...tableRows.map(row => row.children.length));
+
+  const layout = node.data?.layout || {};
+  const headerRowCount = Math.min(layout.headerRows ?? 1, rowCount);
+  const markers = tableRows.map(row => row.children.map(cell => getMergeMarker(extractText(cell))));
+
+  return {
+    tableRows,
+    rowCount,
+    columnCount,
+    layout,
+    headerRowCount,
+    repeatHeader: layout.repeatHeader !== false,
+    widths: normalizeColumnWidths(layout.widths, columnCount),
+    spans: computeTableSpans(markers, headerRowCount),
+  };
+}
+
+/**
+ * Remark plugin: attach layout options to table nodes as `node.data.layout`
+ * Reads the directive comment before each table and delimiter row widths from the source.
+ * The viewer receives the header row count as a data-header-rows attribute.
+ */
+export function remarkTableLayout() {
+  return (tree, file) => {
+    const source = String(file?.value ?? '');
+
+    visit(tree, 'table', (node, index, parent) => {
+      const previous = parent && index > 0 ? parent.children[index - 1] : null;
+      const directive = previous?.type === 'html' ? parseTableDirective(previous.value) : null;
+      const widths = directive?.widths || getDelimiterColumnWidths(getDelimiterRow(source, node));
+
+      node.data = node.data || {};
+      node.data.layout = {
+        widths,
+        headerRows: directive?.headerRows ?? 1,
+        repeatHeader: directive ? directive.repeatHeader : true,
+        orientation: directive?.orientation || null,
+      };
+
+      if (directive?.headerRows !== null && directive?.headerRows !== undefined) {
+        node.data.hProperties = { ...node.data.hProperties, dataHeaderRows: String(directive.headerRows) };
+      }
+    });
+  };
+}
+
+/**
+ * Rehype plugin: apply merge markers and header rows to rendered tables
+ */
+export function rehypeTableLayout() {
+  return (tree) => {
+    visit(tree, 'element', (node) => {
+      if (node.tagName !== 'table') {
+        return;
+      }
+
+      const sections = node.children.filter(child => child.type === 'element');
+      const rows = sections.flatMap(section => section.children.filter(child => child.tagName === 'tr'));
+      const theadRowCount = sections
+        .filter(section => section.tagName === 'thead')
+        .reduce((count, section) => count + section.children.filter(child => child.tagName === 'tr').length, 0);
+
+      const headerRowsAttribute = node.properties?.dataHeaderRows;
+      const headerRowCount = headerRowsAttribute !== undefined
+        ? Math.min(parseInt(headerRowsAttribute, 10) || 0, rows.length)
+        : theadRowCount;
+      if (node.properties) {
+        delete node.properties.dataHeaderRows;
+      }
+
+      const cellsOf = row => row.children.filter(child => child.tagName === 'th' || child.tagName === 'td');
+      const markers = rows.map(row => cellsOf(row).map(cell => getMergeMarker(getHastCellText(cell))));
+      const spans = computeTableSpans(markers, headerRowCount);
+
+      rows.forEach((row, rowIndex) => {
+        const cells = cellsOf(row);
+        row.children = [];
+        cells.forEach((cell, colIndex) => {
+          const span = spans[rowIndex][colIndex];
+          if (!span) {
+            return;
+          }
+          if (span.colSpan > 1) {
+            cell.properties = { ...cell.properties, colSpan: span.colSpan };
+          }
+          if (span.rowSpan > 1) {
+            cell.properties = { ...cell.properties, rowSpan: span.rowSpan };
+          }
+          cell.tagName = rowIndex < headerRowCount ? 'th' : 'td';
+          row.children.push(cell);
+        });
+      });
+
+      // Rebuild thead/tbody when the directive moved the header boundary
+      if (headerRowCount !== theadRowCount) {
+        const headRows = rows.slice(0, headerRowCount);
+        const bodyRows = rows.slice(headerRowCount);
+        node.children = [
+          ...(headRows.length > 0 ? [{ type: 'element', tagName: 'thead', properties: {}, children: headRows }] : []),
+          ...(bodyRows.length > 0 ? [{ type: 'element', tagName: 'tbody', properties: {}, children: bodyRows }] : []),
+        ];
+      }
+    });
+  };
+}
+
+/**
+ * Get the delimiter row of a table from the markdown source
+ * @param {string} source - Markdown source
+ * @param {Object} node - mdast table node with position
+ * @returns {string} Delimiter row without container prefixes (blockquote markers, list indent)
+ */
+function getDelimiterRow(source, node) {
+  const start = node.position?.start;
+  if (!source || start?.offset === undefined) {
+    return '';
+  }
+  const lines = source.slice(start.offset).split('\n');
+  return (lines[1] || '').slice(start.column - 1);
+}
+
+/**
+ * Get the text of a hast cell
+ * @param {Object} node - hast node
+ * @returns {string} Concatenated text
+ */
+function getHastCellText(node) {
+  if (node.type === 'text') {
+    return node.value;
+  }
+  return (node.children || []).map(getHastCellText).join('');
+}
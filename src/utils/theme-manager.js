@@ -1,6 +1,9 @@
 // Theme Manager for Markdown Viewer Extension
 // Handles loading, applying, and managing themes
 
+// Colors a theme's `diagram` palette may set for mermaid and vega
+const DIAGRAM_COLOR_KEYS = ['primaryColor', 'secondaryColor', 'lineColor', 'nodeBackground'];
+
 /**
  * Theme Manager Class
  * Manages theme loading, font resolution, and theme switching
@@ -145,6 +148,31 @@ class ThemeManager {
     });
   }
 
+  /**
+   * Load color mode preference from chrome.storage
+   * @returns {Promise<string>} 'auto', 'light' or 'dark'
+   */
+  async loadColorMode() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(['colorMode'], (result) => {
+        resolve(result.colorMode || 'auto');
+      });
+    });
+  }
+
+  /**
+   * Resolve a color mode preference to the mode to display
+   * 'auto' follows the system prefers-color-scheme setting.
+   * @param {string} colorMode - 'auto', 'light' or 'dark'
+   * @returns {string} 'light' or 'dark'
+   */
+  resolveColorMode(colorMode) {
+    if (colorMode === 'light' || colorMode === 'dark') {
+      return colorMode;
+    }
+    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  }
+
   /**
    * Get current theme configuration
    * @returns {Object|null} Current theme object
@@ -153,6 +181,34 @@ class ThemeManager {
     return this.currentTheme;
   }
 
+  /**
+   * Get the diagram palette of a theme for the renderers
+   * Presets may define `diagram: { primaryColor, secondaryColor, lineColor, nodeBackground, fontSize }`;
+   * entries they leave out keep the diagram library defaults.
+   * @param {Object} theme - Theme preset
+   * @returns {Object|null} Palette with colors and fontSize in px, or null if the theme has none
+   */
+  getDiagramPalette(theme) {
+    const diagram = theme?.diagram;
+    if (!diagram) {
+      return null;
+    }
+
+    const palette = {};
+    for (const key of DIAGRAM_COLOR_KEYS) {
+      if (typeof diagram[key] === 'string' && diagram[key]) {
+        palette[key] = diagram[key];
+      }
+    }
+
+    const fontSize = parseFloat(this.ptToPx(diagram.fontSize));
+    if (fontSize > 0) {
+      palette.fontSize = Math.round(fontSize * 10) / 10;
+    }
+
+    return Object.keys(palette).length > 0 ? palette : null;
+  }
+
   /**
    * Convert point size to pixels (for CSS)
    * @param {string} ptSize - Size in points (e.g., '12pt')
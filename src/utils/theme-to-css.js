@@ -3,15 +3,29 @@
 
 import themeManager from './theme-manager.js';
 
+// Dark colors for themes that do not declare their own dark variant
+const DEFAULT_DARK_COLORS = {
+  background: '#1e2125',
+  text: '#d4d7dc',
+  heading: '#eceef1',
+  link: '#6cb6ff',
+  border: '#3d434b',
+  codeBackground: '#16191d'
+};
+
+// Dark code theme used when a code theme names no dark counterpart
+const DEFAULT_DARK_CODE_THEME = 'light-clean-dark';
+
 /**
  * Convert theme configuration to CSS
  * @param {Object} theme - Theme configuration object
  * @param {Object} tableStyle - Table style configuration
  * @param {Object} codeTheme - Code highlighting theme
  * @param {Object} spacingScheme - Spacing scheme configuration
+ * @param {Object} options - { darkCodeTheme } generate dark mode colors with this code theme
  * @returns {string} CSS string
  */
-export function themeToCSS(theme, tableStyle, codeTheme, spacingScheme) {
+export function themeToCSS(theme, tableStyle, codeTheme, spacingScheme, options = {}) {
   const css = [];
 
   // Font scheme
@@ -26,6 +40,13 @@ export function themeToCSS(theme, tableStyle, codeTheme, spacingScheme) {
   // Spacing (pass body font size for ratio calculation)
   css.push(generateSpacingCSS(spacingScheme, theme.fontScheme.body.fontSize));
 
+  // Dark colors are screen-only, so printing keeps the light variant
+  if (options.darkCodeTheme) {
+    css.push(`@media screen {
+${generateDarkCSS(theme, tableStyle, options.darkCodeTheme)}
+}`);
+  }
+
   return css.join('\n\n');
 }
 
@@ -293,6 +314,82 @@ function generateCodeCSS(codeConfig, codeTheme) {
   return css.join('\n\n');
 }
 
+/**
+ * Generate dark mode color overrides
+ * Themes may declare a "dark" block with colors, code background and code theme;
+ * table styles may declare "dark" overrides for their border and background colors.
+ * @param {Object} theme - Theme configuration object
+ * @param {Object} tableStyle - Table style configuration
+ * @param {Object} darkCodeTheme - Dark code highlighting theme
+ * @returns {string} CSS string
+ */
+function generateDarkCSS(theme, tableStyle, darkCodeTheme) {
+  const css = [];
+  const dark = theme.dark || {};
+  const colors = { ...DEFAULT_DARK_COLORS, ...dark.colors };
+  const codeBackground = dark.code?.background || darkCodeTheme.background || colors.codeBackground;
+
+  css.push(`#markdown-content {
+  background: ${colors.background};
+  color: ${colors.text};
+}`);
+
+  css.push(`#markdown-content h1,
+#markdown-content h2,
+#markdown-content h3,
+#markdown-content h4,
+#markdown-content h5,
+#markdown-content h6 {
+  color: ${colors.heading};
+}`);
+
+  css.push(`#markdown-content a {
+  color: ${colors.link};
+}`);
+
+  css.push(`#markdown-content blockquote {
+  border-left-color: ${colors.border};
+}`);
+
+  css.push(`#markdown-content hr {
+  background-color: ${colors.border};
+}`);
+
+  css.push(`#markdown-content code,
+#markdown-content pre {
+  background-color: ${codeBackground};
+}`);
+
+  css.push(`#markdown-content pre code {
+  background-color: transparent;
+}`);
+
+  css.push(generateCodeCSS({ background: codeBackground }, darkCodeTheme));
+
+  if (tableStyle.dark) {
+    css.push(generateTableCSS(mergeOverrides(tableStyle, tableStyle.dark)));
+  }
+
+  return css.join('\n\n');
+}
+
+/**
+ * Recursively merge override values into a copy of a configuration object
+ * @param {Object} base - Base configuration
+ * @param {Object} overrides - Values to replace
+ * @returns {Object} Merged configuration
+ */
+function mergeOverrides(base, overrides) {
+  const merged = { ...base };
+  Object.keys(overrides).forEach((key) => {
+    const value = overrides[key];
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value) && base[key]
+      ? mergeOverrides(base[key], value)
+      : value;
+  });
+  return merged;
+}
+
 /**
  * Generate spacing-related CSS
  * @param {Object} spacingScheme - Spacing scheme configuration (ratios relative to body font size)
@@ -375,35 +472,51 @@ export function applyThemeCSS(css) {
   document.head.appendChild(styleElement);
 }
 
+/**
+ * Fetch a JSON theme resource bundled with the extension
+ * @param {string} path - Path below themes/
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchThemeResource(path) {
+  const response = await fetch(chrome.runtime.getURL(`themes/${path}`));
+  return response.json();
+}
+
+/**
+ * Load a theme with its table style, code theme and spacing scheme and generate its CSS
+ * @param {string} themeId - Theme ID to load
+ * @param {string} colorMode - 'light' or 'dark' (dark adds screen-only dark colors)
+ * @returns {Promise<string>} CSS string
+ */
+export async function loadThemeCSS(themeId, colorMode = 'light') {
+  // Load theme
+  const theme = await themeManager.loadTheme(themeId);
+
+  // Load table style, code theme and spacing scheme
+  const tableStyle = await fetchThemeResource(`table-styles/${theme.tableStyle}.json`);
+  const codeTheme = await fetchThemeResource(`code-themes/${theme.codeTheme}.json`);
+  const spacingScheme = await fetchThemeResource(`spacing-schemes/${theme.spacing}.json`);
+
+  // Load the dark counterpart of the code theme
+  const options = {};
+  if (colorMode === 'dark') {
+    const darkCodeThemeId = theme.dark?.codeTheme || codeTheme.darkVariant || DEFAULT_DARK_CODE_THEME;
+    options.darkCodeTheme = await fetchThemeResource(`code-themes/${darkCodeThemeId}.json`);
+  }
+
+  // Generate CSS
+  return themeToCSS(theme, tableStyle, codeTheme, spacingScheme, options);
+}
+
 /**
  * Load and apply complete theme
  * @param {string} themeId - Theme ID to load
+ * @param {string} colorMode - 'light' or 'dark'
  */
-export async function loadAndApplyTheme(themeId) {
+export async function loadAndApplyTheme(themeId, colorMode = 'light') {
   try {
-    // Load theme
-    const theme = await themeManager.loadTheme(themeId);
-
-    // Load table style
-    const tableStyleResponse = await fetch(
-      chrome.runtime.getURL(`themes/table-styles/${theme.tableStyle}.json`)
-    );
-    const tableStyle = await tableStyleResponse.json();
-
-    // Load code theme
-    const codeThemeResponse = await fetch(
-      chrome.runtime.getURL(`themes/code-themes/${theme.codeTheme}.json`)
-    );
-    const codeTheme = await codeThemeResponse.json();
-
-    // Load spacing scheme
-    const spacingResponse = await fetch(
-      chrome.runtime.getURL(`themes/spacing-schemes/${theme.spacing}.json`)
-    );
-    const spacingScheme = await spacingResponse.json();
-
-    // Generate CSS
-    const css = themeToCSS(theme, tableStyle, codeTheme, spacingScheme);
+    // Load theme and generate CSS
+    const css = await loadThemeCSS(themeId, colorMode);
 
     // Apply CSS
     applyThemeCSS(css);
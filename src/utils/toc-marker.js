@@ -0,0 +1,40 @@
+/**
+ * TOC Marker Utilities
+ *
+ * A paragraph containing only `[TOC]` marks where a table of contents should be
+ * inserted. The viewer renders an in-document TOC there and the DOCX exporter
+ * inserts a Word TOC field.
+ */
+
+const TOC_MARKER_REGEX = /^\s*\[toc\]\s*$/i;
+
+/**
+ * Check whether an mdast node is a `[TOC]` marker paragraph
+ * @param {Object} node - mdast node
+ * @returns {boolean} True if the node is a TOC marker
+ */
+export function isTocMarker(node) {
+  if (!node || node.type !== 'paragraph' || !node.children || node.children.length !== 1) {
+    return false;
+  }
+  const child = node.children[0];
+  return child.type === 'text' && TOC_MARKER_REGEX.test(child.value);
+}
+
+/**
+ * Remark plugin: replace `[TOC]` marker paragraphs with an empty placeholder
+ * that the viewer fills when it generates the sidebar TOC.
+ */
+export function remarkTocMarker() {
+  return (tree) => {
+    tree.children = tree.children.map((node) => {
+      if (!isTocMarker(node)) {
+        return node;
+      }
+      return {
+        type: 'html',
+        value: '<nav class="document-toc"></nav>'
+      };
+    });
+  };
+}
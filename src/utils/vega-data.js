@@ -0,0 +1,124 @@
+/**
+ * Vega Data Utilities
+ *
+ * Vega and Vega-Lite specs load data with `"data": {"url": "data/sales.csv"}`.
+ * Charts render in the offscreen document, which cannot resolve paths relative
+ * to the markdown file or read file:// URLs, so local data files are read up
+ * front and inlined into the spec as `values`.
+ */
+
+// Format types Vega can parse from inline string values
+const FORMAT_TYPES_BY_EXTENSION = {
+  csv: 'csv',
+  tsv: 'tsv',
+  json: 'json',
+  geojson: 'json',
+  topojson: 'topojson',
+};
+
+/**
+ * Check whether a data URL refers to a local file (relative path or file:// URL)
+ * Absolute web URLs and inline data URLs are left to Vega.
+ * @param {string} url - URL from a data definition
+ * @returns {boolean} True if the file must be read through the extension
+ */
+export function isLocalDataUrl(url) {
+  if (typeof url !== 'string' || url.trim() === '') {
+    return false;
+  }
+  return url.startsWith('file:') || !/^[a-z][a-z\d+.-]*:|^\/\//i.test(url);
+}
+
+/**
+ * Collect the data definitions of a spec that load local files
+ * Covers top-level and nested `data` (layers, concats, facets, lookups) and Vega's data arrays.
+ * @param {Object} spec - Parsed Vega or Vega-Lite spec
+ * @returns {Object[]} Data definition objects with a local `url`
+ */
+export function collectLocalDataDefinitions(spec) {
+  const definitions = [];
+
+  const walk = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(walk);
+      return;
+    }
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (key === 'data') {
+        for (const definition of Array.isArray(child) ? child : [child]) {
+          if (definition && typeof definition === 'object' && isLocalDataUrl(definition.url)) {
+            definitions.push(definition);
+          }
+        }
+      }
+      walk(child);
+    }
+  };
+
+  walk(spec);
+  return definitions;
+}
+
+/**
+ * Get the Vega format type for a data file
+ * @param {string} url - Data file URL
+ * @returns {string|null} Format type, or null if the extension is unknown
+ */
+export function getDataFormatType(url) {
+  const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return FORMAT_TYPES_BY_EXTENSION[extension] || null;
+}
+
+/**
+ * Check whether a spec source loads local data files
+ * @param {string} source - Spec JSON
+ * @returns {boolean} True if at least one data definition has a local URL
+ */
+export function hasLocalData(source) {
+  try {
+    return collectLocalDataDefinitions(JSON.parse(source)).length > 0;
+  } catch (error) {
+    // Invalid JSON is reported by the renderer
+    return false;
+  }
+}
+
+/**
+ * Inline local data files into a spec
+ * @param {string} source - Spec JSON
+ * @param {string} baseUrl - URL of the markdown document (relative paths resolve against it)
+ * @param {Function} readFile - Returns a Promise of the text of an absolute URL
+ * @returns {Promise<string>} Spec JSON with `values` in place of local `url`s
+ */
+export async function inlineLocalData(source, baseUrl, readFile) {
+  const spec = JSON.parse(source);
+  const definitions = collectLocalDataDefinitions(spec);
+  if (definitions.length === 0) {
+    return source;
+  }
+
+  const contents = new Map();
+  for (const definition of definitions) {
+    const absoluteUrl = new URL(definition.url, baseUrl).href;
+    if (!contents.has(absoluteUrl)) {
+      try {
+        contents.set(absoluteUrl, await readFile(absoluteUrl));
+      } catch (error) {
+        throw new Error(`Failed to load data "${definition.url}": ${error.message}`);
+      }
+    }
+
+    const type = definition.format?.type || getDataFormatType(definition.url);
+    if (type) {
+      definition.format = { ...definition.format, type };
+    }
+    definition.values = contents.get(absoluteUrl);
+    delete definition.url;
+  }
+
+  return JSON.stringify(spec);
+}
@@ -0,0 +1,18 @@
+/**
+ * XML Utilities
+ *
+ * Helpers shared by the exporters that write XML package parts (EPUB, ODT, PPTX).
+ */
+
+/**
+ * Escape text for XML text and attribute values
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+
+import {
+  parseCaptionAttributes,
+  getCaptionAnchor,
+  remarkCaptions,
+} from '../src/utils/captions.js';
+
+function parse(markdown, options) {
+  const processor = unified().use(remarkParse).use(remarkGfm).use(remarkCaptions, options);
+  return processor.runSync(processor.parse(markdown));
+}
+
+const captionOf = figure => figure.children.find(child => child.type === 'caption');
+
+describe('parseCaptionAttributes', () => {
+  it('reads ids and quoted captions from fence meta', () => {
+    assert.deepStrictEqual(
+      parseCaptionAttributes('{#fig:flow caption="Request flow"}'),
+      { id: 'fig:flow', caption: 'Request flow' }
+    );
+    assert.deepStrictEqual(
+      parseCaptionAttributes("id=fig:flow caption='Flow'"),
+      { id: 'fig:flow', caption: 'Flow' }
+    );
+  });
+
+  it('returns null without caption attributes', () => {
+    assert.strictEqual(parseCaptionAttributes('title="x"'), null);
+    assert.strictEqual(parseCaptionAttributes(null), null);
+    assert.strictEqual(parseCaptionAttributes('#fig:x', true), null);
+  });
+});
+
+describe('getCaptionAnchor', () => {
+  it('turns identifiers into element ids', () => {
+    assert.strictEqual(getCaptionAnchor('fig:deployment-topology'), 'fig-deployment-topology');
+  });
+});
+
+describe('remarkCaptions', () => {
+  it('numbers images, diagrams and tables separately', () => {
+    const tree = parse([
+      '![Alt](a.png "Deployment topology"){#fig:topology}',
+      '',
+      '```mermaid {#fig:flow caption="Request flow"}',
+      'graph TD; A-->B',
+      '```',
+      '',
+      'Table: Costs {#tbl:costs}',
+      '',
+      '| a |',
+      '|---|',
+      '| 1 |',
+    ].join('\n'));
+
+    const figures = tree.children;
+    assert.deepStrictEqual(figures.map(node => node.type), ['figure', 'figure', 'figure']);
+    assert.deepStrictEqual(figures.map(node => captionOf(node).children[0].value), ['Figure 1', 'Figure 2', 'Table 1']);
+    assert.deepStrictEqual(figures.map(node => captionOf(node).children[1].value), [
+      'Deployment topology',
+      'Request flow',
+      'Costs',
+    ]);
+    assert.deepStrictEqual(figures.map(node => node.identifier), ['fig:topology', 'fig:flow', 'tbl:costs']);
+    assert.strictEqual(figures[2].children[1].type, 'table');
+  });
+
+  it('captions images with the title or alt text', () => {
+    const tree = parse('![Alt text](a.png){#fig:a}\n\n![Alt](b.png "Title")\n\n![Plain](c.png)');
+    assert.strictEqual(tree.children[0].children[1].children[1].value, 'Alt text');
+    assert.strictEqual(tree.children[1].children[1].children[1].value, 'Title');
+    assert.strictEqual(tree.children[2].type, 'paragraph');
+  });
+
+  it('takes a caption after the table unless it leads into the next table', () => {
+    const tree = parse('| a |\n|---|\n| 1 |\n\nTable: Second\n\n| b |\n|---|\n| 2 |');
+    assert.deepStrictEqual(tree.children.map(node => node.type), ['table', 'figure']);
+    assert.strictEqual(tree.children[1].children[0].children[1].value, 'Second');
+  });
+
+  it('resolves cross-references and keeps unknown ones as text', () => {
+    const tree = parse('See [@tbl:t] and [@fig:missing].\n\nTable: T {#tbl:t}\n\n| a |\n|---|\n| 1 |', {
+      tableLabel: 'Tabelle',
+    });
+    const [text, reference, rest] = tree.children[0].children;
+    assert.strictEqual(text.value, 'See ');
+    assert.strictEqual(reference.type, 'crossReference');
+    assert.strictEqual(reference.value, 'Tabelle 1');
+    assert.strictEqual(reference.data.hProperties.href, '#tbl-t');
+    assert.strictEqual(rest.value, ' and [@fig:missing].');
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { dataUrlToBlob, createSvgDocument } from '../src/utils/diagram-toolbar.js';
+
+describe('dataUrlToBlob', () => {
+  it('decodes base64 data URLs with their MIME type', async () => {
+    const blob = dataUrlToBlob(`data:image/png;base64,${Buffer.from('png bytes').toString('base64')}`);
+    assert.strictEqual(blob.type, 'image/png');
+    assert.strictEqual(await blob.text(), 'png bytes');
+  });
+});
+
+describe('createSvgDocument', () => {
+  it('adds the XML declaration and SVG namespace', () => {
+    const svg = createSvgDocument('<svg width="10"><rect/></svg>');
+    assert.strictEqual(svg, '<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="10"><rect/></svg>');
+  });
+
+  it('keeps an existing namespace and drops a previous prolog', () => {
+    const svg = createSvgDocument('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+    assert.strictEqual(svg, '<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+  });
+});
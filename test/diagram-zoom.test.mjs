@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { clampView, zoomView } from '../src/utils/diagram-zoom.js';
+import { rewriteIdReferences } from '../src/utils/svg-sanitizer.js';
+
+const size = { width: 200, height: 100 };
+
+describe('zoomView', () => {
+  it('keeps the point under the pointer in place', () => {
+    const view = zoomView({ scale: 1, x: 0, y: 0 }, 2, { x: 50, y: 40 }, size);
+    assert.deepStrictEqual(view, { scale: 2, x: -50, y: -40 });
+  });
+
+  it('limits the zoom range', () => {
+    assert.strictEqual(zoomView({ scale: 6, x: 0, y: 0 }, 4, { x: 0, y: 0 }, size).scale, 8);
+    assert.deepStrictEqual(zoomView({ scale: 2, x: -50, y: -40 }, 0.1, { x: 10, y: 10 }, size), { scale: 1, x: 0, y: 0 });
+  });
+});
+
+describe('clampView', () => {
+  it('keeps the diagram covering the viewport', () => {
+    assert.deepStrictEqual(clampView({ scale: 2, x: 30, y: -500 }, size), { scale: 2, x: 0, y: -100 });
+  });
+});
+
+describe('rewriteIdReferences', () => {
+  it('rewrites references to known ids only', () => {
+    const ids = new Map([['arrow', 'd1-arrow'], ['m', 'd1-m']]);
+    assert.strictEqual(
+      rewriteIdReferences('#m .node{fill:#fff} url(#arrow)', ids),
+      '#d1-m .node{fill:#fff} url(#d1-arrow)'
+    );
+  });
+});
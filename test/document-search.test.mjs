@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { buildSearchPattern, findTextRanges } from '../src/utils/document-search.js';
+
+describe('buildSearchPattern', () => {
+  it('escapes plain text queries and ignores case by default', () => {
+    const pattern = buildSearchPattern('a.b (c)');
+    assert.deepStrictEqual(findTextRanges('A.B (C) axb (c)', pattern), [{ start: 0, end: 7 }]);
+  });
+
+  it('supports case-sensitive and regular expression search', () => {
+    const pattern = buildSearchPattern('gr[ae]y', { caseSensitive: true, regex: true });
+    assert.deepStrictEqual(findTextRanges('grey Gray gray', pattern), [
+      { start: 0, end: 4 },
+      { start: 10, end: 14 },
+    ]);
+  });
+
+  it('returns null for empty queries and throws for invalid expressions', () => {
+    assert.strictEqual(buildSearchPattern(''), null);
+    assert.throws(() => buildSearchPattern('(', { regex: true }), SyntaxError);
+  });
+});
+
+describe('findTextRanges', () => {
+  it('skips empty matches', () => {
+    assert.deepStrictEqual(findTextRanges('baab', buildSearchPattern('a*', { regex: true })), [
+      { start: 1, end: 3 },
+    ]);
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { DocxHtmlConverter, computeHtmlTableGrid } from '../src/exporters/docx-html-converter.js';
+
+// The converter walks DOM nodes; these element-like objects carry the parts it reads
+globalThis.Node ??= { ELEMENT_NODE: 1, TEXT_NODE: 3 };
+
+function text(value) {
+  return { nodeType: 3, nodeValue: value, textContent: value };
+}
+
+function element(tagName, attributes = {}, ...childNodes) {
+  return {
+    nodeType: 1,
+    tagName,
+    childNodes,
+    get children() {
+      return childNodes.filter(node => node.nodeType === 1);
+    },
+    get textContent() {
+      return childNodes.map(node => node.textContent).join('');
+    },
+    getAttribute: name => attributes[name] ?? null,
+    querySelector: () => null,
+  };
+}
+
+function fragment(...elements) {
+  return { querySelectorAll: () => elements };
+}
+
+/**
+ * Exporter stub recording list paragraphs and the container indent of other paragraphs
+ */
+function createExporter() {
+  const exporter = {
+    themeStyles: {
+      default: {
+        run: { font: 'Arial', size: 22 },
+        paragraph: { spacing: { before: 0, after: 120, line: 276 } },
+      },
+    },
+    containerIndent: 0,
+    getListTextIndent: (numbered, level) => 360 * (level + 1),
+    createListParagraph: (runs, numbered, level, listInstance) => ({ marker: numbered ? 'ol' : 'ul', level, listInstance, text: runs.join('') }),
+    async withContainerIndent(indent, convert) {
+      const previousIndent = exporter.containerIndent;
+      exporter.containerIndent = indent;
+      try {
+        return await convert();
+      } finally {
+        exporter.containerIndent = previousIndent;
+      }
+    },
+  };
+  return exporter;
+}
+
+function createListConverter() {
+  const exporter = createExporter();
+  const converter = new DocxHtmlConverter(exporter);
+  converter.convertInlineNodes = async nodes => [nodes.map(node => node.textContent).join('').trim()];
+  converter.createParagraph = runs => ({ indent: exporter.containerIndent, text: runs.join('') });
+  return converter;
+}
+
+describe('DocxHtmlConverter.isSupported', () => {
+  const converter = new DocxHtmlConverter(createExporter());
+
+  it('accepts tables, lists, details and inline formatting', () => {
+    const root = fragment(
+      element('TABLE'), element('THEAD'), element('TR'), element('TH', { style: 'background: #eee' }),
+      element('UL'), element('LI'), element('DETAILS'), element('SUMMARY'),
+      element('STRONG'), element('A', { href: 'https://example.com' }), element('CODE'),
+      element('IMG', { src: 'photo.png' }), element('SPAN', { style: 'color: red' })
+    );
+    assert.strictEqual(converter.isSupported(root), true);
+  });
+
+  it('falls back for unknown elements', () => {
+    assert.strictEqual(converter.isSupported(fragment(element('P'), element('CANVAS'))), false);
+    assert.strictEqual(converter.isSupported(fragment(element('svg'))), false);
+  });
+
+  it('falls back for layout styles outside tables', () => {
+    assert.strictEqual(converter.isSupported(fragment(element('DIV', { style: 'display: flex' }))), false);
+    assert.strictEqual(converter.isSupported(fragment(element('P', { style: 'color: red; float: left' }))), false);
+  });
+
+  it('falls back for SVG and missing image sources', () => {
+    assert.strictEqual(converter.isSupported(fragment(element('IMG', { src: 'chart.svg?v=2' }))), false);
+    assert.strictEqual(converter.isSupported(fragment(element('IMG', { src: 'data:image/svg+xml;base64,PHN2Zz4=' }))), false);
+    assert.strictEqual(converter.isSupported(fragment(element('IMG'))), false);
+  });
+});
+
+describe('computeHtmlTableGrid', () => {
+  const positions = grid => grid.map(row => row.map(({ colIndex, colSpan, rowSpan }) => [colIndex, colSpan, rowSpan]));
+
+  it('places cells after rowspans and colspans', () => {
+    const grid = computeHtmlTableGrid([
+      [{ rowSpan: 2 }, { colSpan: 2 }],
+      [{}, {}],
+      [{ colSpan: 3 }],
+    ]);
+    assert.deepStrictEqual(positions(grid), [
+      [[0, 1, 2], [1, 2, 1]],
+      [[1, 1, 1], [2, 1, 1]],
+      [[0, 3, 1]],
+    ]);
+  });
+
+  it('handles ragged rows', () => {
+    const grid = computeHtmlTableGrid([
+      [{ rowSpan: 2 }, {}, {}],
+      [{}],
+      [{}, {}, {}, {}],
+    ]);
+    assert.deepStrictEqual(positions(grid), [
+      [[0, 1, 2], [1, 1, 1], [2, 1, 1]],
+      [[1, 1, 1]],
+      [[0, 1, 1], [1, 1, 1], [2, 1, 1], [3, 1, 1]],
+    ]);
+  });
+
+  it('clamps spans to the table', () => {
+    const grid = computeHtmlTableGrid([
+      [{ colSpan: 0 }, { rowSpan: 5 }],
+      [{ rowSpan: 0 }],
+    ]);
+    assert.deepStrictEqual(positions(grid), [
+      [[0, 1, 1], [1, 1, 2]],
+      [[0, 1, 1]],
+    ]);
+  });
+
+  it('keeps the cell of each position', () => {
+    const cell = { colSpan: 2 };
+    assert.strictEqual(computeHtmlTableGrid([[cell]])[0][0].cell, cell);
+  });
+});
+
+describe('DocxHtmlConverter.convertList', () => {
+  it('nests lists one level deeper in the same numbering instance', async () => {
+    const list = element('OL', {},
+      element('LI', {}, text('One '),
+        element('UL', {},
+          element('LI', {}, text('Nested a')),
+          element('LI', {}, text('Nested b')))),
+      text('\n'),
+      element('LI', {}, text('Two')));
+
+    assert.deepStrictEqual(await createListConverter().convertList(list, 0, 7), [
+      { marker: 'ol', level: 0, listInstance: 7, text: 'One' },
+      { marker: 'ul', level: 1, listInstance: 7, text: 'Nested a' },
+      { marker: 'ul', level: 1, listInstance: 7, text: 'Nested b' },
+      { marker: 'ol', level: 0, listInstance: 7, text: 'Two' },
+    ]);
+  });
+
+  it('puts a leading paragraph on the marker line and indents later content', async () => {
+    const item = element('LI', {},
+      element('P', {}, text('First')),
+      element('P', {}, text('Second')),
+      text('Tail'));
+
+    assert.deepStrictEqual(await createListConverter().convertListItem(item, false, 1, 3), [
+      { marker: 'ul', level: 1, listInstance: 3, text: 'First' },
+      { indent: 720, text: 'Second' },
+      { indent: 720, text: 'Tail' },
+    ]);
+  });
+
+  it('places an empty marker before a leading nested list', async () => {
+    const item = element('LI', {}, element('UL', {}, element('LI', {}, text('Inner'))));
+
+    assert.deepStrictEqual(await createListConverter().convertListItem(item, true, 0, 1), [
+      { marker: 'ol', level: 0, listInstance: 1, text: '' },
+      { marker: 'ul', level: 1, listInstance: 1, text: 'Inner' },
+    ]);
+  });
+});
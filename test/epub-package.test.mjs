@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  createNavList,
+  createPackageDocument,
+  createXhtmlDocument,
+} from '../src/exporters/epub-package.js';
+
+describe('createNavList', () => {
+  it('nests headings under the previous higher level', () => {
+    const markup = createNavList([
+      { level: 1, text: 'Handbook', href: 'chapter-1.xhtml#handbook' },
+      { level: 2, text: 'Setup', href: 'chapter-2.xhtml#setup' },
+      { level: 3, text: 'Install', href: 'chapter-2.xhtml#install' },
+      { level: 2, text: 'Usage', href: 'chapter-3.xhtml#usage' },
+    ]);
+    const compact = markup.replace(/\s+/g, '');
+    assert.strictEqual(compact,
+      '<ol><li><ahref="chapter-1.xhtml#handbook">Handbook</a>'
+      + '<ol><li><ahref="chapter-2.xhtml#setup">Setup</a>'
+      + '<ol><li><ahref="chapter-2.xhtml#install">Install</a></li></ol></li>'
+      + '<li><ahref="chapter-3.xhtml#usage">Usage</a></li></ol></li></ol>');
+  });
+
+  it('keeps headings that skip a level as siblings of their parent level', () => {
+    const markup = createNavList([
+      { level: 2, text: 'Intro', href: 'a.xhtml#intro' },
+      { level: 1, text: 'Part', href: 'b.xhtml#part' },
+    ]);
+    assert.strictEqual((markup.match(/<ol>/g) || []).length, 1);
+  });
+
+  it('returns an empty string without entries', () => {
+    assert.strictEqual(createNavList([]), '');
+  });
+});
+
+describe('createPackageDocument', () => {
+  it('lists metadata, manifest items and the spine', () => {
+    const opf = createPackageDocument({
+      identifier: 'urn:uuid:1234',
+      title: 'R&D Handbook',
+      language: 'en',
+      author: 'Docs Team',
+      keywords: ['guide'],
+      modified: '2024-01-02T03:04:05Z',
+    }, [
+      { id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' },
+      { id: 'chapter-1', href: 'chapter-1.xhtml', mediaType: 'application/xhtml+xml', properties: '' },
+    ], ['chapter-1']);
+
+    assert.match(opf, /<dc:title>R&amp;D Handbook<\/dc:title>/);
+    assert.match(opf, /<dc:creator>Docs Team<\/dc:creator>/);
+    assert.match(opf, /<dc:subject>guide<\/dc:subject>/);
+    assert.match(opf, /<meta property="dcterms:modified">2024-01-02T03:04:05Z<\/meta>/);
+    assert.match(opf, /<item id="nav" href="nav.xhtml" media-type="application\/xhtml\+xml" properties="nav"\/>/);
+    assert.match(opf, /<item id="chapter-1" href="chapter-1.xhtml" media-type="application\/xhtml\+xml"\/>/);
+    assert.match(opf, /<itemref idref="chapter-1"\/>/);
+    assert.doesNotMatch(opf, /dc:description/);
+  });
+});
+
+describe('createXhtmlDocument', () => {
+  it('declares the XHTML namespace, language and stylesheet', () => {
+    const xhtml = createXhtmlDocument('<p>Hi</p>', { title: 'A & B', language: 'de', stylesheet: 'styles/book.css' });
+    assert.match(xhtml, /<html xmlns="http:\/\/www.w3.org\/1999\/xhtml"[^>]* xml:lang="de" lang="de">/);
+    assert.match(xhtml, /<title>A &amp; B<\/title>/);
+    assert.match(xhtml, /<link rel="stylesheet" type="text\/css" href="styles\/book.css"\/>/);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { parseFenceOptions, getDisplaySize } from '../src/utils/fence-options.js';
+
+describe('parseFenceOptions', () => {
+  it('parses size, alignment, scale, background and caption', () => {
+    const options = parseFenceOptions('width=600 align=left scale=2 background=#fafafa caption="Request flow"');
+    assert.deepStrictEqual(options, {
+      width: 600,
+      align: 'left',
+      scale: 2,
+      background: '#fafafa',
+      caption: 'Request flow',
+    });
+  });
+
+  it('accepts caption attribute blocks and px widths', () => {
+    const options = parseFenceOptions('{#fig:flow width=480px caption=\'Flow\'}');
+    assert.deepStrictEqual(options, { width: 480, caption: 'Flow' });
+  });
+
+  it('recognizes render=code', () => {
+    assert.deepStrictEqual(parseFenceOptions('render=code'), { renderAsCode: true });
+  });
+
+  it('ignores invalid values', () => {
+    const options = parseFenceOptions('width=-5 align=middle scale=10 background="red;position:fixed" render=svg');
+    assert.deepStrictEqual(options, {});
+  });
+
+  it('keeps option-like text inside quoted captions', () => {
+    assert.deepStrictEqual(parseFenceOptions('caption="width=10 wide"'), { caption: 'width=10 wide' });
+  });
+
+  it('returns no options for empty meta', () => {
+    assert.deepStrictEqual(parseFenceOptions(null), {});
+    assert.deepStrictEqual(parseFenceOptions(''), {});
+  });
+});
+
+describe('getDisplaySize', () => {
+  it('shows renders at a quarter of their pixel size', () => {
+    assert.deepStrictEqual(getDisplaySize(2000, 1000), { width: 500, height: 250 });
+  });
+
+  it('fits a target width and keeps the aspect ratio', () => {
+    assert.deepStrictEqual(getDisplaySize(2000, 1000, { width: 300 }), { width: 300, height: 150 });
+  });
+});
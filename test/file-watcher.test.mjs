@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { FileWatcher, normalizeLineEndings } from '../src/utils/file-watcher.js';
+
+const identityHash = async (text) => text;
+
+describe('FileWatcher', () => {
+  it('reports only changed content', async () => {
+    let fileContent = '# Title\r\n';
+    const changes = [];
+    const watcher = new FileWatcher({
+      readFile: async () => fileContent,
+      hash: identityHash,
+      onChange: async (content) => changes.push(content),
+    });
+
+    await watcher.start('# Title\n');
+    watcher.stop();
+
+    assert.strictEqual(await watcher.poll(), false);
+
+    fileContent = '# Title\n\nMore';
+    assert.strictEqual(await watcher.poll(), true);
+    assert.strictEqual(await watcher.poll(), false);
+    assert.deepStrictEqual(changes, ['# Title\n\nMore']);
+  });
+
+  it('skips polls while paused and survives read errors', async () => {
+    let paused = true;
+    let reads = 0;
+    const watcher = new FileWatcher({
+      readFile: async () => {
+        reads++;
+        throw new Error('busy');
+      },
+      hash: identityHash,
+      onChange: async () => {},
+      isPaused: () => paused,
+    });
+
+    assert.strictEqual(await watcher.poll(), false);
+    assert.strictEqual(reads, 0);
+
+    paused = false;
+    assert.strictEqual(await watcher.poll(), false);
+    assert.strictEqual(reads, 1);
+    assert.strictEqual(watcher.polling, false);
+  });
+});
+
+describe('normalizeLineEndings', () => {
+  it('converts CRLF and CR to LF', () => {
+    assert.strictEqual(normalizeLineEndings('a\r\nb\rc\n'), 'a\nb\nc\n');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+
+import {
+  parseFrontMatter,
+  remarkFrontMatterMetadata,
+  renderFrontMatterBlock,
+} from '../src/utils/front-matter.js';
+
+function parse(markdown) {
+  const processor = unified().use(remarkParse).use(remarkFrontMatterMetadata).use(remarkGfm);
+  return processor.runSync(processor.parse(markdown));
+}
+
+const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+describe('parseFrontMatter', () => {
+  it('normalizes known fields', () => {
+    const meta = parseFrontMatter('title: Design\nauthor: [Ann, Bob]\ndate: 2024-03-01\nkeywords: a, b\nsubject: Spec');
+    assert.strictEqual(meta.title, 'Design');
+    assert.strictEqual(meta.author, 'Ann, Bob');
+    assert.strictEqual(meta.date, '2024-03-01');
+    assert.strictEqual(meta.subject, 'Spec');
+    assert.deepStrictEqual(meta.keywords, ['a', 'b']);
+  });
+
+  it('returns empty metadata for invalid YAML', () => {
+    const meta = parseFrontMatter('title: [unterminated');
+    assert.strictEqual(meta.title, '');
+    assert.deepStrictEqual(meta.keywords, []);
+  });
+});
+
+describe('remarkFrontMatterMetadata', () => {
+  it('removes the YAML block and stores metadata on the tree', () => {
+    const tree = parse('---\ntitle: Hello\n---\n\n# Heading\n');
+    assert.deepStrictEqual(tree.children.map((node) => node.type), ['heading']);
+    assert.strictEqual(tree.data.frontMatter.title, 'Hello');
+  });
+
+  it('keeps thematic breaks that are not front matter', () => {
+    const tree = parse('Intro\n\n---\n\nMore');
+    assert.deepStrictEqual(tree.children.map((node) => node.type), ['paragraph', 'thematicBreak', 'paragraph']);
+    assert.strictEqual(tree.data, undefined);
+  });
+});
+
+describe('renderFrontMatterBlock', () => {
+  it('escapes values and skips empty metadata', () => {
+    const html = renderFrontMatterBlock(parseFrontMatter('title: "<b>T</b>"'), escape);
+    assert.ok(html.includes('&lt;b>T&lt;/b>'));
+    assert.strictEqual(renderFrontMatterBlock(null, escape), '');
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  escapeLatex,
+  escapeUrl,
+  containsCjk,
+  getSectionCommand,
+  getFontSizeOption,
+  createCodeListing,
+  createTabular,
+  createDocument,
+} from '../src/exporters/latex-package.js';
+import { resolvePageSetup } from '../src/exporters/page-setup.js';
+
+const cell = (content, span = { rowSpan: 1, colSpan: 1 }) => ({ content, span });
+
+describe('escapeLatex', () => {
+  it('replaces special characters', () => {
+    assert.strictEqual(escapeLatex('50% of $x_1 & {y}#'), '50\\% of \\$x\\_1 \\& \\{y\\}\\#');
+    assert.strictEqual(escapeLatex('a\\b~c^d'), 'a\\textbackslash{}b\\textasciitilde{}c\\textasciicircum{}d');
+  });
+});
+
+describe('escapeUrl', () => {
+  it('escapes percent signs and anchors', () => {
+    assert.strictEqual(escapeUrl('https://example.com/a%20b#top'), 'https://example.com/a\\%20b\\#top');
+    assert.strictEqual(escapeUrl('x{y}'), 'x\\%7By\\%7D');
+  });
+});
+
+describe('containsCjk', () => {
+  it('detects Chinese, Japanese and Korean text', () => {
+    assert.ok(containsCjk('学术论文'));
+    assert.ok(containsCjk('ひらがな'));
+    assert.ok(containsCjk('한국어'));
+    assert.ok(!containsCjk('Plain text – ä'));
+  });
+});
+
+describe('getSectionCommand', () => {
+  it('maps levels to sectioning commands and clamps deep levels', () => {
+    assert.strictEqual(getSectionCommand(0), 'section');
+    assert.strictEqual(getSectionCommand(2), 'subsubsection');
+    assert.strictEqual(getSectionCommand(7), 'subparagraph');
+  });
+});
+
+describe('getFontSizeOption', () => {
+  it('picks the closest class size', () => {
+    assert.strictEqual(getFontSizeOption('12pt'), '12pt');
+    assert.strictEqual(getFontSizeOption('11pt'), '11pt');
+    assert.strictEqual(getFontSizeOption('10.5pt'), '10pt');
+    assert.strictEqual(getFontSizeOption(undefined), '10pt');
+  });
+});
+
+describe('createCodeListing', () => {
+  it('names known listings languages only', () => {
+    assert.strictEqual(createCodeListing('print(1)\n', 'python'), '\\begin{lstlisting}[language=Python]\nprint(1)\n\\end{lstlisting}');
+    assert.strictEqual(createCodeListing('x', 'javascript'), '\\begin{lstlisting}\nx\n\\end{lstlisting}');
+  });
+
+  it('uses the fence language as minted lexer', () => {
+    assert.strictEqual(createCodeListing('x', 'javascript', 'minted'), '\\begin{minted}{javascript}\nx\n\\end{minted}');
+    assert.strictEqual(createCodeListing('x', '', 'minted'), '\\begin{minted}{text}\nx\n\\end{minted}');
+  });
+});
+
+describe('createTabular', () => {
+  it('writes booktabs rules around the header', () => {
+    const tabular = createTabular({
+      alignments: ['left', 'right'],
+      rows: [[cell('A'), cell('B')], [cell('1'), cell('2')]],
+    });
+    assert.strictEqual(tabular, [
+      '\\begin{tabular}{lr}',
+      '\\toprule',
+      'A & B \\\\',
+      '\\midrule',
+      '1 & 2 \\\\',
+      '\\bottomrule',
+      '\\end{tabular}',
+    ].join('\n'));
+  });
+
+  it('merges cells and leaves gaps in grid rules', () => {
+    const tabular = createTabular({
+      alignments: ['left', 'center', 'left'],
+      rows: [
+        [cell('H', { rowSpan: 1, colSpan: 2 }), cell('', null), cell('I')],
+        [cell('a', { rowSpan: 2, colSpan: 1 }), cell('b'), cell('c')],
+        [cell('', null), cell('d'), cell('e')],
+      ],
+      grid: true,
+    });
+    const lines = tabular.split('\n');
+    assert.strictEqual(lines[0], '\\begin{tabular}{|l|c|l|}');
+    assert.strictEqual(lines[2], '\\multicolumn{2}{|l|}{H} & I \\\\');
+    assert.strictEqual(lines[4], '\\multirow{2}{*}{a} & b & c \\\\');
+    assert.strictEqual(lines[5], '\\cline{2-3}');
+    assert.strictEqual(lines[6], ' & d & e \\\\');
+  });
+
+  it('gives fixed-width columns paragraph types', () => {
+    const tabular = createTabular({ alignments: ['center'], widths: [1], rows: [[cell('x')]] });
+    assert.ok(tabular.startsWith('\\begin{tabular}{>{\\centering\\arraybackslash}p{\\dimexpr 1.000\\linewidth-2\\tabcolsep\\relax}}'));
+  });
+});
+
+describe('createDocument', () => {
+  it('sets page geometry, numbering and the title block', () => {
+    const source = createDocument({
+      body: '\\section{Intro}',
+      fontSize: '12pt',
+      pageSetup: resolvePageSetup({ docxPaperSize: 'letter', docxOrientation: 'landscape' }),
+      cjk: true,
+      numberingLevels: 3,
+      metadata: { title: 'Paper', author: 'A. Author', pdfTitle: 'Paper' },
+      abstract: 'Summary',
+    });
+    assert.ok(source.includes('\\documentclass[12pt]{article}'));
+    assert.ok(source.includes('\\usepackage[UTF8]{ctex}'));
+    assert.ok(source.includes('\\usepackage[letterpaper,landscape,top=1in,bottom=1in,left=1in,right=1in]{geometry}'));
+    assert.ok(source.includes('\\setcounter{secnumdepth}{3}'));
+    assert.ok(source.includes('\\maketitle\n\n\\begin{abstract}\nSummary\n\\end{abstract}'));
+    assert.ok(source.trimEnd().endsWith('\\section{Intro}\n\n\\end{document}'));
+  });
+
+  it('loads packages for used features only', () => {
+    const pageSetup = resolvePageSetup({});
+    const plain = createDocument({ body: 'Text', pageSetup });
+    assert.ok(plain.includes('\\usepackage{fontspec}'));
+    assert.ok(!plain.includes('listings'));
+    assert.ok(plain.includes('\\setcounter{secnumdepth}{0}'));
+    assert.ok(!plain.includes('\\maketitle'));
+
+    const minted = createDocument({ body: 'Text', pageSetup, codePackage: 'minted', features: new Set(['code', 'table']) });
+    assert.ok(minted.includes('\\usepackage{minted}'));
+    assert.ok(minted.includes('\\usepackage{array,booktabs,multirow}'));
+    assert.ok(minted.includes('-shell-escape'));
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  formatBorder,
+  createStyle,
+  createTextMarkup,
+  createFormulaDocument,
+  createManifest,
+  createTableOfContents,
+  createStylesDocument,
+} from '../src/exporters/odt-package.js';
+
+const THEME_STYLES = {
+  default: {
+    run: { font: { ascii: 'Times New Roman', eastAsia: 'SimSun' }, size: 24 },
+    paragraph: { spacing: { line: 360, before: 180, after: 60 } },
+  },
+  paragraphStyles: {
+    heading1: {
+      run: { size: 48, bold: true, font: { ascii: 'Arial', eastAsia: 'SimHei' } },
+      paragraph: { spacing: { before: 300, after: 120, line: 360 }, alignment: 'center' },
+    },
+  },
+  characterStyles: { code: { font: { ascii: 'Consolas', eastAsia: 'Consolas' }, size: 20, background: 'f6f8fa' } },
+  tableStyles: { borders: {}, header: { bold: true }, cell: { margins: { top: 120 } } },
+  codeColors: { foreground: '24292e', background: 'f6f8fa', colors: {} },
+};
+
+const PAGE_SETUP = {
+  orientation: 'portrait',
+  width: 8.27,
+  height: 11.69,
+  margins: { top: 1, right: 1, bottom: 1, left: 1 },
+};
+
+describe('formatBorder', () => {
+  it('converts eighths of a point and hex colors', () => {
+    assert.strictEqual(formatBorder({ style: 'single', size: 6, color: 'DFE2E5' }), '0.75pt solid #DFE2E5');
+    assert.strictEqual(formatBorder({ style: 'double', size: 16, color: '000000' }), '2pt double #000000');
+  });
+
+  it('treats missing, none and zero-width borders as none', () => {
+    assert.strictEqual(formatBorder(null), 'none');
+    assert.strictEqual(formatBorder({ style: 'none', size: 8, color: 'FFFFFF' }), 'none');
+    assert.strictEqual(formatBorder({ style: 'single', size: 0, color: 'FFFFFF' }), 'none');
+  });
+});
+
+describe('createStyle', () => {
+  it('writes property elements and skips empty ones', () => {
+    const style = createStyle({ name: 'P1', family: 'paragraph', parent: 'Text_20_body' }, {
+      paragraph: { 'fo:text-align': 'center', 'fo:margin-left': undefined },
+      text: {},
+    });
+    assert.strictEqual(style,
+      '<style:style style:name="P1" style:family="paragraph" style:parent-style-name="Text_20_body">'
+      + '<style:paragraph-properties fo:text-align="center"/></style:style>');
+  });
+});
+
+describe('createTextMarkup', () => {
+  it('escapes markup and keeps repeated spaces, tabs and line breaks', () => {
+    assert.strictEqual(createTextMarkup('a < b'), 'a &lt; b');
+    assert.strictEqual(createTextMarkup('  if (x)   y'), '<text:s text:c="2"/>if (x) <text:s text:c="2"/>y');
+    assert.strictEqual(createTextMarkup('a\tb\n c'), 'a<text:tab/>b<text:line-break/><text:s/>c');
+    assert.strictEqual(createTextMarkup('a  b'), 'a <text:s/>b');
+  });
+});
+
+describe('createFormulaDocument', () => {
+  it('adds the MathML namespace when missing', () => {
+    assert.match(createFormulaDocument('<math><mi>x</mi></math>'), /<math xmlns="http:\/\/www.w3.org\/1998\/Math\/MathML"><mi>x<\/mi><\/math>/);
+    const namespaced = '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mn>1</mn></math>';
+    assert.ok(createFormulaDocument(namespaced).includes(namespaced));
+  });
+});
+
+describe('createManifest', () => {
+  it('lists the root entry first and versions OpenDocument entries', () => {
+    const manifest = createManifest([
+      { path: 'content.xml', mediaType: 'text/xml' },
+      { path: 'Object 1/', mediaType: 'application/vnd.oasis.opendocument.formula' },
+    ]);
+    const entries = manifest.match(/<manifest:file-entry[^>]*\/>/g);
+    assert.strictEqual(entries[0], '<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="application/vnd.oasis.opendocument.text"/>');
+    assert.strictEqual(entries[1], '<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>');
+    assert.match(entries[2], /manifest:full-path="Object 1\/" manifest:version="1.2"/);
+  });
+});
+
+describe('createTableOfContents', () => {
+  it('prefills entries that link to heading bookmarks', () => {
+    const toc = createTableOfContents([
+      { level: 1, text: 'Intro & Setup', bookmark: 'intro-setup' },
+      { level: 2, text: 'Usage', bookmark: null },
+    ], 'Contents');
+    assert.match(toc, /<text:p text:style-name="Contents_20_1"><text:a xlink:type="simple" xlink:href="#intro-setup">Intro &amp; Setup<\/text:a><\/text:p>/);
+    assert.match(toc, /<text:p text:style-name="Contents_20_2">Usage<\/text:p>/);
+    assert.strictEqual((toc.match(/<text:table-of-content-entry-template /g) || []).length, 3);
+  });
+});
+
+describe('createStylesDocument', () => {
+  const styles = createStylesDocument(THEME_STYLES, PAGE_SETUP, { footer: '<text:page-number text:select-page="current">1</text:page-number>' });
+
+  it('maps theme fonts, sizes and spacing to ODF styles', () => {
+    assert.match(styles, /<style:default-style style:family="paragraph">[\s\S]*fo:font-family="'Times New Roman'" style:font-family-asian="SimSun"[^>]* fo:font-size="12pt"/);
+    assert.match(styles, /style:name="Text_20_body"[^>]*><style:paragraph-properties fo:margin-top="9pt" fo:margin-bottom="3pt" fo:line-height="150%"\/>/);
+    assert.match(styles, /style:name="Heading_20_1"[^>]*style:default-outline-level="1">[^]*?fo:text-align="center"[^]*?fo:font-size="24pt"[^]*?fo:font-weight="bold"/);
+    assert.match(styles, /style:name="Source_20_Text"[^>]*><style:text-properties fo:font-family="Consolas"[^>]* fo:font-size="10pt"[^>]* fo:background-color="#f6f8fa"\/>/);
+  });
+
+  it('numbers ordered list levels like the DOCX export', () => {
+    assert.match(styles, /<text:list-level-style-number text:level="1" style:num-suffix="." style:num-format="1">/);
+    assert.match(styles, /<text:list-level-style-number text:level="2" style:num-suffix="." style:num-format="i">/);
+    assert.match(styles, /<text:list-level-style-number text:level="3" style:num-suffix="." style:num-format="a">/);
+  });
+
+  it('writes the page layout and only the requested footer', () => {
+    assert.match(styles, /fo:page-width="8.27in" fo:page-height="11.69in" style:print-orientation="portrait"/);
+    assert.match(styles, /<style:footer><text:p text:style-name="Footer"><text:page-number/);
+    assert.doesNotMatch(styles, /<style:header>/);
+  });
+});
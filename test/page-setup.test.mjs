@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  parseLength,
+  resolveExportPageSetup,
+  resolvePageSetup,
+  splitTemplate,
+} from '../src/exporters/page-setup.js';
+
+describe('parseLength', () => {
+  it('converts units to inches', () => {
+    assert.strictEqual(parseLength('1in'), 1);
+    assert.strictEqual(parseLength('2.54cm'), 1);
+    assert.strictEqual(parseLength('72pt'), 1);
+    assert.strictEqual(parseLength(0.5), 0.5);
+  });
+
+  it('rejects invalid values', () => {
+    assert.strictEqual(parseLength('wide'), null);
+    assert.strictEqual(parseLength(-1), null);
+  });
+});
+
+describe('resolvePageSetup', () => {
+  it('uses defaults without settings', () => {
+    const setup = resolvePageSetup();
+    assert.strictEqual(setup.paperSize, 'a4');
+    assert.strictEqual(setup.orientation, 'portrait');
+    assert.deepStrictEqual(setup.margins, { top: 1, right: 1, bottom: 1, left: 1 });
+  });
+
+  it('swaps dimensions for landscape and computes the content area', () => {
+    const setup = resolvePageSetup({ docxPaperSize: 'letter', docxOrientation: 'landscape', docxMargins: 'narrow' });
+    assert.strictEqual(setup.width, 11);
+    assert.strictEqual(setup.height, 8.5);
+    assert.strictEqual(setup.contentWidth, 10);
+    assert.strictEqual(setup.contentHeight, 7.5);
+  });
+
+  it('lets front matter override popup settings', () => {
+    const setup = resolvePageSetup(
+      { docxPaperSize: 'letter', docxFooter: '{page}' },
+      { size: 'Legal', margin: { left: '2cm' }, footer: 'Page {page} of {pages}' }
+    );
+    assert.strictEqual(setup.paperSize, 'legal');
+    assert.strictEqual(setup.footer, 'Page {page} of {pages}');
+    assert.strictEqual(setup.margins.top, 1);
+    assert.ok(Math.abs(setup.margins.left - 2 / 2.54) < 1e-9);
+  });
+});
+
+describe('resolveExportPageSetup', () => {
+  it('reads front matter page options and bounds images to the content area', () => {
+    const { pageSetup, imageBounds } = resolveExportPageSetup(
+      { docxPaperSize: 'letter' },
+      { data: { page: { orientation: 'landscape', margin: '0.5in' } } }
+    );
+    assert.strictEqual(pageSetup.orientation, 'landscape');
+    assert.deepStrictEqual(imageBounds, { maxWidth: 960, maxHeight: 720 });
+  });
+});
+
+describe('splitTemplate', () => {
+  it('splits known tokens and keeps unknown ones as text', () => {
+    assert.deepStrictEqual(splitTemplate('Page {page} of {pages} {foo}'), [
+      { type: 'text', value: 'Page ' },
+      { type: 'token', value: 'page' },
+      { type: 'text', value: ' of ' },
+      { type: 'token', value: 'pages' },
+      { type: 'text', value: ' {foo}' },
+    ]);
+    assert.deepStrictEqual(splitTemplate(''), []);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  createRun,
+  createParagraph,
+  createTable,
+  createContentTypes,
+  createPresentation,
+  createTheme,
+} from '../src/exporters/pptx-package.js';
+
+describe('createRun', () => {
+  it('escapes text and writes run properties', () => {
+    assert.strictEqual(createRun('a < b'), '<a:r><a:rPr lang="en-US" dirty="0"></a:rPr><a:t>a &lt; b</a:t></a:r>');
+    const run = createRun('x', { size: 12.5, bold: true, color: 'FF0000', font: { ascii: 'Consolas', eastAsia: 'SimSun' }, linkId: 'rId3' });
+    assert.match(run, /<a:rPr lang="en-US" sz="1250" b="1" u="sng" dirty="0">/);
+    assert.match(run, /<a:solidFill><a:srgbClr val="FF0000"\/><\/a:solidFill><a:latin typeface="Consolas"\/><a:ea typeface="SimSun"\/>/);
+    assert.match(run, /<a:hlinkClick r:id="rId3"\/>/);
+  });
+});
+
+describe('createParagraph', () => {
+  it('numbers list items from their own start', () => {
+    const paragraph = createParagraph('', { bullet: 'number', number: 4, numberFormat: 'romanLcPeriod', level: 1 });
+    assert.match(paragraph, /<a:pPr marL="685800" indent="-285750" lvl="1">/);
+    assert.match(paragraph, /<a:buAutoNum type="romanLcPeriod" startAt="4"\/>/);
+  });
+
+  it('turns bullets off for plain paragraphs', () => {
+    assert.match(createParagraph('', { align: 'ctr' }), /<a:pPr marL="0" indent="0" algn="ctr"><a:buNone\/><\/a:pPr>/);
+  });
+});
+
+describe('createTable', () => {
+  it('writes spans, merged cells and cell lines', () => {
+    const table = createTable({
+      id: 4,
+      name: 'Table',
+      frame: { x: 0, y: 0, width: 200, height: 100 },
+      columnWidths: [100, 100],
+      rows: [
+        [{ paragraphs: '', colSpan: 2, borders: { top: { width: 1, color: '000000' } }, fill: 'EEEEEE' }, { hMerge: true }],
+        [{}, {}],
+      ],
+    });
+    assert.match(table, /<a:tblGrid><a:gridCol w="100"\/><a:gridCol w="100"\/><\/a:tblGrid>/);
+    assert.match(table, /<a:tc gridSpan="2">/);
+    assert.match(table, /<a:tc hMerge="1">/);
+    assert.match(table, /<a:lnT w="12700"><a:solidFill><a:srgbClr val="000000"\/>/);
+    assert.match(table, /<a:lnL w="0"><a:noFill\/><\/a:lnL>/);
+    assert.strictEqual((table.match(/<a:tr h="50">/g) || []).length, 2);
+  });
+});
+
+describe('createContentTypes', () => {
+  it('lists each slide with its notes slide and the picture formats in use', () => {
+    const types = createContentTypes(2, { png: 'image/png' });
+    assert.match(types, /<Default Extension="png" ContentType="image\/png"\/>/);
+    assert.match(types, /PartName="\/ppt\/slides\/slide2.xml"/);
+    assert.match(types, /PartName="\/ppt\/notesSlides\/notesSlide2.xml"/);
+    assert.doesNotMatch(types, /slide3.xml/);
+  });
+});
+
+describe('createPresentation', () => {
+  it('numbers slide ids from 256 after the fixed relationships', () => {
+    const { xml, relationships } = createPresentation(2);
+    assert.match(xml, /<p:sldIdLst><p:sldId id="256" r:id="rId7"\/><p:sldId id="257" r:id="rId8"\/><\/p:sldIdLst>/);
+    assert.match(relationships, /Id="rId8" Type="[^"]*\/slide" Target="slides\/slide2.xml"/);
+  });
+});
+
+describe('createTheme', () => {
+  it('uses the heading font as major and the body font as minor font', () => {
+    const theme = createTheme({ heading: { ascii: 'Arial', eastAsia: 'SimHei' }, body: 'Georgia' });
+    assert.match(theme, /<a:majorFont><a:latin typeface="Arial"\/><a:ea typeface="SimHei"\/>/);
+    assert.match(theme, /<a:minorFont><a:latin typeface="Georgia"\/><a:ea typeface="Georgia"\/>/);
+  });
+});
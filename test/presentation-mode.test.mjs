@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { splitSlideNodes } from '../src/utils/presentation-mode.js';
+
+const element = (tagName, textContent = '', attributes = []) => ({
+  nodeType: 1,
+  tagName,
+  textContent,
+  hasAttribute: name => attributes.includes(name),
+});
+const text = textContent => ({ nodeType: 3, textContent });
+
+describe('splitSlideNodes', () => {
+  it('splits at thematic breaks and slide headings', () => {
+    const intro = element('P', 'intro');
+    const title = element('H2', 'Second');
+    const detail = element('H3', 'Detail');
+    const hr = element('HR');
+    const last = element('P', 'last');
+
+    const slides = splitSlideNodes([intro, title, detail, hr, last]);
+    assert.deepStrictEqual(slides.map(slide => slide.nodes), [[intro], [title, detail], [hr, last]]);
+  });
+
+  it('moves content after a notes marker to the notes', () => {
+    const title = element('H1', 'Title');
+    const marker = element('P', 'Note: say hello');
+    const more = element('UL', 'point');
+    const next = element('H2', 'Next');
+
+    const slides = splitSlideNodes([title, marker, more, next]);
+    assert.deepStrictEqual(slides[0], { nodes: [title], notes: [marker, more] });
+    assert.deepStrictEqual(slides[1], { nodes: [next], notes: [] });
+  });
+
+  it('keeps breaks before headings with the following slide', () => {
+    const first = element('H2', 'First');
+    const space = text('\n');
+    const hr = element('HR');
+    const second = element('H2', 'Second');
+
+    const slides = splitSlideNodes([first, space, hr, space, second]);
+    assert.deepStrictEqual(slides.map(slide => slide.nodes), [[first, space], [hr, space, second]]);
+  });
+
+  it('puts footnotes and trailing breaks into the notes of the last slide', () => {
+    const title = element('H2', 'Only');
+    const footnotes = element('SECTION', 'Footnotes', ['data-footnotes']);
+    const hr = element('HR');
+
+    const slides = splitSlideNodes([title, footnotes, hr]);
+    assert.deepStrictEqual(slides, [{ nodes: [title], notes: [footnotes, hr] }]);
+  });
+
+  it('returns no slides for a blank document', () => {
+    assert.deepStrictEqual(splitSlideNodes([text('  ')]), []);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { isNotesMarkerText, isSlideHeading, removeNotesMarker, splitSlides } from '../src/utils/slide-outline.js';
+
+const heading = (depth, value) => ({ type: 'heading', depth, children: [{ type: 'text', value }] });
+const paragraph = value => ({ type: 'paragraph', children: [{ type: 'text', value }] });
+
+describe('isNotesMarkerText', () => {
+  it('accepts Note: and Notes: in any case', () => {
+    assert.ok(isNotesMarkerText('Note: remember'));
+    assert.ok(isNotesMarkerText('  notes:'));
+    assert.ok(!isNotesMarkerText('Notebook'));
+    assert.ok(!isNotesMarkerText(undefined));
+  });
+});
+
+describe('removeNotesMarker', () => {
+  it('removes the leading marker only', () => {
+    assert.strictEqual(removeNotesMarker('Note: say hello'), 'say hello');
+    assert.strictEqual(removeNotesMarker('Notes:'), '');
+    assert.strictEqual(removeNotesMarker('No marker: here'), 'No marker: here');
+  });
+});
+
+describe('isSlideHeading', () => {
+  it('starts slides at H1 and H2 only', () => {
+    assert.ok(isSlideHeading(heading(1, 'a')));
+    assert.ok(isSlideHeading(heading(2, 'a')));
+    assert.ok(!isSlideHeading(heading(3, 'a')));
+  });
+});
+
+describe('splitSlides', () => {
+  it('splits at thematic breaks and slide headings', () => {
+    const intro = paragraph('intro');
+    const title = heading(2, 'Second');
+    const detail = heading(3, 'Detail');
+    const slides = splitSlides([intro, { type: 'thematicBreak' }, title, detail, { type: 'thematicBreak' }]);
+    assert.deepStrictEqual(slides, [
+      { title: null, body: [intro], notes: [] },
+      { title, body: [detail], notes: [] },
+    ]);
+  });
+
+  it('moves content after a notes marker to the notes and keeps the marker remainder', () => {
+    const point = paragraph('point');
+    const after = paragraph('more');
+    const slides = splitSlides([heading(1, 'A'), point, paragraph('Note: say hi'), after, heading(2, 'B')]);
+    assert.deepStrictEqual(slides[0].body, [point]);
+    assert.deepStrictEqual(slides[0].notes, [paragraph('say hi'), after]);
+    assert.deepStrictEqual(slides[1].notes, []);
+  });
+
+  it('drops a bare marker and skips definitions', () => {
+    const slides = splitSlides([
+      { type: 'yaml', value: 'title: x' },
+      paragraph('Notes:'),
+      { type: 'footnoteDefinition', identifier: '1', children: [] },
+    ]);
+    assert.deepStrictEqual(slides, []);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { isAllowedElement, isSafeStyle, isSafeUrl } from '../src/utils/svg-sanitizer.js';
+
+describe('isSafeUrl', () => {
+  it('allows fragments, web links and raster data URLs', () => {
+    assert.ok(isSafeUrl('#arrow'));
+    assert.ok(isSafeUrl('https://example.com/a.png'));
+    assert.ok(isSafeUrl('data:image/png;base64,iVBORw0KGgo='));
+    assert.ok(isSafeUrl('data:image/jpeg;base64,/9j/4AAQ'));
+  });
+
+  it('rejects script URLs hidden by control characters and whitespace', () => {
+    // `href="jav&#x09;ascript:..."` reaches the attribute decoded
+    assert.ok(!isSafeUrl('jav\tascript:alert(1)'));
+    assert.ok(!isSafeUrl('jav&#x09;ascript:alert(1)'));
+    assert.ok(!isSafeUrl(' \u0001java\nscript:alert(1)'));
+    assert.ok(!isSafeUrl('JAVASCRIPT:alert(1)'));
+  });
+
+  it('rejects other schemes and data types', () => {
+    assert.ok(!isSafeUrl('data:image/svg+xml;base64,PHN2Zz4='));
+    assert.ok(!isSafeUrl('data:text/html,<script>alert(1)</script>'));
+    assert.ok(!isSafeUrl('vbscript:msgbox(1)'));
+    assert.ok(!isSafeUrl('file:///etc/passwd'));
+  });
+});
+
+describe('isAllowedElement', () => {
+  it('drops foreignObject and form content from user SVG', () => {
+    assert.ok(!isAllowedElement('foreignObject', false));
+    assert.ok(!isAllowedElement('div', false));
+    assert.ok(isAllowedElement('linearGradient', false));
+  });
+
+  it('keeps renderer HTML labels but never forms or scripts', () => {
+    assert.ok(isAllowedElement('foreignObject', true));
+    assert.ok(isAllowedElement('SPAN', true));
+    for (const tag of ['FORM', 'INPUT', 'BUTTON', 'IFRAME', 'script', 'animate', 'set']) {
+      assert.ok(!isAllowedElement(tag, true), tag);
+    }
+  });
+});
+
+describe('isSafeStyle', () => {
+  it('allows fragment references', () => {
+    assert.ok(isSafeStyle('#d1 .node{fill:url(#d1-grad)}'));
+    assert.ok(isSafeStyle("marker-end: url('#d1-arrow')"));
+  });
+
+  it('rejects imports and external URLs', () => {
+    assert.ok(!isSafeStyle('@import "https://example.com/a.css";'));
+    assert.ok(!isSafeStyle('body{background:url(http://example.com/track.png)}'));
+    assert.ok(!isSafeStyle('fill: url( "https://example.com/a.svg#g" )'));
+  });
+
+  it('decodes CSS escapes before checking', () => {
+    assert.ok(!isSafeStyle('background: u\\72l(http://example.com/)'));
+    assert.ok(!isSafeStyle('@\\69mport "x.css";'));
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  parseTableDirective,
+  getDelimiterColumnWidths,
+  normalizeColumnWidths,
+  getMergeMarker,
+  computeTableSpans,
+  getTableLayout,
+} from '../src/utils/table-layout.js';
+
+describe('parseTableDirective', () => {
+  it('reads widths, header rows, repetition and orientation', () => {
+    const options = parseTableDirective('<!-- table: widths=2,1,1 header=2 repeat-header=no orientation=landscape -->');
+    assert.deepStrictEqual(options, {
+      widths: [2, 1, 1],
+      headerRows: 2,
+      repeatHeader: false,
+      orientation: 'landscape',
+    });
+  });
+
+  it('accepts percentages and semicolons', () => {
+    const options = parseTableDirective('<!-- table: widths=20%,80%; landscape -->');
+    assert.deepStrictEqual(options.widths, [20, 80]);
+    assert.strictEqual(options.orientation, 'landscape');
+    assert.strictEqual(options.repeatHeader, true);
+  });
+
+  it('ignores other comments and invalid values', () => {
+    assert.strictEqual(parseTableDirective('<!-- just a note -->'), null);
+    assert.strictEqual(parseTableDirective('<div>table: x</div>'), null);
+    assert.strictEqual(parseTableDirective('<!-- table: widths=1,abc -->').widths, null);
+  });
+});
+
+describe('getDelimiterColumnWidths', () => {
+  it('ignores short delimiter rows', () => {
+    assert.strictEqual(getDelimiterColumnWidths('|---|:---:|---:|'), null);
+  });
+
+  it('counts dashes of long delimiter rows', () => {
+    const line = `|${'-'.repeat(10)}|:${'-'.repeat(38)}:|${'-'.repeat(30)}:|`;
+    assert.deepStrictEqual(getDelimiterColumnWidths(line), [10, 40, 31]);
+  });
+
+  it('rejects rows that are not delimiter rows', () => {
+    assert.strictEqual(getDelimiterColumnWidths(`| ${'x'.repeat(80)} |`), null);
+  });
+});
+
+describe('normalizeColumnWidths', () => {
+  it('scales widths to fractions', () => {
+    assert.deepStrictEqual(normalizeColumnWidths([1, 3], 2), [0.25, 0.75]);
+  });
+
+  it('requires one width per column', () => {
+    assert.strictEqual(normalizeColumnWidths([1, 3], 3), null);
+    assert.strictEqual(normalizeColumnWidths(null, 3), null);
+  });
+});
+
+describe('computeTableSpans', () => {
+  const parse = rows => rows.map(row => row.map(getMergeMarker));
+
+  it('merges cells to the left and above', () => {
+    const spans = computeTableSpans(parse([
+      ['A', 'B', 'C'],
+      ['a', '<<', 'c'],
+      ['^^', '^^', 'd'],
+    ]));
+    assert.deepStrictEqual(spans, [
+      [{ rowSpan: 1, colSpan: 1 }, { rowSpan: 1, colSpan: 1 }, { rowSpan: 1, colSpan: 1 }],
+      [{ rowSpan: 2, colSpan: 2 }, null, { rowSpan: 1, colSpan: 1 }],
+      [null, null, { rowSpan: 1, colSpan: 1 }],
+    ]);
+  });
+
+  it('does not merge body cells into the header', () => {
+    const spans = computeTableSpans(parse([
+      ['A', 'B'],
+      ['^^', 'b'],
+    ]));
+    assert.deepStrictEqual(spans[1][0], { rowSpan: 1, colSpan: 1 });
+  });
+
+  it('leaves markers without a target or forming an L shape as text', () => {
+    const spans = computeTableSpans(parse([
+      ['A', 'B'],
+      ['<<', 'x'],
+      ['y', 'z'],
+      ['^^', 'w'],
+      ['^^', '<<'],
+    ]));
+    assert.deepStrictEqual(spans[1][0], { rowSpan: 1, colSpan: 1 });
+    // y + ^^ + ^^ and the trailing << form an L shape
+    assert.deepStrictEqual(spans[2][0], { rowSpan: 1, colSpan: 1 });
+    assert.deepStrictEqual(spans[4][1], { rowSpan: 1, colSpan: 1 });
+  });
+});
+
+describe('getTableLayout', () => {
+  const row = (...texts) => ({ type: 'tableRow', children: texts.map(value => ({ type: 'tableCell', value })) });
+
+  it('combines layout options with merge spans', () => {
+    const node = {
+      type: 'table',
+      align: [null, null],
+      children: [row('A', 'B'), row('1', '<<'), row('2', '3')],
+      data: { layout: { headerRows: 1, repeatHeader: false, widths: [1, 3] } },
+    };
+    const table = getTableLayout(node, cell => cell.value);
+    assert.strictEqual(table.rowCount, 3);
+    assert.strictEqual(table.columnCount, 2);
+    assert.strictEqual(table.headerRowCount, 1);
+    assert.strictEqual(table.repeatHeader, false);
+    assert.deepStrictEqual(table.widths, [0.25, 0.75]);
+    assert.deepStrictEqual(table.spans[1], [{ rowSpan: 1, colSpan: 2 }, null]);
+  });
+
+  it('defaults to one repeated header row and no widths', () => {
+    const table = getTableLayout({ type: 'table', children: [row('A')] }, cell => cell.value);
+    assert.strictEqual(table.headerRowCount, 1);
+    assert.strictEqual(table.repeatHeader, true);
+    assert.strictEqual(table.widths, null);
+  });
+});
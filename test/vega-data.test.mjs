@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  isLocalDataUrl,
+  collectLocalDataDefinitions,
+  getDataFormatType,
+  inlineLocalData,
+} from '../src/utils/vega-data.js';
+
+describe('isLocalDataUrl', () => {
+  it('accepts relative paths and file URLs', () => {
+    assert.strictEqual(isLocalDataUrl('data/sales.csv'), true);
+    assert.strictEqual(isLocalDataUrl('../sales.json'), true);
+    assert.strictEqual(isLocalDataUrl('file:///home/me/sales.csv'), true);
+  });
+
+  it('leaves web and inline URLs to Vega', () => {
+    assert.strictEqual(isLocalDataUrl('https://example.com/sales.csv'), false);
+    assert.strictEqual(isLocalDataUrl('//cdn.example.com/sales.csv'), false);
+    assert.strictEqual(isLocalDataUrl('data:text/csv,a'), false);
+    assert.strictEqual(isLocalDataUrl(undefined), false);
+  });
+});
+
+describe('collectLocalDataDefinitions', () => {
+  it('finds nested Vega-Lite data and Vega data arrays', () => {
+    const spec = {
+      layer: [{ data: { url: 'a.csv' } }, { data: { values: [] } }],
+      transform: [{ lookup: 'id', from: { data: { url: 'b.json' }, key: 'id' } }],
+      data: [{ name: 'table', url: 'https://example.com/c.csv' }, { name: 'local', url: 'd.tsv' }],
+    };
+    assert.deepStrictEqual(collectLocalDataDefinitions(spec).map(definition => definition.url), ['a.csv', 'b.json', 'd.tsv']);
+  });
+});
+
+describe('getDataFormatType', () => {
+  it('maps file extensions to format types', () => {
+    assert.strictEqual(getDataFormatType('data/sales.CSV?v=2'), 'csv');
+    assert.strictEqual(getDataFormatType('world.topojson'), 'topojson');
+    assert.strictEqual(getDataFormatType('data.txt'), null);
+  });
+});
+
+describe('inlineLocalData', () => {
+  it('replaces local URLs with file contents resolved against the document', async () => {
+    const reads = [];
+    const source = JSON.stringify({
+      data: { url: 'data/sales.csv' },
+      layer: [{ data: { url: './data/sales.csv', format: { parse: { a: 'number' } } } }],
+    });
+    const result = JSON.parse(await inlineLocalData(source, 'file:///docs/report.md', async (url) => {
+      reads.push(url);
+      return 'a\n1';
+    }));
+
+    assert.deepStrictEqual(reads, ['file:///docs/data/sales.csv']);
+    assert.deepStrictEqual(result.data, { values: 'a\n1', format: { type: 'csv' } });
+    assert.deepStrictEqual(result.layer[0].data.format, { parse: { a: 'number' }, type: 'csv' });
+  });
+
+  it('names the data file that failed to load', async () => {
+    const source = JSON.stringify({ data: { url: 'missing.json' } });
+    await assert.rejects(
+      inlineLocalData(source, 'file:///docs/report.md', async () => { throw new Error('Not found'); }),
+      /missing\.json.*Not found/
+    );
+  });
+});
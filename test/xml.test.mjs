@@ -0,0 +1,10 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { escapeXml } from '../src/utils/xml.js';
+
+describe('escapeXml', () => {
+  it('escapes markup characters and quotes', () => {
+    assert.strictEqual(escapeXml('a < b & "c" > d'), 'a &lt; b &amp; &quot;c&quot; &gt; d');
+  });
+});